@@ -0,0 +1,76 @@
+/**
+ * Make the first super admin of a deployment.
+ *
+ * Admins only get the permissions of their assigned admin roles, so a new
+ * deployment (or one whose admins predate admin roles) needs one super admin
+ * to assign the rest from PUT /api/admin/users/:userId/roles. This promotes the
+ * user with the given wallet to admin with the super_admin role, lists admins
+ * still without roles and writes the change to the audit log. It refuses to
+ * run once an active super admin exists.
+ *
+ * Usage: npm run admins:bootstrap -- <walletAddress>
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const { logAdmin, logSecurity } = require('../src/utils/logger');
+
+const bootstrapSuperAdmin = async () => {
+  const walletAddress = process.argv[2]?.toLowerCase();
+
+  if (!walletAddress || !/^0x[a-f0-9]{40}$/.test(walletAddress)) {
+    throw new Error('Usage: npm run admins:bootstrap -- <walletAddress>');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    const existing = await User.findOne({ role: 'admin', isActive: true, adminRoles: 'super_admin' })
+      .select('walletAddress');
+    if (existing) {
+      throw new Error(`A super admin already exists (${existing.walletAddress}); assign roles through the admin API`);
+    }
+
+    const user = await User.findOne({ walletAddress });
+    if (!user) {
+      throw new Error(`No user with wallet ${walletAddress}; sign in with it once first`);
+    }
+
+    const previousRole = user.role;
+    const previousRoles = user.adminRoles || [];
+    user.role = 'admin';
+    user.adminRoles = [...new Set([...previousRoles, 'super_admin'])];
+    await user.save({ validateBeforeSave: false });
+
+    logAdmin('Super admin bootstrapped', {
+      targetUserId: user._id,
+      walletAddress,
+      previousRole,
+      previousRoles,
+      adminRoles: user.adminRoles
+    });
+    logSecurity('super_admin_bootstrapped', user._id, null, 'scripts/bootstrapSuperAdmin', 'high', {
+      walletAddress,
+      previousRole
+    });
+    console.log(`${walletAddress} is now a super admin`);
+
+    const unassigned = await User.find({
+      role: 'admin',
+      $or: [{ adminRoles: { $exists: false } }, { adminRoles: { $size: 0 } }]
+    }).select('walletAddress');
+    if (unassigned.length) {
+      console.log(`Admins without roles (no permissions until assigned): ${unassigned.map(admin => admin.walletAddress).join(', ')}`);
+    }
+    return 0;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+bootstrapSuperAdmin()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(`Super admin bootstrap failed: ${error.message}`);
+    process.exit(1);
+  });
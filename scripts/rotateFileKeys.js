@@ -0,0 +1,39 @@
+/**
+ * Re-wrap the data keys of stored files with the current file master key.
+ *
+ * Rotate by adding a new master key, making it current (FILE_MASTER_KEY_ID or
+ * currentKeyId in the key file) and running this command. Keep the previous
+ * key configured until it reports no failures; file contents are not rewritten.
+ *
+ * Usage: npm run keys:rotate [-- <bucket> ...]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { rewrapFileKeys, FILE_TYPES } = require('../src/middleware/upload');
+
+const rotateFileKeys = async () => {
+  const buckets = process.argv.slice(2);
+  const knownBuckets = Object.values(FILE_TYPES).map(type => type.bucket);
+  const unknownBuckets = buckets.filter(bucket => !knownBuckets.includes(bucket));
+
+  if (unknownBuckets.length) {
+    throw new Error(`Unknown bucket: ${unknownBuckets.join(', ')}`);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  try {
+    const result = await rewrapFileKeys(buckets.length ? buckets : undefined);
+    console.log(`Re-wrapped ${result.rewrapped} of ${result.scanned} file keys with master key ${result.currentKeyId} (${result.failed} failed)`);
+    return result.failed ? 1 : 0;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+rotateFileKeys()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(`File key rotation failed: ${error.message}`);
+    process.exit(1);
+  });
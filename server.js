@@ -58,6 +58,11 @@ const notFound = (req, res) => {
 
 // Simple rate limiting
 const { globalLimiter } = require('./src/middleware/rateLimit');
+const { maintenanceMode } = require('./src/middleware/maintenance');
+const { socketAuth } = require('./src/middleware/socketAuth');
+const { setupSocketAdapter } = require('./src/sockets/adapter');
+const { setupVideoCall } = require('./src/sockets/videoCall');
+const { setupNotifications } = require('./src/sockets/notifications');
 
 // Initialize Express app
 const app = express();
@@ -119,7 +124,16 @@ app.use(cors(corsOptions));
 app.use(compression());
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  type: ['application/json', 'application/fhir+json'],
+  // Keep the raw payload of webhooks so their HMAC signatures can be checked byte for byte
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Sanitization middleware
@@ -139,25 +153,17 @@ if (process.env.NODE_ENV === 'development') {
 // Rate limiting
 app.use('/api/', globalLimiter);
 
-// Simple socket setup (replace with actual socket handlers later)
-io.on('connection', (socket) => {
-  logger.info(`User connected: ${socket.id}`);
-  
-  socket.on('disconnect', () => {
-    logger.info(`User disconnected: ${socket.id}`);
-  });
-  
-  // Video call events
-  socket.on('join-room', (roomId) => {
-    socket.join(roomId);
-    socket.broadcast.to(roomId).emit('user-connected', socket.id);
-  });
-  
-  socket.on('leave-room', (roomId) => {
-    socket.leave(roomId);
-    socket.broadcast.to(roomId).emit('user-disconnected', socket.id);
-  });
-});
+// Maintenance mode (driven by system settings)
+app.use('/api/', maintenanceMode);
+
+// Share Socket.io rooms and broadcasts across instances when Redis is configured
+setupSocketAdapter(io);
+
+// Socket.io namespaces, each authenticated with the user's JWT
+// The main namespace has no handlers of its own, so refuse anonymous connections to it
+io.use(socketAuth);
+setupVideoCall(io);
+setupNotifications(io);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -196,6 +202,9 @@ const doctorRoutes = safeRequire('./src/routes/doctors');
 const paymentRoutes = safeRequire('./src/routes/payments');
 const adminRoutes = safeRequire('./src/routes/admin');
 const aiRoutes = safeRequire('./src/routes/ai');
+const medicalRecordRoutes = safeRequire('./src/routes/medicalRecords');
+const consentRoutes = safeRequire('./src/routes/consents');
+const fhirRoutes = safeRequire('./src/routes/fhir');
 
 // Use routes only if they exist
 if (authRoutes) app.use('/api/auth', authRoutes);
@@ -205,6 +214,12 @@ if (doctorRoutes) app.use('/api/doctors', doctorRoutes);
 if (paymentRoutes) app.use('/api/payments', paymentRoutes);
 if (adminRoutes) app.use('/api/admin', adminRoutes);
 if (aiRoutes) app.use('/api/ai', aiRoutes);
+if (medicalRecordRoutes) app.use('/api/medical-records', medicalRecordRoutes);
+if (consentRoutes) app.use('/api/consents', consentRoutes);
+if (fhirRoutes) app.use('/api/fhir', fhirRoutes);
+
+// Scheduled background jobs
+const jobRunner = safeRequire('./src/jobs');
 
 // Static file serving
 app.use('/uploads', express.static('uploads'));
@@ -228,7 +243,10 @@ app.get('/', (req, res) => {
       doctors: !!doctorRoutes,
       payments: !!paymentRoutes,
       admin: !!adminRoutes,
-      ai: !!aiRoutes
+      ai: !!aiRoutes,
+      medicalRecords: !!medicalRecordRoutes,
+      consents: !!consentRoutes,
+      fhir: !!fhirRoutes
     }
   });
 });
@@ -252,6 +270,7 @@ app.use(errorHandler);
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received. Shutting down gracefully...');
+  if (jobRunner) jobRunner.stopJobs();
   server.close(() => {
     logger.info('Process terminated');
     mongoose.connection.close();
@@ -260,6 +279,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received. Shutting down gracefully...');
+  if (jobRunner) jobRunner.stopJobs();
   server.close(() => {
     logger.info('Process terminated');
     mongoose.connection.close();
@@ -287,6 +307,8 @@ server.listen(PORT, () => {
   console.log(`🚀 HealthFriend API server running on port ${PORT}`);
   console.log(`🌐 Health check: http://localhost:${PORT}/health`);
   console.log(`📡 API Base: http://localhost:${PORT}/api`);
+
+  if (jobRunner) jobRunner.startJobs();
 });
 
 module.exports = { app, server, io };
\ No newline at end of file
@@ -0,0 +1,99 @@
+// Admin permissions checked by requirePermission()
+const PERMISSIONS = {
+  DASHBOARD_VIEW: 'dashboard.view',
+  ANALYTICS_VIEW: 'analytics.view',
+  USERS_READ: 'users.read',
+  USERS_MANAGE: 'users.manage',
+  DOCTORS_VERIFICATION_READ: 'doctors.verification.read',
+  DOCTORS_VERIFY: 'doctors.verify',
+  PAYMENTS_READ: 'payments.read',
+  PAYMENTS_DISPUTE_READ: 'payments.dispute.read',
+  PAYMENTS_DISPUTE_RESOLVE: 'payments.dispute.resolve',
+  CONTENT_MODERATE: 'content.moderate',
+  EMERGENCY_ACCESS_REVIEW: 'emergency_access.review',
+  ANNOUNCEMENTS_SEND: 'announcements.send',
+  SETTINGS_READ: 'settings.read',
+  SETTINGS_UPDATE: 'settings.update',
+  JOBS_READ: 'jobs.read',
+  JOBS_RUN: 'jobs.run',
+  LOGS_READ: 'logs.read',
+  API_KEYS_MANAGE: 'api_keys.manage',
+  ADMIN_ROLES_MANAGE: 'admin.roles.manage'
+};
+
+// Admin roles and the permissions each one grants
+const ADMIN_ROLES = {
+  super_admin: {
+    description: 'Full access, including managing other admins',
+    permissions: Object.values(PERMISSIONS)
+  },
+  support: {
+    description: 'Helps users with their accounts',
+    permissions: [
+      PERMISSIONS.DASHBOARD_VIEW,
+      PERMISSIONS.USERS_READ,
+      PERMISSIONS.USERS_MANAGE,
+      PERMISSIONS.PAYMENTS_READ,
+      PERMISSIONS.ANNOUNCEMENTS_SEND
+    ]
+  },
+  finance: {
+    description: 'Payments, refunds and disputes',
+    permissions: [
+      PERMISSIONS.DASHBOARD_VIEW,
+      PERMISSIONS.ANALYTICS_VIEW,
+      PERMISSIONS.PAYMENTS_READ,
+      PERMISSIONS.PAYMENTS_DISPUTE_READ,
+      PERMISSIONS.PAYMENTS_DISPUTE_RESOLVE
+    ]
+  },
+  medical_reviewer: {
+    description: 'Reviews doctor credentials and emergency record access',
+    permissions: [
+      PERMISSIONS.DASHBOARD_VIEW,
+      PERMISSIONS.USERS_READ,
+      PERMISSIONS.DOCTORS_VERIFICATION_READ,
+      PERMISSIONS.DOCTORS_VERIFY,
+      PERMISSIONS.EMERGENCY_ACCESS_REVIEW
+    ]
+  },
+  moderator: {
+    description: 'Moderates content and sends announcements',
+    permissions: [
+      PERMISSIONS.DASHBOARD_VIEW,
+      PERMISSIONS.USERS_READ,
+      PERMISSIONS.CONTENT_MODERATE,
+      PERMISSIONS.ANNOUNCEMENTS_SEND
+    ]
+  }
+};
+
+const ADMIN_ROLE_NAMES = Object.keys(ADMIN_ROLES);
+
+// Admins without assigned roles have no permissions; the first super admin is
+// made with `npm run admins:bootstrap` (scripts/bootstrapSuperAdmin.js)
+const resolveAdminRoles = (user) => {
+  if (user.role !== 'admin') return [];
+  return user.adminRoles || [];
+};
+
+const getPermissionsForRoles = (adminRoles = []) => {
+  const permissions = new Set();
+  adminRoles.forEach(role => {
+    (ADMIN_ROLES[role]?.permissions || []).forEach(permission => permissions.add(permission));
+  });
+  return [...permissions];
+};
+
+const hasPermission = (adminRoles, permission) => {
+  return adminRoles.some(role => ADMIN_ROLES[role]?.permissions.includes(permission));
+};
+
+module.exports = {
+  PERMISSIONS,
+  ADMIN_ROLES,
+  ADMIN_ROLE_NAMES,
+  resolveAdminRoles,
+  getPermissionsForRoles,
+  hasPermission
+};
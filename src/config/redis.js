@@ -0,0 +1,57 @@
+const Redis = require('ioredis');
+const logger = require('../utils/logger');
+
+// Shared client, created lazily on first use
+let sharedClient = null;
+
+// Redis is optional - features fall back to in-process behaviour without it
+const isRedisConfigured = () => Boolean(process.env.REDIS_URL);
+
+// Create a new Redis connection (use for subscribers or other dedicated connections)
+const createRedisClient = (name = 'default') => {
+  if (!isRedisConfigured()) {
+    return null;
+  }
+
+  const client = new Redis(process.env.REDIS_URL, {
+    password: process.env.REDIS_PASSWORD || undefined,
+    connectionName: `healthfriend-${name}`,
+    maxRetriesPerRequest: 3,
+    enableOfflineQueue: true,
+    retryStrategy: (times) => Math.min(times * 200, 5000)
+  });
+
+  client.on('connect', () => {
+    logger.info(`🔗 Redis connected (${name})`);
+  });
+
+  client.on('error', (error) => {
+    logger.error(`❌ Redis error (${name}):`, { message: error.message });
+  });
+
+  return client;
+};
+
+// Get the shared Redis client, or null when Redis is not configured
+const getRedisClient = () => {
+  if (!sharedClient) {
+    sharedClient = createRedisClient('shared');
+  }
+  return sharedClient;
+};
+
+// Close the shared client on shutdown
+const closeRedis = async () => {
+  if (sharedClient) {
+    await sharedClient.quit();
+    sharedClient = null;
+    logger.info('🔌 Redis connection closed');
+  }
+};
+
+module.exports = {
+  isRedisConfigured,
+  createRedisClient,
+  getRedisClient,
+  closeRedis
+};
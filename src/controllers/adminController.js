@@ -5,12 +5,24 @@ const Payment = require('../models/Payment');
 const MedicalRecord = require('../models/MedicalRecord');
 const Notification = require('../models/Notification');
 const SystemLog = require('../models/SystemLog');
+const SystemSettings = require('../models/SystemSettings');
+const ApiKey = require('../models/ApiKey');
+const EmergencyAccess = require('../models/EmergencyAccess');
 const { logError, logInfo, logSecurity, logAdmin } = require('../utils/logger');
 const { success, error: errorResponse, paginated } = require('../utils/helpers').responseUtils;
 const { formatDateTime, formatCurrency } = require('../utils/helpers');
 const { sendEmail } = require('../utils/email');
 const { sendNotificationToUser } = require('../sockets/notifications');
 const { aiUtils } = require('../utils/ai');
+const { listJobs, runJob, hasJob } = require('../jobs');
+const {
+  PERMISSIONS,
+  ADMIN_ROLES,
+  resolveAdminRoles,
+  getPermissionsForRoles,
+  hasPermission
+} = require('../config/permissions');
+const { unlockAccount } = require('../utils/loginSecurity');
 
 // Admin configuration
 const ADMIN_CONFIG = {
@@ -122,6 +134,35 @@ class AdminController {
         return res.status(404).json(errorResponse('User not found'));
       }
 
+      // users.manage covers patients and doctors; verifying a doctor and
+      // acting on another admin need their own permissions
+      const requiredPermissions = [];
+      if (action === ADMIN_CONFIG.USER_ACTIONS.VERIFY) {
+        requiredPermissions.push(PERMISSIONS.DOCTORS_VERIFY);
+      }
+      if (user.role === 'admin') {
+        requiredPermissions.push(PERMISSIONS.ADMIN_ROLES_MANAGE);
+      }
+
+      const missing = requiredPermissions.filter(permission => !hasPermission(req.user.adminRoles || [], permission));
+      if (missing.length > 0) {
+        logSecurity(
+          'permission_denied',
+          adminId,
+          req.ip,
+          req.get('User-Agent'),
+          'medium',
+          {
+            adminRoles: req.user.adminRoles,
+            requiredPermissions: missing,
+            action,
+            targetUserId: userId,
+            targetRole: user.role
+          }
+        );
+        return res.status(403).json(errorResponse('Insufficient permissions', 'INSUFFICIENT_PERMISSIONS'));
+      }
+
       let updateFields = {};
       let notificationMessage = '';
       let emailTemplate = '';
@@ -338,6 +379,165 @@ class AdminController {
     }
   }
 
+  /**
+   * Get accounts locked after repeated failed sign-ins
+   */
+  async getLockedAccounts(req, res) {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+
+      const query = { 'loginSecurity.lockedUntil': { $gt: new Date() } };
+
+      const users = await User.find(query)
+        .select('firstName lastName email walletAddress role loginSecurity lastLogin')
+        .sort({ 'loginSecurity.lockedAt': -1 })
+        .limit(parseInt(limit))
+        .skip((parseInt(page) - 1) * parseInt(limit));
+
+      const total = await User.countDocuments(query);
+
+      res.json(paginated(users, {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total
+      }));
+
+    } catch (error) {
+      logError(error, { context: 'Get Locked Accounts', userId: req.user?.id });
+      res.status(500).json(errorResponse('Failed to retrieve locked accounts'));
+    }
+  }
+
+  /**
+   * Unlock an account locked after repeated failed sign-ins
+   */
+  async unlockAccount(req, res) {
+    try {
+      const { userId } = req.params;
+      const { reason } = req.body;
+      const adminId = req.user.id;
+
+      const existing = await User.findById(userId).select('loginSecurity');
+      if (!existing) {
+        return res.status(404).json(errorResponse('User not found'));
+      }
+
+      const user = await unlockAccount(userId);
+
+      logAdmin('Account unlocked', {
+        adminId,
+        targetUserId: userId,
+        lockedUntil: existing.loginSecurity?.lockedUntil,
+        reason
+      });
+
+      logSecurity(
+        'account_unlocked',
+        adminId,
+        req.ip,
+        req.get('User-Agent'),
+        'medium',
+        { targetUserId: userId, reason }
+      );
+
+      res.json(success({
+        userId,
+        loginSecurity: user.loginSecurity
+      }, 'Account unlocked successfully'));
+
+    } catch (error) {
+      logError(error, { context: 'Unlock Account', userId: req.user?.id });
+      res.status(500).json(errorResponse('Failed to unlock account'));
+    }
+  }
+
+  /**
+   * Get break-glass emergency accesses for retrospective review
+   */
+  async getEmergencyAccessReviews(req, res) {
+    try {
+      const { status = 'pending', page = 1, limit = 20 } = req.query;
+
+      const query = { 'review.status': status };
+
+      const accesses = await EmergencyAccess.find(query)
+        .populate('doctor', 'firstName lastName email doctorProfile.specialization')
+        .populate('patient', 'firstName lastName email')
+        .populate('review.reviewedBy', 'firstName lastName')
+        .sort({ createdAt: status === 'pending' ? 1 : -1 })
+        .limit(parseInt(limit))
+        .skip((parseInt(page) - 1) * parseInt(limit));
+
+      const total = await EmergencyAccess.countDocuments(query);
+
+      res.json(paginated(accesses, {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total
+      }));
+
+    } catch (error) {
+      logError(error, { context: 'Get Emergency Access Reviews', userId: req.user?.id });
+      res.status(500).json(errorResponse('Failed to retrieve emergency access reviews'));
+    }
+  }
+
+  /**
+   * Record the outcome of an emergency access review
+   */
+  async reviewEmergencyAccess(req, res) {
+    try {
+      const { accessId } = req.params;
+      const { outcome, notes } = req.body;
+      const adminId = req.user.id;
+
+      const access = await EmergencyAccess.findById(accessId);
+      if (!access) {
+        return res.status(404).json(errorResponse('Emergency access not found'));
+      }
+
+      if (access.review.status !== 'pending') {
+        return res.status(409).json(errorResponse(`Emergency access was already reviewed as ${access.review.status}`));
+      }
+
+      access.review = {
+        status: outcome,
+        reviewedBy: adminId,
+        reviewedAt: new Date(),
+        notes
+      };
+      // Unjustified access ends immediately
+      if (outcome === 'unjustified' && access.isActive) {
+        access.endedAt = new Date();
+      }
+      await access.save();
+
+      logAdmin('Emergency access reviewed', {
+        adminId,
+        accessId,
+        doctorId: access.doctor,
+        patientId: access.patient,
+        outcome,
+        notes
+      });
+
+      logSecurity(
+        'emergency_access_reviewed',
+        adminId,
+        req.ip,
+        req.get('User-Agent'),
+        outcome === 'unjustified' ? 'high' : 'low',
+        { accessId, doctorId: access.doctor, patientId: access.patient, outcome }
+      );
+
+      res.json(success(access, 'Emergency access reviewed successfully'));
+
+    } catch (error) {
+      logError(error, { context: 'Review Emergency Access', userId: req.user?.id });
+      res.status(500).json(errorResponse('Failed to review emergency access'));
+    }
+  }
+
   /**
    * Get platform analytics and reports
    */
@@ -401,49 +601,381 @@ class AdminController {
   }
 
   /**
-   * Manage system settings
+   * Get current system settings
+   */
+  async getSystemSettings(req, res) {
+    try {
+      const settings = await SystemSettings.getCurrent({ fresh: true });
+
+      res.json(success(settings, 'System settings retrieved successfully'));
+
+    } catch (error) {
+      logError(error, { context: 'Get System Settings', userId: req.user?.id });
+      res.status(500).json(errorResponse('Failed to retrieve system settings'));
+    }
+  }
+
+  /**
+   * Update system settings (creates a new settings version)
    */
   async updateSystemSettings(req, res) {
     try {
-      const { 
-        maintenanceMode,
-        maxDailyConsultations,
-        platformFeePercentage,
-        emergencyContactInfo,
-        aiSettings,
-        emailSettings
-      } = req.body;
-      
+      const { changeReason } = req.body;
       const adminId = req.user.id;
 
-      // Update system settings (in a real app, you'd store these in a settings collection)
-      const settings = {
-        maintenanceMode: maintenanceMode ?? false,
-        maxDailyConsultations: maxDailyConsultations ?? 10,
-        platformFeePercentage: platformFeePercentage ?? 15,
-        emergencyContactInfo: emergencyContactInfo ?? {},
-        aiSettings: aiSettings ?? {},
-        emailSettings: emailSettings ?? {},
-        lastUpdated: new Date(),
-        updatedBy: adminId
-      };
+      const changes = {};
+      SystemSettings.SETTINGS_FIELDS.forEach(field => {
+        if (req.body[field] !== undefined) {
+          changes[field] = req.body[field];
+        }
+      });
 
-      // In a real application, save to database
-      // await SystemSettings.findOneAndUpdate({}, settings, { upsert: true });
+      const saved = await SystemSettings.updateSettings(changes, adminId, changeReason);
+      const settings = await SystemSettings.getCurrent();
 
       logAdmin('System settings updated', {
         adminId,
-        settings: Object.keys(req.body)
+        version: saved.version,
+        changedFields: saved.changedFields
       });
 
       res.json(success(settings, 'System settings updated successfully'));
 
     } catch (error) {
+      if (error.isVersionConflict) {
+        return res.status(409).json(errorResponse('Settings were updated by another admin, please retry', 'SETTINGS_VERSION_CONFLICT'));
+      }
       logError(error, { context: 'Update System Settings', userId: req.user?.id });
       res.status(500).json(errorResponse('Failed to update system settings'));
     }
   }
 
+  /**
+   * Get system settings version history
+   */
+  async getSettingsHistory(req, res) {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+
+      const [versions, total] = await Promise.all([
+        SystemSettings.getHistory({ page: parseInt(page), limit: parseInt(limit) }),
+        SystemSettings.countDocuments()
+      ]);
+
+      res.json(paginated(versions, {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total
+      }));
+
+    } catch (error) {
+      logError(error, { context: 'Get Settings History', userId: req.user?.id });
+      res.status(500).json(errorResponse('Failed to retrieve settings history'));
+    }
+  }
+
+  /**
+   * Roll system settings back to an earlier version
+   */
+  async rollbackSystemSettings(req, res) {
+    try {
+      const version = parseInt(req.params.version);
+      const { reason } = req.body;
+      const adminId = req.user.id;
+
+      const saved = await SystemSettings.rollbackTo(version, adminId, reason);
+      if (!saved) {
+        return res.status(404).json(errorResponse('Settings version not found'));
+      }
+
+      const settings = await SystemSettings.getCurrent();
+
+      logAdmin('System settings rolled back', {
+        adminId,
+        restoredVersion: version,
+        newVersion: saved.version,
+        changedFields: saved.changedFields
+      });
+
+      res.json(success(settings, `System settings rolled back to version ${version}`));
+
+    } catch (error) {
+      if (error.isVersionConflict) {
+        return res.status(409).json(errorResponse('Settings were updated by another admin, please retry', 'SETTINGS_VERSION_CONFLICT'));
+      }
+      logError(error, { context: 'Rollback System Settings', userId: req.user?.id });
+      res.status(500).json(errorResponse('Failed to roll back system settings'));
+    }
+  }
+
+  /**
+   * List scheduled jobs with their last run status
+   */
+  async getJobs(req, res) {
+    try {
+      const jobs = await listJobs();
+
+      res.json(success(jobs, 'Scheduled jobs retrieved successfully'));
+
+    } catch (error) {
+      logError(error, { context: 'Get Scheduled Jobs', userId: req.user?.id });
+      res.status(500).json(errorResponse('Failed to retrieve scheduled jobs'));
+    }
+  }
+
+  /**
+   * Trigger a scheduled job manually
+   */
+  async runJob(req, res) {
+    try {
+      const { name } = req.params;
+      const adminId = req.user.id;
+
+      if (!hasJob(name)) {
+        return res.status(404).json(errorResponse('Job not found', 'JOB_NOT_FOUND'));
+      }
+
+      const result = await runJob(name, 'manual', adminId);
+
+      if (result.skipped) {
+        return res.status(409).json(errorResponse('Job is already running on another instance', 'JOB_LOCKED'));
+      }
+
+      logAdmin('Scheduled job triggered manually', {
+        adminId,
+        job: name,
+        outcome: result.outcome
+      });
+
+      res.json(success(result, `Job ${name} finished with outcome: ${result.outcome}`));
+
+    } catch (error) {
+      logError(error, { context: 'Run Scheduled Job', userId: req.user?.id });
+      res.status(500).json(errorResponse('Failed to run job'));
+    }
+  }
+
+  /**
+   * Get the admin role and permission matrix, and the caller's permissions
+   */
+  async getAdminRoles(req, res) {
+    try {
+      res.json(success({
+        roles: ADMIN_ROLES,
+        current: {
+          adminRoles: req.user.adminRoles,
+          permissions: getPermissionsForRoles(req.user.adminRoles)
+        }
+      }, 'Admin roles retrieved successfully'));
+
+    } catch (error) {
+      logError(error, { context: 'Get Admin Roles', userId: req.user?.id });
+      res.status(500).json(errorResponse('Failed to retrieve admin roles'));
+    }
+  }
+
+  /**
+   * Replace an admin's roles
+   */
+  async updateAdminRoles(req, res) {
+    try {
+      const { userId } = req.params;
+      const { adminRoles, reason } = req.body;
+      const adminId = req.user.id;
+
+      if (adminId.toString() === userId) {
+        return res.status(403).json(errorResponse('You cannot change your own admin roles', 'SELF_ROLE_CHANGE'));
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        return res.status(404).json(errorResponse('User not found'));
+      }
+
+      if (user.role !== 'admin') {
+        return res.status(400).json(errorResponse('Admin roles can only be assigned to admins', 'NOT_AN_ADMIN'));
+      }
+
+      const previousRoles = resolveAdminRoles(user);
+      const newRoles = [...new Set(adminRoles)];
+
+      // Keep at least one super admin able to manage roles
+      if (previousRoles.includes('super_admin') && !newRoles.includes('super_admin')) {
+        const admins = await User.find({ role: 'admin', isActive: true, _id: { $ne: user._id } })
+          .select('role adminRoles');
+        if (!admins.some(admin => resolveAdminRoles(admin).includes('super_admin'))) {
+          return res.status(409).json(errorResponse('At least one super admin is required', 'LAST_SUPER_ADMIN'));
+        }
+      }
+
+      user.adminRoles = newRoles;
+      await user.save();
+
+      logAdmin('Admin roles updated', {
+        adminId,
+        targetUserId: userId,
+        previousRoles,
+        adminRoles: newRoles,
+        reason
+      });
+
+      logSecurity(
+        'admin_roles_changed',
+        adminId,
+        req.ip,
+        req.get('User-Agent'),
+        'high',
+        { targetUserId: userId, previousRoles, adminRoles: newRoles }
+      );
+
+      res.json(success({
+        userId,
+        adminRoles: newRoles,
+        permissions: getPermissionsForRoles(newRoles)
+      }, 'Admin roles updated successfully'));
+
+    } catch (error) {
+      logError(error, { context: 'Update Admin Roles', userId: req.user?.id });
+      res.status(500).json(errorResponse('Failed to update admin roles'));
+    }
+  }
+
+  /**
+   * List API keys issued to integrations
+   */
+  async getApiKeys(req, res) {
+    try {
+      const { page = 1, limit = 20, status } = req.query;
+
+      const filter = {};
+      if (status === 'active') {
+        filter.revokedAt = null;
+        filter.$or = [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }];
+      } else if (status === 'revoked') {
+        filter.revokedAt = { $ne: null };
+      }
+
+      const [apiKeys, total] = await Promise.all([
+        ApiKey.find(filter)
+          .populate('createdBy', 'firstName lastName email')
+          .sort({ createdAt: -1 })
+          .skip((parseInt(page) - 1) * parseInt(limit))
+          .limit(parseInt(limit)),
+        ApiKey.countDocuments(filter)
+      ]);
+
+      res.json(paginated(apiKeys, {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total
+      }));
+
+    } catch (error) {
+      logError(error, { context: 'Get API Keys', userId: req.user?.id });
+      res.status(500).json(errorResponse('Failed to retrieve API keys'));
+    }
+  }
+
+  /**
+   * Issue an API key. The key itself is only returned in this response.
+   */
+  async createApiKey(req, res) {
+    try {
+      const { name, description, scopes, expiresAt, rateLimit, ownerId } = req.body;
+      const adminId = req.user.id;
+
+      if (ownerId && !(await User.exists({ _id: ownerId }))) {
+        return res.status(404).json(errorResponse('Owner not found'));
+      }
+
+      const { apiKey, key } = await ApiKey.issue({
+        name,
+        description,
+        scopes,
+        expiresAt: expiresAt || null,
+        rateLimit,
+        owner: ownerId || null
+      }, adminId);
+
+      logAdmin('API key created', {
+        adminId,
+        apiKeyId: apiKey._id,
+        prefix: apiKey.prefix,
+        ownerId: ownerId || null,
+        scopes
+      });
+
+      res.status(201).json(success({ apiKey, key }, 'API key created. Store the key now, it will not be shown again.'));
+
+    } catch (error) {
+      logError(error, { context: 'Create API Key', userId: req.user?.id });
+      res.status(500).json(errorResponse('Failed to create API key'));
+    }
+  }
+
+  /**
+   * Replace an API key's secret, optionally keeping the old one valid for a grace period
+   */
+  async rotateApiKey(req, res) {
+    try {
+      const { gracePeriodHours = 0 } = req.body;
+      const adminId = req.user.id;
+
+      const result = await ApiKey.rotate(req.params.id, gracePeriodHours);
+      if (!result) {
+        return res.status(404).json(errorResponse('API key not found or revoked', 'API_KEY_NOT_FOUND'));
+      }
+
+      logAdmin('API key rotated', {
+        adminId,
+        apiKeyId: result.apiKey._id,
+        prefix: result.apiKey.prefix,
+        gracePeriodHours
+      });
+
+      res.json(success(result, 'API key rotated. Store the new key now, it will not be shown again.'));
+
+    } catch (error) {
+      logError(error, { context: 'Rotate API Key', userId: req.user?.id });
+      res.status(500).json(errorResponse('Failed to rotate API key'));
+    }
+  }
+
+  /**
+   * Revoke an API key immediately
+   */
+  async revokeApiKey(req, res) {
+    try {
+      const { reason } = req.body;
+      const adminId = req.user.id;
+
+      const apiKey = await ApiKey.findOneAndUpdate(
+        { _id: req.params.id, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedBy: adminId, revocationReason: reason } },
+        { new: true }
+      );
+
+      if (!apiKey) {
+        return res.status(404).json(errorResponse('API key not found or already revoked', 'API_KEY_NOT_FOUND'));
+      }
+
+      logSecurity(
+        'api_key_revoked',
+        adminId,
+        req.ip,
+        req.get('User-Agent'),
+        'medium',
+        { apiKeyId: apiKey._id, prefix: apiKey.prefix, reason }
+      );
+
+      res.json(success(apiKey, 'API key revoked'));
+
+    } catch (error) {
+      logError(error, { context: 'Revoke API Key', userId: req.user?.id });
+      res.status(500).json(errorResponse('Failed to revoke API key'));
+    }
+  }
+
   /**
    * Get system logs with filtering
    */
@@ -87,7 +87,7 @@ class AuthController {
       }
 
       // Verify the signature
-      const isValidSignature = verifySignature(message, signature, normalizedAddress);
+      const isValidSignature = await verifySignature(message, signature, normalizedAddress);
       
       if (!isValidSignature) {
         logSecurity(
@@ -0,0 +1,365 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const MedicalRecord = require('../models/MedicalRecord');
+const ConsentGrant = require('../models/ConsentGrant');
+const { logError, logInfo } = require('../utils/logger');
+const { success, error: errorResponse, paginated } = require('../utils/helpers').responseUtils;
+const { sendNotificationToUser } = require('../sockets/notifications');
+
+// Consent grant configuration
+const CONSENT_CONFIG = {
+  DEFAULT_DURATION_DAYS: 30,
+  MAX_DURATION_DAYS: 365,
+
+  DOCTOR_FIELDS: 'firstName lastName doctorProfile.specialization',
+  PATIENT_FIELDS: 'firstName lastName'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Expiry from an explicit date or a duration in days; null when out of range
+const resolveExpiry = ({ expiresAt, durationDays }) => {
+  const expiry = expiresAt
+    ? new Date(expiresAt)
+    : new Date(Date.now() + (durationDays || CONSENT_CONFIG.DEFAULT_DURATION_DAYS) * DAY_MS);
+
+  const now = Date.now();
+  if (expiry.getTime() <= now || expiry.getTime() > now + CONSENT_CONFIG.MAX_DURATION_DAYS * DAY_MS) {
+    return null;
+  }
+  return expiry;
+};
+
+// Selected records must be the patient's own, undeleted records
+const findPatientRecordIds = async (patientId, recordIds) => {
+  const uniqueIds = [...new Set(recordIds.map(String))];
+  const records = await MedicalRecord.find({
+    _id: { $in: uniqueIds },
+    patient: patientId,
+    isDeleted: false
+  }).select('_id');
+
+  return records.length === uniqueIds.length ? records.map(record => record._id) : null;
+};
+
+const notifyDoctor = (doctorId, type, title, message, grant) => {
+  sendNotificationToUser(doctorId, {
+    type,
+    title,
+    message,
+    category: 'medical',
+    data: { grantId: grant._id, patientId: grant.patient, expiresAt: grant.expiresAt }
+  });
+};
+
+const findPatientGrant = (grantId, patientId) => ConsentGrant.findOne({ _id: grantId, patient: patientId });
+
+class ConsentController {
+  /**
+   * Get consent grants: the ones a patient gave, or the ones a doctor holds
+   */
+  async getGrants(req, res) {
+    try {
+      const { status, page = 1, limit = 20 } = req.query;
+      const isDoctor = req.user.role === 'doctor';
+
+      const filter = isDoctor ? { doctor: req.user.id } : { patient: req.user.id };
+      if (status) filter.status = status;
+
+      const grants = await ConsentGrant.find(filter)
+        .select('-history')
+        .populate(isDoctor ? 'patient' : 'doctor', isDoctor ? CONSENT_CONFIG.PATIENT_FIELDS : CONSENT_CONFIG.DOCTOR_FIELDS)
+        .sort({ createdAt: -1 })
+        .limit(parseInt(limit))
+        .skip((parseInt(page) - 1) * parseInt(limit));
+
+      const total = await ConsentGrant.countDocuments(filter);
+
+      res.json(paginated(grants, {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total
+      }));
+
+    } catch (error) {
+      logError(error, { context: 'Get Consent Grants', userId: req.user?.id });
+      res.status(500).json(errorResponse('Failed to retrieve consent grants'));
+    }
+  }
+
+  /**
+   * Get a consent grant with its ledger
+   */
+  async getGrant(req, res) {
+    try {
+      const grant = await ConsentGrant.findOne({
+        _id: req.params.grantId,
+        $or: [{ patient: req.user.id }, { doctor: req.user.id }]
+      })
+        .populate('doctor', CONSENT_CONFIG.DOCTOR_FIELDS)
+        .populate('patient', CONSENT_CONFIG.PATIENT_FIELDS)
+        .populate('records', 'recordId title recordType recordDate');
+
+      if (!grant) {
+        return res.status(404).json(errorResponse('Consent grant not found', 'GRANT_NOT_FOUND'));
+      }
+
+      res.json(success(grant));
+
+    } catch (error) {
+      logError(error, { context: 'Get Consent Grant', userId: req.user?.id, grantId: req.params.grantId });
+      res.status(500).json(errorResponse('Failed to retrieve consent grant'));
+    }
+  }
+
+  /**
+   * Get the patient's consent ledger across all grants, newest first
+   */
+  async getLedger(req, res) {
+    try {
+      const { page = 1, limit = 50 } = req.query;
+      const patientId = new mongoose.Types.ObjectId(req.user.id);
+
+      const [result] = await ConsentGrant.aggregate([
+        { $match: { patient: patientId } },
+        { $unwind: '$history' },
+        { $sort: { 'history.at': -1 } },
+        {
+          $facet: {
+            entries: [
+              { $skip: (parseInt(page) - 1) * parseInt(limit) },
+              { $limit: parseInt(limit) },
+              {
+                $project: {
+                  _id: 0,
+                  grantId: '$_id',
+                  doctor: 1,
+                  scope: 1,
+                  accessLevel: 1,
+                  action: '$history.action',
+                  at: '$history.at',
+                  by: '$history.by',
+                  details: '$history.details'
+                }
+              }
+            ],
+            total: [{ $count: 'count' }]
+          }
+        }
+      ]);
+
+      await User.populate(result.entries, { path: 'doctor', select: CONSENT_CONFIG.DOCTOR_FIELDS });
+
+      res.json(paginated(result.entries, {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: result.total[0]?.count || 0
+      }));
+
+    } catch (error) {
+      logError(error, { context: 'Get Consent Ledger', userId: req.user?.id });
+      res.status(500).json(errorResponse('Failed to retrieve consent ledger'));
+    }
+  }
+
+  /**
+   * Grant a doctor time-boxed access to all or selected records
+   */
+  async createGrant(req, res) {
+    try {
+      const patientId = req.user.id;
+      const { doctorId, scope, recordIds = [], accessLevel = 'read', purpose } = req.body;
+
+      const expiresAt = resolveExpiry(req.body);
+      if (!expiresAt) {
+        return res.status(400).json(errorResponse(
+          `Access must expire in the future and within ${CONSENT_CONFIG.MAX_DURATION_DAYS} days`,
+          'INVALID_EXPIRY'
+        ));
+      }
+
+      const doctor = await User.findOne({
+        _id: doctorId,
+        role: 'doctor',
+        isActive: true,
+        'doctorProfile.isVerified': true
+      }).select('_id');
+      if (!doctor) {
+        return res.status(404).json(errorResponse('Verified doctor not found', 'DOCTOR_NOT_FOUND'));
+      }
+
+      let records = [];
+      if (scope === 'selected_records') {
+        records = await findPatientRecordIds(patientId, recordIds);
+        if (!records) {
+          return res.status(400).json(errorResponse('One or more records were not found', 'INVALID_RECORDS'));
+        }
+      }
+
+      // Close out an active grant that has lapsed but not been expired by the job yet
+      const existing = await ConsentGrant.findOne({ patient: patientId, doctor: doctorId, status: 'active' });
+      if (existing && existing.expiresAt <= new Date()) {
+        await existing.expire();
+      } else if (existing) {
+        return res.status(409).json(errorResponse(
+          'This doctor already has an active grant. Update or revoke it instead.',
+          'GRANT_EXISTS'
+        ));
+      }
+
+      const grant = new ConsentGrant({
+        patient: patientId,
+        doctor: doctorId,
+        scope,
+        records,
+        accessLevel,
+        purpose,
+        expiresAt
+      });
+      grant.addLedgerEntry('granted', patientId, req.ip, {
+        scope,
+        accessLevel,
+        records: records.length,
+        purpose,
+        expiresAt
+      });
+      await grant.save();
+
+      logInfo('Consent grant created', { grantId: grant._id, patientId, doctorId, scope, accessLevel, expiresAt });
+
+      notifyDoctor(
+        doctorId,
+        'record_access_granted',
+        'Medical Record Access Granted',
+        `${req.user.firstName} ${req.user.lastName} gave you ${accessLevel} access to ${scope === 'all_records' ? 'their medical records' : `${records.length} medical record(s)`}`,
+        grant
+      );
+
+      res.status(201).json(success(grant, 'Access granted successfully'));
+
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(409).json(errorResponse(
+          'This doctor already has an active grant. Update or revoke it instead.',
+          'GRANT_EXISTS'
+        ));
+      }
+      logError(error, { context: 'Create Consent Grant', userId: req.user?.id });
+      res.status(500).json(errorResponse('Failed to grant access'));
+    }
+  }
+
+  /**
+   * Change the records, access level or expiry of an active grant
+   */
+  async updateGrant(req, res) {
+    try {
+      const patientId = req.user.id;
+      const grant = await findPatientGrant(req.params.grantId, patientId);
+
+      if (!grant) {
+        return res.status(404).json(errorResponse('Consent grant not found', 'GRANT_NOT_FOUND'));
+      }
+
+      if (!grant.isActive) {
+        return res.status(409).json(errorResponse('Only active grants can be changed', 'GRANT_NOT_ACTIVE'));
+      }
+
+      const changes = {};
+      const { scope, recordIds, accessLevel, purpose } = req.body;
+
+      if (req.body.expiresAt || req.body.durationDays) {
+        const expiresAt = resolveExpiry(req.body);
+        if (!expiresAt) {
+          return res.status(400).json(errorResponse(
+            `Access must expire in the future and within ${CONSENT_CONFIG.MAX_DURATION_DAYS} days`,
+            'INVALID_EXPIRY'
+          ));
+        }
+        grant.expiresAt = expiresAt;
+        changes.expiresAt = expiresAt;
+      }
+
+      if (scope && scope !== grant.scope) {
+        grant.scope = scope;
+        changes.scope = scope;
+      }
+
+      if (grant.scope === 'all_records') {
+        grant.records = [];
+      } else if (recordIds) {
+        const records = await findPatientRecordIds(patientId, recordIds);
+        if (!records) {
+          return res.status(400).json(errorResponse('One or more records were not found', 'INVALID_RECORDS'));
+        }
+        grant.records = records;
+        changes.records = records.length;
+      } else if (!grant.records.length) {
+        return res.status(400).json(errorResponse('Select the records to share', 'RECORDS_REQUIRED'));
+      }
+
+      if (accessLevel && accessLevel !== grant.accessLevel) {
+        grant.accessLevel = accessLevel;
+        changes.accessLevel = accessLevel;
+      }
+      if (purpose !== undefined) {
+        grant.purpose = purpose;
+        changes.purpose = purpose;
+      }
+
+      grant.addLedgerEntry('updated', patientId, req.ip, changes);
+      await grant.save();
+
+      logInfo('Consent grant updated', { grantId: grant._id, patientId, changes });
+
+      res.json(success(grant, 'Access updated successfully'));
+
+    } catch (error) {
+      logError(error, { context: 'Update Consent Grant', userId: req.user?.id, grantId: req.params.grantId });
+      res.status(500).json(errorResponse('Failed to update access'));
+    }
+  }
+
+  /**
+   * Revoke a grant. Access ends immediately.
+   */
+  async revokeGrant(req, res) {
+    try {
+      const patientId = req.user.id;
+      const grant = await findPatientGrant(req.params.grantId, patientId);
+
+      if (!grant) {
+        return res.status(404).json(errorResponse('Consent grant not found', 'GRANT_NOT_FOUND'));
+      }
+
+      if (grant.status !== 'active') {
+        return res.status(409).json(errorResponse(`Consent grant is already ${grant.status}`, 'GRANT_NOT_ACTIVE'));
+      }
+
+      const reason = req.body.reason;
+      grant.status = 'revoked';
+      grant.revokedAt = new Date();
+      grant.revokedReason = reason;
+      grant.addLedgerEntry('revoked', patientId, req.ip, { reason });
+      await grant.save();
+
+      logInfo('Consent grant revoked', { grantId: grant._id, patientId, doctorId: grant.doctor });
+
+      notifyDoctor(
+        grant.doctor,
+        'record_access_revoked',
+        'Medical Record Access Revoked',
+        'A patient has revoked your access to their medical records',
+        grant
+      );
+
+      res.json(success(grant, 'Access revoked successfully'));
+
+    } catch (error) {
+      logError(error, { context: 'Revoke Consent Grant', userId: req.user?.id, grantId: req.params.grantId });
+      res.status(500).json(errorResponse('Failed to revoke access'));
+    }
+  }
+}
+
+module.exports = new ConsentController();
@@ -1,6 +1,8 @@
 const Consultation = require('../models/Consultation');
 const User = require('../models/User');
 const Payment = require('../models/Payment');
+const SystemSettings = require('../models/SystemSettings');
+const SlotHold = require('../models/SlotHold');
 const { aiUtils } = require('../utils/ai');
 const { sendEmail } = require('../utils/email');
 const { sendNotificationToUser } = require('../sockets/notifications');
@@ -11,6 +13,7 @@ const {
   paginated 
 } = require('../utils/helpers').responseUtils;
 const { formatDateTime, generateUUID } = require('../utils/helpers');
+const { reserveSlot } = require('../utils/availability');
 
 class ConsultationController {
   // Start AI consultation
@@ -238,7 +241,7 @@ class ConsultationController {
   // Book video consultation with doctor
   async bookVideoConsultation(req, res, next) {
     try {
-      const { doctorId, symptoms, chiefComplaint, scheduledDate, urgencyLevel = 'medium' } = req.body;
+      const { doctorId, symptoms, chiefComplaint, scheduledDate, urgencyLevel = 'medium', paymentMethod = 'metamask' } = req.body;
       
       // Validate doctor
       const doctor = await User.findOne({
@@ -253,22 +256,8 @@ class ConsultationController {
         return res.status(404).json(errorResponse('Doctor not found or not available', 'DOCTOR_NOT_AVAILABLE'));
       }
 
-      // Check if scheduled time is available (simple check)
-      const scheduledDateTime = new Date(scheduledDate);
-      const existingConsultation = await Consultation.findOne({
-        doctor: doctorId,
-        scheduledDate: {
-          $gte: new Date(scheduledDateTime.getTime() - 30 * 60 * 1000), // 30 min before
-          $lte: new Date(scheduledDateTime.getTime() + 30 * 60 * 1000)  // 30 min after
-        },
-        status: { $in: ['pending', 'scheduled', 'ongoing'] }
-      });
-
-      if (existingConsultation) {
-        return res.status(409).json(errorResponse('Doctor is not available at this time', 'TIME_SLOT_TAKEN'));
-      }
-
       // Create consultation
+      const scheduledDateTime = new Date(scheduledDate);
       const consultation = new Consultation({
         type: 'video_call',
         patient: req.user.id,
@@ -276,36 +265,55 @@ class ConsultationController {
         symptoms,
         chiefComplaint,
         urgencyLevel,
-        scheduledDate: scheduledDateTime,
+        scheduledDateTime,
         status: 'pending',
-        meetingId: generateUUID(),
-        payment: {
-          amount: doctor.doctorProfile.consultationFee,
-          currency: 'USD',
-          paymentStatus: 'pending'
-        }
+        meetingId: generateUUID()
       });
 
-      await consultation.save();
-
-      // Create payment record
-      const payment = new Payment({
-        payer: req.user.id,
-        payee: doctorId,
-        consultation: consultation._id,
-        serviceType: 'video_consultation',
-        amount: doctor.doctorProfile.consultationFee,
-        serviceFee: doctor.doctorProfile.consultationFee,
-        platformFee: doctor.doctorProfile.consultationFee * 0.05, // 5% platform fee
-        doctorEarnings: doctor.doctorProfile.consultationFee * 0.95,
-        currency: 'USD',
-        status: 'pending'
+      // Hold the slot before saving so two patients cannot book the same time
+      const hold = await reserveSlot(doctor, scheduledDateTime, 'video_call', {
+        consultationId: consultation._id,
+        patientId: req.user.id
       });
 
-      await payment.save();
+      if (!hold.reserved) {
+        return res.status(409).json(errorResponse(
+          hold.reason === 'TIME_SLOT_TAKEN' ? 'This slot has just been booked' : 'Doctor is not available at this time',
+          hold.reason
+        ));
+      }
+
+      let payment;
+      try {
+        await consultation.save();
+
+        // Create payment record using the platform fee from system settings
+        const feeSplit = await SystemSettings.calculateFeeSplit(doctor.doctorProfile.consultationFee);
+        payment = new Payment({
+          payer: req.user.id,
+          payerWalletAddress: req.user.walletAddress,
+          payee: doctorId,
+          consultation: consultation._id,
+          serviceType: 'video_consultation',
+          amount: doctor.doctorProfile.consultationFee,
+          serviceFee: doctor.doctorProfile.consultationFee,
+          platformFee: feeSplit.platformFee,
+          platformFeePercentage: feeSplit.platformFeePercentage,
+          doctorEarnings: feeSplit.doctorEarnings,
+          currency: 'USD',
+          paymentMethod,
+          status: 'pending'
+        });
+
+        await payment.save();
+      } catch (bookingError) {
+        await SlotHold.releaseForConsultation(consultation._id);
+        await Consultation.deleteOne({ _id: consultation._id });
+        throw bookingError;
+      }
 
       // Update consultation with payment reference
-      consultation.payment.paymentId = payment.paymentId;
+      consultation.payment = payment._id;
       await consultation.save();
 
       // Send notifications
@@ -336,7 +344,7 @@ class ConsultationController {
           consultationId: consultation.consultationId,
           type: consultation.type,
           status: consultation.status,
-          scheduledDate: consultation.scheduledDate,
+          scheduledDateTime: consultation.scheduledDateTime,
           meetingId: consultation.meetingId,
           symptoms: consultation.symptoms,
           chiefComplaint: consultation.chiefComplaint
@@ -375,7 +383,8 @@ class ConsultationController {
         chiefComplaint, 
         scheduledDate, 
         visitAddress,
-        urgencyLevel = 'medium' 
+        urgencyLevel = 'medium',
+        paymentMethod = 'metamask'
       } = req.body;
       
       // Validate doctor
@@ -396,6 +405,7 @@ class ConsultationController {
       }
 
       // Create consultation
+      const scheduledDateTime = new Date(scheduledDate);
       const consultation = new Consultation({
         type: 'home_visit',
         patient: req.user.id,
@@ -403,35 +413,54 @@ class ConsultationController {
         symptoms,
         chiefComplaint,
         urgencyLevel,
-        scheduledDate: new Date(scheduledDate),
+        scheduledDateTime,
         visitAddress,
-        status: 'pending',
-        payment: {
-          amount: doctor.doctorProfile.homeVisitFee,
-          currency: 'USD',
-          paymentStatus: 'pending'
-        }
+        status: 'pending'
       });
 
-      await consultation.save();
-
-      // Create payment record
-      const payment = new Payment({
-        payer: req.user.id,
-        payee: doctorId,
-        consultation: consultation._id,
-        serviceType: 'home_visit',
-        amount: doctor.doctorProfile.homeVisitFee,
-        serviceFee: doctor.doctorProfile.homeVisitFee,
-        platformFee: doctor.doctorProfile.homeVisitFee * 0.05,
-        doctorEarnings: doctor.doctorProfile.homeVisitFee * 0.95,
-        currency: 'USD',
-        status: 'pending'
+      // Hold the slot before saving so two patients cannot book the same time
+      const hold = await reserveSlot(doctor, scheduledDateTime, 'home_visit', {
+        consultationId: consultation._id,
+        patientId: req.user.id
       });
 
-      await payment.save();
+      if (!hold.reserved) {
+        return res.status(409).json(errorResponse(
+          hold.reason === 'TIME_SLOT_TAKEN' ? 'This slot has just been booked' : 'Doctor is not available at this time',
+          hold.reason
+        ));
+      }
+
+      let payment;
+      try {
+        await consultation.save();
+
+        // Create payment record using the platform fee from system settings
+        const feeSplit = await SystemSettings.calculateFeeSplit(doctor.doctorProfile.homeVisitFee);
+        payment = new Payment({
+          payer: req.user.id,
+          payerWalletAddress: req.user.walletAddress,
+          payee: doctorId,
+          consultation: consultation._id,
+          serviceType: 'home_visit',
+          amount: doctor.doctorProfile.homeVisitFee,
+          serviceFee: doctor.doctorProfile.homeVisitFee,
+          platformFee: feeSplit.platformFee,
+          platformFeePercentage: feeSplit.platformFeePercentage,
+          doctorEarnings: feeSplit.doctorEarnings,
+          currency: 'USD',
+          paymentMethod,
+          status: 'pending'
+        });
+
+        await payment.save();
+      } catch (bookingError) {
+        await SlotHold.releaseForConsultation(consultation._id);
+        await Consultation.deleteOne({ _id: consultation._id });
+        throw bookingError;
+      }
 
-      consultation.payment.paymentId = payment.paymentId;
+      consultation.payment = payment._id;
       await consultation.save();
 
       // Send notifications
@@ -456,7 +485,7 @@ class ConsultationController {
           consultationId: consultation.consultationId,
           type: consultation.type,
           status: consultation.status,
-          scheduledDate: consultation.scheduledDate,
+          scheduledDateTime: consultation.scheduledDateTime,
           visitAddress: consultation.visitAddress,
           symptoms: consultation.symptoms,
           chiefComplaint: consultation.chiefComplaint
@@ -3,11 +3,18 @@ const User = require('../models/User');
 const Consultation = require('../models/Consultation');
 const MedicalRecord = require('../models/MedicalRecord');
 const Payment = require('../models/Payment');
-const { logError, logInfo, logSecurity } = require('../utils/logger');
+const { logError, logInfo, logSecurity, logMedicalAccess } = require('../utils/logger');
 const { success, error: errorResponse, paginated } = require('../utils/helpers').responseUtils;
 const { formatDateTime, formatCurrency } = require('../utils/helpers');
 const { sendEmail } = require('../utils/email');
 const { sendNotificationToUser } = require('../sockets/notifications');
+const {
+  AVAILABILITY_CONFIG,
+  resolveAvailability,
+  validateAvailabilitySettings,
+  getAvailableSlots
+} = require('../utils/availability');
+const { getDoctorPatientAccess, coversWholeHistory, buildReadableRecordsFilter } = require('../utils/medicalRecordAccess');
 
 // Doctor configuration
 const DOCTOR_CONFIG = {
@@ -174,7 +181,17 @@ class DoctorController {
    */
   async setAvailability(req, res) {
     try {
-      const { status, schedule, timeZone } = req.body;
+      const {
+        status,
+        timeZone,
+        weeklySchedule,
+        exceptions,
+        vacations,
+        bufferMinutes,
+        slotDurations,
+        minNoticeMinutes,
+        bookingWindowDays
+      } = req.body;
       const userId = req.user.id;
 
       const user = await User.findById(userId);
@@ -182,14 +199,28 @@ class DoctorController {
         return res.status(403).json(errorResponse('Access denied'));
       }
 
-      // Update availability
-      user.doctorProfile.availability = {
-        status: status || user.doctorProfile.availability.status,
-        schedule: schedule || user.doctorProfile.availability.schedule,
-        timeZone: timeZone || user.doctorProfile.availability.timeZone,
+      const current = resolveAvailability(user.doctorProfile.availability);
+      const updated = {
+        status: status || user.doctorProfile.availability?.status,
+        timeZone: timeZone || current.timeZone,
+        weeklySchedule: weeklySchedule || current.weeklySchedule,
+        exceptions: exceptions || current.exceptions,
+        vacations: vacations || current.vacations,
+        bufferMinutes: bufferMinutes ?? current.bufferMinutes,
+        slotDurations: { ...current.slotDurations, ...slotDurations },
+        minNoticeMinutes: minNoticeMinutes ?? current.minNoticeMinutes,
+        bookingWindowDays: bookingWindowDays ?? current.bookingWindowDays,
         lastUpdated: new Date()
       };
 
+      const problems = validateAvailabilitySettings(updated);
+      if (problems.length > 0) {
+        return res.status(400).json(errorResponse('Invalid availability settings', 'INVALID_AVAILABILITY', problems));
+      }
+
+      // Update availability
+      user.doctorProfile.availability = updated;
+
       await user.save();
 
       // Notify waiting patients if doctor becomes available
@@ -211,6 +242,59 @@ class DoctorController {
     }
   }
 
+  /**
+   * Get bookable slots for a doctor
+   */
+  async getSlots(req, res) {
+    try {
+      const { doctorId } = req.params;
+      const { type = 'video_call' } = req.query;
+
+      const from = req.query.from ? new Date(req.query.from) : new Date();
+      const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 7 * 24 * 60 * 60 * 1000);
+
+      if (to <= from) {
+        return res.status(400).json(errorResponse('"to" must be after "from"', 'INVALID_RANGE'));
+      }
+
+      if (to - from > AVAILABILITY_CONFIG.maxRangeDays * 24 * 60 * 60 * 1000) {
+        return res.status(400).json(errorResponse(`Range cannot exceed ${AVAILABILITY_CONFIG.maxRangeDays} days`, 'INVALID_RANGE'));
+      }
+
+      const doctor = await User.findOne({
+        _id: doctorId,
+        role: 'doctor',
+        'doctorProfile.isVerified': true,
+        isActive: true
+      }).select('doctorProfile');
+
+      if (!doctor) {
+        return res.status(404).json(errorResponse('Doctor not found', 'DOCTOR_NOT_FOUND'));
+      }
+
+      const settings = resolveAvailability(doctor.doctorProfile.availability);
+      const acceptsBookings = doctor.doctorProfile.isAvailable &&
+        doctor.doctorProfile.availability?.status !== DOCTOR_CONFIG.AVAILABILITY_STATUS.OFFLINE &&
+        (type !== 'home_visit' || doctor.doctorProfile.homeVisitFee > 0);
+
+      const slots = acceptsBookings ? await getAvailableSlots(doctor, { from, to, type }) : [];
+
+      res.json(success({
+        doctorId,
+        type,
+        timeZone: settings.timeZone,
+        durationMinutes: settings.slotDurations[type],
+        from,
+        to,
+        slots
+      }, 'Available slots retrieved successfully'));
+
+    } catch (error) {
+      logError(error, { context: 'Get Doctor Slots', userId: req.user?.id, doctorId: req.params.doctorId });
+      res.status(500).json(errorResponse('Failed to retrieve available slots'));
+    }
+  }
+
   /**
    * Get doctor dashboard data
    */
@@ -640,31 +724,53 @@ class DoctorController {
       const { patientId } = req.params;
       const doctorId = req.user.id;
 
-      // Verify doctor has consulted with this patient before
-      const hasConsulted = await Consultation.findOne({
-        doctor: doctorId,
-        patient: patientId,
-        status: { $in: ['completed', 'in_progress'] }
-      });
-
-      if (!hasConsulted) {
-        return res.status(403).json(errorResponse('Access denied. No consultation history with this patient.'));
+      // Doctors need an active consent grant or an active consultation with the patient
+      const patientAccess = await getDoctorPatientAccess(doctorId, patientId);
+
+      if (!patientAccess) {
+        logSecurity(
+          'patient_history_access_denied',
+          doctorId,
+          req.ip,
+          req.get('User-Agent'),
+          'medium',
+          { patientId }
+        );
+        return res.status(403).json(errorResponse(
+          'Access denied. No active consent grant or consultation with this patient.',
+          'PATIENT_ACCESS_DENIED'
+        ));
       }
 
-      // Get patient's medical records
+      // Get the patient's medical records this doctor can read
+      const recordsFilter = await buildReadableRecordsFilter(req.user, patientId);
       const medicalRecords = await MedicalRecord.find({
-        patient: patientId
-      }).populate('doctor', 'name specialization').sort({ createdAt: -1 });
+        ...recordsFilter,
+        isActive: true,
+        isDeleted: false
+      })
+        .select('-previousVersions')
+        .populate('doctor', 'firstName lastName doctorProfile.specialization')
+        .sort({ recordDate: -1 });
+
+      medicalRecords.forEach(record => {
+        logMedicalAccess('patient_history', doctorId, patientId, record.recordId, record.recordType, req.ip);
+      });
+
+      // Selected-record grants only show the doctor's own consultations and
+      // the patient's basic info
+      const wholeHistory = coversWholeHistory(patientAccess);
 
       // Get patient's consultation history
       const consultationHistory = await Consultation.find({
         patient: patientId,
-        status: 'completed'
-      }).populate('doctor', 'name specialization').sort({ endedAt: -1 });
+        status: 'completed',
+        ...(wholeHistory ? {} : { doctor: doctorId })
+      }).populate('doctor', 'firstName lastName doctorProfile.specialization').sort({ endedAt: -1 });
 
-      // Get patient basic info
+      // Get patient info
       const patient = await User.findById(patientId).select(
-        'name age gender medicalHistory allergies currentMedications'
+        wholeHistory ? 'firstName lastName dateOfBirth gender medicalInfo' : 'firstName lastName dateOfBirth gender'
       );
 
       res.json(success({
@@ -0,0 +1,156 @@
+const User = require('../models/User');
+const Consultation = require('../models/Consultation');
+const MedicalRecord = require('../models/MedicalRecord');
+const { logError, logInfo, logSecurity, logMedicalAccess } = require('../utils/logger');
+const {
+  hasTreatingRelationship,
+  getDoctorPatientAccess,
+  buildReadableRecordsFilter
+} = require('../utils/medicalRecordAccess');
+const {
+  buildPatientBundle,
+  prepareBundleImport,
+  operationOutcome,
+  issue
+} = require('../utils/fhir');
+
+const FHIR_CONTENT_TYPE = 'application/fhir+json';
+
+// FHIR clients expect errors as an OperationOutcome resource
+const sendOutcome = (res, status, severity, code, diagnostics) => {
+  return res.status(status).type(FHIR_CONTENT_TYPE).json(operationOutcome([issue(severity, code, diagnostics)]));
+};
+
+const denyPatientAccess = (req, res, patientId, action) => {
+  logSecurity(
+    'fhir_access_denied',
+    req.user.id,
+    req.ip,
+    req.get('User-Agent'),
+    'medium',
+    { patientId, action }
+  );
+  return sendOutcome(res, 403, 'error', 'forbidden', 'Access denied to this patient\'s records');
+};
+
+class FhirController {
+  /**
+   * Patient/$everything: the patient's profile, consultations and the medical
+   * records the requester can read, as a FHIR R4 Bundle
+   */
+  async getPatientEverything(req, res) {
+    try {
+      const patientId = req.params.id;
+      const isPatient = req.user.id.toString() === patientId;
+
+      if (!isPatient && !(req.user.role === 'doctor' && await getDoctorPatientAccess(req.user.id, patientId))) {
+        return denyPatientAccess(req, res, patientId, 'export');
+      }
+
+      const patient = await User.findOne({ _id: patientId, role: 'patient' })
+        .select('firstName lastName email phone gender dateOfBirth walletAddress isActive');
+      if (!patient) {
+        return sendOutcome(res, 404, 'error', 'not-found', 'Patient not found');
+      }
+
+      const recordsFilter = await buildReadableRecordsFilter(req.user, patientId);
+      const records = await MedicalRecord.find({ ...recordsFilter, isActive: true, isDeleted: false })
+        .select('-previousVersions')
+        .populate('doctor', 'firstName lastName')
+        .sort({ recordDate: -1 });
+
+      // Doctors get the consultations they took part in
+      const consultations = await Consultation.find({
+        patient: patientId,
+        ...(!isPatient && { doctor: req.user.id })
+      })
+        .select('consultationId type status scheduledDateTime startedAt endedAt chiefComplaint doctor')
+        .populate('doctor', 'firstName lastName')
+        .sort({ createdAt: -1 });
+
+      records.forEach(record => {
+        logMedicalAccess('fhir_export', req.user.id, patientId, record.recordId, record.recordType, req.ip);
+      });
+
+      res.type(FHIR_CONTENT_TYPE).json(buildPatientBundle(patient, consultations, records));
+
+    } catch (error) {
+      logError(error, { context: 'FHIR Patient Everything', userId: req.user?.id, patientId: req.params.id });
+      sendOutcome(res, 500, 'fatal', 'exception', 'Failed to build patient bundle');
+    }
+  }
+
+  /**
+   * Import a FHIR R4 Bundle as medical records for a patient. The whole
+   * bundle is validated first; nothing is saved if any resource is invalid.
+   */
+  async importBundle(req, res) {
+    try {
+      const patientId = req.params.id;
+      const isPatient = req.user.id.toString() === patientId;
+      const isDoctor = req.user.role === 'doctor';
+
+      if (!isPatient && !(isDoctor && await hasTreatingRelationship(req.user.id, patientId))) {
+        return denyPatientAccess(req, res, patientId, 'import');
+      }
+
+      const patient = await User.exists({ _id: patientId, role: 'patient' });
+      if (!patient) {
+        return sendOutcome(res, 404, 'error', 'not-found', 'Patient not found');
+      }
+
+      const { records, issues } = prepareBundleImport(req.body, {
+        patientId,
+        doctorId: isDoctor ? req.user.id : undefined,
+        sourceSystem: req.query.sourceSystem
+      });
+
+      if (issues.some(entry => entry.severity === 'error')) {
+        return res.status(400).type(FHIR_CONTENT_TYPE).json(operationOutcome(issues));
+      }
+      if (!records.length) {
+        return res.status(400).type(FHIR_CONTENT_TYPE).json(operationOutcome([
+          ...issues,
+          issue('error', 'business-rule', 'Bundle contains no importable resources')
+        ]));
+      }
+
+      // Saved one by one so pre-save hooks run; undo a partial import on failure
+      const saved = [];
+      try {
+        for (const record of records) {
+          saved.push(await record.save());
+        }
+      } catch (saveError) {
+        await MedicalRecord.deleteMany({ _id: { $in: saved.map(record => record._id) } });
+        throw saveError;
+      }
+
+      saved.forEach(record => {
+        logMedicalAccess('fhir_import', req.user.id, patientId, record.recordId, record.recordType, req.ip);
+      });
+      logInfo('FHIR bundle imported', {
+        userId: req.user.id,
+        patientId,
+        bundleId: req.body.id,
+        sourceSystem: saved[0].sourceSystem,
+        records: saved.length
+      });
+
+      res.status(201).type(FHIR_CONTENT_TYPE).json(operationOutcome([
+        ...saved.map(record => issue(
+          'information',
+          'informational',
+          `Created medical record ${record.recordId} (${record.recordType})`
+        )),
+        ...issues
+      ]));
+
+    } catch (error) {
+      logError(error, { context: 'FHIR Bundle Import', userId: req.user?.id, patientId: req.params.id });
+      sendOutcome(res, 500, 'fatal', 'exception', 'Failed to import bundle');
+    }
+  }
+}
+
+module.exports = new FhirController();
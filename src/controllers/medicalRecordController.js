@@ -0,0 +1,620 @@
+const User = require('../models/User');
+const Consultation = require('../models/Consultation');
+const MedicalRecord = require('../models/MedicalRecord');
+const EmergencyAccess = require('../models/EmergencyAccess');
+const { logError, logInfo, logSecurity, logMedicalAccess } = require('../utils/logger');
+const { success, error: errorResponse, paginated } = require('../utils/helpers').responseUtils;
+const {
+  hasAccess,
+  hasTreatingRelationship,
+  getRecordAccess,
+  buildReadableRecordsFilter
+} = require('../utils/medicalRecordAccess');
+const {
+  EMERGENCY_ACCESS_CONFIG,
+  startEmergencyAccess,
+  viewEmergencySummary
+} = require('../utils/emergencyAccess');
+
+// Medical record configuration
+const MEDICAL_RECORD_CONFIG = {
+  // Clinical content that can be set on create and update
+  CONTENT_FIELDS: [
+    'title',
+    'description',
+    'recordType',
+    'diagnosis',
+    'symptoms',
+    'vitals',
+    'labResults',
+    'imagingStudies',
+    'medications',
+    'procedures',
+    'allergies',
+    'immunizations',
+    'tags',
+    'recordDate',
+    'accessLevel'
+  ],
+
+  // Statuses that complete a doctor's review
+  REVIEW_STATUSES: ['reviewed', 'approved', 'rejected'],
+
+  DOCTOR_FIELDS: 'firstName lastName doctorProfile.specialization',
+  PATIENT_FIELDS: 'firstName lastName',
+  CONSULTATION_FIELDS: 'consultationId type status scheduledDateTime'
+};
+
+const pickFields = (source, fields) => {
+  return fields.reduce((picked, field) => {
+    if (source[field] !== undefined) picked[field] = source[field];
+    return picked;
+  }, {});
+};
+
+// Every read of a record goes to the medical access audit log
+const logRecordAccess = (action, req, records) => {
+  records.forEach(record => {
+    logMedicalAccess(
+      action,
+      req.user.id,
+      (record.patient?._id || record.patient).toString(),
+      record.recordId,
+      record.recordType,
+      req.ip
+    );
+  });
+};
+
+const denyAccess = (req, res, record, action) => {
+  logSecurity(
+    'medical_record_access_denied',
+    req.user.id,
+    req.ip,
+    req.get('User-Agent'),
+    'medium',
+    { recordId: record.recordId, action }
+  );
+  return res.status(403).json(errorResponse('Access denied to this medical record', 'RECORD_ACCESS_DENIED'));
+};
+
+const findRecord = (id) => MedicalRecord.findOne({ _id: id, isDeleted: false });
+
+// Map the flat vital signs accepted by validateVitalSigns onto the record's structure
+const toVitals = (body) => {
+  const recordedAt = new Date();
+  const vitals = {};
+
+  if (body.bloodPressure) {
+    vitals.bloodPressure = { ...body.bloodPressure, recordedAt };
+  }
+  ['heartRate', 'temperature', 'respiratoryRate', 'oxygenSaturation'].forEach(field => {
+    if (body[field] !== undefined) vitals[field] = { value: body[field], recordedAt };
+  });
+  if (body.weight !== undefined) vitals.weight = { value: body.weight, unit: 'kg', recordedAt };
+  if (body.height !== undefined) vitals.height = { value: body.height, unit: 'cm', recordedAt };
+
+  return vitals;
+};
+
+// Version snapshots are stored as plain objects and skip the toJSON transform
+const sanitizeSnapshot = (snapshot) => {
+  const { encryptionKey, ...clean } = snapshot;
+  if (clean.dataIntegrity) clean.dataIntegrity = { ...clean.dataIntegrity, hash: undefined };
+  if (clean.files) clean.files = clean.files.map(({ encryptionKey: fileKey, ...file }) => file);
+  return clean;
+};
+
+class MedicalRecordController {
+  /**
+   * Get medical records for a patient, or the records a doctor wrote
+   */
+  async getRecords(req, res) {
+    try {
+      const { patientId, recordType, search, page = 1, limit = 20 } = req.query;
+      const userId = req.user.id;
+      const targetPatient = patientId || (req.user.role === 'patient' ? userId : null);
+
+      if (search && !targetPatient) {
+        return res.status(400).json(errorResponse('patientId is required to search records', 'PATIENT_REQUIRED'));
+      }
+
+      // Doctors without a patient get the records they wrote
+      const filter = targetPatient
+        ? await buildReadableRecordsFilter(req.user, targetPatient)
+        : { doctor: userId };
+      Object.assign(filter, { isActive: true, isDeleted: false });
+      if (recordType) filter.recordType = recordType;
+
+      const query = search
+        ? MedicalRecord.searchRecords(targetPatient, search, recordType).and([filter])
+        : MedicalRecord.find(filter).sort({ recordDate: -1 });
+
+      const records = await query
+        .select('-previousVersions')
+        .populate('doctor', MEDICAL_RECORD_CONFIG.DOCTOR_FIELDS)
+        .populate('patient', MEDICAL_RECORD_CONFIG.PATIENT_FIELDS)
+        .populate('consultation', MEDICAL_RECORD_CONFIG.CONSULTATION_FIELDS)
+        .limit(parseInt(limit))
+        .skip((parseInt(page) - 1) * parseInt(limit));
+
+      const total = await MedicalRecord.countDocuments(
+        search ? { ...filter, $text: { $search: search } } : filter
+      );
+
+      logRecordAccess('list_medical_records', req, records);
+
+      res.json(paginated(records, {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total
+      }));
+
+    } catch (error) {
+      logError(error, { context: 'Get Medical Records', userId: req.user?.id });
+      res.status(500).json(errorResponse('Failed to retrieve medical records'));
+    }
+  }
+
+  /**
+   * Get a single medical record
+   */
+  async getRecord(req, res) {
+    try {
+      const record = await findRecord(req.params.id)
+        .select('-previousVersions')
+        .populate('doctor', MEDICAL_RECORD_CONFIG.DOCTOR_FIELDS)
+        .populate('patient', MEDICAL_RECORD_CONFIG.PATIENT_FIELDS)
+        .populate('consultation', MEDICAL_RECORD_CONFIG.CONSULTATION_FIELDS);
+
+      if (!record) {
+        return res.status(404).json(errorResponse('Medical record not found', 'RECORD_NOT_FOUND'));
+      }
+
+      const access = await getRecordAccess(record, req.user);
+      if (!access) {
+        return denyAccess(req, res, record, 'view');
+      }
+
+      logRecordAccess('view_medical_record', req, [record]);
+
+      res.json(success({ record, access }));
+
+    } catch (error) {
+      logError(error, { context: 'Get Medical Record', userId: req.user?.id, recordId: req.params.id });
+      res.status(500).json(errorResponse('Failed to retrieve medical record'));
+    }
+  }
+
+  /**
+   * Create a medical record. Doctors write records for patients they have
+   * treated; patients can add self-reported records to their own history.
+   */
+  async createRecord(req, res) {
+    try {
+      const { patientId, consultationId } = req.body;
+      const userId = req.user.id;
+      const isDoctor = req.user.role === 'doctor';
+
+      if (!isDoctor && patientId !== userId.toString()) {
+        return res.status(403).json(errorResponse('Patients can only add records to their own history', 'RECORD_ACCESS_DENIED'));
+      }
+
+      const patient = await User.exists({ _id: patientId, role: 'patient' });
+      if (!patient) {
+        return res.status(404).json(errorResponse('Patient not found', 'PATIENT_NOT_FOUND'));
+      }
+
+      if (consultationId) {
+        const consultation = await Consultation.exists({
+          _id: consultationId,
+          patient: patientId,
+          ...(isDoctor && { doctor: userId })
+        });
+        if (!consultation) {
+          return res.status(400).json(errorResponse('Consultation does not belong to this patient', 'INVALID_CONSULTATION'));
+        }
+      } else if (isDoctor && !(await hasTreatingRelationship(userId, patientId))) {
+        return res.status(403).json(errorResponse('Access denied. No consultation history with this patient.', 'RECORD_ACCESS_DENIED'));
+      }
+
+      const record = await MedicalRecord.create({
+        ...pickFields(req.body, MEDICAL_RECORD_CONFIG.CONTENT_FIELDS),
+        patient: patientId,
+        doctor: isDoctor ? userId : undefined,
+        consultation: consultationId
+      });
+
+      logMedicalAccess('create_medical_record', userId, patientId, record.recordId, record.recordType, req.ip);
+
+      res.status(201).json(success(record, 'Medical record created successfully'));
+
+    } catch (error) {
+      logError(error, { context: 'Create Medical Record', userId: req.user?.id });
+      res.status(500).json(errorResponse('Failed to create medical record'));
+    }
+  }
+
+  /**
+   * Update a medical record; the replaced state is kept as a version
+   */
+  async updateRecord(req, res) {
+    try {
+      const userId = req.user.id;
+      const record = await findRecord(req.params.id);
+
+      if (!record) {
+        return res.status(404).json(errorResponse('Medical record not found', 'RECORD_NOT_FOUND'));
+      }
+
+      const access = await getRecordAccess(record, req.user);
+      if (!hasAccess(access, 'write')) {
+        return denyAccess(req, res, record, 'update');
+      }
+
+      const updates = pickFields(req.body, MEDICAL_RECORD_CONFIG.CONTENT_FIELDS);
+
+      if (updates.accessLevel && access !== 'manage') {
+        return res.status(403).json(errorResponse('Only the record owner can change its access level', 'RECORD_ACCESS_DENIED'));
+      }
+
+      const { validationStatus, reviewNotes, changeDescription } = req.body;
+      if (validationStatus) {
+        if (req.user.role !== 'doctor') {
+          return res.status(403).json(errorResponse('Only doctors can change the review status', 'RECORD_ACCESS_DENIED'));
+        }
+
+        updates.validationStatus = validationStatus;
+        if (MEDICAL_RECORD_CONFIG.REVIEW_STATUSES.includes(validationStatus)) {
+          Object.assign(updates, { reviewedBy: userId, reviewedAt: new Date(), reviewNotes });
+        }
+      }
+
+      if (Object.keys(updates).length === 0) {
+        return res.status(400).json(errorResponse('No changes provided', 'NO_CHANGES'));
+      }
+
+      record.incrementVersion(userId, changeDescription || 'Record updated');
+      record.set(updates);
+      await record.save();
+
+      logMedicalAccess('update_medical_record', userId, record.patient.toString(), record.recordId, record.recordType, req.ip);
+
+      res.json(success(record, 'Medical record updated successfully'));
+
+    } catch (error) {
+      logError(error, { context: 'Update Medical Record', userId: req.user?.id, recordId: req.params.id });
+      res.status(500).json(errorResponse('Failed to update medical record'));
+    }
+  }
+
+  /**
+   * Add a lab result to a record
+   */
+  async addLabResult(req, res) {
+    try {
+      const { testName, result, laboratory } = req.body;
+      const userId = req.user.id;
+      const record = await findRecord(req.params.id);
+
+      if (!record) {
+        return res.status(404).json(errorResponse('Medical record not found', 'RECORD_NOT_FOUND'));
+      }
+
+      if (!hasAccess(await getRecordAccess(record, req.user), 'write')) {
+        return denyAccess(req, res, record, 'add_lab_result');
+      }
+
+      record.incrementVersion(userId, `Lab result added: ${testName}`);
+      await record.addLabResult(testName, result, laboratory, userId.toString());
+
+      logMedicalAccess('add_lab_result', userId, record.patient.toString(), record.recordId, record.recordType, req.ip);
+
+      res.status(201).json(success({
+        labResult: record.labResults[record.labResults.length - 1],
+        version: record.version,
+        criticalFlags: record.criticalFlags
+      }, 'Lab result added successfully'));
+
+    } catch (error) {
+      logError(error, { context: 'Add Lab Result', userId: req.user?.id, recordId: req.params.id });
+      res.status(500).json(errorResponse('Failed to add lab result'));
+    }
+  }
+
+  /**
+   * Add a medication to a record
+   */
+  async addMedication(req, res) {
+    try {
+      const { medication, dosage, frequency, duration, instructions, route, strength, indication } = req.body;
+      const userId = req.user.id;
+      const record = await findRecord(req.params.id);
+
+      if (!record) {
+        return res.status(404).json(errorResponse('Medical record not found', 'RECORD_NOT_FOUND'));
+      }
+
+      if (!hasAccess(await getRecordAccess(record, req.user), 'write')) {
+        return denyAccess(req, res, record, 'add_medication');
+      }
+
+      record.incrementVersion(userId, `Medication added: ${medication}`);
+      await record.addMedication(medication, dosage, frequency, duration, userId.toString(), {
+        instructions,
+        route,
+        strength,
+        indication
+      });
+
+      logMedicalAccess('add_medication', userId, record.patient.toString(), record.recordId, record.recordType, req.ip);
+
+      res.status(201).json(success({
+        medication: record.medications[record.medications.length - 1],
+        version: record.version
+      }, 'Medication added successfully'));
+
+    } catch (error) {
+      logError(error, { context: 'Add Medication', userId: req.user?.id, recordId: req.params.id });
+      res.status(500).json(errorResponse('Failed to add medication'));
+    }
+  }
+
+  /**
+   * Record vital signs on a record
+   */
+  async addVitals(req, res) {
+    try {
+      const userId = req.user.id;
+      const record = await findRecord(req.params.id);
+
+      if (!record) {
+        return res.status(404).json(errorResponse('Medical record not found', 'RECORD_NOT_FOUND'));
+      }
+
+      if (!hasAccess(await getRecordAccess(record, req.user), 'write')) {
+        return denyAccess(req, res, record, 'add_vitals');
+      }
+
+      const vitals = toVitals(req.body);
+      if (Object.keys(vitals).length === 0) {
+        return res.status(400).json(errorResponse('No vital signs provided', 'NO_CHANGES'));
+      }
+
+      record.incrementVersion(userId, 'Vital signs recorded');
+      await record.addVitals(vitals);
+
+      logMedicalAccess('add_vitals', userId, record.patient.toString(), record.recordId, record.recordType, req.ip);
+
+      res.json(success({
+        vitals: record.vitals,
+        version: record.version,
+        criticalFlags: record.criticalFlags
+      }, 'Vital signs recorded successfully'));
+
+    } catch (error) {
+      logError(error, { context: 'Add Vitals', userId: req.user?.id, recordId: req.params.id });
+      res.status(500).json(errorResponse('Failed to record vital signs'));
+    }
+  }
+
+  /**
+   * Get the version history of a record
+   */
+  async getVersions(req, res) {
+    try {
+      const record = await findRecord(req.params.id)
+        .populate('previousVersions.modifiedBy', 'firstName lastName role');
+
+      if (!record) {
+        return res.status(404).json(errorResponse('Medical record not found', 'RECORD_NOT_FOUND'));
+      }
+
+      if (!(await getRecordAccess(record, req.user))) {
+        return denyAccess(req, res, record, 'view_versions');
+      }
+
+      logRecordAccess('view_medical_record_versions', req, [record]);
+
+      res.json(success({
+        currentVersion: record.version,
+        versions: record.previousVersions.map(version => ({
+          version: version.version,
+          modifiedAt: version.modifiedAt,
+          modifiedBy: version.modifiedBy,
+          changeDescription: version.changeDescription
+        })).reverse()
+      }));
+
+    } catch (error) {
+      logError(error, { context: 'Get Medical Record Versions', userId: req.user?.id, recordId: req.params.id });
+      res.status(500).json(errorResponse('Failed to retrieve record versions'));
+    }
+  }
+
+  /**
+   * Get a previous version of a record
+   */
+  async getVersion(req, res) {
+    try {
+      const version = parseInt(req.params.version);
+      const record = await findRecord(req.params.id);
+
+      if (!record) {
+        return res.status(404).json(errorResponse('Medical record not found', 'RECORD_NOT_FOUND'));
+      }
+
+      if (!(await getRecordAccess(record, req.user))) {
+        return denyAccess(req, res, record, 'view_version');
+      }
+
+      const previous = record.previousVersions.find(entry => entry.version === version);
+      if (!previous) {
+        return res.status(404).json(errorResponse('Version not found', 'VERSION_NOT_FOUND'));
+      }
+
+      logRecordAccess('view_medical_record_version', req, [record]);
+
+      res.json(success({
+        version: previous.version,
+        modifiedAt: previous.modifiedAt,
+        modifiedBy: previous.modifiedBy,
+        changeDescription: previous.changeDescription,
+        record: sanitizeSnapshot(previous.recordSnapshot || {})
+      }));
+
+    } catch (error) {
+      logError(error, { context: 'Get Medical Record Version', userId: req.user?.id, recordId: req.params.id });
+      res.status(500).json(errorResponse('Failed to retrieve record version'));
+    }
+  }
+
+  /**
+   * Soft-delete a record
+   */
+  async deleteRecord(req, res) {
+    try {
+      const { reason } = req.body;
+      const userId = req.user.id;
+      const record = await findRecord(req.params.id);
+
+      if (!record) {
+        return res.status(404).json(errorResponse('Medical record not found', 'RECORD_NOT_FOUND'));
+      }
+
+      if (!hasAccess(await getRecordAccess(record, req.user), 'manage')) {
+        return denyAccess(req, res, record, 'delete');
+      }
+
+      if (record.retentionPolicy?.legalHold) {
+        return res.status(409).json(errorResponse('Record is under legal hold and cannot be deleted', 'RECORD_LEGAL_HOLD'));
+      }
+
+      await record.softDelete(userId, reason);
+
+      logMedicalAccess('delete_medical_record', userId, record.patient.toString(), record.recordId, record.recordType, req.ip);
+      logInfo('Medical record deleted', { recordId: record.recordId, deletedBy: userId, reason });
+
+      res.json(success(null, 'Medical record deleted successfully'));
+
+    } catch (error) {
+      logError(error, { context: 'Delete Medical Record', userId: req.user?.id, recordId: req.params.id });
+      res.status(500).json(errorResponse('Failed to delete medical record'));
+    }
+  }
+
+  /**
+   * Break-glass emergency access: a verified doctor states a reason and gets
+   * short-lived read access to the patient's critical information
+   */
+  async startEmergencyAccess(req, res) {
+    try {
+      const { patientId, reason } = req.body;
+
+      const access = await startEmergencyAccess(req.user, patientId, reason, req);
+      if (!access) {
+        return res.status(404).json(errorResponse('Patient not found', 'PATIENT_NOT_FOUND'));
+      }
+
+      const summary = await viewEmergencySummary(access, req);
+
+      res.status(201).json(success({
+        accessId: access._id,
+        expiresAt: access.expiresAt,
+        summary
+      }, `Emergency access granted for ${EMERGENCY_ACCESS_CONFIG.accessMinutes} minutes. The patient and administrators have been notified.`));
+
+    } catch (error) {
+      logError(error, { context: 'Start Emergency Access', userId: req.user?.id });
+      res.status(500).json(errorResponse('Failed to start emergency access'));
+    }
+  }
+
+  /**
+   * View the critical information again while emergency access is active
+   */
+  async getEmergencyAccess(req, res) {
+    try {
+      const access = await EmergencyAccess.findOne({ _id: req.params.accessId, doctor: req.user.id });
+
+      if (!access) {
+        return res.status(404).json(errorResponse('Emergency access not found', 'EMERGENCY_ACCESS_NOT_FOUND'));
+      }
+
+      if (!access.isActive) {
+        return res.status(403).json(errorResponse('Emergency access has expired', 'EMERGENCY_ACCESS_EXPIRED'));
+      }
+
+      const summary = await viewEmergencySummary(access, req);
+
+      res.json(success({
+        accessId: access._id,
+        expiresAt: access.expiresAt,
+        summary
+      }));
+
+    } catch (error) {
+      logError(error, { context: 'Get Emergency Access', userId: req.user?.id, accessId: req.params.accessId });
+      res.status(500).json(errorResponse('Failed to retrieve emergency access'));
+    }
+  }
+
+  /**
+   * End emergency access before it expires
+   */
+  async endEmergencyAccess(req, res) {
+    try {
+      const access = await EmergencyAccess.findOne({ _id: req.params.accessId, doctor: req.user.id });
+
+      if (!access) {
+        return res.status(404).json(errorResponse('Emergency access not found', 'EMERGENCY_ACCESS_NOT_FOUND'));
+      }
+
+      if (access.isActive) {
+        access.endedAt = new Date();
+        await access.save();
+        logInfo('Emergency access ended', { accessId: access._id, doctorId: req.user.id });
+      }
+
+      res.json(success(null, 'Emergency access ended'));
+
+    } catch (error) {
+      logError(error, { context: 'End Emergency Access', userId: req.user?.id, accessId: req.params.accessId });
+      res.status(500).json(errorResponse('Failed to end emergency access'));
+    }
+  }
+
+  /**
+   * Emergency access history: uses of emergency access on a patient's records,
+   * or the ones a doctor started
+   */
+  async getEmergencyAccessHistory(req, res) {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+      const isDoctor = req.user.role === 'doctor';
+
+      const filter = isDoctor ? { doctor: req.user.id } : { patient: req.user.id };
+
+      const accesses = await EmergencyAccess.find(filter)
+        .select('-ipAddress -userAgent -review.reviewedBy -review.notes')
+        .populate(isDoctor ? 'patient' : 'doctor', isDoctor ? MEDICAL_RECORD_CONFIG.PATIENT_FIELDS : MEDICAL_RECORD_CONFIG.DOCTOR_FIELDS)
+        .sort({ createdAt: -1 })
+        .limit(parseInt(limit))
+        .skip((parseInt(page) - 1) * parseInt(limit));
+
+      const total = await EmergencyAccess.countDocuments(filter);
+
+      res.json(paginated(accesses, {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total
+      }));
+
+    } catch (error) {
+      logError(error, { context: 'Get Emergency Access History', userId: req.user?.id });
+      res.status(500).json(errorResponse('Failed to retrieve emergency access history'));
+    }
+  }
+}
+
+module.exports = new MedicalRecordController();
@@ -1,9 +1,17 @@
 const mongoose = require('mongoose');
 const Payment = require('../models/Payment');
 const Consultation = require('../models/Consultation');
+const SlotHold = require('../models/SlotHold');
 const User = require('../models/User');
-const { ethers } = require('ethers');
-const { logError, logSecurity, logInfo } = require('../utils/logger');
+const SystemSettings = require('../models/SystemSettings');
+const {
+  verifyTokenTransfer,
+  getTokenAddress,
+  CURRENT_NETWORK,
+  CURRENT_NETWORK_KEY,
+  PAYMENT_AMOUNT_PRECISION
+} = require('../utils/web3');
+const { logError, logSecurity, logInfo, logPayment, logConsultation } = require('../utils/logger');
 const { success, error: errorResponse } = require('../utils/helpers').responseUtils;
 const { sendEmail } = require('../utils/email');
 const { sendNotificationToUser } = require('../sockets/notifications');
@@ -48,12 +56,17 @@ const PAYMENT_CONFIG = {
     MEDICAL_RECORD_ANALYSIS: 15.00
   },
 
+  // Block confirmations before an on-chain payment is final
+  CONFIRMATIONS_REQUIRED: parseInt(process.env.PAYMENT_CONFIRMATIONS_REQUIRED) || 12,
+
   // Payment status
   STATUS: {
     PENDING: 'pending',
     PROCESSING: 'processing',
+    CONFIRMING: 'confirming',
     COMPLETED: 'completed',
     FAILED: 'failed',
+    EXPIRED: 'expired',
     REFUNDED: 'refunded',
     DISPUTED: 'disputed'
   }
@@ -65,70 +78,64 @@ class PaymentController {
    */
   async createPaymentIntent(req, res) {
     try {
-      const { consultationId, paymentMethod, tokenSymbol } = req.body;
+      const { consultationId, tokenSymbol } = req.body;
       const userId = req.user.id;
 
-      // Validate consultation exists and belongs to user
+      // Validate consultation exists, belongs to user and is awaiting payment
       const consultation = await Consultation.findOne({
         _id: consultationId,
         patient: userId,
-        status: 'pending_payment'
-      });
+        status: { $in: ['pending', 'pending_payment'] }
+      }).populate('payment');
+
+      const payment = consultation?.payment;
 
-      if (!consultation) {
+      if (!payment || payment.status !== PAYMENT_CONFIG.STATUS.PENDING || payment.transactionHash) {
         return res.status(404).json(errorResponse('Consultation not found or already paid'));
       }
 
-      // Calculate payment amount
-      const servicePrice = PAYMENT_CONFIG.SERVICE_PRICES[consultation.type.toUpperCase()] || 50;
-      
-      // Get token price (in a real app, you'd fetch from an oracle or API)
-      const tokenPrice = await this.getTokenPrice(tokenSymbol);
-      const tokenAmount = servicePrice / tokenPrice;
+      const isNativeToken = CURRENT_NETWORK.nativeCurrency.symbol === tokenSymbol;
+      const tokenContract = isNativeToken ? null : getTokenAddress(tokenSymbol, CURRENT_NETWORK_KEY);
 
-      // Create payment record
-      const payment = new Payment({
-        consultation: consultationId,
-        patient: userId,
-        doctor: consultation.doctor,
-        amount: {
-          usd: servicePrice,
-          token: tokenAmount,
-          symbol: tokenSymbol
-        },
-        paymentMethod,
-        status: PAYMENT_CONFIG.STATUS.PENDING,
-        transactionHash: null,
-        blockNumber: null,
-        metadata: {
-          tokenContract: PAYMENT_CONFIG.SUPPORTED_TOKENS[tokenSymbol]?.contractAddress,
-          exchangeRate: tokenPrice,
-          createdAt: new Date()
-        }
-      });
+      if (!isNativeToken && !tokenContract) {
+        return res.status(400).json(errorResponse(
+          `${tokenSymbol} payments are not available on ${CURRENT_NETWORK.name}`,
+          'TOKEN_NOT_SUPPORTED'
+        ));
+      }
 
+      // Get token price (in a real app, you'd fetch from an oracle or API)
+      const tokenPrice = await this.getTokenPrice(tokenSymbol);
+      const tokenAmount = Number((payment.amount / tokenPrice).toFixed(PAYMENT_AMOUNT_PRECISION));
+
+      // Quote the booked payment in the chosen token
+      payment.cryptoAmount = tokenAmount;
+      payment.cryptoCurrency = tokenSymbol;
+      payment.exchangeRate = tokenPrice;
+      payment.confirmationsRequired = PAYMENT_CONFIG.CONFIRMATIONS_REQUIRED;
+      payment.smartContract = { contractAddress: tokenContract };
       await payment.save();
 
-      // Update consultation with payment reference
-      consultation.payment = payment._id;
-      await consultation.save();
-
       logInfo('Payment intent created', { 
         userId, 
         consultationId, 
         paymentId: payment._id,
-        amount: servicePrice 
+        amount: payment.amount,
+        tokenSymbol
       });
 
       res.json(success({
         paymentId: payment._id,
         amount: {
-          usd: servicePrice,
+          usd: payment.amount,
           token: tokenAmount,
           symbol: tokenSymbol
         },
         recipientAddress: process.env.PAYMENT_WALLET_ADDRESS,
-        tokenContract: PAYMENT_CONFIG.SUPPORTED_TOKENS[tokenSymbol]?.contractAddress
+        tokenContract,
+        network: CURRENT_NETWORK.name,
+        chainId: CURRENT_NETWORK.chainId,
+        confirmationsRequired: payment.confirmationsRequired
       }, 'Payment intent created successfully'));
 
     } catch (error) {
@@ -142,75 +149,122 @@ class PaymentController {
    */
   async verifyPayment(req, res) {
     try {
-      const { paymentId, transactionHash } = req.body;
+      const { paymentId } = req.body;
+      const transactionHash = req.body.transactionHash.toLowerCase();
       const userId = req.user.id;
 
       // Find payment record
       const payment = await Payment.findOne({
         _id: paymentId,
-        patient: userId,
-        status: PAYMENT_CONFIG.STATUS.PENDING
+        payer: userId,
+        status: { $in: [PAYMENT_CONFIG.STATUS.PENDING, PAYMENT_CONFIG.STATUS.CONFIRMING] }
       }).populate('consultation');
 
       if (!payment) {
         return res.status(404).json(errorResponse('Payment not found'));
       }
 
+      if (!payment.cryptoAmount) {
+        return res.status(400).json(errorResponse('Create a payment intent before verifying this payment', 'PAYMENT_NOT_QUOTED'));
+      }
+
+      if (payment.transactionHash && payment.transactionHash !== transactionHash) {
+        return res.status(409).json(errorResponse('Payment is already bound to a different transaction', 'PAYMENT_TRANSACTION_MISMATCH'));
+      }
+
+      // A transaction can only ever settle one payment
+      const boundPayment = await Payment.findOne({
+        transactionHash,
+        _id: { $ne: payment._id }
+      }).select('_id');
+
+      if (boundPayment) {
+        logSecurity('payment_transaction_reuse', userId, req.ip, req.get('User-Agent'), 'high', {
+          paymentId,
+          transactionHash,
+          boundPaymentId: boundPayment._id
+        });
+
+        return res.status(409).json(errorResponse('Transaction has already been used for another payment', 'TRANSACTION_ALREADY_USED'));
+      }
+
       // Verify transaction on blockchain
       const verification = await this.verifyBlockchainTransaction(
         transactionHash,
-        payment.amount.token,
-        payment.amount.symbol,
-        process.env.PAYMENT_WALLET_ADDRESS
+        payment.cryptoAmount,
+        payment.cryptoCurrency,
+        process.env.PAYMENT_WALLET_ADDRESS,
+        payment.confirmationsRequired
       );
 
-      if (!verification.isValid) {
-        logSecurity('Invalid payment verification attempted', {
-          userId,
+      if (!verification.isValid && !verification.isPending) {
+        logSecurity('invalid_payment_verification', userId, req.ip, req.get('User-Agent'), 'medium', {
           paymentId,
           transactionHash,
           reason: verification.reason
         });
         
-        return res.status(400).json(errorResponse('Payment verification failed', 400, {
+        return res.status(400).json(errorResponse('Payment verification failed', 'PAYMENT_VERIFICATION_FAILED', {
           reason: verification.reason
         }));
       }
 
-      // Update payment status
-      payment.status = PAYMENT_CONFIG.STATUS.COMPLETED;
+      // Bind the transaction to this payment
       payment.transactionHash = transactionHash;
-      payment.blockNumber = verification.blockNumber;
-      payment.confirmedAt = new Date();
-      await payment.save();
+      payment.confirmationsReceived = verification.confirmations || 0;
 
-      // Update consultation status
-      const consultation = payment.consultation;
-      consultation.status = 'confirmed';
-      consultation.paymentStatus = 'paid';
-      await consultation.save();
+      if (verification.blockNumber) {
+        payment.blockNumber = verification.blockNumber;
+        payment.blockHash = verification.blockHash;
+        payment.gasUsed = Number(verification.gasUsed);
+      }
 
-      // Process doctor payment (85% to doctor, 15% platform fee)
-      await this.processDoctorPayment(payment);
+      // Hold the payment until the transaction has enough confirmations
+      if (!verification.isConfirmed) {
+        payment.status = PAYMENT_CONFIG.STATUS.CONFIRMING;
+        await payment.save();
 
-      // Send notifications
-      await this.sendPaymentNotifications(payment);
+        return res.status(202).json(success({
+          paymentId: payment._id,
+          transactionHash,
+          status: PAYMENT_CONFIG.STATUS.CONFIRMING,
+          confirmations: payment.confirmationsReceived,
+          confirmationsRequired: payment.confirmationsRequired
+        }, 'Transaction received, waiting for confirmations'));
+      }
+
+      const completed = await this.completePayment(payment, {
+        transactionHash,
+        confirmations: verification.confirmations,
+        blockNumber: verification.blockNumber,
+        blockHash: verification.blockHash,
+        gasUsed: Number(verification.gasUsed)
+      });
+
+      if (!completed) {
+        return res.status(409).json(errorResponse('Payment has already been processed', 'PAYMENT_ALREADY_PROCESSED'));
+      }
 
       logInfo('Payment verified and processed', {
         userId,
         paymentId,
         transactionHash,
-        consultationId: consultation._id
+        consultationId: payment.consultation._id
       });
 
       res.json(success({
         paymentId: payment._id,
         transactionHash,
         status: 'completed',
-        consultationId: consultation._id
+        consultationId: payment.consultation._id
       }, 'Payment verified successfully'));
 
     } catch (error) {
+      // Unique index on transactionHash - another payment claimed it concurrently
+      if (error.code === 11000) {
+        return res.status(409).json(errorResponse('Transaction has already been used for another payment', 'TRANSACTION_ALREADY_USED'));
+      }
+
       logError(error, { context: 'Verify Payment', userId: req.user?.id });
       res.status(500).json(errorResponse('Failed to verify payment'));
     }
@@ -275,15 +329,21 @@ class PaymentController {
       // Build query based on user role
       let query = { _id: paymentId };
       if (userRole === 'patient') {
-        query.patient = userId;
+        query.payer = userId;
       } else if (userRole === 'doctor') {
-        query.doctor = userId;
+        query.payee = userId;
+      } else if (userRole === 'api') {
+        // Keys only see payments of the account their integration acts for
+        if (!req.user.ownerId) {
+          return res.status(404).json(errorResponse('Payment not found'));
+        }
+        query.$or = [{ payer: req.user.ownerId }, { payee: req.user.ownerId }];
       }
       // Admin can view any payment
 
       const payment = await Payment.findOne(query)
-        .populate('patient', 'name email walletAddress')
-        .populate('doctor', 'name email specialization')
+        .populate('payer', 'firstName lastName email walletAddress')
+        .populate('payee', 'firstName lastName email doctorProfile.specialization')
         .populate('consultation', 'type scheduledDateTime status duration notes');
 
       if (!payment) {
@@ -444,6 +504,97 @@ class PaymentController {
     }
   }
 
+  /**
+   * Process blockchain confirmation webhook
+   * Redeliveries are safe: each state transition is applied at most once
+   */
+  async handleBlockchainWebhook(req, res) {
+    try {
+      const transactionHash = req.body.transactionHash.toLowerCase();
+      const { status, blockHash } = req.body;
+      const blockNumber = parseInt(req.body.blockNumber);
+
+      const payment = await Payment.findOne({ transactionHash });
+
+      // Acknowledge so the sender stops retrying - the transfer may not be ours
+      if (!payment) {
+        logInfo('Blockchain webhook for unknown transaction', { transactionHash, status });
+        return res.json(success({ processed: false, reason: 'unknown_transaction' }));
+      }
+
+      if (![PAYMENT_CONFIG.STATUS.PENDING, PAYMENT_CONFIG.STATUS.CONFIRMING].includes(payment.status)) {
+        return res.json(success({ processed: false, reason: 'already_processed', status: payment.status }));
+      }
+
+      if (status === 'failed') {
+        const failed = await this.failPayment(payment, {
+          blockNumber,
+          reason: 'Transaction failed on chain'
+        });
+
+        return res.json(success({
+          processed: Boolean(failed),
+          status: PAYMENT_CONFIG.STATUS.FAILED
+        }));
+      }
+
+      // A confirmation without a count is treated as final
+      const confirmations = req.body.confirmations !== undefined
+        ? parseInt(req.body.confirmations)
+        : payment.confirmationsRequired;
+
+      if (confirmations < payment.confirmationsRequired) {
+        const now = new Date();
+        const update = {
+          $set: {
+            status: PAYMENT_CONFIG.STATUS.CONFIRMING,
+            blockNumber,
+            updatedAt: now
+          },
+          $max: { confirmationsReceived: confirmations }
+        };
+
+        if (blockHash) {
+          update.$set.blockHash = blockHash;
+        }
+
+        // Record the mined transaction in the flow only on the first sighting
+        if (payment.status === PAYMENT_CONFIG.STATUS.PENDING) {
+          update.$push = {
+            paymentFlow: { status: 'transaction_confirmed', timestamp: now, transactionHash, blockNumber }
+          };
+        }
+
+        await Payment.updateOne(
+          { _id: payment._id, status: { $in: [PAYMENT_CONFIG.STATUS.PENDING, PAYMENT_CONFIG.STATUS.CONFIRMING] } },
+          update
+        );
+
+        return res.json(success({
+          processed: true,
+          status: PAYMENT_CONFIG.STATUS.CONFIRMING,
+          confirmations,
+          confirmationsRequired: payment.confirmationsRequired
+        }));
+      }
+
+      const completed = await this.completePayment(payment, {
+        confirmations,
+        blockNumber,
+        blockHash
+      });
+
+      res.json(success({
+        processed: Boolean(completed),
+        status: PAYMENT_CONFIG.STATUS.COMPLETED
+      }));
+
+    } catch (error) {
+      logError(error, { context: 'Blockchain Webhook', transactionHash: req.body?.transactionHash });
+      res.status(500).json(errorResponse('Webhook processing failed'));
+    }
+  }
+
   // Helper methods
 
   /**
@@ -469,44 +620,19 @@ class PaymentController {
   /**
    * Verify blockchain transaction
    */
-  async verifyBlockchainTransaction(txHash, expectedAmount, tokenSymbol, recipientAddress) {
+  async verifyBlockchainTransaction(txHash, expectedAmount, tokenSymbol, recipientAddress, requiredConfirmations = PAYMENT_CONFIG.CONFIRMATIONS_REQUIRED) {
     try {
-      // Initialize provider
-      const provider = new ethers.providers.JsonRpcProvider(process.env.RPC_URL);
-      
-      // Get transaction receipt
-      const receipt = await provider.getTransactionReceipt(txHash);
-      
-      if (!receipt) {
-        return { isValid: false, reason: 'Transaction not found' };
-      }
-
-      if (!receipt.status) {
-        return { isValid: false, reason: 'Transaction failed' };
-      }
-
-      // Get transaction details
-      const transaction = await provider.getTransaction(txHash);
-      
-      // Verify recipient address
-      if (transaction.to.toLowerCase() !== recipientAddress.toLowerCase()) {
-        return { isValid: false, reason: 'Invalid recipient address' };
-      }
-
-      // Verify amount (simplified - in real app, handle token transfers properly)
-      const actualAmount = parseFloat(ethers.utils.formatEther(transaction.value));
-      const tolerance = 0.001; // 0.1% tolerance for gas fees
-      
-      if (Math.abs(actualAmount - expectedAmount) > tolerance) {
-        return { isValid: false, reason: 'Amount mismatch' };
+      if (!recipientAddress) {
+        return { isValid: false, reason: 'Payment wallet is not configured' };
       }
 
-      return {
-        isValid: true,
-        blockNumber: receipt.blockNumber,
-        gasUsed: receipt.gasUsed.toString(),
-        effectiveGasPrice: receipt.effectiveGasPrice?.toString()
-      };
+      return await verifyTokenTransfer({
+        txHash,
+        tokenSymbol,
+        recipient: recipientAddress,
+        expectedAmount,
+        requiredConfirmations
+      });
 
     } catch (error) {
       logError(error, { context: 'Verify Blockchain Transaction' });
@@ -519,21 +645,26 @@ class PaymentController {
    */
   async processDoctorPayment(payment) {
     try {
-      const doctorShare = payment.amount.usd * 0.85; // 85% to doctor
-      const platformFee = payment.amount.usd * 0.15; // 15% platform fee
+      // Split according to the platform fee percentage in system settings
+      const {
+        platformFeePercentage,
+        platformFee,
+        doctorEarnings: doctorShare
+      } = await SystemSettings.calculateFeeSplit(payment.amount);
 
       // In a real application, you'd initiate payment to doctor's wallet
       // For now, we'll just log the transaction
       
       logInfo('Doctor payment processed', {
         paymentId: payment._id,
-        doctorId: payment.doctor,
+        doctorId: payment.payee,
         doctorShare,
-        platformFee
+        platformFee,
+        platformFeePercentage
       });
 
       // Update doctor's earnings
-      await User.findByIdAndUpdate(payment.doctor, {
+      await User.findByIdAndUpdate(payment.payee, {
         $inc: { 
           'earnings.total': doctorShare,
           'earnings.pending': doctorShare
@@ -551,7 +682,7 @@ class PaymentController {
   async sendPaymentNotifications(payment) {
     try {
       // Notify patient
-      await sendNotificationToUser(payment.patient, {
+      await sendNotificationToUser(payment.payer, {
         type: 'payment_confirmed',
         title: 'Payment Confirmed',
         message: 'Your payment has been confirmed. Your consultation is now scheduled.',
@@ -559,7 +690,7 @@ class PaymentController {
       });
 
       // Notify doctor
-      await sendNotificationToUser(payment.doctor, {
+      await sendNotificationToUser(payment.payee, {
         type: 'payment_received',
         title: 'Payment Received',
         message: 'You have received a new consultation booking.',
@@ -570,6 +701,173 @@ class PaymentController {
       logError(error, { context: 'Send Payment Notifications' });
     }
   }
+
+  /**
+   * Mark a payment completed and settle its consultation.
+   * Returns null if the payment already left the pending states
+   */
+  async completePayment(payment, { transactionHash, confirmations, blockNumber, blockHash, gasUsed } = {}) {
+    const now = new Date();
+    const txHash = transactionHash || payment.transactionHash;
+    const update = {
+      status: PAYMENT_CONFIG.STATUS.COMPLETED,
+      transactionHash: txHash,
+      completedAt: now,
+      updatedAt: now
+    };
+
+    if (blockNumber) update.blockNumber = blockNumber;
+    if (blockHash) update.blockHash = blockHash;
+    if (gasUsed) update.gasUsed = gasUsed;
+
+    const completed = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: { $in: [PAYMENT_CONFIG.STATUS.PENDING, PAYMENT_CONFIG.STATUS.CONFIRMING] } },
+      {
+        $set: update,
+        $max: { confirmationsReceived: confirmations || 0 },
+        $push: {
+          paymentFlow: {
+            $each: [
+              { status: 'payment_verified', timestamp: now, transactionHash: txHash, blockNumber },
+              { status: 'completed', timestamp: now }
+            ]
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!completed) {
+      return null;
+    }
+
+    // Update consultation status
+    const consultationId = completed.consultation;
+    await Consultation.updateOne({ _id: consultationId }, { $set: { paymentStatus: 'paid' } });
+    await Consultation.updateOne(
+      { _id: consultationId, status: { $in: ['pending', 'pending_payment'] } },
+      { $set: { status: 'confirmed' } }
+    );
+
+    logPayment('payment_completed', completed.payer, completed.amount, completed.currency, txHash, consultationId, true);
+
+    // Split the payment between doctor and platform
+    await this.processDoctorPayment(completed);
+
+    // Send notifications
+    await this.sendPaymentNotifications(completed);
+
+    return completed;
+  }
+
+  /**
+   * Mark a payment failed, fail its consultation and free the booked slot.
+   * Returns null if the payment already left the pending states
+   */
+  async failPayment(payment, { blockNumber, reason } = {}) {
+    const now = new Date();
+
+    const failed = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: { $in: [PAYMENT_CONFIG.STATUS.PENDING, PAYMENT_CONFIG.STATUS.CONFIRMING] } },
+      {
+        $set: {
+          status: PAYMENT_CONFIG.STATUS.FAILED,
+          failedAt: now,
+          updatedAt: now
+        },
+        $push: {
+          paymentFlow: {
+            status: 'transaction_failed',
+            timestamp: now,
+            transactionHash: payment.transactionHash,
+            blockNumber,
+            notes: reason
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!failed) {
+      return null;
+    }
+
+    const consultationId = failed.consultation;
+    const consultationFailed = await Consultation.updateOne(
+      { _id: consultationId, status: { $in: ['pending', 'pending_payment', 'pending_doctor_approval'] } },
+      {
+        $set: {
+          status: 'failed',
+          paymentStatus: 'failed',
+          cancellationReason: reason,
+          cancelledAt: now
+        }
+      }
+    );
+
+    if (consultationFailed.modifiedCount) {
+      await SlotHold.releaseForConsultation(consultationId);
+    }
+
+    logPayment('payment_failed', failed.payer, failed.amount, failed.currency, failed.transactionHash, consultationId, false, reason);
+
+    try {
+      await sendNotificationToUser(failed.payer, {
+        type: 'payment_failed',
+        title: 'Payment Failed',
+        message: 'Your payment transaction failed on the blockchain. Please book the consultation again.',
+        data: { paymentId: failed._id, consultationId }
+      });
+    } catch (error) {
+      logError(error, { context: 'Send Payment Failed Notification' });
+    }
+
+    return failed;
+  }
+
+  /**
+   * Expire a payment that was not completed in time and cancel its consultation.
+   * Returns null if the payment already left the pending states
+   */
+  async expirePayment(payment, reason = 'Payment was not completed before it expired') {
+    const now = new Date();
+
+    // Guard on status so a payment confirmed meanwhile is left alone
+    const expired = await Payment.updateOne(
+      { _id: payment._id, status: { $in: [PAYMENT_CONFIG.STATUS.PENDING, PAYMENT_CONFIG.STATUS.CONFIRMING] } },
+      { $set: { status: PAYMENT_CONFIG.STATUS.EXPIRED, updatedAt: now } }
+    );
+
+    if (!expired.modifiedCount) {
+      return null;
+    }
+
+    logPayment('payment_expired', payment.payer, payment.amount, payment.currency, payment.transactionHash, payment.consultation, false, reason);
+
+    let consultationCancelled = false;
+
+    if (payment.consultation) {
+      const cancelled = await Consultation.updateOne(
+        { _id: payment.consultation, status: { $in: ['pending', 'pending_payment', 'pending_doctor_approval'] } },
+        {
+          $set: {
+            status: 'cancelled',
+            paymentStatus: 'failed',
+            cancellationReason: reason,
+            cancelledAt: now
+          }
+        }
+      );
+
+      if (cancelled.modifiedCount) {
+        consultationCancelled = true;
+        await SlotHold.releaseForConsultation(payment.consultation);
+        logConsultation('consultation_cancelled_payment_expired', payment.consultation, payment.payer, null, null, 'cancelled');
+      }
+    }
+
+    return { consultationCancelled };
+  }
 }
 
 module.exports = new PaymentController();
\ No newline at end of file
@@ -3,6 +3,7 @@ const MedicalRecord = require('../models/MedicalRecord');
 const Consultation = require('../models/Consultation');
 const { sendEmail } = require('../utils/email');
 const { logError, logSecurity } = require('../utils/logger');
+const { revokeUserSessions } = require('../utils/sessions');
 const { 
   success, 
   error: errorResponse, 
@@ -635,6 +636,9 @@ class UserController {
       
       await user.save();
 
+      // Sign out every device
+      await revokeUserSessions(user._id, { reason: 'account_disabled' });
+
       logSecurity(
         'account_deactivated',
         user._id,
@@ -0,0 +1,46 @@
+const ConsentGrant = require('../models/ConsentGrant');
+const { sendNotificationToUser } = require('../sockets/notifications');
+const { logError } = require('../utils/logger');
+
+module.exports = {
+  name: 'expire-consent-grants',
+  description: 'Expire consent grants past expiresAt and record the expiry in the consent ledger',
+  schedule: '*/5 * * * *',
+
+  async run() {
+    // Access checks already ignore lapsed grants; this closes them out in the ledger
+    const lapsed = await ConsentGrant.find({
+      status: 'active',
+      expiresAt: { $lte: new Date() }
+    }).limit(500);
+
+    let expired = 0;
+
+    for (const grant of lapsed) {
+      try {
+        await grant.expire();
+        expired++;
+      } catch (error) {
+        logError(error, { context: 'Expire Consent Grant', grantId: grant._id });
+        continue;
+      }
+
+      const notification = {
+        type: 'record_access_expired',
+        title: 'Medical Record Access Expired',
+        category: 'medical',
+        data: { grantId: grant._id, patientId: grant.patient, doctorId: grant.doctor }
+      };
+      await sendNotificationToUser(grant.patient, {
+        ...notification,
+        message: 'Access you granted to a doctor has expired'
+      });
+      await sendNotificationToUser(grant.doctor, {
+        ...notification,
+        message: 'Your access to a patient\'s medical records has expired'
+      });
+    }
+
+    return { expired };
+  }
+};
@@ -0,0 +1,107 @@
+const Consultation = require('../models/Consultation');
+const { sendEmail, emailTemplates } = require('../utils/email');
+const { sendNotificationToUser } = require('../sockets/notifications');
+const { logError } = require('../utils/logger');
+
+// Reminder windows, checked from the latest to the earliest
+const REMINDERS = [
+  { key: 'dayBefore', label: '24 hours', leadTime: 24 * 60 * 60 * 1000 },
+  { key: 'hourBefore', label: '1 hour', leadTime: 60 * 60 * 1000 }
+];
+
+const REMINDABLE_STATUSES = ['confirmed', 'scheduled'];
+
+// Notify both participants about an upcoming consultation
+const sendReminder = async (consultation, reminder) => {
+  const { patient, doctor } = consultation;
+
+  const consultationData = {
+    consultationId: consultation.consultationId,
+    scheduledDate: consultation.scheduledDateTime,
+    type: consultation.type
+  };
+
+  for (const recipient of [patient, doctor].filter(Boolean)) {
+    const counterpart = recipient === doctor ? patient : doctor;
+
+    await sendNotificationToUser(recipient._id, {
+      type: 'consultation_reminder',
+      category: 'medical',
+      title: 'Upcoming Consultation',
+      message: counterpart
+        ? `Your consultation with ${counterpart.firstName} ${counterpart.lastName} starts in ${reminder.label}.`
+        : `Your consultation starts in ${reminder.label}.`,
+      relatedConsultation: consultation._id,
+      source: 'scheduled'
+    });
+
+    if (recipient.email) {
+      try {
+        await sendEmail(
+          recipient.email,
+          emailTemplates.appointmentReminder(recipient, consultationData, doctor, reminder.label)
+        );
+      } catch (emailError) {
+        logError(emailError, {
+          context: 'Consultation Reminder Email',
+          consultationId: consultation._id,
+          userId: recipient._id
+        });
+      }
+    }
+  }
+};
+
+module.exports = {
+  name: 'consultation-reminders',
+  description: 'Send reminders 24 hours and 1 hour before scheduled consultations',
+  schedule: '*/5 * * * *',
+
+  async run() {
+    const now = Date.now();
+    const sent = {};
+
+    for (let i = 0; i < REMINDERS.length; i++) {
+      const reminder = REMINDERS[i];
+      const nextReminder = REMINDERS[i + 1];
+
+      // Only send this reminder while the next (closer) one is not yet due
+      const windowStart = new Date(now + (nextReminder ? nextReminder.leadTime : 0));
+      const windowEnd = new Date(now + reminder.leadTime);
+
+      const consultations = await Consultation.find({
+        status: { $in: REMINDABLE_STATUSES },
+        scheduledDateTime: { $gt: windowStart, $lte: windowEnd },
+        [`remindersSent.${reminder.key}`]: { $exists: false }
+      })
+        .populate('patient', 'firstName lastName email')
+        .populate('doctor', 'firstName lastName email doctorProfile.specialization')
+        .limit(200);
+
+      sent[reminder.key] = 0;
+
+      for (const consultation of consultations) {
+        // Claim the reminder first so a concurrent run cannot send it twice
+        const claimed = await Consultation.updateOne(
+          { _id: consultation._id, [`remindersSent.${reminder.key}`]: { $exists: false } },
+          { $set: { [`remindersSent.${reminder.key}`]: new Date() } }
+        );
+
+        if (!claimed.modifiedCount) continue;
+
+        try {
+          await sendReminder(consultation, reminder);
+          sent[reminder.key]++;
+        } catch (error) {
+          logError(error, {
+            context: 'Consultation Reminder',
+            consultationId: consultation._id,
+            reminder: reminder.key
+          });
+        }
+      }
+    }
+
+    return sent;
+  }
+};
@@ -0,0 +1,15 @@
+const { processPendingExports, expireDataExports } = require('../utils/dataExport');
+
+module.exports = {
+  name: 'process-data-exports',
+  description: 'Build requested personal data exports and delete archives whose download link expired',
+  schedule: '* * * * *',
+  lockTtl: 30 * 60 * 1000,
+
+  async run() {
+    const built = await processPendingExports();
+    const expired = await expireDataExports();
+
+    return { ...built, ...expired };
+  }
+};
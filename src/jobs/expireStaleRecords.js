@@ -0,0 +1,56 @@
+const Payment = require('../models/Payment');
+const Consultation = require('../models/Consultation');
+const paymentController = require('../controllers/paymentController');
+
+// Consultations that are still waiting on the patient, doctor or payment
+const STALE_CONSULTATION_STATUSES = ['pending', 'pending_payment', 'pending_doctor_approval'];
+
+module.exports = {
+  name: 'expire-stale-records',
+  description: 'Expire pending payments past expiresAt and time out stale pending consultations',
+  schedule: '*/10 * * * *',
+
+  async run() {
+    const now = new Date();
+
+    // Pending payments past their expiry window
+    const expiredPayments = await Payment.find({
+      status: 'pending',
+      expiresAt: { $lte: now }
+    }).select('_id payer consultation amount currency transactionHash').limit(500);
+
+    let paymentsExpired = 0;
+    let consultationsCancelled = 0;
+
+    for (const payment of expiredPayments) {
+      const expired = await paymentController.expirePayment(payment);
+      if (!expired) continue;
+
+      paymentsExpired++;
+      if (expired.consultationCancelled) {
+        consultationsCancelled++;
+      }
+    }
+
+    // Consultations whose scheduled time passed while still pending
+    const timedOut = await Consultation.updateMany(
+      {
+        status: { $in: STALE_CONSULTATION_STATUSES },
+        scheduledDateTime: { $lt: now }
+      },
+      {
+        $set: {
+          status: 'timed_out',
+          cancellationReason: 'Consultation was not confirmed before its scheduled time',
+          cancelledAt: now
+        }
+      }
+    );
+
+    return {
+      paymentsExpired,
+      consultationsCancelled,
+      consultationsTimedOut: timedOut.modifiedCount
+    };
+  }
+};
@@ -0,0 +1,220 @@
+const cron = require('node-cron');
+const crypto = require('crypto');
+const { getRedisClient } = require('../config/redis');
+const { logError, logInfo } = require('../utils/logger');
+
+const consultationReminders = require('./consultationReminders');
+const expireStaleRecords = require('./expireStaleRecords');
+const scheduledNotifications = require('./scheduledNotifications');
+const logRetention = require('./logRetention');
+const paymentWatcher = require('./paymentWatcher');
+const dataExports = require('./dataExports');
+const consentGrants = require('./consentGrants');
+
+// Job runner configuration
+const JOB_CONFIG = {
+  lockPrefix: 'healthfriend:jobs:lock:',
+  statusPrefix: 'healthfriend:jobs:status:',
+  defaultLockTtl: 5 * 60 * 1000, // 5 minutes
+  timezone: process.env.JOBS_TIMEZONE || 'UTC'
+};
+
+// Registered jobs: name -> { definition, task }
+const jobs = new Map();
+
+// Last run status per job, used when Redis is not available
+const localStatus = new Map();
+
+// Release the lock only if we still own it
+const RELEASE_LOCK_SCRIPT = `
+  if redis.call('get', KEYS[1]) == ARGV[1] then
+    return redis.call('del', KEYS[1])
+  end
+  return 0
+`;
+
+// Acquire a distributed lock so only one instance runs a job at a time
+const acquireLock = async (name, ttl) => {
+  const redis = getRedisClient();
+  const token = crypto.randomBytes(16).toString('hex');
+
+  // Without Redis there is only one instance to coordinate with
+  if (!redis) {
+    return { token, redis: null };
+  }
+
+  const acquired = await redis.set(JOB_CONFIG.lockPrefix + name, token, 'PX', ttl, 'NX');
+  return acquired ? { token, redis } : null;
+};
+
+const releaseLock = async (name, lock) => {
+  if (!lock.redis) return;
+
+  try {
+    await lock.redis.eval(RELEASE_LOCK_SCRIPT, 1, JOB_CONFIG.lockPrefix + name, lock.token);
+  } catch (error) {
+    logError(error, { context: 'Release Job Lock', job: name });
+  }
+};
+
+// Persist the outcome of a run so every instance can report it
+const saveStatus = async (name, status) => {
+  localStatus.set(name, status);
+
+  const redis = getRedisClient();
+  if (!redis) return;
+
+  try {
+    await redis.set(JOB_CONFIG.statusPrefix + name, JSON.stringify(status));
+  } catch (error) {
+    logError(error, { context: 'Save Job Status', job: name });
+  }
+};
+
+const loadStatus = async (name) => {
+  const redis = getRedisClient();
+  if (!redis) {
+    return localStatus.get(name) || null;
+  }
+
+  try {
+    const stored = await redis.get(JOB_CONFIG.statusPrefix + name);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    logError(error, { context: 'Load Job Status', job: name });
+    return localStatus.get(name) || null;
+  }
+};
+
+// Run a job under its lock and record the outcome
+const runJob = async (name, trigger = 'schedule', triggeredBy = null) => {
+  const job = jobs.get(name);
+  if (!job) {
+    const error = new Error(`Unknown job: ${name}`);
+    error.code = 'JOB_NOT_FOUND';
+    throw error;
+  }
+
+  const { definition } = job;
+  const lock = await acquireLock(name, definition.lockTtl || JOB_CONFIG.defaultLockTtl);
+
+  if (!lock) {
+    // Another instance is already running this job
+    return { job: name, skipped: true, reason: 'locked' };
+  }
+
+  const startedAt = new Date();
+  let status;
+
+  try {
+    const result = await definition.run();
+
+    status = {
+      outcome: 'success',
+      trigger,
+      triggeredBy,
+      startedAt,
+      finishedAt: new Date(),
+      durationMs: Date.now() - startedAt.getTime(),
+      result
+    };
+
+    logInfo('Scheduled job completed', { job: name, trigger, durationMs: status.durationMs, result });
+  } catch (error) {
+    status = {
+      outcome: 'failed',
+      trigger,
+      triggeredBy,
+      startedAt,
+      finishedAt: new Date(),
+      durationMs: Date.now() - startedAt.getTime(),
+      error: error.message
+    };
+
+    logError(error, { context: 'Scheduled Job', job: name, trigger });
+  } finally {
+    await releaseLock(name, lock);
+  }
+
+  await saveStatus(name, status);
+  return { job: name, skipped: false, ...status };
+};
+
+// Register a job definition: { name, description, schedule, lockTtl, run }
+const registerJob = (definition) => {
+  if (!cron.validate(definition.schedule)) {
+    throw new Error(`Invalid cron expression for job ${definition.name}: ${definition.schedule}`);
+  }
+
+  jobs.set(definition.name, { definition, task: null });
+};
+
+// Start cron schedules for all registered jobs
+const startJobs = () => {
+  if (process.env.JOBS_ENABLED === 'false') {
+    logInfo('Scheduled jobs disabled via JOBS_ENABLED');
+    return;
+  }
+
+  for (const [name, job] of jobs) {
+    if (job.task) continue;
+
+    job.task = cron.schedule(job.definition.schedule, () => {
+      runJob(name).catch(error => {
+        logError(error, { context: 'Scheduled Job Trigger', job: name });
+      });
+    }, { timezone: JOB_CONFIG.timezone });
+  }
+
+  logInfo('Scheduled jobs started', { jobs: Array.from(jobs.keys()) });
+};
+
+// Stop all cron schedules (used on shutdown)
+const stopJobs = () => {
+  for (const job of jobs.values()) {
+    if (job.task) {
+      job.task.stop();
+      job.task = null;
+    }
+  }
+};
+
+// List registered jobs with their last run status
+const listJobs = async () => {
+  const result = [];
+
+  for (const [name, job] of jobs) {
+    result.push({
+      name,
+      description: job.definition.description,
+      schedule: job.definition.schedule,
+      scheduled: Boolean(job.task),
+      lastRun: await loadStatus(name)
+    });
+  }
+
+  return result;
+};
+
+const hasJob = (name) => jobs.has(name);
+
+// Built-in jobs
+[
+  consultationReminders,
+  expireStaleRecords,
+  scheduledNotifications,
+  logRetention,
+  paymentWatcher,
+  dataExports,
+  consentGrants
+].forEach(registerJob);
+
+module.exports = {
+  registerJob,
+  startJobs,
+  stopJobs,
+  runJob,
+  listJobs,
+  hasJob,
+  JOB_CONFIG
+};
@@ -0,0 +1,20 @@
+const SystemLog = require('../models/SystemLog');
+
+// Days to keep routine logs (audit, compliance and medical data logs are never purged)
+const RETENTION_DAYS = parseInt(process.env.LOG_RETENTION_DAYS) || 180;
+
+module.exports = {
+  name: 'log-retention',
+  description: `Purge system logs older than ${RETENTION_DAYS} days`,
+  schedule: '30 3 * * *',
+  lockTtl: 30 * 60 * 1000,
+
+  async run() {
+    const result = await SystemLog.cleanupOldLogs(RETENTION_DAYS);
+
+    return {
+      retentionDays: RETENTION_DAYS,
+      deleted: result.deletedCount
+    };
+  }
+};
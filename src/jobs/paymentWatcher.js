@@ -0,0 +1,264 @@
+const Payment = require('../models/Payment');
+const paymentController = require('../controllers/paymentController');
+const { getRedisClient } = require('../config/redis');
+const {
+  verifyTokenTransfer,
+  findTransfersTo,
+  toTokenUnits,
+  getCurrentProvider
+} = require('../utils/web3');
+const { logError, logInfo } = require('../utils/logger');
+
+// Watcher configuration
+const WATCHER_CONFIG = {
+  cursorKey: 'healthfriend:payments:watcher:lastBlock',
+  lookbackBlocks: parseInt(process.env.PAYMENT_WATCHER_LOOKBACK_BLOCKS) || 200,
+  maxBlocksPerRun: parseInt(process.env.PAYMENT_WATCHER_MAX_BLOCKS) || 100,
+  batchSize: 100
+};
+
+// Verification results that mean the bound transaction can never settle the payment
+const FAILED_VERIFICATION_CODES = ['TX_FAILED', 'NO_TRANSFER', 'AMOUNT_MISMATCH'];
+
+// Last scanned block, used when Redis is not available
+let localCursor = null;
+
+const loadCursor = async () => {
+  const redis = getRedisClient();
+  if (!redis) return localCursor;
+
+  const stored = await redis.get(WATCHER_CONFIG.cursorKey);
+  return stored !== null ? parseInt(stored) : null;
+};
+
+const saveCursor = async (blockNumber) => {
+  localCursor = blockNumber;
+
+  const redis = getRedisClient();
+  if (redis) {
+    await redis.set(WATCHER_CONFIG.cursorKey, blockNumber);
+  }
+};
+
+// Bind transfers to the payment wallet to pending payments the patient never verified
+const matchIncomingTransfers = async (wallet) => {
+  const provider = getCurrentProvider();
+  const currentBlock = await provider.getBlockNumber();
+  const lastBlock = await loadCursor();
+
+  const fromBlock = Math.max(
+    lastBlock !== null ? lastBlock + 1 : 0,
+    currentBlock - WATCHER_CONFIG.lookbackBlocks + 1,
+    0
+  );
+
+  if (fromBlock > currentBlock) {
+    return { blocksScanned: 0, transfersMatched: 0, transfersUnmatched: 0 };
+  }
+
+  const toBlock = Math.min(currentBlock, fromBlock + WATCHER_CONFIG.maxBlocksPerRun - 1);
+
+  // Only query tokens someone is actually expected to pay with
+  const tokenSymbols = await Payment.distinct('cryptoCurrency', {
+    status: 'pending',
+    transactionHash: null,
+    cryptoAmount: { $gt: 0 }
+  });
+
+  const transfers = tokenSymbols.length
+    ? await findTransfersTo(wallet, { fromBlock, toBlock, tokenSymbols })
+    : [];
+
+  let transfersMatched = 0;
+  let transfersUnmatched = 0;
+
+  for (const transfer of transfers) {
+    if (await Payment.exists({ transactionHash: transfer.transactionHash })) continue;
+
+    const candidates = await Payment.find({
+      status: 'pending',
+      transactionHash: null,
+      payerWalletAddress: transfer.from,
+      cryptoCurrency: transfer.tokenSymbol,
+      cryptoAmount: { $gt: 0 },
+      expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: 1 });
+
+    // Oldest open quote from this wallet that the transfer covers
+    const payment = candidates.find(candidate =>
+      toTokenUnits(candidate.cryptoAmount, transfer.tokenSymbol).lte(transfer.value)
+    );
+
+    if (!payment) {
+      transfersUnmatched++;
+      logInfo('Unmatched transfer to payment wallet', {
+        transactionHash: transfer.transactionHash,
+        from: transfer.from,
+        tokenSymbol: transfer.tokenSymbol,
+        blockNumber: transfer.blockNumber
+      });
+      continue;
+    }
+
+    try {
+      const now = new Date();
+      const bound = await Payment.updateOne(
+        { _id: payment._id, status: 'pending', transactionHash: null },
+        {
+          $set: {
+            status: 'confirming',
+            transactionHash: transfer.transactionHash,
+            blockNumber: transfer.blockNumber,
+            blockHash: transfer.blockHash,
+            updatedAt: now
+          },
+          $push: {
+            paymentFlow: {
+              status: 'transaction_confirmed',
+              timestamp: now,
+              transactionHash: transfer.transactionHash,
+              blockNumber: transfer.blockNumber,
+              notes: 'Matched by payment watcher'
+            }
+          }
+        }
+      );
+
+      if (bound.modifiedCount) transfersMatched++;
+    } catch (error) {
+      // Bound to another payment concurrently
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  await saveCursor(toBlock);
+
+  return {
+    blocksScanned: toBlock - fromBlock + 1,
+    transfersMatched,
+    transfersUnmatched
+  };
+};
+
+// Re-check confirming payments against the chain, following reorgs
+const reconcileConfirmingPayments = async (wallet) => {
+  const payments = await Payment.find({
+    status: 'confirming',
+    transactionHash: { $ne: null }
+  }).sort({ updatedAt: 1 }).limit(WATCHER_CONFIG.batchSize);
+
+  const counts = { completed: 0, failed: 0, expired: 0, reorged: 0, checkErrors: 0 };
+
+  for (const payment of payments) {
+    let verification;
+
+    try {
+      verification = await verifyTokenTransfer({
+        txHash: payment.transactionHash,
+        tokenSymbol: payment.cryptoCurrency,
+        recipient: wallet,
+        expectedAmount: payment.cryptoAmount,
+        requiredConfirmations: payment.confirmationsRequired
+      });
+    } catch (error) {
+      // RPC trouble - leave the payment for the next run
+      counts.checkErrors++;
+      continue;
+    }
+
+    if (verification.isValid && verification.isConfirmed) {
+      const completed = await paymentController.completePayment(payment, {
+        confirmations: verification.confirmations,
+        blockNumber: verification.blockNumber,
+        blockHash: verification.blockHash,
+        gasUsed: Number(verification.gasUsed)
+      });
+
+      if (completed) counts.completed++;
+      continue;
+    }
+
+    if (verification.isValid || verification.isPending) {
+      // The transaction moved to another block or back to the mempool
+      const reorged = Boolean(payment.blockHash) && payment.blockHash !== verification.blockHash;
+      const update = {
+        $set: {
+          confirmationsReceived: verification.confirmations || 0,
+          blockNumber: verification.blockNumber || null,
+          blockHash: verification.blockHash || null,
+          updatedAt: new Date()
+        }
+      };
+
+      if (reorged) {
+        counts.reorged++;
+        update.$push = {
+          paymentFlow: {
+            status: 'transaction_confirmed',
+            timestamp: new Date(),
+            transactionHash: payment.transactionHash,
+            blockNumber: verification.blockNumber,
+            notes: verification.blockHash ? 'Re-included after chain reorganisation' : 'Removed from chain by reorganisation'
+          }
+        };
+
+        logInfo('Payment transaction reorganised', {
+          paymentId: payment._id,
+          transactionHash: payment.transactionHash,
+          previousBlockHash: payment.blockHash,
+          blockHash: verification.blockHash
+        });
+      }
+
+      await Payment.updateOne({ _id: payment._id, status: 'confirming' }, update);
+      continue;
+    }
+
+    if (verification.code === 'TX_NOT_FOUND') {
+      // Dropped transactions may still be replaced until the payment expires
+      if (payment.expiresAt <= new Date()) {
+        const expired = await paymentController.expirePayment(payment, 'Payment transaction was never mined');
+        if (expired) counts.expired++;
+      }
+      continue;
+    }
+
+    if (FAILED_VERIFICATION_CODES.includes(verification.code)) {
+      const failed = await paymentController.failPayment(payment, {
+        blockNumber: verification.blockNumber,
+        reason: verification.reason
+      });
+
+      if (failed) counts.failed++;
+      continue;
+    }
+
+    logError(new Error(verification.reason), {
+      context: 'Payment Watcher',
+      paymentId: payment._id,
+      code: verification.code
+    });
+    counts.checkErrors++;
+  }
+
+  return counts;
+};
+
+module.exports = {
+  name: 'payment-watcher',
+  description: 'Match on-chain transfers to pending payments and reconcile confirming payments',
+  schedule: '* * * * *',
+
+  async run() {
+    const wallet = process.env.PAYMENT_WALLET_ADDRESS;
+
+    if (!wallet) {
+      return { skipped: true, reason: 'PAYMENT_WALLET_ADDRESS is not configured' };
+    }
+
+    const matched = await matchIncomingTransfers(wallet);
+    const reconciled = await reconcileConfirmingPayments(wallet);
+
+    return { ...matched, ...reconciled };
+  }
+};
@@ -0,0 +1,45 @@
+const Notification = require('../models/Notification');
+const { deliverNotification } = require('../sockets/notifications');
+const { logError } = require('../utils/logger');
+
+module.exports = {
+  name: 'scheduled-notifications',
+  description: 'Deliver notifications whose scheduledFor time has arrived',
+  schedule: '* * * * *',
+  lockTtl: 60 * 1000,
+
+  async run() {
+    const now = new Date();
+
+    const dueNotifications = await Notification.find({
+      isScheduled: true,
+      scheduledFor: { $lte: now },
+      isDeleted: false
+    }).limit(500);
+
+    let released = 0;
+
+    for (const notification of dueNotifications) {
+      // Release the notification so it is delivered on the recipient's next connection
+      const result = await Notification.updateOne(
+        { _id: notification._id, isScheduled: true },
+        { $set: { isScheduled: false } }
+      );
+
+      if (!result.modifiedCount) continue;
+      released++;
+
+      try {
+        await deliverNotification(notification);
+      } catch (error) {
+        // Still pending in the database, so the user receives it when they reconnect
+        logError(error, {
+          context: 'Scheduled Notification Delivery',
+          notificationId: notification._id
+        });
+      }
+    }
+
+    return { released };
+  }
+};
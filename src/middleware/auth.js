@@ -1,37 +1,40 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
-const { ethers } = require('ethers');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const { web3Utils } = require('../utils/web3');
+const { SESSION_CONFIG } = require('../utils/sessions');
+const { isMfaRequiredForRole, isMfaVerificationFresh } = require('../utils/mfa');
+const { PERMISSIONS, resolveAdminRoles, hasPermission } = require('../config/permissions');
 const { AppError } = require('./errorHandler');
+const { userRateLimit, consumeQuota, apiLimiter } = require('./rateLimit');
 const { logAuth, logSecurity } = require('../utils/logger');
 
 // Generate a random nonce for wallet signature
 const generateNonce = () => {
-  return Math.floor(Math.random() * 1000000).toString();
+  return crypto.randomBytes(16).toString('hex');
 };
 
-// Verify wallet signature
-const verifySignature = (message, signature, address) => {
-  try {
-    const recoveredAddress = ethers.utils.verifyMessage(message, signature);
-    return recoveredAddress.toLowerCase() === address.toLowerCase();
-  } catch (error) {
-    console.error('Signature verification error:', error);
-    return false;
-  }
+// Verify wallet signature (EOA or EIP-1271 contract wallet on the given chain)
+const verifySignature = async (message, signature, address, options = {}) => {
+  const result = await web3Utils.verifySignature(message, signature, address, options);
+  return result.isValid;
 };
 
-// Generate JWT token
-const generateToken = (userId, walletAddress, role) => {
+// Generate short-lived JWT access token bound to a session
+const generateToken = (userId, walletAddress, role, sessionId) => {
   return jwt.sign(
     { 
       userId, 
       walletAddress, 
       role,
+      sid: sessionId,
       iat: Math.floor(Date.now() / 1000)
     },
     process.env.JWT_SECRET,
     { 
-      expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+      expiresIn: SESSION_CONFIG.accessTokenExpiresIn,
       issuer: 'healthfriend-api',
       audience: 'healthfriend-client'
     }
@@ -71,6 +74,20 @@ const authenticateWallet = async (req, res, next) => {
     
     // Verify JWT token
     const decoded = verifyToken(token);
+
+    // Tokens are only honoured while their session is active
+    const session = decoded.sid ? await Session.findActive(decoded.sid, decoded.userId) : null;
+    if (!session) {
+      logSecurity(
+        'revoked_session_token',
+        decoded.userId,
+        req.ip,
+        req.get('User-Agent'),
+        'medium',
+        { sessionId: decoded.sid || null, url: req.originalUrl }
+      );
+      return next(new AppError('Session has ended. Please sign in again.', 401));
+    }
     
     // Find user by ID and ensure they're still active
     const user = await User.findById(decoded.userId).select('+nonce');
@@ -175,7 +192,11 @@ const authenticateWallet = async (req, res, next) => {
       lastName: user.lastName,
       role: user.role,
       isEmailVerified: user.isEmailVerified,
-      createdAt: user.createdAt
+      createdAt: user.createdAt,
+      adminRoles: resolveAdminRoles(user),
+      sessionId: decoded.sid,
+      mfaEnabled: Boolean(user.mfa?.enabled),
+      mfaVerified: isMfaVerificationFresh(session.mfaVerifiedAt)
     };
 
     next();
@@ -223,13 +244,36 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-// Role-based authorization middleware
+// Role-based authorization middleware. Entries containing a colon are API key
+// scopes (e.g. 'consultations:read'), which API key requests are checked against.
 const authorize = (...roles) => {
+  const scopes = roles.filter(role => role.includes(':'));
+
   return (req, res, next) => {
     if (!req.user) {
       return next(new AppError('Authentication required', 401));
     }
 
+    if (req.user.isApiUser) {
+      if (!scopes.some(scope => req.user.scopes.includes(scope))) {
+        logSecurity(
+          'unauthorized_scope_access',
+          null,
+          req.ip,
+          req.get('User-Agent'),
+          'medium',
+          { 
+            apiKeyId: req.user.apiKeyId,
+            scopes: req.user.scopes,
+            requiredScopes: scopes,
+            url: req.originalUrl
+          }
+        );
+        return next(new AppError('API key is missing the required scope', 403));
+      }
+      return next();
+    }
+
     if (!roles.includes(req.user.role)) {
       logSecurity(
         'unauthorized_role_access',
@@ -302,8 +346,18 @@ const requireAdmin = (level = 'admin') => {
         return next(new AppError('Admin access required', 403));
       }
 
-      // Additional admin level checks can be added here
-      // For example: super_admin, moderator, etc.
+      // A specific admin role, e.g. requireAdmin('super_admin')
+      if (level !== 'admin' && !req.user.adminRoles.includes(level)) {
+        logSecurity(
+          'admin_role_access_denied',
+          req.user.id,
+          req.ip,
+          req.get('User-Agent'),
+          'medium',
+          { url: req.originalUrl, requiredRole: level, adminRoles: req.user.adminRoles }
+        );
+        return next(new AppError('Insufficient permissions', 403));
+      }
       
       next();
     } catch (error) {
@@ -312,48 +366,86 @@ const requireAdmin = (level = 'admin') => {
   };
 };
 
-// Rate limiting per user
-const userRateLimit = (maxRequests = 100, windowMs = 15 * 60 * 1000) => {
-  const requests = new Map();
+// Permission-based authorization for admins (see config/permissions).
+// All listed permissions are required.
+const requirePermission = (...permissions) => {
+  const unknown = permissions.filter(permission => !Object.values(PERMISSIONS).includes(permission));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown permission: ${unknown.join(', ')}`);
+  }
 
   return (req, res, next) => {
-    const userId = req.user?.id || req.ip;
-    const now = Date.now();
-    
-    if (!requests.has(userId)) {
-      requests.set(userId, { count: 1, resetTime: now + windowMs });
-      return next();
+    if (!req.user) {
+      return next(new AppError('Authentication required', 401));
     }
 
-    const userRequests = requests.get(userId);
-    
-    if (now > userRequests.resetTime) {
-      userRequests.count = 1;
-      userRequests.resetTime = now + windowMs;
-      return next();
-    }
+    const adminRoles = req.user.adminRoles || [];
+    const missing = permissions.filter(permission => !hasPermission(adminRoles, permission));
 
-    if (userRequests.count >= maxRequests) {
+    if (req.user.role !== 'admin' || missing.length > 0) {
       logSecurity(
-        'user_rate_limit_exceeded',
-        req.user?.id,
+        'permission_denied',
+        req.user.isApiUser ? null : req.user.id,
         req.ip,
         req.get('User-Agent'),
         'medium',
         { 
-          requestCount: userRequests.count,
-          maxRequests,
-          windowMs
+          userRole: req.user.role,
+          adminRoles,
+          requiredPermissions: permissions,
+          url: req.originalUrl
         }
       );
-      return next(new AppError('Too many requests. Please try again later.', 429));
+      return next(new AppError('Insufficient permissions', 403));
     }
 
-    userRequests.count++;
     next();
   };
 };
 
+// Two-factor authentication middleware - the session must have passed a TOTP
+// or backup code check (at sign-in or via POST /api/auth/mfa/step-up) within
+// the last MFA_CONFIG.stepUpMaxAgeMinutes
+const requireMfa = (req, res, next) => {
+  if (!req.user) {
+    return next(new AppError('Authentication required', 401));
+  }
+
+  if (req.user.isApiUser || !req.user.mfaEnabled) {
+    logSecurity(
+      'mfa_not_enrolled_access_attempt',
+      req.user.isApiUser ? null : req.user.id,
+      req.ip,
+      req.get('User-Agent'),
+      'medium',
+      { url: req.originalUrl }
+    );
+    return next(new AppError('Two-factor authentication must be enabled for this action', 403));
+  }
+
+  if (!req.user.mfaVerified) {
+    return next(new AppError('Two-factor verification required for this action', 403));
+  }
+
+  next();
+};
+
+// Step-up for users who have enrolled; users without two-factor authentication pass
+const requireMfaIfEnrolled = (req, res, next) => {
+  if (req.user && !req.user.isApiUser && req.user.mfaEnabled) {
+    return requireMfa(req, res, next);
+  }
+  next();
+};
+
+// Applies requireMfa only to roles listed in MFA_REQUIRED_ROLES
+const enforceRoleMfa = (req, res, next) => {
+  if (req.user && isMfaRequiredForRole(req.user.role)) {
+    return requireMfa(req, res, next);
+  }
+  next();
+};
+
 // Resource ownership verification
 const requireOwnership = (resourceModel, resourceIdParam = 'id', ownerField = 'patient') => {
   return async (req, res, next) => {
@@ -455,8 +547,10 @@ const validateSession = async (req, res, next) => {
       return next(new AppError('Authentication required', 401));
     }
 
-    // Here you could implement additional session validation
-    // For example, checking against a session store, Redis, etc.
+    // Re-check the session, e.g. for long-running requests or after optionalAuth
+    if (!req.user.sessionId || !(await Session.isActiveSession(req.user.sessionId, req.user.id))) {
+      return next(new AppError('Session has ended. Please sign in again.', 401));
+    }
     
     next();
   } catch (error) {
@@ -467,32 +561,63 @@ const validateSession = async (req, res, next) => {
 // API key authentication (for third-party integrations)
 const authenticateApiKey = async (req, res, next) => {
   try {
-    const apiKey = req.header('X-API-Key');
+    const key = req.header('X-API-Key');
     
-    if (!apiKey) {
+    if (!key) {
       return next(new AppError('API key required', 401));
     }
 
-    // Here you would validate the API key against your database
-    // For now, we'll just check against environment variable
-    if (apiKey !== process.env.API_KEY) {
+    const apiKey = await ApiKey.findByKey(key);
+
+    if (!apiKey) {
       logSecurity(
         'invalid_api_key',
         null,
         req.ip,
         req.get('User-Agent'),
         'high',
-        { apiKey: apiKey.substring(0, 8) + '...' }
+        { apiKey: key.substring(0, 15) + '...' }
       );
       return next(new AppError('Invalid API key', 401));
     }
 
-    // Set a special user for API access
+    // Per-key rate limit
+    const quota = await consumeQuota(
+      `api-key:${apiKey.id}`,
+      apiKey.rateLimit.maxRequests,
+      apiKey.rateLimit.windowMinutes * 60 * 1000
+    );
+    res.set({
+      'RateLimit-Limit': apiKey.rateLimit.maxRequests,
+      'RateLimit-Remaining': quota.remaining,
+      'RateLimit-Reset': Math.max(Math.ceil((quota.resetTime - Date.now()) / 1000), 0)
+    });
+
+    if (!quota.allowed) {
+      logSecurity(
+        'api_key_rate_limit_exceeded',
+        null,
+        req.ip,
+        req.get('User-Agent'),
+        'medium',
+        { apiKeyId: apiKey.id, prefix: apiKey.prefix, maxRequests: apiKey.rateLimit.maxRequests }
+      );
+      res.set('Retry-After', Math.max(Math.ceil((quota.resetTime - Date.now()) / 1000), 0));
+      return next(new AppError('API key rate limit exceeded. Please try again later.', 429));
+    }
+
+    await ApiKey.recordUsage(apiKey._id, req.ip);
+
+    // Integrations act through their key, not as a user
     req.user = {
-      id: 'api',
+      id: apiKey._id,
       role: 'api',
       walletAddress: null,
-      isApiUser: true
+      isApiUser: true,
+      apiKeyId: apiKey._id,
+      apiKeyName: apiKey.name,
+      ownerId: apiKey.owner || null,
+      scopes: apiKey.scopes
     };
 
     next();
@@ -501,23 +626,60 @@ const authenticateApiKey = async (req, res, next) => {
   }
 };
 
+// Bearer token for users, X-API-Key for partner integrations. Key requests are
+// held to the api rate-limit tier and only pass authorize() calls listing a scope.
+const authenticateWalletOrApiKey = (req, res, next) => {
+  if (req.header('X-API-Key') && !req.header('Authorization')) {
+    return authenticateApiKey(req, res, (err) => {
+      if (err) return next(err);
+      apiLimiter(req, res, next);
+    });
+  }
+
+  authenticateWallet(req, res, next);
+};
+
+// For routes without authorize() on routers that accept API keys
+const rejectApiKeys = (req, res, next) => {
+  if (req.user?.isApiUser) {
+    logSecurity(
+      'api_key_route_rejected',
+      null,
+      req.ip,
+      req.get('User-Agent'),
+      'medium',
+      { apiKeyId: req.user.apiKeyId, method: req.method, url: req.originalUrl }
+    );
+    return next(new AppError('This endpoint is not available to API keys', 403));
+  }
+
+  next();
+};
+
 // Webhook signature verification
 const verifyWebhookSignature = (secret) => {
   return (req, res, next) => {
     const signature = req.header('X-Webhook-Signature');
-    const body = JSON.stringify(req.body);
+    // Prefer the raw payload - re-serialising the parsed body need not match what was signed
+    const body = req.rawBody || JSON.stringify(req.body);
     
+    if (!secret) {
+      return next(new AppError('Webhook secret is not configured', 503));
+    }
+
     if (!signature) {
       return next(new AppError('Webhook signature required', 401));
     }
 
-    const crypto = require('crypto');
     const expectedSignature = crypto
       .createHmac('sha256', secret)
       .update(body)
       .digest('hex');
 
-    if (signature !== `sha256=${expectedSignature}`) {
+    const provided = Buffer.from(signature);
+    const expected = Buffer.from(`sha256=${expectedSignature}`);
+
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
       logSecurity(
         'invalid_webhook_signature',
         null,
@@ -545,14 +707,20 @@ module.exports = {
   authorize,
   requireDoctorVerification,
   requireAdmin,
+  requirePermission,
   requireOwnership,
   requireEmailVerification,
+  requireMfa,
+  requireMfaIfEnrolled,
+  enforceRoleMfa,
   
   // Security
   userRateLimit,
   requireWhitelistedIP,
   validateSession,
   authenticateApiKey,
+  authenticateWalletOrApiKey,
+  rejectApiKeys,
   verifyWebhookSignature,
   
   // Utility functions
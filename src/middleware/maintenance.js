@@ -0,0 +1,50 @@
+const SystemSettings = require('../models/SystemSettings');
+const { verifyToken } = require('./auth');
+const { logError } = require('../utils/logger');
+const { error: errorResponse } = require('../utils/helpers').responseUtils;
+
+// Paths that stay reachable during maintenance so admins can sign in and turn it off
+const MAINTENANCE_EXEMPT_PATHS = ['/api/auth', '/api/admin'];
+
+// Allow requests carrying a valid admin token through
+const isAdminRequest = (req) => {
+  const authHeader = req.header('Authorization');
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return false;
+  }
+
+  try {
+    const decoded = verifyToken(authHeader.replace('Bearer ', ''));
+    return decoded.role === 'admin';
+  } catch (error) {
+    return false;
+  }
+};
+
+// Reject API traffic with 503 while maintenance mode is enabled in system settings
+const maintenanceMode = async (req, res, next) => {
+  try {
+    const isExempt = req.originalUrl === '/api' ||
+      MAINTENANCE_EXEMPT_PATHS.some(path => req.originalUrl.startsWith(path));
+
+    if (isExempt) {
+      return next();
+    }
+
+    const settings = await SystemSettings.getCurrent();
+    if (!settings.maintenanceMode || isAdminRequest(req)) {
+      return next();
+    }
+
+    res.set('Retry-After', '300');
+    return res.status(503).json(errorResponse(settings.maintenanceMessage, 'MAINTENANCE_MODE'));
+  } catch (error) {
+    // Never take the API down because settings could not be loaded
+    logError(error, { context: 'Maintenance Mode Check', url: req.originalUrl });
+    next();
+  }
+};
+
+module.exports = {
+  maintenanceMode
+};
@@ -1,115 +1,379 @@
+const net = require('net');
+const jwt = require('jsonwebtoken');
 const rateLimit = require('express-rate-limit');
 const slowDown = require('express-slow-down');
+const SystemLog = require('../models/SystemLog');
+const { getRedisClient } = require('../config/redis');
+const { logSecurity, logError } = require('../utils/logger');
 
-// Simple global rate limiter
-const globalLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 1000, // Limit each IP to 1000 requests per windowMs
-  message: {
-    error: 'Too many requests from this IP, please try again later.',
-    code: 'RATE_LIMIT_EXCEEDED'
+// Rate limiting configuration
+const RATE_LIMIT_CONFIG = {
+  keyPrefix: 'healthfriend:ratelimit:',
+  // Each limiter's base limit is multiplied by the client's tier
+  tiers: {
+    anonymous: 1,
+    patient: 1,
+    doctor: 2,
+    admin: 5,
+    api: 10
   },
-  standardHeaders: true,
-  legacyHeaders: false
+  // Throttled this many times within the window -> security event
+  repeatedThrottleThreshold: parseInt(process.env.RATE_LIMIT_ALERT_THRESHOLD) || 10,
+  repeatedThrottleWindowMs: 60 * 60 * 1000,
+  maxLocalCounters: 10000 // Bound on in-memory counters used without Redis
+};
+
+const MINUTE_MS = 60 * 1000;
+
+// Increment a counter and start its window on the first hit
+const INCREMENT_SCRIPT = `
+  local hits = redis.call('incr', KEYS[1])
+  if hits == 1 then
+    redis.call('pexpire', KEYS[1], ARGV[1])
+  end
+  return { hits, redis.call('pttl', KEYS[1]) }
+`;
+
+// Counters used when Redis is not configured (single instance)
+const localCounters = new Map();
+
+const pruneLocalCounters = (now) => {
+  if (localCounters.size < RATE_LIMIT_CONFIG.maxLocalCounters) return;
+
+  for (const [key, counter] of localCounters) {
+    if (counter.resetTime <= now) localCounters.delete(key);
+  }
+};
+
+// Returns { hits, resetTime } for the current window of a counter
+const incrementCounter = async (key, windowMs) => {
+  const redis = getRedisClient();
+
+  if (redis) {
+    const [hits, ttl] = await redis.eval(INCREMENT_SCRIPT, 1, RATE_LIMIT_CONFIG.keyPrefix + key, windowMs);
+    return { hits, resetTime: new Date(Date.now() + (ttl > 0 ? ttl : windowMs)) };
+  }
+
+  const now = Date.now();
+  let counter = localCounters.get(key);
+  if (!counter || counter.resetTime <= now) {
+    pruneLocalCounters(now);
+    counter = { hits: 0, resetTime: now + windowMs };
+    localCounters.set(key, counter);
+  }
+  counter.hits++;
+
+  return { hits: counter.hits, resetTime: new Date(counter.resetTime) };
+};
+
+// Current hits of a counter without counting a new one
+const peekCounter = async (key) => {
+  const redis = getRedisClient();
+
+  if (redis) {
+    return parseInt(await redis.get(RATE_LIMIT_CONFIG.keyPrefix + key)) || 0;
+  }
+
+  const counter = localCounters.get(key);
+  return counter && counter.resetTime > Date.now() ? counter.hits : 0;
+};
+
+const decrementCounter = async (key) => {
+  const redis = getRedisClient();
+
+  if (redis) {
+    await redis.decr(RATE_LIMIT_CONFIG.keyPrefix + key);
+    return;
+  }
+
+  const counter = localCounters.get(key);
+  if (counter && counter.hits > 0) counter.hits--;
+};
+
+const resetCounter = async (key) => {
+  const redis = getRedisClient();
+
+  if (redis) {
+    await redis.del(RATE_LIMIT_CONFIG.keyPrefix + key);
+    return;
+  }
+
+  localCounters.delete(key);
+};
+
+// express-rate-limit store shared by all instances through Redis
+class RedisStore {
+  constructor(name) {
+    this.prefix = `${name}:`;
+    this.localKeys = false;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async increment(key) {
+    const { hits, resetTime } = await incrementCounter(this.prefix + key, this.windowMs);
+    return { totalHits: hits, resetTime };
+  }
+
+  async decrement(key) {
+    await decrementCounter(this.prefix + key);
+  }
+
+  async resetKey(key) {
+    await resetCounter(this.prefix + key);
+  }
+}
+
+/**
+ * Who a request counts against: the API key or user when known, otherwise
+ * the IP. Limiters that run before authentication read the bearer token.
+ */
+const identifyClient = (req) => {
+  if (req.user?.isApiUser) {
+    return { key: `api:${req.user.apiKeyId}`, tier: 'api' };
+  }
+
+  if (req.user?.id) {
+    return { key: `user:${req.user.id}`, tier: RATE_LIMIT_CONFIG.tiers[req.user.role] ? req.user.role : 'anonymous' };
+  }
+
+  // Before authentication - decoded once per request
+  if (!req.rateLimitClient) {
+    req.rateLimitClient = { key: `ip:${req.ip}`, tier: 'anonymous' };
+
+    const authHeader = req.header('Authorization');
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      try {
+        const decoded = jwt.verify(authHeader.substring(7), process.env.JWT_SECRET, {
+          issuer: 'healthfriend-api',
+          audience: 'healthfriend-client'
+        });
+        req.rateLimitClient = {
+          key: `user:${decoded.userId}`,
+          tier: RATE_LIMIT_CONFIG.tiers[decoded.role] ? decoded.role : 'anonymous'
+        };
+      } catch (error) {
+        // Invalid tokens are limited by IP
+      }
+    }
+  }
+
+  return req.rateLimitClient;
+};
+
+const getTierLimit = (req, baseLimit) => {
+  return Math.ceil(baseLimit * RATE_LIMIT_CONFIG.tiers[identifyClient(req).tier]);
+};
+
+// Raise a security event when a client keeps hitting a limit
+const recordThrottle = async (name, req) => {
+  const client = identifyClient(req);
+
+  try {
+    const { hits } = await incrementCounter(`throttled:${client.key}`, RATE_LIMIT_CONFIG.repeatedThrottleWindowMs);
+    if (hits !== RATE_LIMIT_CONFIG.repeatedThrottleThreshold) return;
+
+    const userId = client.key.startsWith('user:') ? client.key.slice(5) : null;
+
+    logSecurity(
+      'repeated_rate_limit',
+      userId,
+      req.ip,
+      req.get('User-Agent'),
+      'high',
+      { limiter: name, client: client.key, throttleCount: hits, url: req.originalUrl }
+    );
+
+    await SystemLog.create({
+      level: 'warn',
+      category: 'security',
+      action: 'repeated_rate_limit',
+      message: `Client ${client.key} was throttled ${hits} times within an hour`,
+      user: userId || undefined,
+      userRole: ['patient', 'doctor', 'admin'].includes(client.tier) ? client.tier : 'anonymous',
+      method: req.method,
+      url: req.originalUrl,
+      statusCode: 429,
+      ipAddress: net.isIPv4(req.ip) ? req.ip : undefined,
+      userAgent: req.get('User-Agent'),
+      securityEvent: {
+        type: 'rate_limit_exceeded',
+        severity: 'high',
+        threat: 'potential'
+      },
+      metadata: {
+        tags: ['rate_limit'],
+        customFields: { limiter: name, client: client.key, ip: req.ip, throttleCount: hits }
+      }
+    });
+  } catch (error) {
+    logError(error, { context: 'Record Rate Limit Throttle', limiter: name });
+  }
+};
+
+// Build a Redis-backed limiter; limit is the base for the patient/anonymous tier
+const createLimiter = ({ name, windowMs, limit, error, code, skipSuccessfulRequests = false }) => {
+  return rateLimit({
+    windowMs,
+    limit: (req) => getTierLimit(req, limit),
+    keyGenerator: (req) => identifyClient(req).key,
+    store: new RedisStore(name),
+    passOnStoreError: true, // Don't take the API down with Redis
+    skipSuccessfulRequests,
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res, next, options) => {
+      recordThrottle(name, req);
+      res.status(options.statusCode).json({ error, code });
+    }
+  });
+};
+
+// Simple global rate limiter
+const globalLimiter = createLimiter({
+  name: 'global',
+  windowMs: 15 * MINUTE_MS,
+  limit: 1000, // 1000 requests per 15 minutes
+  error: 'Too many requests, please try again later.',
+  code: 'RATE_LIMIT_EXCEEDED'
 });
 
-// Auth rate limiter (stricter)
-const authLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 5, // Limit each IP to 5 auth requests per windowMs
-  message: {
-    error: 'Too many authentication attempts, please try again later.',
-    code: 'AUTH_RATE_LIMIT_EXCEEDED'
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
+// Auth rate limiter (stricter, only failed attempts count)
+const authLimiter = createLimiter({
+  name: 'auth',
+  windowMs: 15 * MINUTE_MS,
+  limit: 5,
+  error: 'Too many authentication attempts, please try again later.',
+  code: 'AUTH_RATE_LIMIT_EXCEEDED',
   skipSuccessfulRequests: true
 });
 
 // API rate limiter
-const apiLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // Limit each IP to 100 API requests per windowMs
-  message: {
-    error: 'Too many API requests, please try again later.',
-    code: 'API_RATE_LIMIT_EXCEEDED'
-  },
-  standardHeaders: true,
-  legacyHeaders: false
+const apiLimiter = createLimiter({
+  name: 'api',
+  windowMs: 15 * MINUTE_MS,
+  limit: 100,
+  error: 'Too many API requests, please try again later.',
+  code: 'API_RATE_LIMIT_EXCEEDED'
 });
 
 // Upload rate limiter
-const uploadLimiter = rateLimit({
-  windowMs: 60 * 60 * 1000, // 1 hour
-  max: 20, // Limit each IP to 20 uploads per hour
-  message: {
-    error: 'Too many file uploads, please try again later.',
-    code: 'UPLOAD_RATE_LIMIT_EXCEEDED'
-  },
-  standardHeaders: true,
-  legacyHeaders: false
+const uploadLimiter = createLimiter({
+  name: 'upload',
+  windowMs: 60 * MINUTE_MS,
+  limit: 20, // 20 uploads per hour
+  error: 'Too many file uploads, please try again later.',
+  code: 'UPLOAD_RATE_LIMIT_EXCEEDED'
 });
 
 // Speed limiter (simple version)
 const speedLimiter = slowDown({
-  windowMs: 15 * 60 * 1000, // 15 minutes
+  windowMs: 15 * MINUTE_MS,
   delayAfter: 50, // Allow 50 requests per windowMs without delay
   delayMs: () => 500, // Add 500ms delay per request after delayAfter
   maxDelayMs: 20000, // Maximum delay of 20 seconds
+  keyGenerator: (req) => identifyClient(req).key,
+  store: new RedisStore('speed'),
+  passOnStoreError: true,
   validate: {
     delayMs: false // Disable warnings
   }
 });
 
 // Consultation booking limiter
-const consultationLimiter = rateLimit({
-  windowMs: 60 * 60 * 1000, // 1 hour
-  max: 10, // Limit each IP to 10 bookings per hour
-  message: {
-    error: 'Too many booking attempts, please try again later.',
-    code: 'CONSULTATION_RATE_LIMIT_EXCEEDED'
-  },
-  standardHeaders: true,
-  legacyHeaders: false
+const consultationLimiter = createLimiter({
+  name: 'consultation',
+  windowMs: 60 * MINUTE_MS,
+  limit: 10, // 10 bookings per hour
+  error: 'Too many booking attempts, please try again later.',
+  code: 'CONSULTATION_RATE_LIMIT_EXCEEDED'
 });
 
-// Password reset limiter
-const passwordResetLimiter = rateLimit({
-  windowMs: 60 * 60 * 1000, // 1 hour
-  max: 3, // Limit each IP to 3 password resets per hour
-  message: {
-    error: 'Too many password reset attempts, please try again later.',
-    code: 'PASSWORD_RESET_RATE_LIMIT_EXCEEDED'
-  },
-  standardHeaders: true,
-  legacyHeaders: false
+// Password reset / wallet recovery limiter
+const passwordResetLimiter = createLimiter({
+  name: 'password-reset',
+  windowMs: 60 * MINUTE_MS,
+  limit: 3,
+  error: 'Too many password reset attempts, please try again later.',
+  code: 'PASSWORD_RESET_RATE_LIMIT_EXCEEDED'
 });
 
 // AI chat limiter
-const aiChatLimiter = rateLimit({
-  windowMs: 60 * 60 * 1000, // 1 hour
-  max: 50, // Limit each IP to 50 AI chats per hour
-  message: {
-    error: 'Too many AI chat requests, please try again later.',
-    code: 'AI_CHAT_RATE_LIMIT_EXCEEDED'
-  },
-  standardHeaders: true,
-  legacyHeaders: false
+const aiChatLimiter = createLimiter({
+  name: 'ai-chat',
+  windowMs: 60 * MINUTE_MS,
+  limit: 50, // 50 AI chats per hour
+  error: 'Too many AI chat requests, please try again later.',
+  code: 'AI_CHAT_RATE_LIMIT_EXCEEDED'
+});
+
+// AI consultation limiter
+const aiConsultationLimiter = createLimiter({
+  name: 'ai-consultation',
+  windowMs: 60 * MINUTE_MS,
+  limit: 20,
+  error: 'Too many AI consultation requests, please try again later.',
+  code: 'AI_CONSULTATION_RATE_LIMIT_EXCEEDED'
 });
 
 // Payment limiter
-const paymentLimiter = rateLimit({
-  windowMs: 60 * 60 * 1000, // 1 hour
-  max: 5, // Limit each IP to 5 payments per hour
-  message: {
-    error: 'Too many payment attempts, please try again later.',
-    code: 'PAYMENT_RATE_LIMIT_EXCEEDED'
-  },
-  standardHeaders: true,
-  legacyHeaders: false
+const paymentLimiter = createLimiter({
+  name: 'payment',
+  windowMs: 60 * MINUTE_MS,
+  limit: 5, // 5 payments per hour
+  error: 'Too many payment attempts, please try again later.',
+  code: 'PAYMENT_RATE_LIMIT_EXCEEDED'
 });
 
+// Doctor profile/availability changes
+const doctorActionLimiter = createLimiter({
+  name: 'doctor-action',
+  windowMs: 15 * MINUTE_MS,
+  limit: 50,
+  error: 'Too many requests, please try again later.',
+  code: 'DOCTOR_ACTION_RATE_LIMIT_EXCEEDED'
+});
+
+// Admin write actions
+const adminActionLimiter = createLimiter({
+  name: 'admin-action',
+  windowMs: 15 * MINUTE_MS,
+  limit: 20, // 100 for admins after the tier multiplier
+  error: 'Too many admin actions, please try again later.',
+  code: 'ADMIN_ACTION_RATE_LIMIT_EXCEEDED'
+});
+
+// Per-user limiter for a router, e.g. router.use(userRateLimit(50, 15 * 60 * 1000))
+let userLimiterCount = 0;
+const userRateLimit = (maxRequests = 100, windowMs = 15 * MINUTE_MS) => {
+  userLimiterCount++;
+  return createLimiter({
+    name: `user-${userLimiterCount}`,
+    windowMs,
+    limit: maxRequests,
+    error: 'Too many requests. Please try again later.',
+    code: 'USER_RATE_LIMIT_EXCEEDED'
+  });
+};
+
+/**
+ * Count a request against a quota with its own limit and window (e.g. an API
+ * key's configured rate limit). Returns { allowed, remaining, resetTime }.
+ */
+const consumeQuota = async (key, limit, windowMs) => {
+  try {
+    const { hits, resetTime } = await incrementCounter(`quota:${key}`, windowMs);
+    return { allowed: hits <= limit, remaining: Math.max(limit - hits, 0), resetTime };
+  } catch (error) {
+    logError(error, { context: 'Consume Rate Limit Quota', key });
+    return { allowed: true, remaining: limit, resetTime: new Date(Date.now() + windowMs) };
+  }
+};
+
 module.exports = {
+  RATE_LIMIT_CONFIG,
   globalLimiter,
   authLimiter,
   apiLimiter,
@@ -118,5 +382,23 @@ module.exports = {
   consultationLimiter,
   passwordResetLimiter,
   aiChatLimiter,
-  paymentLimiter
-};
\ No newline at end of file
+  aiConsultationLimiter,
+  paymentLimiter,
+  doctorActionLimiter,
+  adminActionLimiter,
+  userRateLimit,
+  consumeQuota,
+  recordThrottle,
+  incrementCounter,
+  peekCounter,
+  resetCounter,
+
+  // Names used by the route files
+  authRateLimit: authLimiter,
+  aiChatRateLimit: aiChatLimiter,
+  aiConsultationRateLimit: aiConsultationLimiter,
+  paymentRateLimit: paymentLimiter,
+  consultationBookingRateLimit: consultationLimiter,
+  doctorActionRateLimit: doctorActionLimiter,
+  adminActionRateLimit: adminActionLimiter
+};
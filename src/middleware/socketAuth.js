@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
 const { logAuth, logSecurity, logError } = require('../utils/logger');
 
 // Socket.io authentication middleware
@@ -25,6 +26,19 @@ const socketAuth = async (socket, next) => {
       audience: 'healthfriend-client'
     });
     
+    // Tokens are only honoured while their session is active
+    if (!decoded.sid || !(await Session.isActiveSession(decoded.sid, decoded.userId))) {
+      logSecurity(
+        'socket_connection_revoked_session',
+        decoded.userId,
+        socket.handshake.address,
+        socket.handshake.headers['user-agent'],
+        'medium',
+        { socketId: socket.id, sessionId: decoded.sid || null }
+      );
+      return next(new Error('Session has ended'));
+    }
+    
     // Find user and verify they're active
     const user = await User.findById(decoded.userId).select('+nonce');
     
@@ -115,6 +129,7 @@ const socketAuth = async (socket, next) => {
     socket.walletAddress = user.walletAddress;
     socket.userEmail = user.email;
     socket.userName = `${user.firstName} ${user.lastName}`;
+    socket.sessionId = decoded.sid;
     socket.isEmailVerified = user.isEmailVerified;
     socket.isVerifiedDoctor = user.role === 'doctor' && user.doctorProfile?.isVerified;
     
@@ -4,9 +4,11 @@ const { GridFSBucketWriteStream } = require('mongodb');
 const mongoose = require('mongoose');
 const crypto = require('crypto');
 const path = require('path');
+const { pipeline } = require('stream/promises');
 const sharp = require('sharp');
 const { AppError } = require('./errorHandler');
 const { logError } = require('../utils/logger');
+const { getKmsProvider, generateDataKey, unwrapDataKey, rewrapDataKey } = require('../utils/kms');
 
 // File type configurations
 const FILE_TYPES = {
@@ -45,6 +47,19 @@ const FILE_TYPES = {
     allowedExtensions: ['.jpg', '.jpeg', '.png', '.gif', '.pdf', '.doc', '.docx'],
     maxSize: 15 * 1024 * 1024, // 15MB
     bucket: 'consultation_attachments'
+  },
+  CONSULTATION_RECORDING: {
+    allowedMimes: ['video/webm', 'audio/webm', 'video/mp4', 'audio/ogg'],
+    allowedExtensions: ['.webm', '.mp4', '.ogg'],
+    maxSize: 25 * 1024 * 1024, // 25MB per chunk
+    bucket: 'consultation_recordings'
+  },
+  DATA_EXPORT: {
+    // Archives are generated server-side (utils/dataExport), never uploaded
+    allowedMimes: ['application/zip'],
+    allowedExtensions: ['.zip'],
+    maxSize: null,
+    bucket: 'data_exports'
   }
 };
 
@@ -280,7 +295,139 @@ const processImage = (options = {}) => {
   };
 };
 
-// File encryption middleware
+// Envelope encryption for stored files: each file is encrypted with its own
+// AES-256-GCM data key, which is stored in the GridFS metadata wrapped by a
+// KMS master key (utils/kms). Rotating the master key only re-wraps data keys.
+const FILE_ENCRYPTION = {
+  algorithm: 'aes-256-gcm',
+  // Files written before envelope encryption; their key is held by the caller
+  legacyAlgorithm: 'aes-256-cbc'
+};
+
+const getFilesCollection = (bucketName) => {
+  return mongoose.connection.db.collection(`${bucketName}.files`);
+};
+
+// Key and IV the deprecated crypto.createCipher derived from a password (EVP_BytesToKey, MD5)
+const deriveLegacyKey = (password) => {
+  let derived = Buffer.alloc(0);
+  let block = Buffer.alloc(0);
+
+  while (derived.length < 48) {
+    block = crypto.createHash('md5').update(Buffer.concat([block, password])).digest();
+    derived = Buffer.concat([derived, block]);
+  }
+
+  return { key: derived.subarray(0, 32), iv: derived.subarray(32, 48) };
+};
+
+// Decipher for a stored file, or null when it isn't encrypted
+const createFileDecipher = async (metadata = {}, legacyKey) => {
+  if (metadata.encryptionAlgorithm === FILE_ENCRYPTION.algorithm) {
+    if (!metadata.authTag) {
+      throw new AppError('Encrypted file is incomplete', 500);
+    }
+
+    const dataKey = await unwrapDataKey(metadata.wrappedKey, metadata.keyId);
+    const decipher = crypto.createDecipheriv(FILE_ENCRYPTION.algorithm, dataKey, Buffer.from(metadata.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(metadata.authTag, 'base64'));
+    return decipher;
+  }
+
+  if (metadata.encryptionAlgorithm === FILE_ENCRYPTION.legacyAlgorithm) {
+    if (!legacyKey) {
+      throw new AppError('File encryption key not available', 500);
+    }
+
+    const { key, iv } = deriveLegacyKey(Buffer.from(legacyKey, 'hex'));
+    return crypto.createDecipheriv(FILE_ENCRYPTION.legacyAlgorithm, key, iv);
+  }
+
+  return null;
+};
+
+// Writable stream that encrypts into a new GridFS file under a fresh data key
+const createEncryptedUploadStream = async (bucketName, filename, metadata = {}) => {
+  const bucket = gridFSBuckets[bucketName];
+  if (!bucket) {
+    throw new AppError('Storage bucket not available', 500);
+  }
+
+  const { dataKey, keyId, wrappedKey } = await generateDataKey();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(FILE_ENCRYPTION.algorithm, dataKey, iv);
+  const uploadStream = bucket.openUploadStream(filename, {
+    metadata: {
+      ...metadata,
+      encrypted: true,
+      encryptionAlgorithm: FILE_ENCRYPTION.algorithm,
+      keyId,
+      wrappedKey,
+      iv: iv.toString('base64')
+    },
+    chunkSizeBytes: 1024 * 1024
+  });
+
+  // Resolves with the stored file once everything written to `stream` is flushed
+  const finished = new Promise((resolve, reject) => {
+    cipher.on('error', reject);
+    uploadStream.on('error', (error) => {
+      cipher.destroy(error);
+      reject(error);
+    });
+    uploadStream.on('finish', async () => {
+      try {
+        // The GCM tag is only known once the whole file has been encrypted
+        await getFilesCollection(bucketName).updateOne(
+          { _id: uploadStream.id },
+          { $set: { 'metadata.authTag': cipher.getAuthTag().toString('base64') } }
+        );
+
+        resolve({
+          id: uploadStream.id,
+          filename,
+          size: uploadStream.length,
+          keyId
+        });
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+
+  cipher.pipe(uploadStream);
+
+  return { stream: cipher, finished };
+};
+
+// Stream a stored file back in plaintext, decrypting as it is read. legacyKey is
+// only needed for aes-256-cbc files stored before envelope encryption.
+const openDecryptedDownloadStream = async (fileId, bucketName, legacyKey) => {
+  const bucket = gridFSBuckets[bucketName];
+  if (!bucket) {
+    throw new AppError('Invalid bucket', 400);
+  }
+  if (!mongoose.Types.ObjectId.isValid(fileId)) {
+    throw new AppError('File not found', 404);
+  }
+
+  const id = new mongoose.Types.ObjectId(fileId);
+  const [file] = await bucket.find({ _id: id }).limit(1).toArray();
+  if (!file) {
+    throw new AppError('File not found', 404);
+  }
+
+  const decipher = await createFileDecipher(file.metadata, legacyKey);
+  const downloadStream = bucket.openDownloadStream(id);
+  if (!decipher) {
+    return downloadStream;
+  }
+
+  downloadStream.on('error', (error) => decipher.destroy(error));
+  return downloadStream.pipe(decipher);
+};
+
+// File encryption middleware: replaces the uploaded file with an encrypted copy
 const encryptFile = () => {
   return async (req, res, next) => {
     try {
@@ -289,57 +436,72 @@ const encryptFile = () => {
       }
       
       const bucket = gridFSBuckets[req.file.bucket];
-      const downloadStream = bucket.openDownloadStreamByName(req.file.filename);
-      
-      // Generate encryption key
-      const encryptionKey = crypto.randomBytes(32);
-      const iv = crypto.randomBytes(16);
-      const cipher = crypto.createCipher('aes-256-cbc', encryptionKey);
-      
-      const encryptedFilename = `encrypted_${req.file.filename}`;
-      const uploadStream = bucket.openUploadStream(encryptedFilename, {
-        metadata: {
-          ...req.file.metadata,
-          encrypted: true,
-          originalFile: req.file.filename,
-          encryptionAlgorithm: 'aes-256-cbc'
-        }
+      const output = await createEncryptedUploadStream(req.file.bucket, `encrypted_${req.file.filename}`, {
+        ...req.file.metadata,
+        originalFile: req.file.filename
       });
       
-      downloadStream
-        .pipe(cipher)
-        .pipe(uploadStream);
+      const [, file] = await Promise.all([
+        pipeline(bucket.openDownloadStreamByName(req.file.filename), output.stream),
+        output.finished
+      ]);
       
-      uploadStream.on('finish', (file) => {
-        // Delete original file
-        bucket.delete(req.file.id, (err) => {
-          if (err) console.error('Error deleting original file:', err);
-        });
-        
-        // Store encryption key securely (in practice, use a key management service)
-        req.file = {
-          ...req.file,
-          id: file._id,
-          filename: file.filename,
-          encrypted: true,
-          encryptionKey: encryptionKey.toString('hex')
-        };
-        
-        next();
+      // Delete original file
+      bucket.delete(req.file.id).catch(error => {
+        logError(error, { context: 'File Encryption Cleanup', fileId: req.file.id });
       });
       
-      uploadStream.on('error', (error) => {
-        logError(error, { context: 'File Encryption', filename: req.file.filename });
-        next(error);
-      });
+      req.file = {
+        ...req.file,
+        id: file.id,
+        filename: file.filename,
+        encrypted: true,
+        keyId: file.keyId
+      };
       
+      next();
     } catch (error) {
-      logError(error, { context: 'File Encryption Middleware' });
+      logError(error, { context: 'File Encryption Middleware', filename: req.file?.filename });
       next(error);
     }
   };
 };
 
+// Re-wrap the data key of every envelope-encrypted file that isn't under the
+// current master key. File contents are untouched; only metadata changes.
+const rewrapFileKeys = async (bucketNames = Object.values(FILE_TYPES).map(type => type.bucket)) => {
+  const currentKeyId = await getKmsProvider().currentKeyId();
+  const result = { currentKeyId, scanned: 0, rewrapped: 0, failed: 0 };
+
+  for (const bucketName of bucketNames) {
+    const files = getFilesCollection(bucketName);
+    const cursor = files
+      .find({ 'metadata.encryptionAlgorithm': FILE_ENCRYPTION.algorithm, 'metadata.keyId': { $ne: currentKeyId } })
+      .project({ 'metadata.keyId': 1, 'metadata.wrappedKey': 1 });
+
+    for await (const file of cursor) {
+      result.scanned += 1;
+
+      try {
+        const rewrapped = await rewrapDataKey(file.metadata.wrappedKey, file.metadata.keyId);
+        if (!rewrapped) continue;
+
+        // Guard against a concurrent rotation having replaced the key meanwhile
+        const { modifiedCount } = await files.updateOne(
+          { _id: file._id, 'metadata.wrappedKey': file.metadata.wrappedKey },
+          { $set: { 'metadata.keyId': rewrapped.keyId, 'metadata.wrappedKey': rewrapped.wrappedKey } }
+        );
+        result.rewrapped += modifiedCount;
+      } catch (error) {
+        result.failed += 1;
+        logError(error, { context: 'Rewrap File Key', bucket: bucketName, fileId: file._id });
+      }
+    }
+  }
+
+  return result;
+};
+
 // Virus scanning middleware (placeholder - integrate with actual antivirus)
 const virusScan = () => {
   return async (req, res, next) => {
@@ -383,18 +545,14 @@ const virusScan = () => {
   };
 };
 
-// File download helper
-const downloadFile = async (fileId, bucketName) => {
+// File download helper; encrypted files are decrypted as they stream
+const downloadFile = async (fileId, bucketName, legacyKey) => {
   try {
-    const bucket = gridFSBuckets[bucketName];
-    if (!bucket) {
-      throw new AppError('Invalid bucket', 400);
-    }
-    
-    const downloadStream = bucket.openDownloadStream(mongoose.Types.ObjectId(fileId));
-    return downloadStream;
+    return await openDecryptedDownloadStream(fileId, bucketName, legacyKey);
   } catch (error) {
-    throw new AppError('File not found', 404);
+    if (error instanceof AppError) throw error;
+    logError(error, { context: 'File Download', fileId, bucket: bucketName });
+    throw new AppError('Failed to read file', 500);
   }
 };
 
@@ -460,6 +618,7 @@ const uploadAvatar = createUploadMiddleware('AVATAR', 'avatar');
 const uploadMedicalDocument = createUploadMiddleware('MEDICAL_DOCUMENT', 'document');
 const uploadVerificationDocument = createUploadMiddleware('VERIFICATION_DOCUMENT', 'document');
 const uploadConsultationAttachment = createUploadMiddleware('CONSULTATION_ATTACHMENT', 'attachment', true);
+const uploadRecordingChunk = createUploadMiddleware('CONSULTATION_RECORDING', 'chunk');
 
 // Combined middleware for avatar upload with processing
 const uploadAndProcessAvatar = [
@@ -479,6 +638,12 @@ const uploadAndEncryptMedicalDocument = [
   virusScan()
 ];
 
+// Combined middleware for consultation recording chunks with encryption
+const uploadAndEncryptRecordingChunk = [
+  uploadRecordingChunk,
+  encryptFile()
+];
+
 // Error handling middleware for upload errors
 const handleUploadError = (error, req, res, next) => {
   if (error instanceof multer.MulterError) {
@@ -501,10 +666,12 @@ module.exports = {
   uploadMedicalDocument,
   uploadVerificationDocument,
   uploadConsultationAttachment,
+  uploadRecordingChunk,
   
   // Combined middlewares
   uploadAndProcessAvatar,
   uploadAndEncryptMedicalDocument,
+  uploadAndEncryptRecordingChunk,
   
   // Processing middlewares
   processImage,
@@ -516,6 +683,9 @@ module.exports = {
   deleteFile,
   getFileMetadata,
   listFiles,
+  openDecryptedDownloadStream,
+  createEncryptedUploadStream,
+  rewrapFileKeys,
   
   // Error handling
   handleUploadError,
@@ -144,8 +144,10 @@ const validateWalletSignature = [
     .custom(customValidators.isEthereumAddress)
     .withMessage('Invalid Ethereum wallet address'),
 
+  // 65-byte EOA signatures, or arbitrary-length contract wallet (EIP-1271) signatures
   body('signature')
-    .isLength({ min: 132, max: 132 })
+    .isLength({ min: 2, max: 20000 })
+    .matches(/^0x([0-9a-fA-F]{2})*$/)
     .withMessage('Invalid signature format'),
 
   body('message')
@@ -241,6 +243,9 @@ const validateDoctorProfile = [
 ];
 
 // Consultation booking validation
+// Wallets a payment can be made with (Payment.paymentMethod)
+const PAYMENT_METHODS = ['metamask', 'wallet_connect', 'coinbase_wallet', 'trust_wallet', 'other_wallet'];
+
 const validateConsultationBooking = [
   body('type')
     .custom(customValidators.isConsultationType)
@@ -293,6 +298,11 @@ const validateConsultationBooking = [
     .isLength({ min: 2, max: 100 })
     .withMessage('City is required'),
 
+  body('paymentMethod')
+    .optional()
+    .isIn(PAYMENT_METHODS)
+    .withMessage('Invalid payment method'),
+
   handleValidation
 ];
 
@@ -311,7 +321,7 @@ const validatePayment = [
     .withMessage('Invalid consultation ID'),
 
   body('paymentMethod')
-    .isIn(['metamask', 'wallet_connect', 'coinbase_wallet', 'trust_wallet', 'other_wallet'])
+    .isIn(PAYMENT_METHODS)
     .withMessage('Invalid payment method'),
 
   handleValidation
@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Scopes an integration can be granted
+const API_KEY_SCOPES = [
+  'consultations:read',
+  'consultations:write',
+  'doctors:read',
+  'medical_records:read',
+  'medical_records:write',
+  'payments:read',
+  'payments:webhook'
+];
+
+// Keys look like hf_<prefix>_<secret>. The prefix identifies the key in logs
+// and lookups; only a SHA-256 hash of the full key is stored.
+const KEY_PATTERN = /^hf_([a-f0-9]{12})_([A-Za-z0-9_-]{43})$/;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const generateKey = () => {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const key = `hf_${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+  return { key, prefix, keyHash: hashKey(key) };
+};
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    maxlength: 500
+  },
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: API_KEY_SCOPES
+    }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  rateLimit: {
+    maxRequests: {
+      type: Number,
+      default: 1000,
+      min: 1
+    },
+    windowMinutes: {
+      type: Number,
+      default: 15,
+      min: 1
+    }
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Account the integration acts for; a key only reads that account's data
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+
+  // The key replaced by the last rotation, accepted until its grace period ends
+  previousKey: {
+    prefix: {
+      type: String,
+      index: true,
+      sparse: true
+    },
+    keyHash: {
+      type: String,
+      select: false
+    },
+    expiresAt: Date
+  },
+  rotatedAt: Date,
+
+  // Usage tracking
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Revocation
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revocationReason: String
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.keyHash;
+      if (ret.previousKey) {
+        delete ret.previousKey.keyHash;
+      }
+      return ret;
+    }
+  }
+});
+
+// Instance methods
+apiKeySchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Static methods
+
+// Create a key; the plaintext key is returned once and never stored
+apiKeySchema.statics.issue = async function(attributes, createdBy) {
+  const { key, prefix, keyHash } = generateKey();
+
+  const apiKey = await this.create({
+    ...attributes,
+    prefix,
+    keyHash,
+    createdBy
+  });
+
+  return { apiKey, key };
+};
+
+// Replace a key's secret. The old key keeps working for gracePeriodHours.
+apiKeySchema.statics.rotate = async function(id, gracePeriodHours = 0) {
+  const apiKey = await this.findOne({ _id: id, revokedAt: null }).select('+keyHash');
+  if (!apiKey) return null;
+
+  const { key, prefix, keyHash } = generateKey();
+
+  apiKey.previousKey = gracePeriodHours > 0
+    ? {
+      prefix: apiKey.prefix,
+      keyHash: apiKey.keyHash,
+      expiresAt: new Date(Date.now() + gracePeriodHours * 60 * 60 * 1000)
+    }
+    : undefined;
+  apiKey.prefix = prefix;
+  apiKey.keyHash = keyHash;
+  apiKey.rotatedAt = new Date();
+  await apiKey.save();
+
+  return { apiKey, key };
+};
+
+// Look up the active key matching a presented X-API-Key value
+apiKeySchema.statics.findByKey = async function(key) {
+  const match = typeof key === 'string' && key.match(KEY_PATTERN);
+  if (!match) return null;
+
+  const prefix = match[1];
+  const apiKey = await this.findOne({
+    $or: [{ prefix }, { 'previousKey.prefix': prefix }]
+  }).select('+keyHash +previousKey.keyHash');
+
+  if (!apiKey || !apiKey.isActive()) return null;
+
+  const presentedHash = Buffer.from(hashKey(key), 'hex');
+  const isCurrent = apiKey.prefix === prefix;
+  const storedHash = isCurrent ? apiKey.keyHash : apiKey.previousKey.keyHash;
+
+  if (!isCurrent && !(apiKey.previousKey.expiresAt > new Date())) return null;
+  if (!crypto.timingSafeEqual(presentedHash, Buffer.from(storedHash, 'hex'))) return null;
+
+  return apiKey;
+};
+
+apiKeySchema.statics.recordUsage = function(id, ipAddress) {
+  return this.updateOne(
+    { _id: id },
+    { $set: { lastUsedAt: new Date(), lastUsedIp: ipAddress }, $inc: { usageCount: 1 } }
+  );
+};
+
+apiKeySchema.statics.API_KEY_SCOPES = API_KEY_SCOPES;
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
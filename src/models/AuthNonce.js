@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Sign-in nonces issued by POST /api/auth/nonce. Each nonce is bound to a
+// wallet and chain, expires with its message and can be consumed once.
+const authNonceSchema = new mongoose.Schema({
+  nonce: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  walletAddress: {
+    type: String,
+    required: true,
+    lowercase: true,
+    index: true
+  },
+  chainId: {
+    type: Number,
+    required: true
+  },
+  issuedAt: {
+    type: Date,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  ipAddress: String
+}, {
+  timestamps: true
+});
+
+// TTL index - nonces are removed once expired (used ones are rejected until then)
+authNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static methods
+
+// Atomically mark a nonce as used; null if it is unknown, expired, reused or for another wallet/chain
+authNonceSchema.statics.consume = function(nonce, walletAddress, chainId) {
+  return this.findOneAndUpdate(
+    {
+      nonce,
+      walletAddress: walletAddress.toLowerCase(),
+      chainId,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('AuthNonce', authNonceSchema);
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+// One entry in a grant's consent ledger. Entries are only ever appended.
+const consentLedgerEntrySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['granted', 'updated', 'revoked', 'expired'],
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  // Null when the system made the change (e.g. automatic expiry)
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ipAddress: String,
+  details: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// A patient's consent for a doctor to access their medical records until
+// expiresAt, either all of them or a selected set. Revoked and expired grants
+// are kept so the ledger stays complete.
+const consentGrantSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  scope: {
+    type: String,
+    enum: ['all_records', 'selected_records'],
+    required: true
+  },
+  // Only used for selected_records grants
+  records: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MedicalRecord'
+  }],
+  accessLevel: {
+    type: String,
+    enum: ['read', 'write'],
+    default: 'read'
+  },
+  purpose: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  status: {
+    type: String,
+    enum: ['active', 'revoked', 'expired'],
+    default: 'active'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: String,
+  expiredAt: Date,
+  history: [consentLedgerEntrySchema]
+}, {
+  timestamps: true
+});
+
+// Indexes
+consentGrantSchema.index({ doctor: 1, patient: 1, status: 1, expiresAt: 1 });
+consentGrantSchema.index({ status: 1, expiresAt: 1 });
+
+// One active grant per patient and doctor; changes are made to that grant
+consentGrantSchema.index(
+  { patient: 1, doctor: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
+// Virtual for whether the grant currently gives access
+consentGrantSchema.virtual('isActive').get(function() {
+  return this.status === 'active' && this.expiresAt > new Date();
+});
+
+// Instance methods
+consentGrantSchema.methods.coversRecord = function(recordId) {
+  if (this.scope === 'all_records') return true;
+  return this.records.some(id => id.toString() === (recordId._id || recordId).toString());
+};
+
+consentGrantSchema.methods.addLedgerEntry = function(action, by, ipAddress, details) {
+  this.history.push({ action, at: new Date(), by, ipAddress, details });
+};
+
+consentGrantSchema.methods.expire = function() {
+  this.status = 'expired';
+  this.expiredAt = new Date();
+  this.addLedgerEntry('expired', null, null, { expiresAt: this.expiresAt });
+  return this.save();
+};
+
+// Static methods
+consentGrantSchema.statics.findActiveGrants = function(doctorId, patientId) {
+  return this.find({
+    doctor: doctorId,
+    patient: patientId,
+    status: 'active',
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('ConsentGrant', consentGrantSchema);
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// Statuses that free a doctor's calendar slot
+const SLOT_RELEASE_STATUSES = ['cancelled', 'failed', 'no_show', 'timed_out'];
+
 const consultationSchema = new mongoose.Schema({
   // Consultation Identification
   consultationId: { 
@@ -182,6 +185,16 @@ const consultationSchema = new mongoose.Schema({
   recordingPermission: {
     type: Boolean,
     default: false
+  }, // Patient consent, kept in sync with recordingConsent.patient
+  recordingConsent: {
+    patient: {
+      granted: { type: Boolean, default: false },
+      updatedAt: Date
+    },
+    doctor: {
+      granted: { type: Boolean, default: false },
+      updatedAt: Date
+    }
   },
   chatMessages: [{
     sender: { 
@@ -563,6 +576,12 @@ const consultationSchema = new mongoose.Schema({
     notes: String
   }],
   
+  // Reminder tracking (set by the consultation reminder job)
+  remindersSent: {
+    dayBefore: Date,
+    hourBefore: Date
+  },
+
   // Cancellation & Reason
   cancellationReason: {
     type: String,
@@ -696,9 +715,22 @@ consultationSchema.pre('save', function(next) {
     this.cancelledAt = new Date();
   }
   
+  // Free the booked slot once the consultation will no longer take place
+  if (this.isModified('status') && SLOT_RELEASE_STATUSES.includes(this.status)) {
+    this.$locals.releaseSlot = true;
+  }
+  
   next();
 });
 
+// Post-save middleware
+consultationSchema.post('save', async function(doc) {
+  if (doc.$locals.releaseSlot) {
+    doc.$locals.releaseSlot = false;
+    await mongoose.model('SlotHold').releaseForConsultation(doc._id);
+  }
+});
+
 // Instance methods
 consultationSchema.methods.addChatMessage = function(senderId, message, messageType = 'text') {
   this.chatMessages.push({
@@ -753,6 +785,11 @@ consultationSchema.methods.updatePaymentStatus = function(status) {
   return this.save();
 };
 
+// Recording may only start once both the patient and the doctor have consented
+consultationSchema.methods.hasRecordingConsent = function() {
+  return Boolean(this.recordingConsent?.patient?.granted && this.recordingConsent?.doctor?.granted);
+};
+
 // Static methods
 consultationSchema.statics.findByConsultationId = function(consultationId) {
   return this.findOne({ consultationId }).populate('patient doctor payment');
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+// Encrypted GridFS file that holds recording data
+const recordingFileSchema = new mongoose.Schema({
+  fileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  filename: String,
+  size: Number,
+  // Only set on files stored before envelope encryption; new files keep
+  // their wrapped data key in the GridFS metadata
+  encryptionKey: String
+}, { _id: false });
+
+// A video consultation recording. The recording client uploads encrypted
+// chunks while the call is recorded; on stop they are assembled into one file.
+const consultationRecordingSchema = new mongoose.Schema({
+  recordingId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  consultation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Consultation',
+    required: true,
+    index: true
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['recording', 'assembling', 'available', 'failed'],
+    default: 'recording',
+    index: true
+  },
+  mimeType: {
+    type: String,
+    default: 'video/webm'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  endedAt: Date,
+  duration: Number, // in milliseconds
+  chunks: [{
+    sequence: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    file: recordingFileSchema,
+    uploadedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  file: recordingFileSchema,
+  failureReason: String
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      // Never expose chunk or file keys
+      delete ret.chunks;
+      if (ret.file) delete ret.file.encryptionKey;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+consultationRecordingSchema.index({ consultation: 1, createdAt: -1 });
+
+// Instance methods
+consultationRecordingSchema.methods.isParticipant = function(userId) {
+  return this.patient.toString() === userId.toString() ||
+    this.doctor.toString() === userId.toString();
+};
+
+module.exports = mongoose.model('ConsultationRecording', consultationRecordingSchema);
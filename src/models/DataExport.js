@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// Encrypted GridFS file that holds the export archive
+const exportFileSchema = new mongoose.Schema({
+  fileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  filename: String,
+  size: Number,
+  checksumSHA256: String,
+  // Only set on files stored before envelope encryption; new files keep
+  // their wrapped data key in the GridFS metadata
+  encryptionKey: String
+}, { _id: false });
+
+// A user's request for a copy of their data. The archive is built in the
+// background by the process-data-exports job and downloaded through an
+// expiring signed link; it is deleted from storage once the link expires.
+const dataExportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'ready', 'failed', 'expired'],
+    default: 'pending'
+  },
+  requestedIp: String,
+  startedAt: Date,
+  completedAt: Date,
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  file: exportFileSchema,
+  // Number of items in the archive per section
+  summary: {
+    consultations: Number,
+    medicalRecords: Number,
+    files: Number,
+    payments: Number,
+    notifications: Number
+  },
+  failureReason: String,
+  downloadCount: {
+    type: Number,
+    default: 0
+  },
+  lastDownloadedAt: Date,
+  expiresAt: Date
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      // Never expose the archive key
+      if (ret.file) delete ret.file.encryptionKey;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+dataExportSchema.index({ user: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+// One queued or running export per user
+dataExportSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['pending', 'processing'] } } }
+);
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
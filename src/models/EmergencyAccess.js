@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// A doctor "breaking the glass" to read a patient's critical information
+// without consent. Access lasts until expiresAt; every event is queued for
+// retrospective admin review.
+const emergencyAccessSchema = new mongoose.Schema({
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Ended early by the doctor
+  endedAt: Date,
+  ipAddress: String,
+  userAgent: String,
+  // Times the critical information was viewed during the window
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  lastViewedAt: Date,
+  review: {
+    status: {
+      type: String,
+      enum: ['pending', 'justified', 'unjustified'],
+      default: 'pending'
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    notes: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+emergencyAccessSchema.index({ doctor: 1, patient: 1, expiresAt: -1 });
+emergencyAccessSchema.index({ 'review.status': 1, createdAt: 1 });
+
+// Virtual for whether the access window is still open
+emergencyAccessSchema.virtual('isActive').get(function() {
+  return !this.endedAt && this.expiresAt > new Date();
+});
+
+// Static methods
+emergencyAccessSchema.statics.findActiveAccess = function(doctorId, patientId) {
+  return this.findOne({
+    doctor: doctorId,
+    patient: patientId,
+    endedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ expiresAt: -1 });
+};
+
+module.exports = mongoose.model('EmergencyAccess', emergencyAccessSchema);
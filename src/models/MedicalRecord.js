@@ -590,7 +590,8 @@ const medicalRecordSchema = new mongoose.Schema({
     transform: function(doc, ret) {
       // Remove sensitive fields from JSON output
       delete ret.encryptionKey;
-      delete ret.dataIntegrity.hash;
+      if (ret.dataIntegrity) delete ret.dataIntegrity.hash;
+      if (ret.files) ret.files.forEach(file => delete file.encryptionKey);
       return ret;
     }
   },
@@ -725,14 +726,18 @@ medicalRecordSchema.pre('save', function(next) {
   // Generate data integrity hash
   this.generateDataHash();
   
-  // Auto-increment version on changes
-  if (this.isModified() && !this.isNew) {
+  // Auto-increment version on changes not already versioned by the caller
+  if (this.isModified() && !this.isNew && !this.$locals.versionIncremented) {
     this.incrementVersion();
   }
   
   next();
 });
 
+medicalRecordSchema.post('save', function() {
+  delete this.$locals.versionIncremented;
+});
+
 // Instance methods
 medicalRecordSchema.methods.generateDataHash = function() {
   const crypto = require('crypto');
@@ -756,17 +761,20 @@ medicalRecordSchema.methods.generateDataHash = function() {
   this.dataIntegrity.verificationStatus = 'verified';
 };
 
-medicalRecordSchema.methods.incrementVersion = function() {
+// Call before applying changes so the snapshot holds the state being replaced
+medicalRecordSchema.methods.incrementVersion = function(modifiedBy, changeDescription = 'Record updated') {
   // Save current state as previous version
+  const { previousVersions, ...snapshot } = this.toObject({ virtuals: false });
   this.previousVersions.push({
     version: this.version,
-    recordSnapshot: this.toObject(),
+    recordSnapshot: snapshot,
     modifiedAt: new Date(),
-    modifiedBy: this.doctor || this.patient,
-    changeDescription: 'Record updated'
+    modifiedBy: modifiedBy || this.doctor || this.patient,
+    changeDescription
   });
   
   this.version += 1;
+  this.$locals.versionIncremented = true;
   
   // Keep only last 10 versions
   if (this.previousVersions.length > 10) {
@@ -786,8 +794,10 @@ medicalRecordSchema.methods.addLabResult = function(testName, result, laboratory
   return this.save();
 };
 
-medicalRecordSchema.methods.addMedication = function(medication, dosage, frequency, duration, prescribedBy) {
+// details: optional fields such as instructions, route, strength or indication
+medicalRecordSchema.methods.addMedication = function(medication, dosage, frequency, duration, prescribedBy, details = {}) {
   this.medications.push({
+    ...details,
     medication,
     dosage,
     frequency,
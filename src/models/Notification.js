@@ -52,6 +52,9 @@ const notificationSchema = new mongoose.Schema({
       'medication_reminder',
       'follow_up_reminder',
       'emergency_alert',
+      'record_access_granted',
+      'record_access_revoked',
+      'record_access_expired',
       
       // Account notifications
       'verification_status',
@@ -52,7 +52,7 @@ const paymentSchema = new mongoose.Schema({
   }, // Amount in cryptocurrency
   cryptoCurrency: {
     type: String,
-    enum: ['ETH', 'MATIC', 'USDC', 'USDT', 'BTC'],
+    enum: ['ETH', 'MATIC', 'USDC', 'USDT', 'HFT', 'BTC'],
     default: 'MATIC'
   },
   exchangeRate: {
@@ -186,6 +186,7 @@ const paymentSchema = new mongoose.Schema({
         'transaction_signed', 
         'transaction_sent', 
         'transaction_confirmed',
+        'transaction_failed',
         'payment_verified',
         'funds_distributed',
         'completed'
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Access tokens carry the sessionId; the refresh token is
+// stored only as a hash and replaced on every refresh. Hashes of replaced
+// tokens are kept so a reused refresh token can be detected.
+const sessionSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  previousTokenHashes: {
+    type: [String],
+    index: true
+  },
+  deviceName: String,
+  userAgent: String,
+  ipAddress: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  refreshCount: {
+    type: Number,
+    default: 0
+  },
+  // Set once a TOTP or backup code has been verified on this device
+  mfaVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'refresh_token_reuse', 'admin_revoked', 'account_disabled', 'wallet_changed', 'account_locked']
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.refreshTokenHash;
+      delete ret.previousTokenHashes;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 });
+
+// TTL index - sessions are removed once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Instance methods
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Static methods
+sessionSchema.statics.findActive = function(sessionId, userId) {
+  return this.findOne({
+    sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).select('sessionId mfaVerifiedAt').lean();
+};
+
+sessionSchema.statics.isActiveSession = async function(sessionId, userId) {
+  const session = await this.findActive(sessionId, userId);
+  return Boolean(session);
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
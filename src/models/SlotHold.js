@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// One document per calendar grid block a booking occupies. The unique
+// (doctor, blockStart) index makes holding a slot atomic across instances.
+const slotHoldSchema = new mongoose.Schema({
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  blockStart: {
+    type: Date,
+    required: true
+  },
+  consultation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Consultation',
+    index: true
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+slotHoldSchema.index({ doctor: 1, blockStart: 1 }, { unique: true });
+
+// TTL index - holds are removed once the slot is well in the past
+slotHoldSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static methods
+slotHoldSchema.statics.holdBlocks = async function(doctorId, blocks, { consultationId, patientId, expiresAt }) {
+  const docs = blocks.map(blockStart => ({
+    doctor: doctorId,
+    blockStart,
+    consultation: consultationId,
+    patient: patientId,
+    expiresAt
+  }));
+
+  try {
+    await this.insertMany(docs, { ordered: true });
+    return true;
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+
+    // Another booking got there first - undo any blocks we did insert
+    await this.deleteMany({ consultation: consultationId });
+    return false;
+  }
+};
+
+slotHoldSchema.statics.releaseForConsultation = function(consultationId) {
+  return this.deleteMany({ consultation: consultationId });
+};
+
+module.exports = mongoose.model('SlotHold', slotHoldSchema);
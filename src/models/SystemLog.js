@@ -140,7 +140,8 @@ const systemLogSchema = new mongoose.Schema({
         'malicious_request',
         'sql_injection_attempt',
         'xss_attempt',
-        'csrf_attempt'
+        'csrf_attempt',
+        'emergency_access'
       ]
     },
     severity: {
@@ -0,0 +1,224 @@
+const mongoose = require('mongoose');
+
+// How long a loaded settings snapshot is reused before hitting the database again
+const CACHE_TTL_MS = parseInt(process.env.SETTINGS_CACHE_TTL_MS) || 30 * 1000;
+
+// Defaults used until an admin saves the first version
+const DEFAULT_SETTINGS = {
+  maintenanceMode: false,
+  maintenanceMessage: 'HealthFriend is undergoing scheduled maintenance. Please try again shortly.',
+  maxDailyConsultations: 10,
+  platformFeePercentage: 5,
+  emergencyContactInfo: {},
+  aiSettings: {},
+  emailSettings: {}
+};
+
+// Fields that can be changed through the settings API
+const SETTINGS_FIELDS = Object.keys(DEFAULT_SETTINGS);
+
+// Object fields an update changes key by key, keeping the keys it leaves out
+const NESTED_SETTINGS_FIELDS = ['emergencyContactInfo', 'aiSettings', 'emailSettings'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const systemSettingsSchema = new mongoose.Schema({
+  // Version Information
+  version: {
+    type: Number,
+    required: true,
+    unique: true,
+    min: 1
+  },
+
+  // Platform Settings
+  maintenanceMode: {
+    type: Boolean,
+    default: DEFAULT_SETTINGS.maintenanceMode
+  },
+  maintenanceMessage: {
+    type: String,
+    maxlength: 500,
+    default: DEFAULT_SETTINGS.maintenanceMessage
+  },
+  maxDailyConsultations: {
+    type: Number,
+    min: 1,
+    max: 100,
+    default: DEFAULT_SETTINGS.maxDailyConsultations
+  },
+  platformFeePercentage: {
+    type: Number,
+    min: 0,
+    max: 50,
+    default: DEFAULT_SETTINGS.platformFeePercentage
+  },
+  emergencyContactInfo: {
+    phone: String,
+    email: String,
+    address: String,
+    instructions: String
+  },
+
+  // AI Settings (override AI_CONFIG in utils/ai.js)
+  aiSettings: {
+    model: String,
+    maxTokensPerRequest: { type: Number, min: 100, max: 10000 },
+    temperature: { type: Number, min: 0, max: 2 },
+    maxConversationLength: { type: Number, min: 1 },
+    emergencyThreshold: { type: Number, min: 0, max: 1 }
+  },
+
+  // Email Settings
+  emailSettings: {
+    fromName: String,
+    fromAddress: String,
+    supportAddress: String,
+    sendWelcomeEmails: Boolean,
+    sendReminderEmails: Boolean
+  },
+
+  // Change Tracking
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedFields: [String],
+  changeReason: {
+    type: String,
+    maxlength: 500
+  },
+  rolledBackFrom: Number, // Set when this version restores an earlier one
+  restoredVersion: Number
+}, {
+  timestamps: true
+});
+
+// Indexes
+systemSettingsSchema.index({ createdAt: -1 });
+
+// In-process cache of the current version
+let cachedSettings = null;
+let cachedAt = 0;
+
+const toPlainSettings = (doc) => {
+  const source = doc ? doc.toObject() : {};
+  const settings = {};
+
+  SETTINGS_FIELDS.forEach(field => {
+    settings[field] = source[field] !== undefined ? source[field] : DEFAULT_SETTINGS[field];
+  });
+
+  settings.version = source.version || 0;
+  settings.updatedBy = source.updatedBy || null;
+  settings.updatedAt = source.createdAt || null;
+
+  return settings;
+};
+
+// Static methods
+systemSettingsSchema.statics.getCurrent = async function(options = {}) {
+  if (!options.fresh && cachedSettings && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedSettings;
+  }
+
+  const latest = await this.findOne().sort({ version: -1 });
+  cachedSettings = toPlainSettings(latest);
+  cachedAt = Date.now();
+
+  return cachedSettings;
+};
+
+systemSettingsSchema.statics.clearCache = function() {
+  cachedSettings = null;
+  cachedAt = 0;
+};
+
+// Save a new version from the current one. With mergeNested, nested objects in
+// `changes` are merged into the current ones instead of replacing them.
+systemSettingsSchema.statics.createVersion = async function(changes, updatedBy, extra = {}, options = {}) {
+  const current = await this.getCurrent({ fresh: true });
+
+  const next = {};
+  SETTINGS_FIELDS.forEach(field => {
+    next[field] = changes[field] !== undefined ? changes[field] : current[field];
+  });
+
+  if (options.mergeNested) {
+    NESTED_SETTINGS_FIELDS
+      .filter(field => isPlainObject(changes[field]) && isPlainObject(current[field]))
+      .forEach(field => {
+        next[field] = { ...current[field], ...changes[field] };
+      });
+  }
+
+  const changedFields = SETTINGS_FIELDS.filter(field =>
+    JSON.stringify(next[field]) !== JSON.stringify(current[field])
+  );
+
+  try {
+    const created = await this.create({
+      ...next,
+      ...extra,
+      version: current.version + 1,
+      updatedBy,
+      changedFields
+    });
+
+    this.clearCache();
+    return created;
+  } catch (error) {
+    // Another admin saved a version concurrently - surface as a conflict
+    if (error.code === 11000) {
+      error.isVersionConflict = true;
+    }
+    throw error;
+  }
+};
+
+systemSettingsSchema.statics.updateSettings = function(changes, updatedBy, changeReason) {
+  return this.createVersion(changes, updatedBy, { changeReason }, { mergeNested: true });
+};
+
+systemSettingsSchema.statics.rollbackTo = async function(version, updatedBy, changeReason) {
+  const target = await this.findOne({ version });
+  if (!target) {
+    return null;
+  }
+
+  const current = await this.getCurrent({ fresh: true });
+  const restored = toPlainSettings(target);
+
+  return this.createVersion(restored, updatedBy, {
+    changeReason: changeReason || `Rollback to version ${version}`,
+    rolledBackFrom: current.version,
+    restoredVersion: version
+  });
+};
+
+systemSettingsSchema.statics.getHistory = function(options = {}) {
+  const { page = 1, limit = 20 } = options;
+
+  return this.find()
+    .sort({ version: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit)
+    .populate('updatedBy', 'firstName lastName email');
+};
+
+// Returns the fee split for an amount using the current platform fee percentage
+systemSettingsSchema.statics.calculateFeeSplit = async function(amount) {
+  const { platformFeePercentage } = await this.getCurrent();
+  const platformFee = Math.round(amount * platformFeePercentage) / 100;
+
+  return {
+    platformFeePercentage,
+    platformFee,
+    doctorEarnings: Math.round((amount - platformFee) * 100) / 100
+  };
+};
+
+systemSettingsSchema.statics.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+systemSettingsSchema.statics.SETTINGS_FIELDS = SETTINGS_FIELDS;
+
+module.exports = mongoose.model('SystemSettings', systemSettingsSchema);
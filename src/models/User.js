@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { ADMIN_ROLE_NAMES } = require('../config/permissions');
 
 const userSchema = new mongoose.Schema({
   // Wallet & Web3 Authentication
@@ -12,7 +14,7 @@ const userSchema = new mongoose.Schema({
   nonce: {
     type: String,
     required: true,
-    default: () => Math.floor(Math.random() * 1000000).toString()
+    default: () => crypto.randomBytes(16).toString('hex')
   },
   
   // Basic Information
@@ -58,6 +60,11 @@ const userSchema = new mongoose.Schema({
     enum: ['patient', 'doctor', 'admin'], 
     default: 'patient' 
   },
+  // Admin roles (see config/permissions) - only used when role is 'admin'
+  adminRoles: [{
+    type: String,
+    enum: ADMIN_ROLE_NAMES
+  }],
   
   // Account Status
   isActive: { 
@@ -82,6 +89,14 @@ const userSchema = new mongoose.Schema({
     type: Number, 
     default: 0 
   },
+  // Failed sign-in tracking and progressive lockout (see utils/loginSecurity)
+  loginSecurity: {
+    failedAttempts: { type: Number, default: 0 },
+    lastFailedAt: Date,
+    lockedAt: Date,
+    lockedUntil: Date,
+    lockCount: { type: Number, default: 0 } // Consecutive lockouts, reset on successful sign-in
+  },
   
   // Doctor-specific Profile
   doctorProfile: {
@@ -130,9 +145,63 @@ const userSchema = new mongoose.Schema({
       type: Boolean, 
       default: false 
     },
-    isAvailable: { 
-      type: Boolean, 
-      default: true 
+    isAvailable: {
+      type: Boolean,
+      default: true
+    },
+    availability: {
+      status: {
+        type: String,
+        enum: ['available', 'busy', 'offline', 'in_consultation'],
+        default: 'available'
+      },
+      timeZone: {
+        type: String,
+        default: 'UTC'
+      },
+      // Recurring working hours, in the doctor's time zone
+      weeklySchedule: [{
+        dayOfWeek: { type: Number, min: 0, max: 6, required: true }, // 0 = Sunday
+        start: { type: String, required: true }, // HH:MM
+        end: { type: String, required: true }
+      }],
+      // Date-specific overrides of the weekly schedule
+      exceptions: [{
+        date: { type: String, required: true }, // YYYY-MM-DD in the doctor's time zone
+        isAvailable: { type: Boolean, default: false },
+        hours: [{
+          start: String,
+          end: String
+        }],
+        reason: String
+      }],
+      vacations: [{
+        from: { type: Date, required: true },
+        to: { type: Date, required: true },
+        reason: String
+      }],
+      bufferMinutes: {
+        type: Number,
+        min: 0,
+        max: 120,
+        default: 15
+      },
+      slotDurations: {
+        video_call: { type: Number, min: 15, max: 240, default: 30 },
+        home_visit: { type: Number, min: 15, max: 480, default: 60 }
+      },
+      minNoticeMinutes: {
+        type: Number,
+        min: 0,
+        default: 60
+      },
+      bookingWindowDays: {
+        type: Number,
+        min: 1,
+        max: 365,
+        default: 60
+      },
+      lastUpdated: Date
     }
   },
   
@@ -152,6 +221,19 @@ const userSchema = new mongoose.Schema({
     }]
   },
   
+  // Two-factor authentication (TOTP)
+  mfa: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: { type: String, select: false }, // Encrypted, see utils/mfa
+    pendingSecret: { type: String, select: false }, // Awaiting confirmation during enrolment
+    backupCodes: { type: [String], select: false }, // SHA-256 hashes of unused codes
+    lastUsedStep: { type: Number, select: false }, // Prevents reuse of a TOTP code
+    enabledAt: Date
+  },
+  
   // Preferences
   preferences: {
     notifications: {
@@ -174,10 +256,11 @@ userSchema.virtual('fullName').get(function() {
 
 // Simple indexes (no duplicates - walletAddress and email already indexed by unique: true)
 userSchema.index({ role: 1 });
+userSchema.index({ 'loginSecurity.lockedUntil': 1 }, { sparse: true });
 
 // Instance methods
 userSchema.methods.generateNewNonce = function() {
-  this.nonce = Math.floor(Math.random() * 1000000).toString();
+  this.nonce = crypto.randomBytes(16).toString('hex');
   return this.nonce;
 };
 
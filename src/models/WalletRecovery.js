@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// A request to bind a new wallet to an account whose wallet was lost. Started
+// from an emailed link; tokens are stored hashed and can each be used once.
+const walletRecoverySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Emailed with the waiting-period notice so the owner can stop the change
+  cancelTokenHash: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'awaiting_delay', 'completed', 'cancelled'],
+    default: 'pending'
+  },
+  oldWalletAddress: {
+    type: String,
+    lowercase: true,
+    required: true
+  },
+  newWalletAddress: {
+    type: String,
+    lowercase: true
+  },
+  // How the second check was passed: a TOTP/backup code, or a waiting period
+  secondFactor: {
+    type: String,
+    enum: ['mfa', 'delay']
+  },
+  requestIp: String,
+  confirmedIp: String,
+  confirmedAt: Date,
+  executeAfter: Date,
+  completedAt: Date,
+  cancelledAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.tokenHash;
+      delete ret.cancelTokenHash;
+      return ret;
+    }
+  }
+});
+
+// TTL index - requests are removed once expired; outcomes are kept in the audit log
+walletRecoverySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('WalletRecovery', walletRecoverySchema);
@@ -1,9 +1,14 @@
 const express = require('express');
 const { body, query, param } = require('express-validator');
 const adminController = require('../controllers/adminController');
+const ApiKey = require('../models/ApiKey');
+const { ADMIN_ROLE_NAMES } = require('../config/permissions');
 const { 
   authenticateWallet, 
-  authorize 
+  authorize,
+  requirePermission,
+  requireMfa,
+  enforceRoleMfa
 } = require('../middleware/auth');
 const { 
   validateUserManagement,
@@ -18,20 +23,24 @@ const router = express.Router();
 // Apply authentication and admin authorization to all routes
 router.use(authenticateWallet);
 router.use(authorize('admin'));
+router.use(enforceRoleMfa);
 
 /**
  * @route   GET /api/admin/dashboard
  * @desc    Get admin dashboard overview
- * @access  Private (Admin only)
+ * @access  Private (Admin: dashboard.view)
  */
-router.get('/dashboard', adminController.getDashboard);
+router.get('/dashboard', requirePermission('dashboard.view'), adminController.getDashboard);
 
 /**
  * @route   POST /api/admin/users/manage
  * @desc    Manage users (verify, suspend, activate, delete)
- * @access  Private (Admin only)
+ * @access  Private (Admin: users.manage, two-factor verified; verify also needs
+ *          doctors.verify and admin accounts need admin.roles.manage)
  */
 router.post('/users/manage', [
+  requirePermission('users.manage'),
+  requireMfa,
   adminActionRateLimit,
   body('userId')
     .isMongoId()
@@ -53,9 +62,10 @@ router.post('/users/manage', [
 /**
  * @route   GET /api/admin/users
  * @desc    Get all users with filters and pagination
- * @access  Private (Admin only)
+ * @access  Private (Admin: users.read)
  */
 router.get('/users', [
+  requirePermission('users.read'),
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -91,24 +101,106 @@ router.get('/users', [
   handleValidation
 ], adminController.getUsers);
 
+/**
+ * @route   GET /api/admin/users/locked
+ * @desc    Get accounts locked after repeated failed sign-ins
+ * @access  Private (Admin: users.read)
+ */
+router.get('/users/locked', [
+  requirePermission('users.read'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  handleValidation
+], adminController.getLockedAccounts);
+
+/**
+ * @route   POST /api/admin/users/:userId/unlock
+ * @desc    Unlock an account locked after repeated failed sign-ins
+ * @access  Private (Admin: users.manage)
+ */
+router.post('/users/:userId/unlock', [
+  requirePermission('users.manage'),
+  adminActionRateLimit,
+  param('userId')
+    .isMongoId()
+    .withMessage('Valid user ID is required'),
+  body('reason')
+    .optional()
+    .isLength({ min: 10, max: 500 })
+    .withMessage('Reason must be between 10 and 500 characters'),
+  handleValidation
+], adminController.unlockAccount);
+
 /**
  * @route   GET /api/admin/users/:userId
  * @desc    Get user details with full information
- * @access  Private (Admin only)
+ * @access  Private (Admin: users.read)
  */
 router.get('/users/:userId', [
+  requirePermission('users.read'),
   param('userId')
     .isMongoId()
     .withMessage('Valid user ID is required'),
   handleValidation
 ], adminController.getUserDetails);
 
+/**
+ * @route   GET /api/admin/emergency-access
+ * @desc    Get break-glass emergency accesses for retrospective review
+ * @access  Private (Admin: emergency_access.review)
+ */
+router.get('/emergency-access', [
+  requirePermission('emergency_access.review'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'justified', 'unjustified'])
+    .withMessage('Status must be pending, justified, or unjustified'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  handleValidation
+], adminController.getEmergencyAccessReviews);
+
+/**
+ * @route   POST /api/admin/emergency-access/:accessId/review
+ * @desc    Record the outcome of an emergency access review
+ * @access  Private (Admin: emergency_access.review)
+ */
+router.post('/emergency-access/:accessId/review', [
+  requirePermission('emergency_access.review'),
+  adminActionRateLimit,
+  param('accessId')
+    .isMongoId()
+    .withMessage('Valid access ID is required'),
+  body('outcome')
+    .isIn(['justified', 'unjustified'])
+    .withMessage('Outcome must be justified or unjustified'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters'),
+  handleValidation
+], adminController.reviewEmergencyAccess);
+
 /**
  * @route   GET /api/admin/analytics
  * @desc    Get platform analytics and reports
- * @access  Private (Admin only)
+ * @access  Private (Admin: analytics.view)
  */
 router.get('/analytics', [
+  requirePermission('analytics.view'),
   query('reportType')
     .optional()
     .isIn(['overview', 'user_activity', 'financial', 'consultation', 'ai_usage', 'system_health'])
@@ -128,17 +220,30 @@ router.get('/analytics', [
   handleValidation
 ], adminController.getAnalytics);
 
+/**
+ * @route   GET /api/admin/settings
+ * @desc    Get current system settings
+ * @access  Private (Admin: settings.read)
+ */
+router.get('/settings', requirePermission('settings.read'), adminController.getSystemSettings);
+
 /**
  * @route   PUT /api/admin/settings
- * @desc    Update system settings
- * @access  Private (Admin only)
+ * @desc    Update system settings (saved as a new version; nested objects are merged)
+ * @access  Private (Admin: settings.update)
  */
 router.put('/settings', [
+  requirePermission('settings.update'),
   adminActionRateLimit,
   body('maintenanceMode')
     .optional()
     .isBoolean()
     .withMessage('Maintenance mode must be boolean'),
+  body('maintenanceMessage')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Maintenance message cannot exceed 500 characters'),
   body('maxDailyConsultations')
     .optional()
     .isInt({ min: 1, max: 100 })
@@ -163,19 +268,225 @@ router.put('/settings', [
     .optional()
     .isFloat({ min: 0, max: 1 })
     .withMessage('Emergency threshold must be between 0 and 1'),
+  body('aiSettings.temperature')
+    .optional()
+    .isFloat({ min: 0, max: 2 })
+    .withMessage('Temperature must be between 0 and 2'),
+  body('aiSettings.maxConversationLength')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Max conversation length must be between 1 and 500'),
+  body('aiSettings.model')
+    .optional()
+    .isString()
+    .withMessage('AI model must be a string'),
   body('emailSettings')
     .optional()
     .isObject()
     .withMessage('Email settings must be an object'),
+  body('changeReason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Change reason cannot exceed 500 characters'),
   handleValidation
 ], adminController.updateSystemSettings);
 
+/**
+ * @route   GET /api/admin/settings/history
+ * @desc    Get system settings version history
+ * @access  Private (Admin: settings.read)
+ */
+router.get('/settings/history', [
+  requirePermission('settings.read'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  handleValidation
+], adminController.getSettingsHistory);
+
+/**
+ * @route   POST /api/admin/settings/rollback/:version
+ * @desc    Restore an earlier settings version (saved as a new version)
+ * @access  Private (Admin: settings.update)
+ */
+router.post('/settings/rollback/:version', [
+  requirePermission('settings.update'),
+  adminActionRateLimit,
+  param('version')
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive integer'),
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  handleValidation
+], adminController.rollbackSystemSettings);
+
+/**
+ * @route   GET /api/admin/jobs
+ * @desc    List scheduled jobs with last run and outcome
+ * @access  Private (Admin: jobs.read)
+ */
+router.get('/jobs', requirePermission('jobs.read'), adminController.getJobs);
+
+/**
+ * @route   POST /api/admin/jobs/:name/run
+ * @desc    Trigger a scheduled job manually
+ * @access  Private (Admin: jobs.run)
+ */
+router.post('/jobs/:name/run', [
+  requirePermission('jobs.run'),
+  adminActionRateLimit,
+  param('name')
+    .matches(/^[a-z0-9-]+$/)
+    .withMessage('Invalid job name'),
+  handleValidation
+], adminController.runJob);
+
+/**
+ * @route   GET /api/admin/roles
+ * @desc    Get the admin role and permission matrix
+ * @access  Private (Admin only)
+ */
+router.get('/roles', adminController.getAdminRoles);
+
+/**
+ * @route   PUT /api/admin/users/:userId/roles
+ * @desc    Assign admin roles to an admin
+ * @access  Private (Admin: admin.roles.manage, two-factor verified)
+ */
+router.put('/users/:userId/roles', [
+  requirePermission('admin.roles.manage'),
+  requireMfa,
+  adminActionRateLimit,
+  param('userId')
+    .isMongoId()
+    .withMessage('Valid user ID is required'),
+  body('adminRoles')
+    .isArray({ min: 1 })
+    .withMessage('At least one admin role is required'),
+  body('adminRoles.*')
+    .isIn(ADMIN_ROLE_NAMES)
+    .withMessage(`Admin roles must be one of: ${ADMIN_ROLE_NAMES.join(', ')}`),
+  body('reason')
+    .isLength({ min: 10, max: 500 })
+    .withMessage('Reason must be between 10 and 500 characters'),
+  handleValidation
+], adminController.updateAdminRoles);
+
+/**
+ * @route   GET /api/admin/api-keys
+ * @desc    List API keys issued to integrations
+ * @access  Private (Admin: api_keys.manage)
+ */
+router.get('/api-keys', [
+  requirePermission('api_keys.manage'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('status')
+    .optional()
+    .isIn(['active', 'revoked'])
+    .withMessage('Status must be active or revoked'),
+  handleValidation
+], adminController.getApiKeys);
+
+/**
+ * @route   POST /api/admin/api-keys
+ * @desc    Issue an API key for a partner integration
+ * @access  Private (Admin: api_keys.manage)
+ */
+router.post('/api-keys', [
+  requirePermission('api_keys.manage'),
+  adminActionRateLimit,
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isIn(ApiKey.API_KEY_SCOPES)
+    .withMessage(`Scopes must be one of: ${ApiKey.API_KEY_SCOPES.join(', ')}`),
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Expiry must be a valid ISO date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Expiry must be in the future'),
+  body('rateLimit.maxRequests')
+    .optional()
+    .isInt({ min: 1, max: 100000 })
+    .withMessage('Rate limit must be between 1 and 100000 requests'),
+  body('rateLimit.windowMinutes')
+    .optional()
+    .isInt({ min: 1, max: 1440 })
+    .withMessage('Rate limit window must be between 1 and 1440 minutes'),
+  body('ownerId')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Owner must be a valid user ID'),
+  handleValidation
+], adminController.createApiKey);
+
+/**
+ * @route   POST /api/admin/api-keys/:id/rotate
+ * @desc    Replace an API key's secret
+ * @access  Private (Admin: api_keys.manage)
+ */
+router.post('/api-keys/:id/rotate', [
+  requirePermission('api_keys.manage'),
+  adminActionRateLimit,
+  param('id')
+    .isMongoId()
+    .withMessage('Valid API key ID is required'),
+  body('gracePeriodHours')
+    .optional()
+    .isInt({ min: 0, max: 168 })
+    .withMessage('Grace period must be between 0 and 168 hours'),
+  handleValidation
+], adminController.rotateApiKey);
+
+/**
+ * @route   DELETE /api/admin/api-keys/:id
+ * @desc    Revoke an API key
+ * @access  Private (Admin: api_keys.manage)
+ */
+router.delete('/api-keys/:id', [
+  requirePermission('api_keys.manage'),
+  adminActionRateLimit,
+  param('id')
+    .isMongoId()
+    .withMessage('Valid API key ID is required'),
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  handleValidation
+], adminController.revokeApiKey);
+
 /**
  * @route   GET /api/admin/logs
  * @desc    Get system logs with filtering
- * @access  Private (Admin only)
+ * @access  Private (Admin: logs.read)
  */
 router.get('/logs', [
+  requirePermission('logs.read'),
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -214,9 +525,10 @@ router.get('/logs', [
 /**
  * @route   POST /api/admin/content/moderate
  * @desc    Handle content moderation
- * @access  Private (Admin only)
+ * @access  Private (Admin: content.moderate)
  */
 router.post('/content/moderate', [
+  requirePermission('content.moderate'),
   adminActionRateLimit,
   body('contentType')
     .isIn(['consultation', 'medical_record', 'user_profile', 'message'])
@@ -236,9 +548,10 @@ router.post('/content/moderate', [
 /**
  * @route   POST /api/admin/announcements
  * @desc    Send system-wide announcements
- * @access  Private (Admin only)
+ * @access  Private (Admin: announcements.send)
  */
 router.post('/announcements', [
+  requirePermission('announcements.send'),
   adminActionRateLimit,
   body('title')
     .isLength({ min: 5, max: 100 })
@@ -270,9 +583,10 @@ router.post('/announcements', [
 /**
  * @route   GET /api/admin/doctors/pending-verification
  * @desc    Get doctors pending verification
- * @access  Private (Admin only)
+ * @access  Private (Admin: doctors.verification.read)
  */
 router.get('/doctors/pending-verification', [
+  requirePermission('doctors.verification.read'),
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -323,9 +637,11 @@ router.get('/doctors/pending-verification', [
 /**
  * @route   POST /api/admin/doctors/:doctorId/verify
  * @desc    Verify or reject doctor
- * @access  Private (Admin only)
+ * @access  Private (Admin: doctors.verify, two-factor verified)
  */
 router.post('/doctors/:doctorId/verify', [
+  requirePermission('doctors.verify'),
+  requireMfa,
   adminActionRateLimit,
   param('doctorId')
     .isMongoId()
@@ -424,9 +740,10 @@ router.post('/doctors/:doctorId/verify', [
 /**
  * @route   GET /api/admin/payments/disputes
  * @desc    Get payment disputes
- * @access  Private (Admin only)
+ * @access  Private (Admin: payments.dispute.read)
  */
 router.get('/payments/disputes', [
+  requirePermission('payments.dispute.read'),
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -480,9 +797,11 @@ router.get('/payments/disputes', [
 /**
  * @route   POST /api/admin/payments/:paymentId/resolve-dispute
  * @desc    Resolve payment dispute
- * @access  Private (Admin only)
+ * @access  Private (Admin: payments.dispute.resolve, two-factor verified)
  */
 router.post('/payments/:paymentId/resolve-dispute', [
+  requirePermission('payments.dispute.resolve'),
+  requireMfa,
   adminActionRateLimit,
   param('paymentId')
     .isMongoId()
@@ -578,9 +897,9 @@ router.post('/payments/:paymentId/resolve-dispute', [
 /**
  * @route   GET /api/admin/stats/quick
  * @desc    Get quick statistics for admin overview
- * @access  Private (Admin only)
+ * @access  Private (Admin: dashboard.view)
  */
-router.get('/stats/quick', async (req, res) => {
+router.get('/stats/quick', requirePermission('dashboard.view'), async (req, res) => {
   try {
     const User = require('../models/User');
     const Consultation = require('../models/Consultation');
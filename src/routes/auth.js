@@ -1,6 +1,7 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const AuthNonce = require('../models/AuthNonce');
 const { 
   generateNonce, 
   verifySignature, 
@@ -19,15 +20,132 @@ const { sendEmail } = require('../utils/email');
 const { logAuth, logSecurity, logError } = require('../utils/logger');
 const { success, error: errorResponse } = require('../utils/helpers').responseUtils;
 const { isValidEthereumAddress } = require('../utils/helpers').validationUtils;
+const {
+  SIWE_CONFIG,
+  generateSiweNonce,
+  buildSiweMessage,
+  parseSiweMessage,
+  validateSiweMessage
+} = require('../utils/siwe');
+const {
+  SESSION_CONFIG,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  markSessionMfaVerified,
+  clearSessionMfa,
+  listActiveSessions
+} = require('../utils/sessions');
+const {
+  MFA_CONFIG,
+  encryptSecret,
+  decryptSecret,
+  generateTotpSecret,
+  buildOtpauthUri,
+  matchTotp,
+  generateBackupCodes,
+  isMfaRequiredForRole,
+  issueMfaChallenge,
+  verifyMfaChallenge,
+  verifyMfaCode
+} = require('../utils/mfa');
+const {
+  RECOVERY_CONFIG,
+  startWalletRecovery,
+  findRecoveryByToken,
+  confirmWalletRecovery,
+  completeWalletRecovery,
+  cancelWalletRecovery,
+  getRecoveryUrl
+} = require('../utils/walletRecovery');
+const {
+  isAccountLocked,
+  isIpBlocked,
+  recordFailedLogin,
+  recordSuccessfulLogin
+} = require('../utils/loginSecurity');
 
 const router = express.Router();
 
 // Apply rate limiting to all auth routes
 router.use(authRateLimit);
 
+// 423 for an account locked after repeated failed sign-ins
+const sendAccountLocked = (res, lockedUntil) => {
+  res.set('Retry-After', `${Math.max(Math.ceil((lockedUntil - Date.now()) / 1000), 1)}`);
+  return res.status(423).json(errorResponse(
+    'Account is temporarily locked after too many failed sign-in attempts. Please try again later.',
+    'ACCOUNT_LOCKED'
+  ));
+};
+
+// Record the login, start a session for this device and send its tokens
+const completeSignIn = async (req, res, user, { deviceName, mfaVerified = false } = {}) => {
+  // Update login information
+  await user.updateLoginInfo();
+
+  const { session, refreshToken } = await createSession(user, {
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    deviceName,
+    mfaVerified
+  });
+  const token = generateToken(user._id, user.walletAddress, user.role, session.sessionId);
+
+  logAuth(
+    'auth_success',
+    user._id,
+    user.walletAddress,
+    req.ip,
+    req.get('User-Agent'),
+    true,
+    null,
+    { mfaVerified }
+  );
+
+  // New-country / new-device checks and alert email run in the background
+  recordSuccessfulLogin(user, req);
+
+  // Prepare user data for response (exclude sensitive fields)
+  const userData = {
+    id: user._id,
+    walletAddress: user.walletAddress,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    email: user.email,
+    role: user.role,
+    isEmailVerified: user.isEmailVerified,
+    avatar: user.avatar,
+    createdAt: user.createdAt,
+    lastLogin: user.lastLogin,
+    mfaEnabled: Boolean(user.mfa?.enabled),
+    mfaEnrollmentRequired: !user.mfa?.enabled && isMfaRequiredForRole(user.role)
+  };
+
+  // Add role-specific data
+  if (user.role === 'doctor' && user.doctorProfile) {
+    userData.doctorProfile = {
+      specialization: user.doctorProfile.specialization,
+      isVerified: user.doctorProfile.isVerified,
+      rating: user.doctorProfile.rating,
+      totalReviews: user.doctorProfile.totalReviews,
+      isAvailable: user.doctorProfile.isAvailable
+    };
+  }
+
+  res.json(success({
+    token,
+    refreshToken,
+    sessionId: session.sessionId,
+    user: userData,
+    expiresIn: SESSION_CONFIG.accessTokenExpiresIn
+  }, 'Authentication successful'));
+};
+
 /**
  * @route   POST /api/auth/nonce
- * @desc    Get nonce for wallet signature
+ * @desc    Get a Sign-In with Ethereum (EIP-4361) message to sign
  * @access  Public
  */
 router.post('/nonce', [
@@ -40,38 +158,49 @@ router.post('/nonce', [
       }
       return true;
     }),
+  body('chainId')
+    .optional()
+    .isInt()
+    .toInt()
+    .custom((value) => {
+      if (!SIWE_CONFIG.chainIds.includes(value)) {
+        throw new Error(`Unsupported chain. Supported chain IDs: ${SIWE_CONFIG.chainIds.join(', ')}`);
+      }
+      return true;
+    }),
   handleValidation
 ], async (req, res, next) => {
   try {
     const { walletAddress } = req.body;
     const normalizedAddress = walletAddress.toLowerCase();
+    const chainId = req.body.chainId || SIWE_CONFIG.chainIds[0];
 
-    // Check if user exists, if not create a temporary record
-    let user = await User.findOne({ walletAddress: normalizedAddress });
-    
-    if (!user) {
-      // Create temporary user record for nonce generation
-      user = new User({
-        walletAddress: normalizedAddress,
-        firstName: 'Temp',
-        lastName: 'User',
-        email: `temp_${Date.now()}@temp.com`,
-        role: 'patient',
-        nonce: generateNonce()
-      });
-      await user.save();
-    } else {
-      // Generate new nonce for existing user
-      user.nonce = generateNonce();
-      await user.save();
-    }
+    const issuedAt = new Date();
+    const expirationTime = new Date(issuedAt.getTime() + SIWE_CONFIG.nonceTtlMinutes * 60 * 1000);
 
-    // Generate signature message
-    const message = `HealthFriend Authentication\n\nWallet: ${normalizedAddress}\nNonce: ${user.nonce}\nTimestamp: ${Date.now()}\n\nSign this message to authenticate with HealthFriend.`;
+    // Single-use nonce, removed by TTL once the message expires
+    const authNonce = await AuthNonce.create({
+      nonce: generateSiweNonce(),
+      walletAddress: normalizedAddress,
+      chainId,
+      issuedAt,
+      expiresAt: expirationTime,
+      ipAddress: req.ip
+    });
+
+    const message = buildSiweMessage({
+      address: walletAddress,
+      chainId,
+      nonce: authNonce.nonce,
+      issuedAt,
+      expirationTime
+    });
+
+    const user = await User.findOne({ walletAddress: normalizedAddress }).select('_id');
 
     logAuth(
       'nonce_generated',
-      user._id,
+      user?._id || null,
       normalizedAddress,
       req.ip,
       req.get('User-Agent'),
@@ -80,8 +209,13 @@ router.post('/nonce', [
 
     res.json(success({
       message,
-      nonce: user.nonce,
-      walletAddress: normalizedAddress
+      nonce: authNonce.nonce,
+      walletAddress: normalizedAddress,
+      domain: SIWE_CONFIG.domain,
+      uri: SIWE_CONFIG.uri,
+      chainId,
+      issuedAt,
+      expirationTime
     }, 'Nonce generated successfully'));
 
   } catch (err) {
@@ -96,7 +230,7 @@ router.post('/nonce', [
 
 /**
  * @route   POST /api/auth/verify
- * @desc    Verify wallet signature and authenticate user
+ * @desc    Verify a signed Sign-In with Ethereum message and authenticate user
  * @access  Public
  */
 router.post('/verify', validateWalletSignature, async (req, res, next) => {
@@ -104,6 +238,43 @@ router.post('/verify', validateWalletSignature, async (req, res, next) => {
     const { walletAddress, signature, message } = req.body;
     const normalizedAddress = walletAddress.toLowerCase();
 
+    // Too many failed sign-ins from this IP, whichever wallets they were for
+    if (await isIpBlocked(req.ip)) {
+      logSecurity(
+        'auth_ip_blocked',
+        null,
+        req.ip,
+        req.get('User-Agent'),
+        'high',
+        { walletAddress: normalizedAddress }
+      );
+      return res.status(429).json(errorResponse('Too many failed sign-in attempts. Please try again later.', 'TOO_MANY_FAILED_LOGINS'));
+    }
+
+    const siweMessage = parseSiweMessage(message);
+    if (!siweMessage) {
+      return res.status(400).json(errorResponse('Message is not a valid Sign-In with Ethereum message', 'INVALID_SIWE_MESSAGE'));
+    }
+
+    // Domain, URI, chain and validity window must match this server
+    const messageError = validateSiweMessage(siweMessage, normalizedAddress);
+    if (messageError) {
+      logSecurity(
+        'auth_siwe_message_rejected',
+        null,
+        req.ip,
+        req.get('User-Agent'),
+        'medium',
+        {
+          walletAddress: normalizedAddress,
+          code: messageError.code,
+          domain: siweMessage.domain,
+          chainId: siweMessage.chainId
+        }
+      );
+      return res.status(401).json(errorResponse(messageError.reason, messageError.code));
+    }
+
     // Find user by wallet address
     const user = await User.findOne({ walletAddress: normalizedAddress }).select('+nonce');
     
@@ -116,11 +287,26 @@ router.post('/verify', validateWalletSignature, async (req, res, next) => {
         'medium',
         { walletAddress: normalizedAddress }
       );
+      await recordFailedLogin(null, req, 'user_not_found');
       return res.status(401).json(errorResponse('User not found. Please register first.', 'USER_NOT_FOUND'));
     }
 
-    // Verify the signature
-    const isValidSignature = verifySignature(message, signature, normalizedAddress);
+    if (isAccountLocked(user)) {
+      logSecurity(
+        'auth_locked_account',
+        user._id,
+        req.ip,
+        req.get('User-Agent'),
+        'medium',
+        { walletAddress: normalizedAddress, lockedUntil: user.loginSecurity.lockedUntil }
+      );
+      return sendAccountLocked(res, user.loginSecurity.lockedUntil);
+    }
+
+    // Verify the signature (contract wallets are checked via EIP-1271 on the message's chain)
+    const isValidSignature = await verifySignature(message, signature, normalizedAddress, {
+      chainId: siweMessage.chainId
+    });
     
     if (!isValidSignature) {
       logSecurity(
@@ -131,9 +317,27 @@ router.post('/verify', validateWalletSignature, async (req, res, next) => {
         'high',
         { walletAddress: normalizedAddress }
       );
+      const { locked, lockedUntil } = await recordFailedLogin(user, req, 'invalid_signature');
+      if (locked) {
+        return sendAccountLocked(res, lockedUntil);
+      }
       return res.status(401).json(errorResponse('Invalid signature', 'INVALID_SIGNATURE'));
     }
 
+    // Each nonce signs in once - a replayed signature finds it already used
+    const consumedNonce = await AuthNonce.consume(siweMessage.nonce, normalizedAddress, siweMessage.chainId);
+    if (!consumedNonce) {
+      logSecurity(
+        'auth_nonce_rejected',
+        user._id,
+        req.ip,
+        req.get('User-Agent'),
+        'high',
+        { walletAddress: normalizedAddress, nonce: siweMessage.nonce }
+      );
+      return res.status(401).json(errorResponse('Nonce is invalid, expired or already used', 'INVALID_NONCE'));
+    }
+
     // Check if user account is active
     if (!user.isActive) {
       logSecurity(
@@ -166,55 +370,25 @@ router.post('/verify', validateWalletSignature, async (req, res, next) => {
       ));
     }
 
-    // Update login information
-    await user.updateLoginInfo();
-
-    // Generate JWT token
-    const token = generateToken(user._id, user.walletAddress, user.role);
-
-    // Generate new nonce for next authentication
-    user.nonce = generateNonce();
-    await user.save();
-
-    logAuth(
-      'auth_success',
-      user._id,
-      user.walletAddress,
-      req.ip,
-      req.get('User-Agent'),
-      true
-    );
-
-    // Prepare user data for response (exclude sensitive fields)
-    const userData = {
-      id: user._id,
-      walletAddress: user.walletAddress,
-      firstName: user.firstName,
-      lastName: user.lastName,
-      email: user.email,
-      role: user.role,
-      isEmailVerified: user.isEmailVerified,
-      avatar: user.avatar,
-      createdAt: user.createdAt,
-      lastLogin: user.lastLogin
-    };
+    // Enrolled users finish signing in with a TOTP or backup code
+    if (user.mfa?.enabled) {
+      logAuth(
+        'auth_mfa_challenge_issued',
+        user._id,
+        user.walletAddress,
+        req.ip,
+        req.get('User-Agent'),
+        true
+      );
 
-    // Add role-specific data
-    if (user.role === 'doctor' && user.doctorProfile) {
-      userData.doctorProfile = {
-        specialization: user.doctorProfile.specialization,
-        isVerified: user.doctorProfile.isVerified,
-        rating: user.doctorProfile.rating,
-        totalReviews: user.doctorProfile.totalReviews,
-        isAvailable: user.doctorProfile.isAvailable
-      };
+      return res.json(success({
+        mfaRequired: true,
+        mfaToken: issueMfaChallenge(user, { deviceName: req.body.deviceName }),
+        expiresIn: MFA_CONFIG.challengeExpiresIn
+      }, 'Two-factor authentication required'));
     }
 
-    res.json(success({
-      token,
-      user: userData,
-      expiresIn: process.env.JWT_EXPIRES_IN || '7d'
-    }, 'Authentication successful'));
+    await completeSignIn(req, res, user, { deviceName: req.body.deviceName });
 
   } catch (err) {
     logAuth(
@@ -532,19 +706,45 @@ router.post('/resend-verification', authenticateWallet, async (req, res, next) =
 
 /**
  * @route   POST /api/auth/refresh
- * @desc    Refresh authentication token
- * @access  Private
+ * @desc    Exchange a refresh token for a new access token and refresh token
+ * @access  Public
  */
-router.post('/refresh', authenticateWallet, async (req, res, next) => {
+router.post('/refresh', [
+  body('refreshToken')
+    .isString()
+    .isLength({ min: 32, max: 128 })
+    .withMessage('Refresh token is required'),
+  handleValidation
+], async (req, res, next) => {
   try {
-    const user = await User.findById(req.user.id);
-    
-    if (!user || !user.isActive) {
+    const result = await rotateRefreshToken(req.body.refreshToken, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    if (result.error) {
+      if (result.code === 'REFRESH_TOKEN_REUSED') {
+        logSecurity(
+          'refresh_token_reuse',
+          result.session.user,
+          req.ip,
+          req.get('User-Agent'),
+          'high',
+          { sessionId: result.session.sessionId }
+        );
+      }
+      return res.status(401).json(errorResponse(result.error, result.code));
+    }
+
+    const { session, refreshToken } = result;
+    const user = await User.findById(session.user);
+
+    if (!user || !user.isActive || user.isBanned) {
+      await revokeSession(session.user, session.sessionId, 'account_disabled');
       return res.status(401).json(errorResponse('Invalid user or account inactive', 'INVALID_USER'));
     }
 
-    // Generate new token
-    const newToken = generateToken(user._id, user.walletAddress, user.role);
+    const newToken = generateToken(user._id, user.walletAddress, user.role, session.sessionId);
 
     logAuth(
       'token_refreshed',
@@ -552,17 +752,50 @@ router.post('/refresh', authenticateWallet, async (req, res, next) => {
       user.walletAddress,
       req.ip,
       req.get('User-Agent'),
-      true
+      true,
+      null,
+      { sessionId: session.sessionId }
     );
 
     res.json(success({
       token: newToken,
-      expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+      refreshToken,
+      sessionId: session.sessionId,
+      expiresIn: SESSION_CONFIG.accessTokenExpiresIn
     }, 'Token refreshed successfully'));
 
   } catch (err) {
     logError(err, { 
       context: 'Token Refresh',
+      ip: req.ip
+    });
+    next(err);
+  }
+});
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the devices signed in to the current account
+ * @access  Private
+ */
+router.get('/sessions', authenticateWallet, async (req, res, next) => {
+  try {
+    const sessions = await listActiveSessions(req.user.id);
+
+    res.json(success(sessions.map(session => ({
+      sessionId: session.sessionId,
+      deviceName: session.deviceName,
+      userAgent: session.userAgent,
+      ipAddress: session.ipAddress,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session.sessionId === req.user.sessionId
+    }))));
+
+  } catch (err) {
+    logError(err, { 
+      context: 'List Sessions',
       userId: req.user.id
     });
     next(err);
@@ -570,59 +803,400 @@ router.post('/refresh', authenticateWallet, async (req, res, next) => {
 });
 
 /**
- * @route   POST /api/auth/forgot-password
- * @desc    Request password reset (backup auth method)
+ * @route   DELETE /api/auth/sessions
+ * @desc    Sign out every other device
+ * @access  Private
+ */
+router.delete('/sessions', authenticateWallet, async (req, res, next) => {
+  try {
+    const revokedCount = await revokeUserSessions(req.user.id, {
+      exceptSessionId: req.user.sessionId
+    });
+
+    logAuth(
+      'sessions_revoked',
+      req.user.id,
+      req.user.walletAddress,
+      req.ip,
+      req.get('User-Agent'),
+      true,
+      null,
+      { revokedCount }
+    );
+
+    res.json(success({ revokedCount }, 'Other sessions signed out'));
+
+  } catch (err) {
+    logError(err, { 
+      context: 'Revoke Sessions',
+      userId: req.user.id
+    });
+    next(err);
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Sign out one device
+ * @access  Private
+ */
+router.delete('/sessions/:sessionId', authenticateWallet, async (req, res, next) => {
+  try {
+    const revoked = await revokeSession(req.user.id, req.params.sessionId, 'user_revoked');
+
+    if (!revoked) {
+      return res.status(404).json(errorResponse('Session not found', 'SESSION_NOT_FOUND'));
+    }
+
+    logAuth(
+      'session_revoked',
+      req.user.id,
+      req.user.walletAddress,
+      req.ip,
+      req.get('User-Agent'),
+      true,
+      null,
+      { sessionId: req.params.sessionId }
+    );
+
+    res.json(success(null, 'Session signed out'));
+
+  } catch (err) {
+    logError(err, { 
+      context: 'Revoke Session',
+      userId: req.user.id,
+      sessionId: req.params.sessionId
+    });
+    next(err);
+  }
+});
+
+// Check a signed Sign-In with Ethereum message proves control of a wallet.
+// Returns null when it does, otherwise { status, message, code }.
+const verifyWalletOwnership = async (walletAddress, message, signature) => {
+  const siweMessage = parseSiweMessage(message);
+  if (!siweMessage) {
+    return { status: 400, message: 'Message is not a valid Sign-In with Ethereum message', code: 'INVALID_SIWE_MESSAGE' };
+  }
+
+  const messageError = validateSiweMessage(siweMessage, walletAddress);
+  if (messageError) {
+    return { status: 401, message: messageError.reason, code: messageError.code };
+  }
+
+  const isValidSignature = await verifySignature(message, signature, walletAddress, {
+    chainId: siweMessage.chainId
+  });
+  if (!isValidSignature) {
+    return { status: 401, message: 'Invalid signature', code: 'INVALID_SIGNATURE' };
+  }
+
+  const consumedNonce = await AuthNonce.consume(siweMessage.nonce, walletAddress, siweMessage.chainId);
+  if (!consumedNonce) {
+    return { status: 401, message: 'Nonce is invalid, expired or already used', code: 'INVALID_NONCE' };
+  }
+
+  return null;
+};
+
+// Tell the account owner their wallet was replaced
+const notifyWalletChanged = async (user, oldWalletAddress) => {
+  try {
+    await sendEmail(user.email, 'walletChanged', {
+      firstName: user.firstName,
+      oldWalletAddress,
+      newWalletAddress: user.walletAddress
+    });
+  } catch (emailError) {
+    logError(emailError, { 
+      context: 'Wallet Changed Email',
+      userId: user._id
+    });
+  }
+};
+
+/**
+ * @route   POST /api/auth/recovery/request
+ * @desc    Email a wallet recovery link (POST /api/auth/forgot-password is kept as an alias)
  * @access  Public
  */
-router.post('/forgot-password', [
-  validateEmail,
-  body('email').custom(async (email) => {
-    const user = await User.findOne({ email: email.toLowerCase() });
-    if (!user) {
-      throw new Error('No account found with this email address');
+router.post(['/recovery/request', '/forgot-password'], validateEmail, async (req, res, next) => {
+  try {
+    const email = req.body.email.toLowerCase();
+    const user = await User.findOne({ email });
+
+    // Same response whether or not the account exists
+    if (user && user.isActive && !user.isBanned) {
+      const { token } = await startWalletRecovery(user, { ipAddress: req.ip });
+
+      try {
+        await sendEmail(user.email, 'walletRecovery', {
+          firstName: user.firstName,
+          recoveryUrl: getRecoveryUrl('recover-wallet', token),
+          expiresInMinutes: RECOVERY_CONFIG.tokenTtlMinutes
+        });
+      } catch (emailError) {
+        logError(emailError, { 
+          context: 'Wallet Recovery Email',
+          userId: user._id
+        });
+      }
+
+      logSecurity(
+        'wallet_recovery_requested',
+        user._id,
+        req.ip,
+        req.get('User-Agent'),
+        'medium',
+        { walletAddress: user.walletAddress }
+      );
     }
-    return true;
-  })
+
+    res.json(success(null, 'If an account exists for this email, a recovery link has been sent'));
+
+  } catch (err) {
+    logError(err, { 
+      context: 'Wallet Recovery Request',
+      ip: req.ip
+    });
+    next(err);
+  }
+});
+
+/**
+ * @route   POST /api/auth/recovery/confirm
+ * @desc    Connect a new wallet using the emailed token, a signature from the new
+ *          wallet and a two-factor code (or, without two-factor, a waiting period)
+ * @access  Public
+ */
+router.post('/recovery/confirm', [
+  body('token')
+    .isString()
+    .isLength({ min: 32, max: 128 })
+    .withMessage('Recovery token is required'),
+  body('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  body('backupCode')
+    .optional()
+    .isString()
+    .isLength({ min: 10, max: 20 })
+    .withMessage('Invalid backup code format'),
+  validateWalletSignature
 ], async (req, res, next) => {
   try {
-    const { email } = req.body;
-    const user = await User.findOne({ email: email.toLowerCase() });
+    const { token, walletAddress, signature, message, code, backupCode } = req.body;
+    const newWalletAddress = walletAddress.toLowerCase();
 
-    // Generate reset token
-    const resetToken = generateSecureToken();
-    user.passwordResetToken = resetToken;
-    user.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
-    await user.save();
+    const recovery = await findRecoveryByToken(token);
+    if (!recovery) {
+      return res.status(400).json(errorResponse('Recovery link is invalid, expired or already used', 'INVALID_RECOVERY_TOKEN'));
+    }
 
-    // Send reset email
-    try {
-      await sendEmail(user.email, 'passwordReset', {
-        firstName: user.firstName,
-        lastName: user.lastName
-      }, resetToken);
-      
-      logAuth(
-        'password_reset_requested',
+    const user = await User.findById(recovery.user);
+    if (!user || !user.isActive || user.isBanned) {
+      return res.status(400).json(errorResponse('Recovery link is invalid, expired or already used', 'INVALID_RECOVERY_TOKEN'));
+    }
+
+    if (newWalletAddress === recovery.oldWalletAddress) {
+      return res.status(400).json(errorResponse('This wallet is already connected to your account', 'SAME_WALLET'));
+    }
+
+    if (await User.exists({ walletAddress: newWalletAddress })) {
+      return res.status(409).json(errorResponse('Wallet is already registered to another account', 'WALLET_EXISTS'));
+    }
+
+    const ownershipError = await verifyWalletOwnership(newWalletAddress, message, signature);
+    if (ownershipError) {
+      logSecurity(
+        'wallet_recovery_signature_rejected',
         user._id,
-        user.walletAddress,
         req.ip,
         req.get('User-Agent'),
-        true
+        'high',
+        { newWalletAddress, code: ownershipError.code }
       );
+      return res.status(ownershipError.status).json(errorResponse(ownershipError.message, ownershipError.code));
+    }
+
+    // Second check: two-factor code when enrolled
+    let mfaVerified = false;
+    if (user.mfa?.enabled) {
+      // Failed codes count towards the same lock as failed sign-ins
+      if (isAccountLocked(user)) {
+        return sendAccountLocked(res, user.loginSecurity.lockedUntil);
+      }
 
-      res.json(success(null, 'Password reset instructions sent to your email'));
+      const result = await verifyMfaCode(user._id, { code, backupCode });
+      if (!result.valid) {
+        logSecurity(
+          'wallet_recovery_invalid_mfa_code',
+          user._id,
+          req.ip,
+          req.get('User-Agent'),
+          'high',
+          { newWalletAddress }
+        );
+        const { locked, lockedUntil } = await recordFailedLogin(user, req, 'invalid_recovery_mfa_code');
+        if (locked) {
+          return sendAccountLocked(res, lockedUntil);
+        }
+        return res.status(401).json(errorResponse('Invalid authentication code', 'INVALID_MFA_CODE'));
+      }
+      mfaVerified = true;
+    }
+
+    const result = await confirmWalletRecovery(recovery, {
+      newWalletAddress,
+      mfaVerified,
+      ipAddress: req.ip
+    });
+    if (!result) {
+      return res.status(400).json(errorResponse('Recovery link is invalid, expired or already used', 'INVALID_RECOVERY_TOKEN'));
+    }
+
+    if (mfaVerified) {
+      logSecurity(
+        'wallet_recovered',
+        user._id,
+        req.ip,
+        req.get('User-Agent'),
+        'high',
+        { oldWalletAddress: recovery.oldWalletAddress, newWalletAddress, secondFactor: 'mfa' }
+      );
+      await notifyWalletChanged(result.user, recovery.oldWalletAddress);
+
+      return res.json(success({
+        status: result.recovery.status,
+        walletAddress: result.user.walletAddress
+      }, 'Wallet connected. Sign in with your new wallet.'));
+    }
+
+    try {
+      await sendEmail(user.email, 'walletRecoveryPending', {
+        firstName: user.firstName,
+        oldWalletAddress: recovery.oldWalletAddress,
+        newWalletAddress,
+        executeAfter: result.recovery.executeAfter.toUTCString(),
+        cancelUrl: getRecoveryUrl('cancel-wallet-recovery', result.cancelToken)
+      });
     } catch (emailError) {
       logError(emailError, { 
-        context: 'Password Reset Email',
+        context: 'Wallet Recovery Pending Email',
         userId: user._id
       });
-      res.status(500).json(errorResponse('Failed to send reset email', 'EMAIL_SEND_FAILED'));
     }
 
+    logSecurity(
+      'wallet_recovery_scheduled',
+      user._id,
+      req.ip,
+      req.get('User-Agent'),
+      'high',
+      { oldWalletAddress: recovery.oldWalletAddress, newWalletAddress, executeAfter: result.recovery.executeAfter }
+    );
+
+    res.status(202).json(success({
+      status: result.recovery.status,
+      executeAfter: result.recovery.executeAfter
+    }, `Your new wallet will be connected after ${RECOVERY_CONFIG.delayHours} hours. Use the same link to finish then.`));
+
   } catch (err) {
     logError(err, { 
-      context: 'Forgot Password',
-      email: req.body.email,
+      context: 'Wallet Recovery Confirm',
+      ip: req.ip
+    });
+    next(err);
+  }
+});
+
+/**
+ * @route   POST /api/auth/recovery/complete
+ * @desc    Connect the new wallet once the waiting period is over
+ * @access  Public
+ */
+router.post('/recovery/complete', [
+  body('token')
+    .isString()
+    .isLength({ min: 32, max: 128 })
+    .withMessage('Recovery token is required'),
+  handleValidation
+], async (req, res, next) => {
+  try {
+    const recovery = await findRecoveryByToken(req.body.token, ['awaiting_delay']);
+    if (!recovery) {
+      return res.status(400).json(errorResponse('Recovery link is invalid, expired or cancelled', 'INVALID_RECOVERY_TOKEN'));
+    }
+
+    if (recovery.executeAfter > new Date()) {
+      return res.status(409).json(errorResponse(
+        `The waiting period ends at ${recovery.executeAfter.toISOString()}`,
+        'RECOVERY_DELAY_ACTIVE'
+      ));
+    }
+
+    const result = await completeWalletRecovery(recovery);
+    if (!result) {
+      return res.status(400).json(errorResponse('Recovery link is invalid, expired or cancelled', 'INVALID_RECOVERY_TOKEN'));
+    }
+
+    logSecurity(
+      'wallet_recovered',
+      result.user._id,
+      req.ip,
+      req.get('User-Agent'),
+      'high',
+      { oldWalletAddress: recovery.oldWalletAddress, newWalletAddress: result.user.walletAddress, secondFactor: 'delay' }
+    );
+    await notifyWalletChanged(result.user, recovery.oldWalletAddress);
+
+    res.json(success({
+      status: result.recovery.status,
+      walletAddress: result.user.walletAddress
+    }, 'Wallet connected. Sign in with your new wallet.'));
+
+  } catch (err) {
+    logError(err, { 
+      context: 'Wallet Recovery Complete',
+      ip: req.ip
+    });
+    next(err);
+  }
+});
+
+/**
+ * @route   POST /api/auth/recovery/cancel
+ * @desc    Cancel a scheduled wallet change using the emailed cancel token
+ * @access  Public
+ */
+router.post('/recovery/cancel', [
+  body('cancelToken')
+    .isString()
+    .isLength({ min: 32, max: 128 })
+    .withMessage('Cancel token is required'),
+  handleValidation
+], async (req, res, next) => {
+  try {
+    const recovery = await cancelWalletRecovery(req.body.cancelToken);
+    if (!recovery) {
+      return res.status(400).json(errorResponse('Nothing to cancel - the link is invalid or the change already happened', 'INVALID_CANCEL_TOKEN'));
+    }
+
+    logSecurity(
+      'wallet_recovery_cancelled',
+      recovery.user,
+      req.ip,
+      req.get('User-Agent'),
+      'high',
+      { newWalletAddress: recovery.newWalletAddress }
+    );
+
+    res.json(success(null, 'Wallet change cancelled. Your current wallet stays connected.'));
+
+  } catch (err) {
+    logError(err, { 
+      context: 'Wallet Recovery Cancel',
       ip: req.ip
     });
     next(err);
@@ -631,7 +1205,7 @@ router.post('/forgot-password', [
 
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user (mainly for logging purposes)
+ * @desc    Logout user and end the current session
  * @access  Private
  */
 router.post('/logout', authenticateWallet, async (req, res, next) => {
@@ -644,6 +1218,9 @@ router.post('/logout', authenticateWallet, async (req, res, next) => {
       await user.save();
     }
 
+    // End this device's session so its access and refresh tokens stop working
+    await revokeSession(req.user.id, req.user.sessionId, 'logout');
+
     logAuth(
       'user_logout',
       req.user.id,
@@ -664,6 +1241,361 @@ router.post('/logout', authenticateWallet, async (req, res, next) => {
   }
 });
 
+// A TOTP code or, where allowed, a single-use backup code
+const mfaCodeValidation = [
+  body('code')
+    .optional()
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  body('backupCode')
+    .optional()
+    .isString()
+    .isLength({ min: 10, max: 20 })
+    .withMessage('Invalid backup code format'),
+  body().custom(value => {
+    if (!value.code && !value.backupCode) {
+      throw new Error('An authentication code or backup code is required');
+    }
+    return true;
+  })
+];
+
+/**
+ * @route   GET /api/auth/mfa
+ * @desc    Get two-factor authentication status
+ * @access  Private
+ */
+router.get('/mfa', authenticateWallet, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('+mfa.backupCodes');
+
+    res.json(success({
+      enabled: Boolean(user.mfa?.enabled),
+      enabledAt: user.mfa?.enabledAt || null,
+      required: isMfaRequiredForRole(user.role),
+      backupCodesRemaining: user.mfa?.enabled ? user.mfa.backupCodes.length : 0,
+      verifiedThisSession: req.user.mfaVerified
+    }));
+
+  } catch (err) {
+    logError(err, { 
+      context: 'Get MFA Status',
+      userId: req.user.id
+    });
+    next(err);
+  }
+});
+
+/**
+ * @route   POST /api/auth/mfa/setup
+ * @desc    Start TOTP enrolment and get the provisioning URI for a QR code
+ * @access  Private
+ */
+router.post('/mfa/setup', authenticateWallet, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.mfa?.enabled) {
+      return res.status(409).json(errorResponse('Two-factor authentication is already enabled', 'MFA_ALREADY_ENABLED'));
+    }
+
+    const secret = generateTotpSecret();
+    user.set('mfa.pendingSecret', encryptSecret(secret));
+    await user.save();
+
+    res.json(success({
+      secret,
+      otpauthUri: buildOtpauthUri(secret, user.email || user.walletAddress)
+    }, 'Scan the QR code with your authenticator app, then confirm with a code'));
+
+  } catch (err) {
+    logError(err, { 
+      context: 'MFA Setup',
+      userId: req.user.id
+    });
+    next(err);
+  }
+});
+
+/**
+ * @route   POST /api/auth/mfa/enable
+ * @desc    Confirm TOTP enrolment with a code and receive backup codes
+ * @access  Private
+ */
+router.post('/mfa/enable', [
+  authenticateWallet,
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  handleValidation
+], async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('+mfa.pendingSecret');
+
+    if (user.mfa?.enabled) {
+      return res.status(409).json(errorResponse('Two-factor authentication is already enabled', 'MFA_ALREADY_ENABLED'));
+    }
+
+    if (!user.mfa?.pendingSecret) {
+      return res.status(400).json(errorResponse('Start two-factor setup first', 'MFA_SETUP_REQUIRED'));
+    }
+
+    const step = matchTotp(decryptSecret(user.mfa.pendingSecret), req.body.code);
+    if (step === null) {
+      return res.status(400).json(errorResponse('Invalid authentication code', 'INVALID_MFA_CODE'));
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+
+    user.set('mfa', {
+      enabled: true,
+      secret: user.mfa.pendingSecret,
+      pendingSecret: undefined,
+      backupCodes: hashes,
+      lastUsedStep: step,
+      enabledAt: new Date()
+    });
+    await user.save();
+
+    // Confirming the code also verifies the current session
+    await markSessionMfaVerified(req.user.id, req.user.sessionId);
+
+    logSecurity(
+      'mfa_enabled',
+      user._id,
+      req.ip,
+      req.get('User-Agent'),
+      'medium'
+    );
+
+    res.json(success({
+      backupCodes: codes
+    }, 'Two-factor authentication enabled. Store your backup codes somewhere safe.'));
+
+  } catch (err) {
+    logError(err, { 
+      context: 'MFA Enable',
+      userId: req.user.id
+    });
+    next(err);
+  }
+});
+
+/**
+ * @route   POST /api/auth/mfa/verify
+ * @desc    Complete sign-in with a TOTP or backup code after /api/auth/verify
+ * @access  Public
+ */
+router.post('/mfa/verify', [
+  body('mfaToken')
+    .isJWT()
+    .withMessage('MFA token is required'),
+  ...mfaCodeValidation,
+  handleValidation
+], async (req, res, next) => {
+  try {
+    const challenge = verifyMfaChallenge(req.body.mfaToken);
+    if (!challenge) {
+      return res.status(401).json(errorResponse('Sign-in attempt expired. Please sign in again.', 'INVALID_MFA_TOKEN'));
+    }
+
+    const user = await User.findById(challenge.userId);
+    if (!user || !user.isActive || user.isBanned) {
+      return res.status(401).json(errorResponse('Invalid user or account inactive', 'INVALID_USER'));
+    }
+
+    if (isAccountLocked(user)) {
+      return sendAccountLocked(res, user.loginSecurity.lockedUntil);
+    }
+
+    const result = await verifyMfaCode(user._id, req.body);
+    if (!result.valid) {
+      logSecurity(
+        'auth_invalid_mfa_code',
+        user._id,
+        req.ip,
+        req.get('User-Agent'),
+        'high',
+        { walletAddress: user.walletAddress, method: result.method }
+      );
+      const { locked, lockedUntil } = await recordFailedLogin(user, req, 'invalid_mfa_code');
+      if (locked) {
+        return sendAccountLocked(res, lockedUntil);
+      }
+      return res.status(401).json(errorResponse('Invalid authentication code', 'INVALID_MFA_CODE'));
+    }
+
+    if (result.method === 'backup_code') {
+      logSecurity(
+        'mfa_backup_code_used',
+        user._id,
+        req.ip,
+        req.get('User-Agent'),
+        'medium',
+        { remainingBackupCodes: result.remainingBackupCodes }
+      );
+    }
+
+    await completeSignIn(req, res, user, { deviceName: challenge.deviceName, mfaVerified: true });
+
+  } catch (err) {
+    logError(err, { 
+      context: 'MFA Verify',
+      ip: req.ip
+    });
+    next(err);
+  }
+});
+
+/**
+ * @route   POST /api/auth/mfa/step-up
+ * @desc    Verify a TOTP or backup code for the current session
+ * @access  Private
+ */
+router.post('/mfa/step-up', [
+  authenticateWallet,
+  ...mfaCodeValidation,
+  handleValidation
+], async (req, res, next) => {
+  try {
+    if (!req.user.mfaEnabled) {
+      return res.status(400).json(errorResponse('Two-factor authentication is not enabled', 'MFA_NOT_ENABLED'));
+    }
+
+    // Failed codes count towards the same lock as failed sign-ins; a locked
+    // account's session is ended so it can't keep guessing
+    const user = await User.findById(req.user.id).select('loginSecurity role walletAddress');
+    if (isAccountLocked(user)) {
+      await revokeSession(req.user.id, req.user.sessionId, 'account_locked');
+      return sendAccountLocked(res, user.loginSecurity.lockedUntil);
+    }
+
+    const result = await verifyMfaCode(req.user.id, req.body);
+    if (!result.valid) {
+      logSecurity(
+        'mfa_step_up_failed',
+        req.user.id,
+        req.ip,
+        req.get('User-Agent'),
+        'high',
+        { sessionId: req.user.sessionId, method: result.method }
+      );
+      const { locked, lockedUntil } = await recordFailedLogin(user, req, 'invalid_mfa_step_up_code');
+      if (locked) {
+        await revokeSession(req.user.id, req.user.sessionId, 'account_locked');
+        return sendAccountLocked(res, lockedUntil);
+      }
+      return res.status(401).json(errorResponse('Invalid authentication code', 'INVALID_MFA_CODE'));
+    }
+
+    await markSessionMfaVerified(req.user.id, req.user.sessionId);
+
+    logAuth(
+      'mfa_step_up',
+      req.user.id,
+      req.user.walletAddress,
+      req.ip,
+      req.get('User-Agent'),
+      true,
+      null,
+      { sessionId: req.user.sessionId, method: result.method }
+    );
+
+    res.json(success({
+      remainingBackupCodes: result.remainingBackupCodes
+    }, 'Two-factor verification successful'));
+
+  } catch (err) {
+    logError(err, { 
+      context: 'MFA Step Up',
+      userId: req.user.id
+    });
+    next(err);
+  }
+});
+
+/**
+ * @route   POST /api/auth/mfa/backup-codes
+ * @desc    Replace backup codes (invalidates the old ones)
+ * @access  Private
+ */
+router.post('/mfa/backup-codes', [
+  authenticateWallet,
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be 6 digits'),
+  handleValidation
+], async (req, res, next) => {
+  try {
+    const result = await verifyMfaCode(req.user.id, { code: req.body.code });
+    if (!result.valid) {
+      return res.status(401).json(errorResponse('Invalid authentication code', 'INVALID_MFA_CODE'));
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    await User.updateOne({ _id: req.user.id }, { $set: { 'mfa.backupCodes': hashes } });
+
+    logSecurity(
+      'mfa_backup_codes_regenerated',
+      req.user.id,
+      req.ip,
+      req.get('User-Agent'),
+      'medium'
+    );
+
+    res.json(success({ backupCodes: codes }, 'New backup codes generated'));
+
+  } catch (err) {
+    logError(err, { 
+      context: 'MFA Backup Codes',
+      userId: req.user.id
+    });
+    next(err);
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/mfa
+ * @desc    Turn off two-factor authentication
+ * @access  Private
+ */
+router.delete('/mfa', [
+  authenticateWallet,
+  ...mfaCodeValidation,
+  handleValidation
+], async (req, res, next) => {
+  try {
+    if (isMfaRequiredForRole(req.user.role)) {
+      return res.status(403).json(errorResponse('Two-factor authentication is required for your role', 'MFA_REQUIRED_FOR_ROLE'));
+    }
+
+    const result = await verifyMfaCode(req.user.id, req.body);
+    if (!result.valid) {
+      return res.status(401).json(errorResponse('Invalid authentication code', 'INVALID_MFA_CODE'));
+    }
+
+    await User.updateOne({ _id: req.user.id }, { $set: { mfa: { enabled: false } } });
+    await clearSessionMfa(req.user.id);
+
+    logSecurity(
+      'mfa_disabled',
+      req.user.id,
+      req.ip,
+      req.get('User-Agent'),
+      'high'
+    );
+
+    res.json(success(null, 'Two-factor authentication disabled'));
+
+  } catch (err) {
+    logError(err, { 
+      context: 'MFA Disable',
+      userId: req.user.id
+    });
+    next(err);
+  }
+});
+
 /**
  * @route   GET /api/auth/check-email
  * @desc    Check if email is already registered
@@ -0,0 +1,165 @@
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const consentController = require('../controllers/consentController');
+const {
+  authenticateWallet,
+  authorize,
+  enforceRoleMfa,
+  requireMfaIfEnrolled
+} = require('../middleware/auth');
+const { handleValidation } = require('../middleware/validation');
+const { userRateLimit } = require('../middleware/rateLimit');
+
+const router = express.Router();
+
+const GRANT_SCOPES = ['all_records', 'selected_records'];
+
+// Expiry as an explicit date or a number of days from now
+const expiryValidation = [
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Expiry must be a valid date'),
+  body('durationDays')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Duration must be between 1 and 365 days')
+];
+
+const grantValidation = [
+  body('accessLevel')
+    .optional()
+    .isIn(['read', 'write'])
+    .withMessage('Access level must be read or write'),
+  body('recordIds')
+    .optional()
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Record IDs must be an array of 1 to 100 IDs'),
+  body('recordIds.*')
+    .isMongoId()
+    .withMessage('Invalid record ID'),
+  body('purpose')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Purpose cannot exceed 500 characters'),
+  ...expiryValidation
+];
+
+const grantIdValidation = param('grantId')
+  .isMongoId()
+  .withMessage('Invalid grant ID');
+
+// Apply authentication to all routes
+router.use(authenticateWallet);
+router.use(enforceRoleMfa);
+router.use(authorize('patient', 'doctor'));
+
+// Apply rate limiting
+router.use(userRateLimit(100, 15 * 60 * 1000)); // 100 requests per 15 minutes
+
+/**
+ * @route   GET /api/consents
+ * @desc    Get consent grants (given by a patient, or held by a doctor)
+ * @access  Private (Patient, Doctor)
+ */
+router.get('/', [
+  query('status')
+    .optional()
+    .isIn(['active', 'revoked', 'expired'])
+    .withMessage('Status must be active, revoked, or expired'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  handleValidation
+], consentController.getGrants);
+
+/**
+ * @route   POST /api/consents
+ * @desc    Grant a doctor time-boxed access to all or selected medical records
+ * @access  Private (Patient only, two-factor verified when enrolled)
+ */
+router.post('/', [
+  authorize('patient'),
+  requireMfaIfEnrolled,
+  body('doctorId')
+    .isMongoId()
+    .withMessage('Valid doctor ID is required'),
+  body('scope')
+    .isIn(GRANT_SCOPES)
+    .withMessage(`Scope must be one of: ${GRANT_SCOPES.join(', ')}`),
+  body('recordIds')
+    .if(body('scope').equals('selected_records'))
+    .isArray({ min: 1 })
+    .withMessage('Select at least one record to share'),
+  ...grantValidation,
+  handleValidation
+], consentController.createGrant);
+
+/**
+ * @route   GET /api/consents/ledger
+ * @desc    Get the patient's consent ledger
+ * @access  Private (Patient only)
+ */
+router.get('/ledger', [
+  authorize('patient'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  handleValidation
+], consentController.getLedger);
+
+/**
+ * @route   GET /api/consents/:grantId
+ * @desc    Get a consent grant and its ledger entries
+ * @access  Private (Patient, Doctor on the grant)
+ */
+router.get('/:grantId', [
+  grantIdValidation,
+  handleValidation
+], consentController.getGrant);
+
+/**
+ * @route   PUT /api/consents/:grantId
+ * @desc    Change the records, access level or expiry of an active grant
+ * @access  Private (Patient only, two-factor verified when enrolled)
+ */
+router.put('/:grantId', [
+  authorize('patient'),
+  requireMfaIfEnrolled,
+  grantIdValidation,
+  body('scope')
+    .optional()
+    .isIn(GRANT_SCOPES)
+    .withMessage(`Scope must be one of: ${GRANT_SCOPES.join(', ')}`),
+  ...grantValidation,
+  handleValidation
+], consentController.updateGrant);
+
+/**
+ * @route   DELETE /api/consents/:grantId
+ * @desc    Revoke a consent grant
+ * @access  Private (Patient only)
+ */
+router.delete('/:grantId', [
+  authorize('patient'),
+  grantIdValidation,
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  handleValidation
+], consentController.revokeGrant);
+
+module.exports = router;
@@ -4,8 +4,11 @@ const mongoose = require('mongoose');
 const Consultation = require('../models/Consultation');
 const User = require('../models/User');
 const Payment = require('../models/Payment');
+const ConsultationRecording = require('../models/ConsultationRecording');
+const consultationController = require('../controllers/consultationController');
 const { 
-  authenticateWallet, 
+  authenticateWalletOrApiKey,
+  rejectApiKeys,
   authorize, 
   requireDoctorVerification,
   requireOwnership
@@ -19,12 +22,19 @@ const {
   validatePrescription,
   handleValidation
 } = require('../middleware/validation');
-const { uploadConsultationAttachment } = require('../middleware/upload');
+const {
+  uploadConsultationAttachment,
+  uploadAndEncryptRecordingChunk,
+  openDecryptedDownloadStream
+} = require('../middleware/upload');
 const { consultationBookingRateLimit } = require('../middleware/rateLimit');
 const { aiUtils } = require('../utils/ai');
+const { issueIceServers } = require('../utils/iceServers');
+const { RECORDING_CONFIG, addRecordingChunk, removeStoredFile } = require('../utils/recordings');
 const { sendEmail } = require('../utils/email');
 const { sendNotificationToUser } = require('../sockets/notifications');
-const { logError, logSecurity } = require('../utils/logger');
+const { stopConsultationRecording } = require('../sockets/videoCall');
+const { logError, logSecurity, logMedicalAccess } = require('../utils/logger');
 const { 
   success, 
   error: errorResponse, 
@@ -34,8 +44,9 @@ const { formatDateTime, generateUUID } = require('../utils/helpers');
 
 const router = express.Router();
 
-// Apply authentication to all routes
-router.use(authenticateWallet);
+// Authenticate users by bearer token and partner integrations by X-API-Key;
+// a route without an authorize() scope for keys must use rejectApiKeys
+router.use(authenticateWalletOrApiKey);
 
 /**
  * @route   POST /api/consultations/ai/start
@@ -299,136 +310,9 @@ router.post('/video/book', [
   consultationBookingRateLimit,
   validateConsultationBooking,
   body('doctorId').isMongoId().withMessage('Valid doctor ID required'),
+  body('scheduledDate').isISO8601().withMessage('Scheduled date is required and must be an open slot start time'),
   handleValidation
-], async (req, res, next) => {
-  try {
-    const { doctorId, symptoms, chiefComplaint, scheduledDate, urgencyLevel = 'medium' } = req.body;
-    
-    // Validate doctor
-    const doctor = await User.findOne({
-      _id: doctorId,
-      role: 'doctor',
-      'doctorProfile.isVerified': true,
-      'doctorProfile.isAvailable': true,
-      isActive: true
-    });
-
-    if (!doctor) {
-      return res.status(404).json(errorResponse('Doctor not found or not available', 'DOCTOR_NOT_AVAILABLE'));
-    }
-
-    // Check if scheduled time is available (simple check)
-    const scheduledDateTime = new Date(scheduledDate);
-    const existingConsultation = await Consultation.findOne({
-      doctor: doctorId,
-      scheduledDate: {
-        $gte: new Date(scheduledDateTime.getTime() - 30 * 60 * 1000), // 30 min before
-        $lte: new Date(scheduledDateTime.getTime() + 30 * 60 * 1000)  // 30 min after
-      },
-      status: { $in: ['pending', 'scheduled', 'ongoing'] }
-    });
-
-    if (existingConsultation) {
-      return res.status(409).json(errorResponse('Doctor is not available at this time', 'TIME_SLOT_TAKEN'));
-    }
-
-    // Create consultation
-    const consultation = new Consultation({
-      type: 'video_call',
-      patient: req.user.id,
-      doctor: doctorId,
-      symptoms,
-      chiefComplaint,
-      urgencyLevel,
-      scheduledDate: scheduledDateTime,
-      status: 'pending',
-      meetingId: generateUUID(),
-      payment: {
-        amount: doctor.doctorProfile.consultationFee,
-        currency: 'USD',
-        paymentStatus: 'pending'
-      }
-    });
-
-    await consultation.save();
-
-    // Create payment record
-    const payment = new Payment({
-      payer: req.user.id,
-      payee: doctorId,
-      consultation: consultation._id,
-      serviceType: 'video_consultation',
-      amount: doctor.doctorProfile.consultationFee,
-      serviceFee: doctor.doctorProfile.consultationFee,
-      platformFee: doctor.doctorProfile.consultationFee * 0.05, // 5% platform fee
-      doctorEarnings: doctor.doctorProfile.consultationFee * 0.95,
-      currency: 'USD',
-      status: 'pending'
-    });
-
-    await payment.save();
-
-    // Update consultation with payment reference
-    consultation.payment.paymentId = payment.paymentId;
-    await consultation.save();
-
-    // Send notifications
-    try {
-      // Notify doctor
-      await sendNotificationToUser(doctorId, {
-        type: 'consultation_request',
-        title: 'New Consultation Request',
-        message: `You have a new video consultation request from ${req.user.firstName} ${req.user.lastName}`,
-        priority: 'medium',
-        relatedConsultation: consultation._id
-      });
-
-      // Send emails
-      const patient = await User.findById(req.user.id);
-      await sendEmail(patient.email, 'consultationBooked', patient, doctor, consultation);
-      
-    } catch (notificationError) {
-      logError(notificationError, { 
-        context: 'Consultation Booking Notifications',
-        consultationId: consultation._id
-      });
-    }
-
-    res.status(201).json(success({
-      consultation: {
-        id: consultation._id,
-        consultationId: consultation.consultationId,
-        type: consultation.type,
-        status: consultation.status,
-        scheduledDate: consultation.scheduledDate,
-        meetingId: consultation.meetingId,
-        symptoms: consultation.symptoms,
-        chiefComplaint: consultation.chiefComplaint
-      },
-      doctor: {
-        id: doctor._id,
-        name: `Dr. ${doctor.firstName} ${doctor.lastName}`,
-        specialization: doctor.doctorProfile.specialization,
-        rating: doctor.doctorProfile.rating
-      },
-      payment: {
-        id: payment._id,
-        paymentId: payment.paymentId,
-        amount: payment.amount,
-        currency: payment.currency,
-        status: payment.status
-      }
-    }, 'Video consultation booked successfully'));
-
-  } catch (err) {
-    logError(err, { 
-      context: 'Book Video Consultation',
-      userId: req.user.id,
-      doctorId: req.body.doctorId
-    });
-    next(err);
-  }
-});
+], consultationController.bookVideoConsultation);
 
 /**
  * @route   POST /api/consultations/home-visit/book
@@ -444,131 +328,16 @@ router.post('/home-visit/book', [
   body('visitAddress.city').trim().isLength({ min: 2, max: 100 }),
   body('visitAddress.state').trim().isLength({ min: 2, max: 100 }),
   body('visitAddress.zipCode').trim().isLength({ min: 3, max: 20 }),
+  body('scheduledDate').isISO8601().withMessage('Scheduled date is required and must be an open slot start time'),
   handleValidation
-], async (req, res, next) => {
-  try {
-    const { 
-      doctorId, 
-      symptoms, 
-      chiefComplaint, 
-      scheduledDate, 
-      visitAddress,
-      urgencyLevel = 'medium' 
-    } = req.body;
-    
-    // Validate doctor
-    const doctor = await User.findOne({
-      _id: doctorId,
-      role: 'doctor',
-      'doctorProfile.isVerified': true,
-      'doctorProfile.isAvailable': true,
-      isActive: true
-    });
-
-    if (!doctor) {
-      return res.status(404).json(errorResponse('Doctor not found or not available', 'DOCTOR_NOT_AVAILABLE'));
-    }
-
-    if (!doctor.doctorProfile.homeVisitFee || doctor.doctorProfile.homeVisitFee === 0) {
-      return res.status(400).json(errorResponse('Doctor does not offer home visits', 'HOME_VISITS_NOT_AVAILABLE'));
-    }
-
-    // Create consultation
-    const consultation = new Consultation({
-      type: 'home_visit',
-      patient: req.user.id,
-      doctor: doctorId,
-      symptoms,
-      chiefComplaint,
-      urgencyLevel,
-      scheduledDate: new Date(scheduledDate),
-      visitAddress,
-      status: 'pending',
-      payment: {
-        amount: doctor.doctorProfile.homeVisitFee,
-        currency: 'USD',
-        paymentStatus: 'pending'
-      }
-    });
-
-    await consultation.save();
-
-    // Create payment record
-    const payment = new Payment({
-      payer: req.user.id,
-      payee: doctorId,
-      consultation: consultation._id,
-      serviceType: 'home_visit',
-      amount: doctor.doctorProfile.homeVisitFee,
-      serviceFee: doctor.doctorProfile.homeVisitFee,
-      platformFee: doctor.doctorProfile.homeVisitFee * 0.05,
-      doctorEarnings: doctor.doctorProfile.homeVisitFee * 0.95,
-      currency: 'USD',
-      status: 'pending'
-    });
-
-    await payment.save();
-
-    consultation.payment.paymentId = payment.paymentId;
-    await consultation.save();
-
-    // Send notifications
-    try {
-      await sendNotificationToUser(doctorId, {
-        type: 'consultation_request',
-        title: 'New Home Visit Request',
-        message: `You have a new home visit request from ${req.user.firstName} ${req.user.lastName}`,
-        priority: 'medium',
-        relatedConsultation: consultation._id
-      });
-    } catch (notificationError) {
-      logError(notificationError, { 
-        context: 'Home Visit Booking Notifications',
-        consultationId: consultation._id
-      });
-    }
-
-    res.status(201).json(success({
-      consultation: {
-        id: consultation._id,
-        consultationId: consultation.consultationId,
-        type: consultation.type,
-        status: consultation.status,
-        scheduledDate: consultation.scheduledDate,
-        visitAddress: consultation.visitAddress,
-        symptoms: consultation.symptoms,
-        chiefComplaint: consultation.chiefComplaint
-      },
-      doctor: {
-        id: doctor._id,
-        name: `Dr. ${doctor.firstName} ${doctor.lastName}`,
-        specialization: doctor.doctorProfile.specialization
-      },
-      payment: {
-        id: payment._id,
-        paymentId: payment.paymentId,
-        amount: payment.amount,
-        currency: payment.currency,
-        status: payment.status
-      }
-    }, 'Home visit consultation booked successfully'));
-
-  } catch (err) {
-    logError(err, { 
-      context: 'Book Home Visit',
-      userId: req.user.id,
-      doctorId: req.body.doctorId
-    });
-    next(err);
-  }
-});
+], consultationController.bookHomeVisitConsultation);
 
 /**
  * @route   GET /api/consultations/:id
  * @desc    Get consultation details
- * @access  Private
+ * @access  Private (or API key with consultations:read)
  */
-router.get('/:id', validateId, async (req, res, next) => {
+router.get('/:id', authorize('patient', 'doctor', 'admin', 'consultations:read'), validateId, async (req, res, next) => {
   try {
     const consultationId = req.params.id;
     
@@ -578,6 +347,12 @@ router.get('/:id', validateId, async (req, res, next) => {
       query.patient = req.user.id;
     } else if (req.user.role === 'doctor') {
       query.doctor = req.user.id;
+    } else if (req.user.role === 'api') {
+      // Keys only see consultations of the account their integration acts for
+      if (!req.user.ownerId) {
+        return res.status(404).json(errorResponse('Consultation not found', 'CONSULTATION_NOT_FOUND'));
+      }
+      query.$or = [{ patient: req.user.ownerId }, { doctor: req.user.ownerId }];
     }
     // Admin can access any consultation
 
@@ -685,12 +460,49 @@ router.get('/:id', validateId, async (req, res, next) => {
   }
 });
 
+/**
+ * @route   GET /api/consultations/:id/ice-servers
+ * @desc    Get STUN/TURN servers and short-lived TURN credentials for a video consultation
+ * @access  Private (Consultation participants only)
+ */
+router.get('/:id/ice-servers', rejectApiKeys, validateId, async (req, res, next) => {
+  try {
+    const consultation = await Consultation.findOne({
+      _id: req.params.id,
+      type: 'video_call',
+      $or: [{ patient: req.user.id }, { doctor: req.user.id }]
+    })
+      .populate('doctor', 'doctorProfile.availability')
+      .select('type status scheduledDateTime doctor');
+
+    if (!consultation) {
+      return res.status(404).json(errorResponse('Consultation not found', 'CONSULTATION_NOT_FOUND'));
+    }
+
+    const ice = issueIceServers(consultation, req.user.id);
+    if (ice.error) {
+      return res.status(409).json(errorResponse(ice.error, ice.code));
+    }
+
+    res.json(success(ice, 'ICE servers issued successfully'));
+
+  } catch (err) {
+    logError(err, {
+      context: 'Issue ICE Servers',
+      userId: req.user.id,
+      consultationId: req.params.id
+    });
+    next(err);
+  }
+});
+
 /**
  * @route   PUT /api/consultations/:id/accept
  * @desc    Accept consultation request (Doctor only)
  * @access  Private (Doctor only)
  */
 router.put('/:id/accept', [
+  rejectApiKeys,
   requireDoctorVerification,
   validateId,
   handleValidation
@@ -748,6 +560,7 @@ router.put('/:id/accept', [
  * @access  Private (Doctor only)
  */
 router.put('/:id/decline', [
+  rejectApiKeys,
   requireDoctorVerification,
   validateId,
   body('reason').optional().trim().isLength({ max: 500 }),
@@ -811,6 +624,7 @@ router.put('/:id/decline', [
  * @access  Private (Doctor only)
  */
 router.put('/:id/vitals', [
+  rejectApiKeys,
   requireDoctorVerification,
   validateId,
   validateVitalSigns,
@@ -856,6 +670,7 @@ router.put('/:id/vitals', [
  * @access  Private (Doctor only)
  */
 router.post('/:id/prescription', [
+  rejectApiKeys,
   requireDoctorVerification,
   validateId,
   validatePrescription,
@@ -897,6 +712,7 @@ router.post('/:id/prescription', [
  * @access  Private
  */
 router.put('/:id/rating', [
+  rejectApiKeys,
   validateId,
   validateRating,
   handleValidation
@@ -971,9 +787,10 @@ router.put('/:id/rating', [
 /**
  * @route   GET /api/consultations
  * @desc    Get user's consultations
- * @access  Private
+ * @access  Private (or API key with consultations:read)
  */
 router.get('/', [
+  authorize('patient', 'doctor', 'admin', 'consultations:read'),
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 }),
   query('status').optional().isIn(['pending', 'scheduled', 'ongoing', 'completed', 'cancelled']),
@@ -1000,6 +817,12 @@ router.get('/', [
       query.patient = req.user.id;
     } else if (req.user.role === 'doctor') {
       query.doctor = req.user.id;
+    } else if (req.user.role === 'api') {
+      // Keys only see consultations of the account their integration acts
+      // for; a key without an owner matches none
+      query.$or = req.user.ownerId
+        ? [{ patient: req.user.ownerId }, { doctor: req.user.ownerId }]
+        : [{ _id: null }];
     }
 
     if (status) query.status = status;
@@ -1079,6 +902,7 @@ router.get('/', [
  * @access  Private
  */
 router.post('/:id/attachments', [
+  rejectApiKeys,
   validateId,
   uploadConsultationAttachment,
   handleValidation
@@ -1137,4 +961,247 @@ router.post('/:id/attachments', [
   }
 });
 
-module.exports = router;
\ No newline at end of file
+/**
+ * @route   PUT /api/consultations/:id/recording-consent
+ * @desc    Grant or withdraw consent to record a video consultation
+ * @access  Private (Consultation participants only)
+ */
+router.put('/:id/recording-consent', [
+  rejectApiKeys,
+  validateId,
+  body('granted').isBoolean().withMessage('granted must be a boolean'),
+  handleValidation
+], async (req, res, next) => {
+  try {
+    const consultation = await Consultation.findOne({
+      _id: req.params.id,
+      type: 'video_call',
+      $or: [{ patient: req.user.id }, { doctor: req.user.id }]
+    });
+
+    if (!consultation) {
+      return res.status(404).json(errorResponse('Consultation not found', 'CONSULTATION_NOT_FOUND'));
+    }
+
+    const granted = req.body.granted === true || req.body.granted === 'true';
+    const party = consultation.patient.equals(req.user.id) ? 'patient' : 'doctor';
+
+    consultation.recordingConsent = consultation.recordingConsent || {};
+    consultation.recordingConsent[party] = { granted, updatedAt: new Date() };
+    if (party === 'patient') {
+      consultation.recordingPermission = granted;
+    }
+    await consultation.save();
+
+    // Withdrawing consent ends any recording in progress
+    const recordingStopped = granted ? false : await stopConsultationRecording(consultation._id.toString());
+
+    res.json(success({
+      recordingConsent: consultation.recordingConsent,
+      canRecord: consultation.hasRecordingConsent(),
+      recordingStopped
+    }, `Recording consent ${granted ? 'granted' : 'withdrawn'}`));
+
+  } catch (err) {
+    logError(err, {
+      context: 'Update Recording Consent',
+      userId: req.user.id,
+      consultationId: req.params.id
+    });
+    next(err);
+  }
+});
+
+// Load a recording the current user started and may still upload to
+const loadRecordingForUpload = async (req, res, next) => {
+  try {
+    const recording = await ConsultationRecording.findOne({
+      consultation: req.params.id,
+      recordingId: req.params.recordingId,
+      startedBy: req.user.id
+    });
+
+    if (!recording) {
+      return res.status(404).json(errorResponse('Recording not found', 'RECORDING_NOT_FOUND'));
+    }
+
+    if (recording.status !== 'recording') {
+      return res.status(409).json(errorResponse('Recording has already stopped', 'RECORDING_STOPPED'));
+    }
+
+    const consultation = await Consultation.findById(req.params.id).select('recordingConsent');
+    if (!consultation || !consultation.hasRecordingConsent()) {
+      return res.status(403).json(errorResponse('Recording consent has been withdrawn', 'RECORDING_CONSENT_REQUIRED'));
+    }
+
+    req.recording = recording;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * @route   POST /api/consultations/:id/recordings/:recordingId/chunks
+ * @desc    Upload a client-side recorded chunk (multipart field "chunk", body "sequence").
+ *          Upload the final chunk before emitting stop-recording.
+ * @access  Private (Participant who started the recording)
+ */
+router.post('/:id/recordings/:recordingId/chunks', [
+  rejectApiKeys,
+  validateId,
+  param('recordingId').isUUID().withMessage('Invalid recording ID'),
+  handleValidation,
+  loadRecordingForUpload,
+  ...uploadAndEncryptRecordingChunk
+], async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json(errorResponse('No chunk provided', 'NO_FILES'));
+    }
+
+    const sequence = parseInt(req.body.sequence);
+    if (!Number.isInteger(sequence) || sequence < 0) {
+      await removeStoredFile(req.file.id);
+      return res.status(400).json(errorResponse('sequence must be a non-negative integer', 'VALIDATION_ERROR'));
+    }
+
+    const added = await addRecordingChunk(req.recording, sequence, req.file);
+    if (!added) {
+      return res.status(409).json(errorResponse(
+        'Chunk already uploaded, chunk limit reached or recording stopped',
+        'RECORDING_CHUNK_REJECTED'
+      ));
+    }
+
+    res.status(201).json(success({
+      recordingId: req.recording.recordingId,
+      sequence,
+      size: req.file.size
+    }, 'Recording chunk uploaded successfully'));
+
+  } catch (err) {
+    logError(err, {
+      context: 'Upload Recording Chunk',
+      userId: req.user.id,
+      consultationId: req.params.id,
+      recordingId: req.params.recordingId
+    });
+    next(err);
+  }
+});
+
+/**
+ * @route   GET /api/consultations/:id/recordings
+ * @desc    List recordings of a consultation
+ * @access  Private (Consultation participants only)
+ */
+router.get('/:id/recordings', rejectApiKeys, validateId, async (req, res, next) => {
+  try {
+    const recordings = await ConsultationRecording.find({
+      consultation: req.params.id,
+      $or: [{ patient: req.user.id }, { doctor: req.user.id }]
+    }).sort({ createdAt: -1 });
+
+    res.json(success({
+      recordings: recordings.map(recording => ({
+        recordingId: recording.recordingId,
+        status: recording.status,
+        mimeType: recording.mimeType,
+        startedAt: recording.startedAt,
+        endedAt: recording.endedAt,
+        duration: recording.duration,
+        size: recording.file?.size || null
+      }))
+    }, 'Recordings retrieved successfully'));
+
+  } catch (err) {
+    logError(err, {
+      context: 'List Consultation Recordings',
+      userId: req.user.id,
+      consultationId: req.params.id
+    });
+    next(err);
+  }
+});
+
+/**
+ * @route   GET /api/consultations/:id/recordings/:recordingId
+ * @desc    Stream a decrypted consultation recording
+ * @access  Private (Consultation participants only)
+ */
+router.get('/:id/recordings/:recordingId', [
+  rejectApiKeys,
+  validateId,
+  param('recordingId').isUUID().withMessage('Invalid recording ID'),
+  handleValidation
+], async (req, res, next) => {
+  try {
+    const recording = await ConsultationRecording.findOne({
+      consultation: req.params.id,
+      recordingId: req.params.recordingId
+    });
+
+    if (!recording || !recording.isParticipant(req.user.id)) {
+      if (recording) {
+        logSecurity(
+          'unauthorized_recording_access',
+          req.user.id,
+          req.ip,
+          req.get('User-Agent'),
+          'high',
+          { consultationId: req.params.id, recordingId: req.params.recordingId }
+        );
+      }
+      return res.status(404).json(errorResponse('Recording not found', 'RECORDING_NOT_FOUND'));
+    }
+
+    if (recording.status !== 'available') {
+      return res.status(409).json(errorResponse('Recording is not available yet', 'RECORDING_NOT_AVAILABLE'));
+    }
+
+    logMedicalAccess(
+      'view_consultation_recording',
+      req.user.id,
+      recording.patient.toString(),
+      recording.recordingId,
+      'consultation_recording',
+      req.ip
+    );
+
+    const stream = await openDecryptedDownloadStream(
+      recording.file.fileId,
+      RECORDING_CONFIG.bucket,
+      recording.file.encryptionKey
+    );
+
+    stream.on('error', (error) => {
+      logError(error, {
+        context: 'Stream Consultation Recording',
+        userId: req.user.id,
+        recordingId: recording.recordingId
+      });
+      if (!res.headersSent) {
+        return next(error);
+      }
+      res.destroy(error);
+    });
+
+    res.set({
+      'Content-Type': recording.mimeType,
+      'Content-Disposition': `inline; filename="${recording.file.filename}"`,
+      'Cache-Control': 'no-store'
+    });
+    stream.pipe(res);
+
+  } catch (err) {
+    logError(err, {
+      context: 'Get Consultation Recording',
+      userId: req.user.id,
+      consultationId: req.params.id
+    });
+    next(err);
+  }
+});
+
+module.exports = router;
@@ -2,9 +2,11 @@ const express = require('express');
 const { body, query, param } = require('express-validator');
 const doctorController = require('../controllers/doctorController');
 const { 
-  authenticateWallet, 
+  authenticateWalletOrApiKey,
   authorize, 
-  requireDoctorVerification 
+  requireDoctorVerification,
+  requireMfa,
+  enforceRoleMfa
 } = require('../middleware/auth');
 const { 
   validateDoctorProfile,
@@ -18,8 +20,10 @@ const { uploadProfileDocument } = require('../middleware/upload');
 
 const router = express.Router();
 
-// Apply authentication to all routes
-router.use(authenticateWallet);
+// Authenticate users by bearer token and partner integrations by X-API-Key;
+// a route without an authorize() scope for keys must use rejectApiKeys
+router.use(authenticateWalletOrApiKey);
+router.use(enforceRoleMfa);
 
 /**
  * @route   POST /api/doctors/profile/complete
@@ -117,33 +121,70 @@ router.put('/profile', [
 
 /**
  * @route   POST /api/doctors/availability
- * @desc    Set doctor availability status and schedule
+ * @desc    Set doctor availability status, weekly schedule, exceptions and slot settings
  * @access  Private (Doctor only - Verified)
  */
 router.post('/availability', [
   authorize('doctor'),
   requireDoctorVerification,
   body('status')
+    .optional()
     .isIn(['available', 'busy', 'offline', 'in_consultation'])
     .withMessage('Status must be available, busy, offline, or in_consultation'),
-  body('schedule')
-    .optional()
-    .isObject()
-    .withMessage('Schedule must be an object'),
-  body('schedule.*.start')
-    .optional()
-    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
-    .withMessage('Start time must be in HH:MM format'),
-  body('schedule.*.end')
-    .optional()
-    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
-    .withMessage('End time must be in HH:MM format'),
   body('timeZone')
     .optional()
     .isLength({ min: 3, max: 50 })
     .withMessage('Time zone must be valid'),
+  body('weeklySchedule')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Weekly schedule must be an array'),
+  body('weeklySchedule.*.dayOfWeek')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Day of week must be between 0 (Sunday) and 6 (Saturday)'),
+  body(['weeklySchedule.*.start', 'weeklySchedule.*.end', 'exceptions.*.hours.*.start', 'exceptions.*.hours.*.end'])
+    .matches(/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage('Times must be in HH:MM format'),
+  body('exceptions')
+    .optional()
+    .isArray({ max: 366 })
+    .withMessage('Exceptions must be an array'),
+  body('exceptions.*.date')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Exception date must be in YYYY-MM-DD format'),
+  body('exceptions.*.isAvailable')
+    .optional()
+    .isBoolean()
+    .withMessage('Exception availability must be boolean'),
+  body('vacations')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('Vacations must be an array'),
+  body(['vacations.*.from', 'vacations.*.to'])
+    .isISO8601()
+    .withMessage('Vacation dates must be valid ISO dates'),
+  body('bufferMinutes')
+    .optional()
+    .isInt({ min: 0, max: 120 })
+    .withMessage('Buffer must be between 0 and 120 minutes'),
+  body('slotDurations.video_call')
+    .optional()
+    .isInt({ min: 15, max: 240 })
+    .withMessage('Video consultation slots must be between 15 and 240 minutes'),
+  body('slotDurations.home_visit')
+    .optional()
+    .isInt({ min: 15, max: 480 })
+    .withMessage('Home visit slots must be between 15 and 480 minutes'),
+  body('minNoticeMinutes')
+    .optional()
+    .isInt({ min: 0, max: 10080 })
+    .withMessage('Minimum notice must be between 0 and 10080 minutes'),
+  body('bookingWindowDays')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Booking window must be between 1 and 365 days'),
   handleValidation
-], doctorController.setAvailability);
+], doctorController.setAvailability.bind(doctorController));
 
 /**
  * @route   GET /api/doctors/dashboard
@@ -323,11 +364,12 @@ router.get('/performance', [
 /**
  * @route   GET /api/doctors/patients/:patientId/history
  * @desc    Get patient medical history (for consultation)
- * @access  Private (Doctor only - Verified)
+ * @access  Private (Doctor only - Verified, two-factor verified)
  */
 router.get('/patients/:patientId/history', [
   authorize('doctor'),
   requireDoctorVerification,
+  requireMfa,
   param('patientId')
     .isMongoId()
     .withMessage('Valid patient ID is required'),
@@ -337,9 +379,10 @@ router.get('/patients/:patientId/history', [
 /**
  * @route   GET /api/doctors/search
  * @desc    Search for doctors (Public endpoint for patients)
- * @access  Public
+ * @access  Public (or API key with doctors:read)
  */
 router.get('/search', [
+  authorize('patient', 'doctor', 'admin', 'doctors:read'),
   query('specialization')
     .optional()
     .isIn([
@@ -450,12 +493,38 @@ router.get('/search', [
   }
 });
 
+/**
+ * @route   GET /api/doctors/:doctorId/slots
+ * @desc    Get bookable slots for a doctor
+ * @access  Private (or API key with doctors:read)
+ */
+router.get('/:doctorId/slots', [
+  authorize('patient', 'doctor', 'admin', 'doctors:read'),
+  param('doctorId')
+    .isMongoId()
+    .withMessage('Valid doctor ID is required'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid ISO date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid ISO date'),
+  query('type')
+    .optional()
+    .isIn(['video_call', 'home_visit'])
+    .withMessage('Type must be video_call or home_visit'),
+  handleValidation
+], doctorController.getSlots);
+
 /**
  * @route   GET /api/doctors/:doctorId/profile
  * @desc    Get doctor public profile
- * @access  Public
+ * @access  Public (or API key with doctors:read)
  */
 router.get('/:doctorId/profile', [
+  authorize('patient', 'doctor', 'admin', 'doctors:read'),
   param('doctorId')
     .isMongoId()
     .withMessage('Valid doctor ID is required'),
@@ -515,9 +584,9 @@ router.get('/:doctorId/profile', [
 /**
  * @route   GET /api/doctors/specializations/list
  * @desc    Get list of available medical specializations
- * @access  Public
+ * @access  Public (or API key with doctors:read)
  */
-router.get('/specializations/list', (req, res) => {
+router.get('/specializations/list', authorize('patient', 'doctor', 'admin', 'doctors:read'), (req, res) => {
   const specializations = [
     { value: 'general_medicine', label: 'General Medicine', description: 'Primary care and general health issues' },
     { value: 'cardiology', label: 'Cardiology', description: 'Heart and cardiovascular system' },
@@ -0,0 +1,53 @@
+const express = require('express');
+const { query, param } = require('express-validator');
+const fhirController = require('../controllers/fhirController');
+const {
+  authenticateWallet,
+  authorize,
+  enforceRoleMfa,
+  requireMfaIfEnrolled
+} = require('../middleware/auth');
+const { handleValidation } = require('../middleware/validation');
+const { userRateLimit } = require('../middleware/rateLimit');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateWallet);
+router.use(enforceRoleMfa);
+router.use(authorize('patient', 'doctor'));
+
+// Apply rate limiting
+router.use(userRateLimit(30, 15 * 60 * 1000)); // 30 requests per 15 minutes
+
+/**
+ * @route   GET /api/fhir/Patient/:id/$everything
+ * @desc    Export a patient's records as a FHIR R4 Bundle
+ * @access  Private (Patient for own records, Doctor with access; two-factor verified when enrolled)
+ */
+router.get('/Patient/:id/\\$everything', [
+  requireMfaIfEnrolled,
+  param('id')
+    .isMongoId()
+    .withMessage('Valid patient ID is required'),
+  handleValidation
+], fhirController.getPatientEverything);
+
+/**
+ * @route   POST /api/fhir/Patient/:id/$import
+ * @desc    Import a FHIR R4 Bundle as medical records
+ * @access  Private (Patient for own records, Doctor for treated patients)
+ */
+router.post('/Patient/:id/\\$import', [
+  param('id')
+    .isMongoId()
+    .withMessage('Valid patient ID is required'),
+  query('sourceSystem')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Source system must be between 1 and 100 characters'),
+  handleValidation
+], fhirController.importBundle);
+
+module.exports = router;
@@ -0,0 +1,335 @@
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const medicalRecordController = require('../controllers/medicalRecordController');
+const {
+  authenticateWalletOrApiKey,
+  rejectApiKeys,
+  authorize,
+  requireDoctorVerification,
+  enforceRoleMfa
+} = require('../middleware/auth');
+const {
+  validateMedicalRecord,
+  validateVitalSigns,
+  validatePrescription,
+  validateId,
+  handleValidation
+} = require('../middleware/validation');
+const { userRateLimit } = require('../middleware/rateLimit');
+const { EMERGENCY_ACCESS_CONFIG } = require('../utils/emergencyAccess');
+
+const router = express.Router();
+
+const RECORD_TYPES = [
+  'consultation_note', 'prescription', 'lab_result', 'imaging',
+  'vaccination', 'allergy', 'surgery', 'discharge_summary',
+  'referral', 'vital_signs', 'progress_note', 'other'
+];
+
+const ACCESS_LEVELS = ['private', 'doctor_only', 'emergency_only', 'research_consented'];
+
+// Optional clinical content accepted on create and update
+const recordContentValidation = [
+  body('accessLevel')
+    .optional()
+    .isIn(ACCESS_LEVELS)
+    .withMessage(`Access level must be one of: ${ACCESS_LEVELS.join(', ')}`),
+  body('recordDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Record date must be a valid date'),
+  body('tags')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Tags must be an array of at most 20 items'),
+  body(['symptoms', 'labResults', 'imagingStudies', 'medications', 'procedures', 'allergies', 'immunizations'])
+    .optional()
+    .isArray()
+    .withMessage('Must be an array'),
+  body(['diagnosis', 'vitals'])
+    .optional()
+    .isObject()
+    .withMessage('Must be an object')
+];
+
+// Authenticate users by bearer token and partner integrations by X-API-Key;
+// a route without an authorize() scope for keys must use rejectApiKeys
+router.use(authenticateWalletOrApiKey);
+router.use(enforceRoleMfa);
+router.use(authorize('patient', 'doctor', 'medical_records:read'));
+
+// Apply rate limiting
+router.use(userRateLimit(100, 15 * 60 * 1000)); // 100 requests per 15 minutes
+
+/**
+ * @route   GET /api/medical-records
+ * @desc    Get a patient's medical records (own records for patients; records a doctor wrote when no patient is given)
+ * @access  Private (Patient, Doctor, or API key with medical_records:read on records shared with it)
+ */
+router.get('/', [
+  query('patientId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid patient ID is required'),
+  query('recordType')
+    .optional()
+    .isIn(RECORD_TYPES)
+    .withMessage('Invalid record type'),
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Search term must be between 2 and 100 characters'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  handleValidation
+], medicalRecordController.getRecords);
+
+/**
+ * @route   POST /api/medical-records
+ * @desc    Create a medical record
+ * @access  Private (Doctor for treated patients, Patient for own history)
+ */
+router.post('/', [
+  rejectApiKeys,
+  body('consultationId')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid consultation ID is required'),
+  ...recordContentValidation,
+  ...validateMedicalRecord
+], medicalRecordController.createRecord);
+
+/**
+ * @route   POST /api/medical-records/emergency-access
+ * @desc    Break-glass emergency access to a patient's critical information
+ * @access  Private (Doctor only - Verified)
+ */
+router.post('/emergency-access', [
+  authorize('doctor'),
+  requireDoctorVerification,
+  body('patientId')
+    .isMongoId()
+    .withMessage('Valid patient ID is required'),
+  body('reason')
+    .trim()
+    .isLength({ min: EMERGENCY_ACCESS_CONFIG.minReasonLength, max: 1000 })
+    .withMessage(`Reason must be between ${EMERGENCY_ACCESS_CONFIG.minReasonLength} and 1000 characters`),
+  handleValidation
+], medicalRecordController.startEmergencyAccess);
+
+/**
+ * @route   GET /api/medical-records/emergency-access
+ * @desc    Get emergency access history (on a patient's records, or started by a doctor)
+ * @access  Private (Patient, Doctor)
+ */
+router.get('/emergency-access', [
+  rejectApiKeys,
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  handleValidation
+], medicalRecordController.getEmergencyAccessHistory);
+
+/**
+ * @route   GET /api/medical-records/emergency-access/:accessId
+ * @desc    View a patient's critical information during emergency access
+ * @access  Private (Doctor who started the access)
+ */
+router.get('/emergency-access/:accessId', [
+  authorize('doctor'),
+  param('accessId')
+    .isMongoId()
+    .withMessage('Invalid access ID'),
+  handleValidation
+], medicalRecordController.getEmergencyAccess);
+
+/**
+ * @route   POST /api/medical-records/emergency-access/:accessId/end
+ * @desc    End emergency access before it expires
+ * @access  Private (Doctor who started the access)
+ */
+router.post('/emergency-access/:accessId/end', [
+  authorize('doctor'),
+  param('accessId')
+    .isMongoId()
+    .withMessage('Invalid access ID'),
+  handleValidation
+], medicalRecordController.endEmergencyAccess);
+
+/**
+ * @route   GET /api/medical-records/:id
+ * @desc    Get a medical record
+ * @access  Private (Patient, Doctor with access, or API key with medical_records:read on records shared with it)
+ */
+router.get('/:id', validateId, medicalRecordController.getRecord);
+
+/**
+ * @route   PUT /api/medical-records/:id
+ * @desc    Update a medical record (previous state is kept as a version)
+ * @access  Private (Patient, Doctor with write access)
+ */
+router.put('/:id', [
+  rejectApiKeys,
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Title must be between 5 and 200 characters'),
+  body('recordType')
+    .optional()
+    .isIn(RECORD_TYPES)
+    .withMessage('Invalid record type'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Description cannot exceed 2000 characters'),
+  body('validationStatus')
+    .optional()
+    .isIn(['draft', 'pending_review', 'reviewed', 'approved', 'rejected'])
+    .withMessage('Invalid validation status'),
+  body('reviewNotes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Review notes cannot exceed 1000 characters'),
+  body('changeDescription')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Change description cannot exceed 200 characters'),
+  ...recordContentValidation,
+  handleValidation
+], medicalRecordController.updateRecord);
+
+/**
+ * @route   DELETE /api/medical-records/:id
+ * @desc    Soft-delete a medical record
+ * @access  Private (Authoring doctor, Patient for self-reported records)
+ */
+router.delete('/:id', [
+  rejectApiKeys,
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+  body('reason')
+    .trim()
+    .isLength({ min: 10, max: 500 })
+    .withMessage('Reason must be between 10 and 500 characters'),
+  handleValidation
+], medicalRecordController.deleteRecord);
+
+/**
+ * @route   GET /api/medical-records/:id/versions
+ * @desc    Get the version history of a medical record
+ * @access  Private (Patient, Doctor with access, or API key with medical_records:read on records shared with it)
+ */
+router.get('/:id/versions', validateId, medicalRecordController.getVersions);
+
+/**
+ * @route   GET /api/medical-records/:id/versions/:version
+ * @desc    Get a previous version of a medical record
+ * @access  Private (Patient, Doctor with access, or API key with medical_records:read on records shared with it)
+ */
+router.get('/:id/versions/:version', [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+  param('version')
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive integer'),
+  handleValidation
+], medicalRecordController.getVersion);
+
+/**
+ * @route   POST /api/medical-records/:id/lab-results
+ * @desc    Add a lab result to a medical record
+ * @access  Private (Doctor only - Verified, with write access)
+ */
+router.post('/:id/lab-results', [
+  authorize('doctor'),
+  requireDoctorVerification,
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+  body('testName')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Test name is required'),
+  body('result.value')
+    .notEmpty()
+    .withMessage('Result value is required'),
+  body('result.unit')
+    .optional()
+    .trim()
+    .isLength({ max: 50 }),
+  body('result.normalRange')
+    .optional()
+    .trim()
+    .isLength({ max: 100 }),
+  body('result.flag')
+    .optional()
+    .isIn(['normal', 'high', 'low', 'critical', 'abnormal'])
+    .withMessage('Flag must be normal, high, low, critical, or abnormal'),
+  body('laboratory')
+    .optional()
+    .trim()
+    .isLength({ max: 200 }),
+  handleValidation
+], medicalRecordController.addLabResult);
+
+/**
+ * @route   POST /api/medical-records/:id/medications
+ * @desc    Add a medication to a medical record
+ * @access  Private (Doctor only - Verified, with write access)
+ */
+router.post('/:id/medications', [
+  authorize('doctor'),
+  requireDoctorVerification,
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+  body('route')
+    .optional()
+    .isIn(['oral', 'topical', 'injection', 'inhalation', 'rectal', 'sublingual', 'other'])
+    .withMessage('Invalid route'),
+  body(['strength', 'indication'])
+    .optional()
+    .trim()
+    .isLength({ max: 200 }),
+  ...validatePrescription
+], medicalRecordController.addMedication);
+
+/**
+ * @route   POST /api/medical-records/:id/vitals
+ * @desc    Record vital signs on a medical record
+ * @access  Private (Patient, Doctor with write access)
+ */
+router.post('/:id/vitals', [
+  rejectApiKeys,
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID format'),
+  body('respiratoryRate')
+    .optional()
+    .isInt({ min: 5, max: 60 })
+    .withMessage('Respiratory rate must be between 5 and 60'),
+  ...validateVitalSigns
+], medicalRecordController.addVitals);
+
+module.exports = router;
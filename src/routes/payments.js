@@ -2,9 +2,14 @@ const express = require('express');
 const { body, query, param } = require('express-validator');
 const paymentController = require('../controllers/paymentController');
 const { 
-  authenticateWallet, 
+  authenticateApiKey,
+  authenticateWalletOrApiKey,
+  rejectApiKeys,
   authorize, 
-  requireOwnership 
+  requireOwnership,
+  requirePermission,
+  requireMfa,
+  verifyWebhookSignature
 } = require('../middleware/auth');
 const { 
   validatePaymentCreation,
@@ -17,8 +22,28 @@ const { paymentRateLimit } = require('../middleware/rateLimit');
 
 const router = express.Router();
 
-// Apply authentication to all routes
-router.use(authenticateWallet);
+/**
+ * @route   POST /api/payments/webhook/blockchain
+ * @desc    Webhook for blockchain payment confirmations
+ * @access  Private (API key with payments:webhook, HMAC signed)
+ */
+router.post('/webhook/blockchain', [
+  authenticateApiKey,
+  authorize('payments:webhook'),
+  verifyWebhookSignature(process.env.BLOCKCHAIN_WEBHOOK_SECRET),
+  body('transactionHash')
+    .matches(/^0x[a-fA-F0-9]{64}$/)
+    .withMessage('Valid transaction hash is required'),
+  body('blockNumber').isInt({ min: 0 }),
+  body('blockHash').optional().matches(/^0x[a-fA-F0-9]{64}$/),
+  body('confirmations').optional().isInt({ min: 0 }),
+  body('status').isIn(['confirmed', 'failed']),
+  handleValidation
+], paymentController.handleBlockchainWebhook.bind(paymentController));
+
+// Authenticate users by bearer token and partner integrations by X-API-Key;
+// a route without an authorize() scope for keys must use rejectApiKeys
+router.use(authenticateWalletOrApiKey);
 
 /**
  * @route   POST /api/payments/create-intent
@@ -38,7 +63,7 @@ router.post('/create-intent', [
     .isIn(['ETH', 'USDC', 'USDT', 'HFT'])
     .withMessage('Token symbol must be ETH, USDC, USDT, or HFT'),
   handleValidation
-], paymentController.createPaymentIntent);
+], paymentController.createPaymentIntent.bind(paymentController));
 
 /**
  * @route   POST /api/payments/verify
@@ -51,10 +76,10 @@ router.post('/verify', [
     .isMongoId()
     .withMessage('Valid payment ID is required'),
   body('transactionHash')
-    .isLength({ min: 66, max: 66 })
+    .matches(/^0x[a-fA-F0-9]{64}$/)
     .withMessage('Valid transaction hash is required'),
   handleValidation
-], paymentController.verifyPayment);
+], paymentController.verifyPayment.bind(paymentController));
 
 /**
  * @route   GET /api/payments/history
@@ -62,6 +87,7 @@ router.post('/verify', [
  * @access  Private
  */
 router.get('/history', [
+  rejectApiKeys,
   query('page')
     .optional()
     .isInt({ min: 1 })
@@ -88,9 +114,10 @@ router.get('/history', [
 /**
  * @route   GET /api/payments/:paymentId
  * @desc    Get payment details
- * @access  Private (Owner or Admin)
+ * @access  Private (Owner or Admin, or API key with payments:read)
  */
 router.get('/:paymentId', [
+  authorize('patient', 'doctor', 'admin', 'payments:read'),
   param('paymentId')
     .isMongoId()
     .withMessage('Valid payment ID is required'),
@@ -103,6 +130,7 @@ router.get('/:paymentId', [
  * @access  Private (Patient or Admin)
  */
 router.post('/refund', [
+  rejectApiKeys,
   body('paymentId')
     .isMongoId()
     .withMessage('Valid payment ID is required'),
@@ -115,10 +143,10 @@ router.post('/refund', [
 /**
  * @route   GET /api/payments/analytics/overview
  * @desc    Get payment analytics (Admin only)
- * @access  Private (Admin only)
+ * @access  Private (Admin: payments.read)
  */
 router.get('/analytics/overview', [
-  authorize('admin'),
+  requirePermission('payments.read'),
   query('startDate')
     .optional()
     .isISO8601()
@@ -139,7 +167,7 @@ router.get('/analytics/overview', [
  * @desc    Get supported payment tokens
  * @access  Public
  */
-router.get('/tokens/supported', (req, res) => {
+router.get('/tokens/supported', rejectApiKeys, (req, res) => {
   const supportedTokens = {
     ETH: {
       symbol: 'ETH',
@@ -182,7 +210,7 @@ router.get('/tokens/supported', (req, res) => {
  * @desc    Get current token exchange rates
  * @access  Public
  */
-router.get('/rates/current', async (req, res) => {
+router.get('/rates/current', rejectApiKeys, async (req, res) => {
   try {
     // In a real app, fetch from price oracle or API
     const rates = {
@@ -205,42 +233,13 @@ router.get('/rates/current', async (req, res) => {
   }
 });
 
-/**
- * @route   POST /api/payments/webhook/blockchain
- * @desc    Webhook for blockchain payment confirmations
- * @access  Private (Webhook only)
- */
-router.post('/webhook/blockchain', [
-  body('transactionHash').notEmpty(),
-  body('blockNumber').isNumeric(),
-  body('status').isIn(['confirmed', 'failed']),
-  handleValidation
-], async (req, res) => {
-  try {
-    const { transactionHash, blockNumber, status } = req.body;
-    
-    // Verify webhook authenticity (implement signature verification)
-    const webhookSecret = req.headers['x-webhook-secret'];
-    if (webhookSecret !== process.env.BLOCKCHAIN_WEBHOOK_SECRET) {
-      return res.status(401).json({ error: 'Unauthorized webhook' });
-    }
-
-    // Process blockchain confirmation
-    // Implementation would depend on your blockchain monitoring service
-    
-    res.json({ success: true, processed: true });
-  } catch (error) {
-    res.status(500).json({ error: 'Webhook processing failed' });
-  }
-});
-
 /**
  * @route   GET /api/payments/dispute/:paymentId
  * @desc    Get payment dispute details
- * @access  Private (Admin only)
+ * @access  Private (Admin: payments.dispute.read)
  */
 router.get('/dispute/:paymentId', [
-  authorize('admin'),
+  requirePermission('payments.dispute.read'),
   param('paymentId').isMongoId(),
   handleValidation
 ], async (req, res) => {
@@ -261,10 +260,11 @@ router.get('/dispute/:paymentId', [
 /**
  * @route   POST /api/payments/dispute/:paymentId/resolve
  * @desc    Resolve payment dispute
- * @access  Private (Admin only)
+ * @access  Private (Admin: payments.dispute.resolve, two-factor verified)
  */
 router.post('/dispute/:paymentId/resolve', [
-  authorize('admin'),
+  requirePermission('payments.dispute.resolve'),
+  requireMfa,
   param('paymentId').isMongoId(),
   body('resolution').isIn(['refund', 'no_action', 'partial_refund']),
   body('notes').isLength({ min: 10, max: 1000 }),
@@ -3,11 +3,13 @@ const { body, query, param } = require('express-validator');
 const User = require('../models/User');
 const MedicalRecord = require('../models/MedicalRecord');
 const Consultation = require('../models/Consultation');
+const DataExport = require('../models/DataExport');
 const { 
   authenticateWallet, 
   authorize, 
   requireEmailVerification,
-  requireOwnership
+  requireOwnership,
+  requireMfaIfEnrolled
 } = require('../middleware/auth');
 const { 
   validateProfileUpdate, 
@@ -18,7 +20,16 @@ const {
 const { uploadAndProcessAvatar } = require('../middleware/upload');
 const { userRateLimit } = require('../middleware/rateLimit');
 const { sendEmail } = require('../utils/email');
-const { logError, logSecurity } = require('../utils/logger');
+const { logError, logSecurity, logMedicalAccess } = require('../utils/logger');
+const { revokeUserSessions } = require('../utils/sessions');
+const {
+  DATA_EXPORT_CONFIG,
+  requestDataExport,
+  getDownloadUrl,
+  findDownloadableExport,
+  openExportStream
+} = require('../utils/dataExport');
+const { runJob } = require('../jobs');
 const { 
   success, 
   error: errorResponse, 
@@ -33,6 +44,95 @@ const {
 
 const router = express.Router();
 
+// Export status as returned to its owner
+const formatDataExport = (dataExport) => ({
+  id: dataExport._id,
+  status: dataExport.status,
+  requestedAt: dataExport.createdAt,
+  completedAt: dataExport.completedAt,
+  expiresAt: dataExport.expiresAt,
+  summary: dataExport.summary,
+  size: dataExport.file?.size,
+  checksumSHA256: dataExport.file?.checksumSHA256,
+  downloadUrl: dataExport.status === 'ready' && dataExport.expiresAt > new Date()
+    ? getDownloadUrl(dataExport)
+    : null
+});
+
+/**
+ * @route   GET /api/users/export/:exportId/download
+ * @desc    Download a data export archive via its signed, expiring link
+ * @access  Public (signed link)
+ */
+router.get('/export/:exportId/download', [
+  param('exportId')
+    .isMongoId()
+    .withMessage('Valid export ID is required'),
+  query('token')
+    .isJWT()
+    .withMessage('Download token is required'),
+  handleValidation
+], async (req, res, next) => {
+  try {
+    const dataExport = await findDownloadableExport(req.params.exportId, req.query.token);
+
+    if (!dataExport) {
+      logSecurity(
+        'data_export_invalid_link',
+        null,
+        req.ip,
+        req.get('User-Agent'),
+        'medium',
+        { exportId: req.params.exportId }
+      );
+      return res.status(404).json(errorResponse('Download link is invalid or has expired', 'EXPORT_LINK_INVALID'));
+    }
+
+    await DataExport.updateOne(
+      { _id: dataExport._id },
+      { $inc: { downloadCount: 1 }, $set: { lastDownloadedAt: new Date() } }
+    );
+
+    const userId = dataExport.user.toString();
+    logMedicalAccess(
+      'data_export_download',
+      userId,
+      userId,
+      dataExport._id.toString(),
+      'data_export',
+      req.ip
+    );
+
+    const stream = await openExportStream(dataExport);
+
+    stream.on('error', (error) => {
+      logError(error, {
+        context: 'Stream Data Export',
+        exportId: dataExport._id
+      });
+      if (!res.headersSent) {
+        return next(error);
+      }
+      res.destroy(error);
+    });
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${dataExport.file.filename}"`,
+      'Cache-Control': 'no-store'
+    });
+    stream.pipe(res);
+
+  } catch (err) {
+    logError(err, {
+      context: 'Download Data Export',
+      exportId: req.params.exportId,
+      ip: req.ip
+    });
+    next(err);
+  }
+});
+
 // Apply authentication to all routes
 router.use(authenticateWallet);
 
@@ -598,6 +698,71 @@ router.get('/search', [
   }
 });
 
+/**
+ * @route   POST /api/users/export
+ * @desc    Request a downloadable copy of all of the user's data
+ * @access  Private (two-factor verified when enrolled)
+ */
+router.post('/export', requireMfaIfEnrolled, async (req, res, next) => {
+  try {
+    const result = await requestDataExport(req.user.id, { ipAddress: req.ip });
+
+    if (result.error) {
+      return res.status(429).json(errorResponse(result.error, result.code));
+    }
+
+    if (result.created) {
+      logSecurity(
+        'data_export_requested',
+        req.user.id,
+        req.ip,
+        req.get('User-Agent'),
+        'medium',
+        { exportId: result.dataExport._id }
+      );
+
+      // Start building now rather than on the next scheduled run
+      runJob('process-data-exports', 'request', req.user.id).catch(error => {
+        logError(error, { context: 'Trigger Data Export', exportId: result.dataExport._id });
+      });
+    }
+
+    res.status(202).json(success(
+      formatDataExport(result.dataExport),
+      `Your data export is being prepared. A download link valid for ${DATA_EXPORT_CONFIG.linkTtlHours} hours will be emailed to you.`
+    ));
+
+  } catch (err) {
+    logError(err, {
+      context: 'Request Data Export',
+      userId: req.user.id
+    });
+    next(err);
+  }
+});
+
+/**
+ * @route   GET /api/users/export
+ * @desc    Get the user's data exports and their status
+ * @access  Private (two-factor verified when enrolled)
+ */
+router.get('/export', requireMfaIfEnrolled, async (req, res, next) => {
+  try {
+    const exports = await DataExport.find({ user: req.user.id })
+      .sort({ createdAt: -1 })
+      .limit(10);
+
+    res.json(success(exports.map(formatDataExport), 'Data exports retrieved successfully'));
+
+  } catch (err) {
+    logError(err, {
+      context: 'Get Data Exports',
+      userId: req.user.id
+    });
+    next(err);
+  }
+});
+
 /**
  * @route   GET /api/users/:id
  * @desc    Get user by ID (public profile)
@@ -760,6 +925,9 @@ router.delete('/account', [
     
     await user.save();
 
+    // Sign out every device
+    await revokeUserSessions(user._id, { reason: 'account_disabled' });
+
     logSecurity(
       'account_deactivated',
       user._id,
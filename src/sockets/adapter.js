@@ -0,0 +1,23 @@
+const { createAdapter } = require('@socket.io/redis-adapter');
+const { createRedisClient } = require('../config/redis');
+const { logInfo } = require('../utils/logger');
+
+// Broadcasts through Redis pub/sub so rooms span every API instance
+const setupSocketAdapter = (io) => {
+  const pubClient = createRedisClient('socket-pub');
+  const subClient = createRedisClient('socket-sub');
+
+  if (!pubClient || !subClient) {
+    logInfo('Redis not configured - Socket.IO rooms are local to this instance');
+    return false;
+  }
+
+  io.adapter(createAdapter(pubClient, subClient, { key: 'healthfriend:socket.io' }));
+
+  logInfo('Socket.IO Redis adapter initialized');
+  return true;
+};
+
+module.exports = {
+  setupSocketAdapter
+};
@@ -1,10 +1,24 @@
 const { logError, logAuth } = require('../utils/logger');
 const Notification = require('../models/Notification');
 const User = require('../models/User');
+const Consultation = require('../models/Consultation');
+const { namespaceAuth, socketRateLimit } = require('../middleware/socketAuth');
+const {
+  getField,
+  getHash,
+  setField,
+  addMember,
+  removeMember,
+  countMembers,
+  expireKeys
+} = require('./stateStore');
+
+// Presence and socket membership live in the shared state store so every
+// API instance sees them. Presence: hash userId -> presence; membership: set of socket ids per user
+const PRESENCE_KEY = 'presence';
+const userSocketsKey = (userId) => `users:${userId}:sockets`;
+const userRoom = (userId) => `notifications_${userId}`;
 
-// User presence tracking
-const userPresence = new Map();
-const userSockets = new Map();
 const notificationQueue = new Map();
 
 // Notification types and priorities
@@ -47,12 +61,157 @@ const DELIVERY_CONFIG = {
   maxBatchSize: 10,
   retryAttempts: 3,
   retryDelay: 2000, // 2 seconds
-  presenceTimeout: 300000 // 5 minutes before marking as away
+  presenceTimeout: 300000, // 5 minutes before marking as away
+  membershipTtl: 120, // seconds; refreshed by heartbeats so a crashed instance's sockets age out
+  // Consultations whose patient and doctor see each other's presence
+  presenceConsultationStatuses: ['confirmed', 'scheduled', 'in_progress', 'ongoing']
+};
+
+// Notification history filters a client may send
+const HISTORY_FILTER_FIELDS = ['type', 'isRead', 'priority'];
+
+// Running /notifications namespace, set once setupNotifications is called
+let notificationNamespace = null;
+
+// Check the recipient's preferences for this notification
+const isWantedByUser = async (userId, notification) => {
+  const user = await User.findById(userId)
+    .select('notificationPreferences')
+    .lean();
+
+  return shouldSendNotification(notification, user?.notificationPreferences || {});
+};
+
+// Emit a notification to a socket or room and record the delivery
+const emitNotification = async (target, notification) => {
+  target.emit('notification', {
+    id: notification._id,
+    type: notification.type,
+    title: notification.title,
+    message: notification.message,
+    priority: notification.priority,
+    category: notification.category,
+    sender: notification.sender,
+    relatedConsultation: notification.relatedConsultation,
+    richContent: notification.richContent,
+    createdAt: notification.createdAt,
+    expiresAt: notification.expiresAt
+  });
+
+  // Update delivery status
+  await Notification.findByIdAndUpdate(notification._id, {
+    'appDelivery.delivered': true,
+    'appDelivery.deliveredAt': new Date(),
+    'analytics.impressions': { $inc: 1 }
+  });
+};
+
+// Send notification to specific socket
+const sendNotificationToSocket = async (socket, notification) => {
+  try {
+    // Check if user wants this type of notification
+    if (!(await isWantedByUser(socket.userId, notification))) {
+      return false;
+    }
+
+    await emitNotification(socket, notification);
+    return true;
+  } catch (error) {
+    logError(error, { 
+      context: 'Send Notification to Socket',
+      notificationId: notification._id,
+      userId: socket.userId
+    });
+    return false;
+  }
+};
+
+// Send notification to all of a user's sockets, on whichever instance they are connected
+const sendNotificationToUserRoom = async (userId, notification) => {
+  try {
+    if (!(await isWantedByUser(userId, notification))) {
+      return false;
+    }
+
+    await emitNotification(notificationNamespace.to(userRoom(userId)), notification);
+    return true;
+  } catch (error) {
+    logError(error, { 
+      context: 'Send Notification to User Room',
+      notificationId: notification._id,
+      userId
+    });
+    return false;
+  }
+};
+
+// Update user presence
+const updateUserPresence = async (userId, state, metadata = {}) => {
+  const currentPresence = (await getField(PRESENCE_KEY, userId)) || {};
+  
+  const updatedPresence = {
+    ...currentPresence,
+    ...metadata
+  };
+
+  if (state) {
+    updatedPresence.state = state;
+  }
+
+  await setField(PRESENCE_KEY, userId, updatedPresence);
+};
+
+// Check if notification should be sent based on user preferences
+const shouldSendNotification = (notification, preferences) => {
+  // Always send critical notifications
+  if (notification.priority === PRIORITY_LEVELS.CRITICAL) {
+    return true;
+  }
+
+  // Check general notification preference
+  if (preferences.push === false) {
+    return false;
+  }
+
+  // Check specific type preferences
+  const typePreferences = {
+    consultation_request: preferences.consultationReminders,
+    consultation_accepted: preferences.consultationReminders,
+    payment_received: preferences.paymentNotifications,
+    payment_failed: preferences.paymentNotifications,
+    promotional_offer: preferences.marketingEmails,
+    system_announcement: true // Always send system announcements
+  };
+
+  const shouldSend = typePreferences[notification.type];
+  return shouldSend !== false; // Default to true if not specified
+};
+
+// Users who may see a user's presence: the other side of their open consultations
+const getPresenceContacts = async (userId) => {
+  const consultations = await Consultation.find({
+    $or: [{ patient: userId }, { doctor: userId }],
+    status: { $in: DELIVERY_CONFIG.presenceConsultationStatuses }
+  })
+    .select('patient doctor')
+    .lean();
+
+  const contacts = new Set();
+  consultations.forEach(consultation => {
+    [consultation.patient, consultation.doctor]
+      .filter(id => id && id.toString() !== userId.toString())
+      .forEach(id => contacts.add(id.toString()));
+  });
+  return [...contacts];
 };
 
 // Setup notifications socket handlers
 const setupNotifications = (io) => {
-  const notificationNamespace = io.of('/notifications');
+  notificationNamespace = io.of('/notifications');
+
+  // Only authenticated users may connect
+  notificationNamespace.use(namespaceAuth('/notifications'));
+  notificationNamespace.use(socketRateLimit);
   
   notificationNamespace.on('connection', (socket) => {
     console.log(`Notification socket connected: ${socket.id} (User: ${socket.userId})`);
@@ -70,19 +229,21 @@ const setupNotifications = (io) => {
     );
 
     // Initialize user presence and socket tracking
-    initializeUserConnection(socket);
+    initializeUserConnection(socket).catch(error => {
+      logError(error, { context: 'Initialize Notification Connection', userId: socket.userId });
+    });
 
     // Join user-specific notification room
     socket.on('subscribe-notifications', async (data, callback) => {
       try {
-        const roomName = `notifications_${socket.userId}`;
+        const roomName = userRoom(socket.userId);
         socket.join(roomName);
         
         // Send pending notifications
         await sendPendingNotifications(socket);
         
         // Mark user as online
-        updateUserPresence(socket.userId, PRESENCE_STATES.ONLINE, {
+        await updateUserPresence(socket.userId, PRESENCE_STATES.ONLINE, {
           lastSeen: new Date(),
           socketId: socket.id,
           deviceInfo: socket.handshake.headers['user-agent']
@@ -105,23 +266,28 @@ const setupNotifications = (io) => {
     });
 
     // Handle notification acknowledgment
-    socket.on('ack-notification', async (data) => {
+    socket.on('ack-notification', async (data, callback) => {
       try {
         const { notificationId, action } = data;
         
         if (!notificationId) return;
 
-        // Update notification in database
-        await Notification.findByIdAndUpdate(notificationId, {
+        // Only the recipient may acknowledge a notification
+        const notification = await Notification.findOneAndUpdate({ _id: notificationId, recipient: socket.userId }, {
           isRead: true,
           readAt: new Date(),
           'appDelivery.opened': true,
           'appDelivery.openedAt': new Date()
         });
 
+        if (!notification) {
+          if (typeof callback === 'function') callback({ error: 'Notification not found' });
+          return;
+        }
+
         // If action was taken (like clicking a button)
         if (action) {
-          await Notification.findByIdAndUpdate(notificationId, {
+          await Notification.findOneAndUpdate({ _id: notificationId, recipient: socket.userId }, {
             'appDelivery.clicked': true,
             'appDelivery.clickedAt': new Date(),
             'analytics.clicks': { $inc: 1 }
@@ -131,6 +297,8 @@ const setupNotifications = (io) => {
         // Remove from queue if present
         removeFromQueue(socket.userId, notificationId);
 
+        if (typeof callback === 'function') callback({ success: true });
+
         console.log(`Notification ${notificationId} acknowledged by ${socket.userId}`);
       } catch (error) {
         logError(error, { 
@@ -138,16 +306,17 @@ const setupNotifications = (io) => {
           userId: socket.userId,
           notificationId: data.notificationId
         });
+        if (typeof callback === 'function') callback({ error: 'Failed to acknowledge notification' });
       }
     });
 
     // Handle notification action (button clicks, etc.)
-    socket.on('notification-action', async (data) => {
+    socket.on('notification-action', async (data, callback) => {
       try {
         const { notificationId, action, actionData } = data;
         
-        // Update notification analytics
-        await Notification.findByIdAndUpdate(notificationId, {
+        // Update notification analytics (only on the recipient's own notifications)
+        const notification = await Notification.findOneAndUpdate({ _id: notificationId, recipient: socket.userId }, {
           'analytics.conversions': { $inc: 1 },
           $push: {
             'actionHistory': {
@@ -159,9 +328,16 @@ const setupNotifications = (io) => {
           }
         });
 
+        if (!notification) {
+          if (typeof callback === 'function') callback({ error: 'Notification not found' });
+          return;
+        }
+
         // Handle specific actions
         await handleNotificationAction(socket, action, actionData);
 
+        if (typeof callback === 'function') callback({ success: true });
+
         console.log(`Notification action: ${action} by ${socket.userId}`);
       } catch (error) {
         logError(error, { 
@@ -169,23 +345,27 @@ const setupNotifications = (io) => {
           userId: socket.userId,
           action: data.action
         });
+        if (typeof callback === 'function') callback({ error: 'Failed to record notification action' });
       }
     });
 
     // Update user presence
-    socket.on('presence-update', (data) => {
+    socket.on('presence-update', async (data) => {
       try {
         const { state, statusMessage } = data;
         
         if (Object.values(PRESENCE_STATES).includes(state)) {
-          updateUserPresence(socket.userId, state, {
+          await updateUserPresence(socket.userId, state, {
             statusMessage,
             lastSeen: new Date(),
             socketId: socket.id
           });
 
-          // Notify contacts about presence change (if needed)
-          socket.broadcast.emit('user-presence-change', {
+          // Only the other side of the user's open consultations sees the change
+          const contacts = await getPresenceContacts(socket.userId);
+          if (contacts.length === 0) return;
+
+          socket.to(contacts.map(userRoom)).emit('user-presence-change', {
             userId: socket.userId,
             state,
             statusMessage,
@@ -204,11 +384,17 @@ const setupNotifications = (io) => {
     socket.on('get-notification-history', async (data, callback) => {
       try {
         const { page = 1, limit = 20, filter = {} } = data;
+
+        // Clients may narrow by a few fields; the recipient is always this user
+        const query = {};
+        HISTORY_FILTER_FIELDS.forEach(field => {
+          if (['string', 'boolean'].includes(typeof filter[field])) {
+            query[field] = filter[field];
+          }
+        });
+        query.recipient = socket.userId;
         
-        const notifications = await Notification.find({
-          recipient: socket.userId,
-          ...filter
-        })
+        const notifications = await Notification.find(query)
         .sort({ createdAt: -1 })
         .skip((page - 1) * limit)
         .limit(limit)
@@ -216,10 +402,7 @@ const setupNotifications = (io) => {
         .populate('relatedConsultation', 'consultationId type scheduledDate')
         .lean();
 
-        const total = await Notification.countDocuments({
-          recipient: socket.userId,
-          ...filter
-        });
+        const total = await Notification.countDocuments(query);
 
         callback({
           success: true,
@@ -335,9 +518,9 @@ const setupNotifications = (io) => {
     });
 
     // Handle socket disconnect
-    socket.on('disconnect', (reason) => {
+    socket.on('disconnect', async (reason) => {
       try {
-        handleUserDisconnect(socket, reason);
+        await handleUserDisconnect(socket, reason);
         
         logAuth(
           'notification_socket_disconnected',
@@ -368,8 +551,13 @@ const setupNotifications = (io) => {
       socket.emit('heartbeat', { timestamp: Date.now() });
     }, 30000); // Every 30 seconds
 
-    socket.on('heartbeat-response', () => {
-      updateUserPresence(socket.userId, null, { lastSeen: new Date() });
+    socket.on('heartbeat-response', async () => {
+      try {
+        await updateUserPresence(socket.userId, null, { lastSeen: new Date() });
+        await expireKeys(DELIVERY_CONFIG.membershipTtl, userSocketsKey(socket.userId));
+      } catch (error) {
+        logError(error, { context: 'Notification Heartbeat', userId: socket.userId });
+      }
     });
 
     socket.on('disconnect', () => {
@@ -378,14 +566,15 @@ const setupNotifications = (io) => {
   });
 
   // Initialize user connection tracking
-  const initializeUserConnection = (socket) => {
+  const initializeUserConnection = async (socket) => {
     const userId = socket.userId;
+
+    // Personal room reaches the user's sockets on every instance
+    socket.join(userRoom(userId));
     
     // Track user sockets
-    if (!userSockets.has(userId)) {
-      userSockets.set(userId, new Set());
-    }
-    userSockets.get(userId).add(socket.id);
+    await addMember(userSocketsKey(userId), socket.id);
+    await expireKeys(DELIVERY_CONFIG.membershipTtl, userSocketsKey(userId));
 
     // Initialize notification queue if doesn't exist
     if (!notificationQueue.has(userId)) {
@@ -393,38 +582,19 @@ const setupNotifications = (io) => {
     }
   };
 
-  // Update user presence
-  const updateUserPresence = (userId, state, metadata = {}) => {
-    const currentPresence = userPresence.get(userId) || {};
-    
-    const updatedPresence = {
-      ...currentPresence,
-      ...metadata
-    };
-
-    if (state) {
-      updatedPresence.state = state;
-    }
-
-    userPresence.set(userId, updatedPresence);
-  };
-
   // Handle user disconnect
-  const handleUserDisconnect = (socket, reason) => {
+  const handleUserDisconnect = async (socket, reason) => {
     const userId = socket.userId;
     
     // Remove socket from tracking
-    if (userSockets.has(userId)) {
-      userSockets.get(userId).delete(socket.id);
+    const remainingSockets = await removeMember(userSocketsKey(userId), socket.id);
       
-      // If no more sockets for this user, mark as offline
-      if (userSockets.get(userId).size === 0) {
-        updateUserPresence(userId, PRESENCE_STATES.OFFLINE, {
-          lastSeen: new Date(),
-          disconnectReason: reason
-        });
-        userSockets.delete(userId);
-      }
+    // If no more sockets for this user, mark as offline
+    if (remainingSockets === 0) {
+      await updateUserPresence(userId, PRESENCE_STATES.OFFLINE, {
+        lastSeen: new Date(),
+        disconnectReason: reason
+      });
     }
   };
 
@@ -437,6 +607,7 @@ const setupNotifications = (io) => {
       const pendingNotifications = await Notification.find({
         recipient: userId,
         'appDelivery.delivered': { $ne: true },
+        isScheduled: { $ne: true }, // Scheduled notifications are released by the job runner
         createdAt: { $gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) } // Last 7 days
       })
       .sort({ createdAt: -1 })
@@ -460,80 +631,6 @@ const setupNotifications = (io) => {
     }
   };
 
-  // Send notification to specific socket
-  const sendNotificationToSocket = async (socket, notification) => {
-    try {
-      // Check user notification preferences
-      const user = await User.findById(socket.userId)
-        .select('notificationPreferences')
-        .lean();
-
-      const preferences = user?.notificationPreferences || {};
-      
-      // Check if user wants this type of notification
-      if (!shouldSendNotification(notification, preferences)) {
-        return false;
-      }
-
-      // Send notification
-      socket.emit('notification', {
-        id: notification._id,
-        type: notification.type,
-        title: notification.title,
-        message: notification.message,
-        priority: notification.priority,
-        category: notification.category,
-        sender: notification.sender,
-        relatedConsultation: notification.relatedConsultation,
-        richContent: notification.richContent,
-        createdAt: notification.createdAt,
-        expiresAt: notification.expiresAt
-      });
-
-      // Update delivery status
-      await Notification.findByIdAndUpdate(notification._id, {
-        'appDelivery.delivered': true,
-        'appDelivery.deliveredAt': new Date(),
-        'analytics.impressions': { $inc: 1 }
-      });
-
-      return true;
-    } catch (error) {
-      logError(error, { 
-        context: 'Send Notification to Socket',
-        notificationId: notification._id,
-        userId: socket.userId
-      });
-      return false;
-    }
-  };
-
-  // Check if notification should be sent based on user preferences
-  const shouldSendNotification = (notification, preferences) => {
-    // Always send critical notifications
-    if (notification.priority === PRIORITY_LEVELS.CRITICAL) {
-      return true;
-    }
-
-    // Check general notification preference
-    if (preferences.push === false) {
-      return false;
-    }
-
-    // Check specific type preferences
-    const typePreferences = {
-      consultation_request: preferences.consultationReminders,
-      consultation_accepted: preferences.consultationReminders,
-      payment_received: preferences.paymentNotifications,
-      payment_failed: preferences.paymentNotifications,
-      promotional_offer: preferences.marketingEmails,
-      system_announcement: true // Always send system announcements
-    };
-
-    const shouldSend = typePreferences[notification.type];
-    return shouldSend !== false; // Default to true if not specified
-  };
-
   // Handle notification actions
   const handleNotificationAction = async (socket, action, actionData) => {
     try {
@@ -590,11 +687,12 @@ const setupNotifications = (io) => {
 
       // Mark inactive users as away
       const now = Date.now();
-      for (const [userId, presence] of userPresence.entries()) {
+      const presenceByUser = await getHash(PRESENCE_KEY);
+      for (const [userId, presence] of Object.entries(presenceByUser)) {
         if (presence.lastSeen && 
-            now - presence.lastSeen.getTime() > DELIVERY_CONFIG.presenceTimeout &&
-            presence.state !== PRESENCE_STATES.OFFLINE) {
-          updateUserPresence(userId, PRESENCE_STATES.AWAY);
+            now - new Date(presence.lastSeen).getTime() > DELIVERY_CONFIG.presenceTimeout &&
+            ![PRESENCE_STATES.OFFLINE, PRESENCE_STATES.AWAY].includes(presence.state)) {
+          await updateUserPresence(userId, PRESENCE_STATES.AWAY);
         }
       }
 
@@ -622,25 +720,7 @@ const sendNotificationToUser = async (userId, notificationData) => {
 
     await notification.save();
 
-    // Try to deliver immediately if user is online
-    const userSocketIds = userSockets.get(userId);
-    if (userSocketIds && userSocketIds.size > 0) {
-      const notificationNamespace = require('socket.io')().of('/notifications');
-      
-      // Send to all user's connected sockets
-      for (const socketId of userSocketIds) {
-        const socket = notificationNamespace.sockets.get(socketId);
-        if (socket) {
-          await sendNotificationToSocket(socket, notification);
-        }
-      }
-    } else {
-      // Queue for delivery when user comes online
-      if (!notificationQueue.has(userId)) {
-        notificationQueue.set(userId, []);
-      }
-      notificationQueue.get(userId).push(notification);
-    }
+    await deliverNotification(notification);
 
     return { success: true, notificationId: notification._id };
   } catch (error) {
@@ -653,6 +733,23 @@ const sendNotificationToUser = async (userId, notificationData) => {
   }
 };
 
+// Deliver a saved notification to the recipient's sockets, or queue it until they connect
+const deliverNotification = async (notification) => {
+  const userId = notification.recipient.toString();
+
+  // Try to deliver immediately if user is online on any instance
+  const isOnline = (await countMembers(userSocketsKey(userId))) > 0;
+  if (notificationNamespace && isOnline) {
+    await sendNotificationToUserRoom(userId, notification);
+  } else {
+    // Queue for delivery when user comes online
+    if (!notificationQueue.has(userId)) {
+      notificationQueue.set(userId, []);
+    }
+    notificationQueue.get(userId).push(notification);
+  }
+};
+
 // Broadcast notification to multiple users
 const broadcastNotification = async (userIds, notificationData) => {
   const results = [];
@@ -666,27 +763,26 @@ const broadcastNotification = async (userIds, notificationData) => {
 };
 
 // Get user presence status
-const getUserPresence = (userId) => {
-  return userPresence.get(userId) || { state: PRESENCE_STATES.OFFLINE };
+const getUserPresence = async (userId) => {
+  return (await getField(PRESENCE_KEY, userId)) || { state: PRESENCE_STATES.OFFLINE };
 };
 
 // Get online users count
-const getOnlineUsersCount = () => {
-  let count = 0;
-  for (const presence of userPresence.values()) {
-    if (presence.state === PRESENCE_STATES.ONLINE) {
-      count++;
-    }
-  }
-  return count;
+const getOnlineUsersCount = async () => {
+  const presenceByUser = await getHash(PRESENCE_KEY);
+  return Object.values(presenceByUser)
+    .filter(presence => presence.state === PRESENCE_STATES.ONLINE)
+    .length;
 };
 
 // Get notification delivery statistics
-const getNotificationStats = () => {
+const getNotificationStats = async () => {
+  const presenceByUser = await getHash(PRESENCE_KEY);
+
   return {
     totalQueued: Array.from(notificationQueue.values()).reduce((sum, queue) => sum + queue.length, 0),
-    onlineUsers: getOnlineUsersCount(),
-    totalUsers: userPresence.size,
+    onlineUsers: await getOnlineUsersCount(),
+    totalUsers: Object.keys(presenceByUser).length,
     deliveryConfig: DELIVERY_CONFIG
   };
 };
@@ -694,6 +790,7 @@ const getNotificationStats = () => {
 module.exports = {
   setupNotifications,
   sendNotificationToUser,
+  deliverNotification,
   broadcastNotification,
   getUserPresence,
   getOnlineUsersCount,
@@ -0,0 +1,217 @@
+const { getRedisClient } = require('../config/redis');
+
+// Shared socket state (call sessions, presence, socket membership).
+// Stored in Redis so every API instance sees the same state; falls back to
+// in-process Maps when Redis is not configured (single instance only).
+
+const KEY_PREFIX = 'healthfriend:sockets:';
+
+// In-memory fallback: key -> Map (hashes), Set (sets) or Array (lists)
+const memory = new Map();
+
+// Set a hash field only if it currently holds the expected value (null = absent)
+const COMPARE_AND_SET_SCRIPT = `
+  local current = redis.call('hget', KEYS[1], ARGV[1])
+  if (ARGV[2] == '1' and current == false) or current == ARGV[3] then
+    redis.call('hset', KEYS[1], ARGV[1], ARGV[4])
+    return 1
+  end
+  return 0
+`;
+
+const encode = (value) => JSON.stringify(value);
+const decode = (value) => (value === null || value === undefined ? null : JSON.parse(value));
+
+const memoryCollection = (key, Type) => {
+  if (!memory.has(key)) {
+    memory.set(key, new Type());
+  }
+  return memory.get(key);
+};
+
+// Hashes
+
+const getField = async (key, field) => {
+  const redis = getRedisClient();
+  if (!redis) {
+    return decode(memory.get(key)?.get(field));
+  }
+  return decode(await redis.hget(KEY_PREFIX + key, field));
+};
+
+const getHash = async (key) => {
+  const redis = getRedisClient();
+  const entries = redis
+    ? Object.entries(await redis.hgetall(KEY_PREFIX + key))
+    : Array.from(memory.get(key)?.entries() || []);
+
+  return entries.reduce((result, [field, value]) => {
+    result[field] = decode(value);
+    return result;
+  }, {});
+};
+
+const setFields = async (key, fields) => {
+  const redis = getRedisClient();
+  const encoded = Object.entries(fields).map(([field, value]) => [field, encode(value)]);
+
+  if (!redis) {
+    const hash = memoryCollection(key, Map);
+    encoded.forEach(([field, value]) => hash.set(field, value));
+    return;
+  }
+
+  await redis.hset(KEY_PREFIX + key, Object.fromEntries(encoded));
+};
+
+const setField = (key, field, value) => setFields(key, { [field]: value });
+
+const deleteField = async (key, field) => {
+  const redis = getRedisClient();
+  if (!redis) {
+    memory.get(key)?.delete(field);
+    return;
+  }
+  await redis.hdel(KEY_PREFIX + key, field);
+};
+
+// Atomically move a hash field from `expected` to `value`; returns true if it changed
+const compareAndSet = async (key, field, expected, value) => {
+  const redis = getRedisClient();
+
+  if (!redis) {
+    const hash = memoryCollection(key, Map);
+    const current = hash.has(field) ? hash.get(field) : null;
+    const matches = expected === null ? current === null : current === encode(expected);
+
+    if (!matches) return false;
+    hash.set(field, encode(value));
+    return true;
+  }
+
+  const changed = await redis.eval(
+    COMPARE_AND_SET_SCRIPT,
+    1,
+    KEY_PREFIX + key,
+    field,
+    expected === null ? '1' : '0',
+    expected === null ? '' : encode(expected),
+    encode(value)
+  );
+
+  return changed === 1;
+};
+
+// Sets
+
+const addMember = async (key, member) => {
+  const redis = getRedisClient();
+  if (!redis) {
+    memoryCollection(key, Set).add(member);
+    return;
+  }
+  await redis.sadd(KEY_PREFIX + key, member);
+};
+
+// Remove a member and return how many remain
+const removeMember = async (key, member) => {
+  const redis = getRedisClient();
+
+  if (!redis) {
+    const set = memory.get(key);
+    if (!set) return 0;
+    set.delete(member);
+    if (set.size === 0) memory.delete(key);
+    return set.size;
+  }
+
+  const [, [, remaining]] = await redis.multi()
+    .srem(KEY_PREFIX + key, member)
+    .scard(KEY_PREFIX + key)
+    .exec();
+
+  return remaining;
+};
+
+const getMembers = async (key) => {
+  const redis = getRedisClient();
+  if (!redis) {
+    return Array.from(memory.get(key) || []);
+  }
+  return redis.smembers(KEY_PREFIX + key);
+};
+
+const countMembers = async (key) => {
+  const redis = getRedisClient();
+  if (!redis) {
+    return memory.get(key)?.size || 0;
+  }
+  return redis.scard(KEY_PREFIX + key);
+};
+
+// Lists
+
+// Append to a list, keeping only the newest `maxLength` entries
+const pushToList = async (key, value, maxLength) => {
+  const redis = getRedisClient();
+
+  if (!redis) {
+    const list = memoryCollection(key, Array);
+    list.push(encode(value));
+    if (list.length > maxLength) list.splice(0, list.length - maxLength);
+    return;
+  }
+
+  await redis.multi()
+    .rpush(KEY_PREFIX + key, encode(value))
+    .ltrim(KEY_PREFIX + key, -maxLength, -1)
+    .exec();
+};
+
+// Newest `count` entries, oldest first
+const getList = async (key, count) => {
+  const redis = getRedisClient();
+  const values = redis
+    ? await redis.lrange(KEY_PREFIX + key, -count, -1)
+    : (memory.get(key) || []).slice(-count);
+
+  return values.map(decode);
+};
+
+// Keys
+
+const deleteKeys = async (...keys) => {
+  const redis = getRedisClient();
+  if (!redis) {
+    keys.forEach(key => memory.delete(key));
+    return;
+  }
+  await redis.del(...keys.map(key => KEY_PREFIX + key));
+};
+
+// Let abandoned state expire in Redis; in-process state is cleaned up by its owners
+const expireKeys = async (seconds, ...keys) => {
+  const redis = getRedisClient();
+  if (!redis) return;
+
+  const pipeline = redis.pipeline();
+  keys.forEach(key => pipeline.expire(KEY_PREFIX + key, seconds));
+  await pipeline.exec();
+};
+
+module.exports = {
+  getField,
+  getHash,
+  setField,
+  setFields,
+  deleteField,
+  compareAndSet,
+  addMember,
+  removeMember,
+  getMembers,
+  countMembers,
+  pushToList,
+  getList,
+  deleteKeys,
+  expireKeys
+};
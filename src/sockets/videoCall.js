@@ -1,16 +1,48 @@
+const crypto = require('crypto');
 const { logError, logAuth, logSecurity } = require('../utils/logger');
 const Consultation = require('../models/Consultation');
 const User = require('../models/User');
-const { roomAuth } = require('../middleware/socketAuth');
-
-// Video call state management
-const callSessions = new Map();
-const participantConnections = new Map();
+const { roomAuth, namespaceAuth, socketRateLimit } = require('../middleware/socketAuth');
+const { issueIceServers } = require('../utils/iceServers');
+const { startRecording, stopRecording, getRecordingUrl } = require('../utils/recordings');
+const {
+  getField,
+  getHash,
+  setField,
+  setFields,
+  deleteField,
+  compareAndSet,
+  addMember,
+  removeMember,
+  getMembers,
+  pushToList,
+  getList,
+  deleteKeys,
+  expireKeys
+} = require('./stateStore');
+
+// Video call state lives in the shared state store so participants connected
+// to different API instances share one session:
+//   calls:<id>               hash  - state, timings, recording, network stats
+//   calls:<id>:participants  hash  - userId -> participant (kept after leaving for the summary)
+//   calls:<id>:chat          list  - recent chat messages
+//   calls:<id>:sockets       set   - socket ids joined to the call
+//   calls:connections        hash  - socketId -> { userId, consultationId }
+//   calls:active             set   - consultation ids with a session
+const sessionKey = (consultationId) => `calls:${consultationId}`;
+const participantsKey = (consultationId) => `calls:${consultationId}:participants`;
+const chatKey = (consultationId) => `calls:${consultationId}:chat`;
+const callSocketsKey = (consultationId) => `calls:${consultationId}:sockets`;
+const CONNECTIONS_KEY = 'calls:connections';
+const ACTIVE_CALLS_KEY = 'calls:active';
+
+const SESSION_TTL_SECONDS = 24 * 60 * 60; // Abandoned sessions expire from Redis after a day
+const CHAT_HISTORY_LIMIT = 200;
 
 // Call states
 const CALL_STATES = {
   WAITING: 'waiting',
-  CONNECTING: 'connecting', 
+  CONNECTING: 'connecting',
   CONNECTED: 'connected',
   RECONNECTING: 'reconnecting',
   ENDED: 'ended',
@@ -26,103 +58,284 @@ const SIGNALING_TYPES = {
 };
 
 // Video call quality metrics
-class CallQualityMonitor {
-  constructor(consultationId) {
-    this.consultationId = consultationId;
-    this.metrics = {
-      startTime: Date.now(),
+
+// Record a quality issue against a participant and adjust their quality score
+const applyQualityIssue = (participant, issue) => {
+  participant.issues = participant.issues || [];
+  participant.issues.push({
+    type: issue.type,
+    severity: issue.severity,
+    timestamp: Date.now(),
+    details: issue.details
+  });
+
+  const severityPenalty = { low: 5, medium: 15, high: 30 };
+  participant.qualityScore = Math.max(0,
+    participant.qualityScore - (severityPenalty[issue.severity] || 10)
+  );
+
+  return participant;
+};
+
+const calculateAverageQuality = (participants) => {
+  if (participants.length === 0) return 0;
+
+  const totalQuality = participants.reduce((sum, p) => sum + p.qualityScore, 0);
+  return Math.round(totalQuality / participants.length);
+};
+
+const getCallSummary = (consultationId, session, participants) => {
+  const startTime = new Date(session.startTime || session.createdAt).getTime();
+  const endTime = new Date(session.endTime || Date.now()).getTime();
+
+  return {
+    consultationId,
+    duration: endTime - startTime,
+    participantCount: participants.length,
+    averageQuality: calculateAverageQuality(participants),
+    issueCount: participants.reduce((sum, p) => sum + (p.issues?.length || 0), 0),
+    networkStats: session.networkStats,
+    participants
+  };
+};
+
+// Shared state helpers
+
+const getSession = async (consultationId) => {
+  const session = await getHash(sessionKey(consultationId));
+  return session.state ? session : null;
+};
+
+const getActiveParticipants = async (consultationId) => {
+  const participants = await getHash(participantsKey(consultationId));
+  return Object.values(participants).filter(participant => !participant.leaveTime);
+};
+
+const getConnection = (socketId) => getField(CONNECTIONS_KEY, socketId);
+
+// Create the session unless another participant (on any instance) already did
+const ensureSession = async (consultationId) => {
+  const created = await compareAndSet(sessionKey(consultationId), 'state', null, CALL_STATES.WAITING);
+
+  if (created) {
+    await setFields(sessionKey(consultationId), {
+      consultationId,
+      createdAt: new Date(),
+      startTime: null,
       endTime: null,
-      participants: new Map(),
-      qualityIssues: [],
       networkStats: {
         avgLatency: 0,
         packetLoss: 0,
         bandwidth: 0
+      },
+      recording: {
+        isRecording: false,
+        recordingId: null,
+        startTime: null
       }
-    };
+    });
+    await addMember(ACTIVE_CALLS_KEY, consultationId);
   }
 
-  addParticipant(userId, userInfo) {
-    this.metrics.participants.set(userId, {
-      userId,
-      userInfo,
-      joinTime: Date.now(),
-      leaveTime: null,
-      qualityScore: 100,
-      issues: []
+  await expireKeys(
+    SESSION_TTL_SECONDS,
+    sessionKey(consultationId),
+    participantsKey(consultationId),
+    chatKey(consultationId),
+    callSocketsKey(consultationId)
+  );
+
+  return getSession(consultationId);
+};
+
+const deleteCallState = async (consultationId) => {
+  await deleteKeys(
+    sessionKey(consultationId),
+    participantsKey(consultationId),
+    chatKey(consultationId),
+    callSocketsKey(consultationId)
+  );
+  await removeMember(ACTIVE_CALLS_KEY, consultationId);
+};
+
+// Running /video-calls namespace, set once setupVideoCall is called
+let videoNamespace = null;
+
+// Helper function to start call
+const startCall = async (consultationId) => {
+  try {
+    // Only one instance gets to start the call
+    const started = await compareAndSet(sessionKey(consultationId), 'state', CALL_STATES.WAITING, CALL_STATES.CONNECTED);
+    if (!started) return;
+
+    const session = await getSession(consultationId);
+    const startTime = session.startTime ? new Date(session.startTime) : new Date();
+    await setField(sessionKey(consultationId), 'startTime', startTime);
+
+    // Update consultation status in database
+    await Consultation.findByIdAndUpdate(consultationId, {
+      status: 'ongoing',
+      startedAt: startTime
     });
+
+    // Notify all participants
+    videoNamespace.to(`consultation_${consultationId}`).emit('call-started', {
+      startTime,
+      state: CALL_STATES.CONNECTED
+    });
+
+    console.log(`Call started for consultation ${consultationId}`);
+  } catch (error) {
+    logError(error, { context: 'Start Call', consultationId });
   }
+};
+
+// Helper function to stop recording and assemble the uploaded chunks
+const stopCallRecording = async (consultationId, currentRecording) => {
+  const endTime = new Date();
+  const recording = {
+    ...currentRecording,
+    isRecording: false,
+    endTime,
+    duration: endTime - new Date(currentRecording.startTime)
+  };
+
+  // Ended calls may already be gone from the store; the recording document guards against a double stop
+  await compareAndSet(sessionKey(consultationId), 'recording', currentRecording, recording);
+
+  const result = await stopRecording(currentRecording.recordingId);
+  if (!result) return;
+
+  // Notify all participants
+  videoNamespace.to(`consultation_${consultationId}`).emit('recording-stopped', {
+    recordingId: result.recordingId,
+    duration: result.duration,
+    status: result.status
+  });
+};
+
+// Helper function to end call
+const endCall = async (consultationId, endedBy) => {
+  try {
+    const session = await getSession(consultationId);
+    if (!session || session.state === CALL_STATES.ENDED) return;
+
+    // Guard against two instances ending the same call
+    const ended = await compareAndSet(sessionKey(consultationId), 'state', session.state, CALL_STATES.ENDED);
+    if (!ended) return;
 
-  removeParticipant(userId) {
-    const participant = this.metrics.participants.get(userId);
-    if (participant) {
-      participant.leaveTime = Date.now();
+    const endTime = new Date();
+    await setField(sessionKey(consultationId), 'endTime', endTime);
+
+    // Get call summary
+    const participants = Object.values(await getHash(participantsKey(consultationId)));
+    const callSummary = getCallSummary(consultationId, { ...session, endTime }, participants);
+    const startTime = session.startTime ? new Date(session.startTime) : null;
+
+    // A recording still running ends with the call
+    if (session.recording?.isRecording) {
+      await stopCallRecording(consultationId, session.recording);
     }
-  }
 
-  reportQualityIssue(userId, issue) {
-    const participant = this.metrics.participants.get(userId);
-    if (participant) {
-      participant.issues.push({
-        type: issue.type,
-        severity: issue.severity,
-        timestamp: Date.now(),
-        details: issue.details
+    // Only a call that actually started completes the consultation
+    if (startTime) {
+      await Consultation.findByIdAndUpdate(consultationId, {
+        status: 'completed',
+        endedAt: endTime,
+        duration: Math.round((endTime - startTime) / 1000 / 60), // minutes
+        qualityScore: callSummary.averageQuality
       });
-      
-      // Adjust quality score
-      const severityPenalty = { low: 5, medium: 15, high: 30 };
-      participant.qualityScore = Math.max(0, 
-        participant.qualityScore - (severityPenalty[issue.severity] || 10)
-      );
     }
 
-    this.metrics.qualityIssues.push({
-      userId,
-      ...issue,
-      timestamp: Date.now()
+    // Notify all participants
+    videoNamespace.to(`consultation_${consultationId}`).emit('call-ended', {
+      endTime,
+      endedBy: endedBy,
+      duration: startTime ? endTime - startTime : 0,
+      summary: callSummary
     });
-  }
 
-  updateNetworkStats(stats) {
-    this.metrics.networkStats = {
-      ...this.metrics.networkStats,
-      ...stats,
-      lastUpdated: Date.now()
-    };
-  }
+    // Clean up participant connections
+    const socketIds = await getMembers(callSocketsKey(consultationId));
+    for (const socketId of socketIds) {
+      await deleteField(CONNECTIONS_KEY, socketId);
+    }
 
-  getCallSummary() {
-    this.metrics.endTime = Date.now();
-    const duration = this.metrics.endTime - this.metrics.startTime;
-    
-    return {
-      consultationId: this.consultationId,
-      duration,
-      participantCount: this.metrics.participants.size,
-      averageQuality: this.calculateAverageQuality(),
-      issueCount: this.metrics.qualityIssues.length,
-      networkStats: this.metrics.networkStats,
-      participants: Array.from(this.metrics.participants.values())
-    };
+    // Remove call session after delay to allow final messages
+    setTimeout(() => {
+      deleteCallState(consultationId).catch(error => {
+        logError(error, { context: 'Delete Call State', consultationId });
+      });
+    }, 30000); // 30 seconds
+
+    console.log(`Call ended for consultation ${consultationId} by ${endedBy}`);
+  } catch (error) {
+    logError(error, { context: 'End Call', consultationId, endedBy });
   }
+};
+
+// Helper function to handle participant disconnect
+const handleParticipantDisconnect = async (socket, connection, reason) => {
+  try {
+    const { userId, consultationId } = connection;
+    const session = await getSession(consultationId);
+
+    if (session) {
+      // Mark the participant as left unless they already rejoined on another socket
+      const participant = await getField(participantsKey(consultationId), userId);
+      if (participant && participant.socketId === socket.id) {
+        participant.leaveTime = Date.now();
+        await setField(participantsKey(consultationId), userId, participant);
+      }
+
+      // Notify other participants
+      socket.to(`consultation_${consultationId}`).emit('participant-left', {
+        userId: userId,
+        reason: reason,
+        timestamp: new Date()
+      });
+
+      // If this was the last participant or a critical participant, end the call
+      const remainingParticipants = (await getActiveParticipants(consultationId)).length;
+
+      if (remainingParticipants === 0) {
+        await endCall(consultationId, userId);
+      } else if (remainingParticipants === 1 && session.state === CALL_STATES.CONNECTED) {
+        // If only one participant remains, mark call as pending
+        const paused = await compareAndSet(sessionKey(consultationId), 'state', CALL_STATES.CONNECTED, CALL_STATES.WAITING);
+
+        if (paused) {
+          socket.to(`consultation_${consultationId}`).emit('call-state-change', {
+            state: CALL_STATES.WAITING,
+            message: 'Waiting for other participant to rejoin'
+          });
+        }
+      }
+    }
 
-  calculateAverageQuality() {
-    const participants = Array.from(this.metrics.participants.values());
-    if (participants.length === 0) return 0;
-    
-    const totalQuality = participants.reduce((sum, p) => sum + p.qualityScore, 0);
-    return Math.round(totalQuality / participants.length);
+    // Clean up connection tracking
+    await deleteField(CONNECTIONS_KEY, socket.id);
+    await removeMember(callSocketsKey(consultationId), socket.id);
+  } catch (error) {
+    logError(error, {
+      context: 'Handle Participant Disconnect',
+      userId: connection.userId,
+      consultationId: connection.consultationId
+    });
   }
-}
+};
 
 // Setup video call socket handlers
 const setupVideoCall = (io) => {
-  const videoNamespace = io.of('/video-calls');
-  
+  videoNamespace = io.of('/video-calls');
+
+  // Only authenticated users may connect; consultation rooms are checked on join
+  videoNamespace.use(namespaceAuth('/video-calls'));
+  videoNamespace.use(socketRateLimit);
+
   videoNamespace.on('connection', (socket) => {
     console.log(`Video call socket connected: ${socket.id} (User: ${socket.userId})`);
-    
+
     // Log connection
     logAuth(
       'video_socket_connected',
@@ -139,95 +352,100 @@ const setupVideoCall = (io) => {
     socket.on('join-consultation', async (data, callback) => {
       try {
         await roomAuth.consultationRoom(socket, data.consultationId, async (error, result) => {
-          if (error) {
-            return callback({ error: error.message });
-          }
-
-          const consultation = await Consultation.findById(data.consultationId)
-            .populate('patient doctor');
+          try {
+            if (error) {
+              return callback({ error: error.message });
+            }
 
-          if (!consultation) {
-            return callback({ error: 'Consultation not found' });
-          }
+            const consultation = await Consultation.findById(data.consultationId)
+              .populate('patient doctor');
 
-          // Initialize call session if not exists
-          if (!callSessions.has(data.consultationId)) {
-            callSessions.set(data.consultationId, {
-              consultationId: data.consultationId,
-              state: CALL_STATES.WAITING,
-              participants: new Map(),
-              startTime: null,
-              endTime: null,
-              qualityMonitor: new CallQualityMonitor(data.consultationId),
-              chatMessages: [],
-              recording: {
-                isRecording: false,
-                recordingId: null,
-                startTime: null
-              }
-            });
-          }
-
-          const callSession = callSessions.get(data.consultationId);
-          
-          // Add participant to session
-          const participantInfo = {
-            userId: socket.userId,
-            socketId: socket.id,
-            role: socket.userRole,
-            name: socket.userName,
-            joinTime: Date.now(),
-            isReady: false,
-            mediaState: {
-              audio: true,
-              video: true,
-              screen: false
+            if (!consultation) {
+              return callback({ error: 'Consultation not found' });
             }
-          };
 
-          callSession.participants.set(socket.userId, participantInfo);
-          callSession.qualityMonitor.addParticipant(socket.userId, participantInfo);
-          
-          // Track participant connection
-          participantConnections.set(socket.id, {
-            userId: socket.userId,
-            consultationId: data.consultationId
-          });
+            // Initialize call session if not exists
+            const callSession = await ensureSession(data.consultationId);
 
-          // Notify other participants
-          socket.to(`consultation_${data.consultationId}`).emit('participant-joined', {
-            participant: {
+            // Keep quality history if the participant is rejoining
+            const previous = await getField(participantsKey(data.consultationId), socket.userId);
+
+            // Add participant to session
+            const participantInfo = {
               userId: socket.userId,
-              name: socket.userName,
+              socketId: socket.id,
               role: socket.userRole,
-              joinTime: participantInfo.joinTime
-            }
-          });
+              name: socket.userName,
+              joinTime: Date.now(),
+              leaveTime: null,
+              isReady: false,
+              mediaState: {
+                audio: true,
+                video: true,
+                screen: false
+              },
+              qualityScore: previous?.qualityScore ?? 100,
+              issues: previous?.issues || []
+            };
+
+            await setField(participantsKey(data.consultationId), socket.userId, participantInfo);
+
+            // Track participant connection
+            await setField(CONNECTIONS_KEY, socket.id, {
+              userId: socket.userId,
+              consultationId: data.consultationId
+            });
+            await addMember(callSocketsKey(data.consultationId), socket.id);
+
+            // Notify other participants
+            socket.to(`consultation_${data.consultationId}`).emit('participant-joined', {
+              participant: {
+                userId: socket.userId,
+                name: socket.userName,
+                role: socket.userRole,
+                joinTime: participantInfo.joinTime
+              }
+            });
 
-          // Send current session state to new participant
-          callback({
-            success: true,
-            consultation: {
-              id: consultation._id,
-              type: consultation.type,
-              status: consultation.status,
-              scheduledDate: consultation.scheduledDate
-            },
-            callState: callSession.state,
-            participants: Array.from(callSession.participants.values()).map(p => ({
-              userId: p.userId,
-              name: p.name,
-              role: p.role,
-              isReady: p.isReady,
-              mediaState: p.mediaState
-            })),
-            chatMessages: callSession.chatMessages.slice(-50) // Last 50 messages
-          });
+            const participants = await getActiveParticipants(data.consultationId);
+
+            // STUN/TURN servers for this participant; a closed call window gets none
+            const ice = issueIceServers(consultation, socket.userId);
+
+            // Send current session state to new participant
+            callback({
+              success: true,
+              consultation: {
+                id: consultation._id,
+                type: consultation.type,
+                status: consultation.status,
+                scheduledDate: consultation.scheduledDate
+              },
+              callState: callSession.state,
+              participants: participants.map(p => ({
+                userId: p.userId,
+                name: p.name,
+                role: p.role,
+                isReady: p.isReady,
+                mediaState: p.mediaState
+              })),
+              chatMessages: await getList(chatKey(data.consultationId), 50), // Last 50 messages
+              iceServers: ice.iceServers || [],
+              iceServersExpireAt: ice.expiresAt || null
+            });
 
-          console.log(`User ${socket.userId} joined consultation ${data.consultationId}`);
+            console.log(`User ${socket.userId} joined consultation ${data.consultationId}`);
+          } catch (error) {
+            logError(error, {
+              context: 'Join Video Consultation',
+              userId: socket.userId,
+              consultationId: data.consultationId
+            });
+            callback({ error: 'Failed to join consultation' });
+          }
         });
       } catch (error) {
-        logError(error, { 
+        logError(error, {
           context: 'Join Video Consultation',
           userId: socket.userId,
           consultationId: data.consultationId
@@ -237,38 +455,49 @@ const setupVideoCall = (io) => {
     });
 
     // Participant ready state
-    socket.on('participant-ready', (data) => {
-      const connection = participantConnections.get(socket.id);
-      if (!connection) return;
+    socket.on('participant-ready', async (data) => {
+      try {
+        const connection = await getConnection(socket.id);
+        if (!connection) return;
 
-      const callSession = callSessions.get(connection.consultationId);
-      if (!callSession) return;
+        const callSession = await getSession(connection.consultationId);
+        if (!callSession) return;
 
-      const participant = callSession.participants.get(socket.userId);
-      if (participant) {
-        participant.isReady = true;
-        
-        // Notify all participants
-        socket.to(`consultation_${connection.consultationId}`).emit('participant-ready', {
-          userId: socket.userId,
-          name: participant.name
-        });
+        const participant = await getField(participantsKey(connection.consultationId), socket.userId);
+        if (participant) {
+          participant.isReady = true;
+          await setField(participantsKey(connection.consultationId), socket.userId, participant);
 
-        // Check if all participants are ready to start call
-        const allParticipants = Array.from(callSession.participants.values());
-        const allReady = allParticipants.length >= 2 && allParticipants.every(p => p.isReady);
-        
-        if (allReady && callSession.state === CALL_STATES.WAITING) {
-          startCall(connection.consultationId);
+          // Notify all participants
+          socket.to(`consultation_${connection.consultationId}`).emit('participant-ready', {
+            userId: socket.userId,
+            name: participant.name
+          });
+
+          // Check if all participants are ready to start call
+          const allParticipants = await getActiveParticipants(connection.consultationId);
+          const allReady = allParticipants.length >= 2 && allParticipants.every(p => p.isReady);
+
+          if (allReady && callSession.state === CALL_STATES.WAITING) {
+            await startCall(connection.consultationId);
+          }
         }
+      } catch (error) {
+        logError(error, {
+          context: 'Participant Ready',
+          userId: socket.userId
+        });
       }
     });
 
     // WebRTC signaling
-    socket.on('signal', (data) => {
-      const connection = participantConnections.get(socket.id);
+    socket.on('signal', async (data) => {
+      const connection = await getConnection(socket.id);
       if (!connection) return;
 
+      // Only relay WebRTC negotiation messages
+      if (!Object.values(SIGNALING_TYPES).includes(data?.type)) return;
+
       // Forward signaling data to target peer
       socket.to(`consultation_${connection.consultationId}`).emit('signal', {
         from: socket.userId,
@@ -281,30 +510,35 @@ const setupVideoCall = (io) => {
     });
 
     // Media state changes (audio/video mute/unmute)
-    socket.on('media-state-change', (data) => {
-      const connection = participantConnections.get(socket.id);
-      if (!connection) return;
+    socket.on('media-state-change', async (data) => {
+      try {
+        const connection = await getConnection(socket.id);
+        if (!connection) return;
 
-      const callSession = callSessions.get(connection.consultationId);
-      if (!callSession) return;
+        const participant = await getField(participantsKey(connection.consultationId), socket.userId);
+        if (participant) {
+          participant.mediaState = { ...participant.mediaState, ...data.mediaState };
+          await setField(participantsKey(connection.consultationId), socket.userId, participant);
 
-      const participant = callSession.participants.get(socket.userId);
-      if (participant) {
-        participant.mediaState = { ...participant.mediaState, ...data.mediaState };
+          // Notify other participants
+          socket.to(`consultation_${connection.consultationId}`).emit('participant-media-change', {
+            userId: socket.userId,
+            mediaState: participant.mediaState
+          });
 
-        // Notify other participants
-        socket.to(`consultation_${connection.consultationId}`).emit('participant-media-change', {
-          userId: socket.userId,
-          mediaState: participant.mediaState
+          console.log(`Media state change from ${socket.userId}:`, data.mediaState);
+        }
+      } catch (error) {
+        logError(error, {
+          context: 'Media State Change',
+          userId: socket.userId
         });
-
-        console.log(`Media state change from ${socket.userId}:`, data.mediaState);
       }
     });
 
     // Screen sharing
-    socket.on('screen-share-start', (data) => {
-      const connection = participantConnections.get(socket.id);
+    socket.on('screen-share-start', async (data) => {
+      const connection = await getConnection(socket.id);
       if (!connection) return;
 
       socket.to(`consultation_${connection.consultationId}`).emit('screen-share-started', {
@@ -315,8 +549,8 @@ const setupVideoCall = (io) => {
       console.log(`Screen sharing started by ${socket.userId}`);
     });
 
-    socket.on('screen-share-stop', (data) => {
-      const connection = participantConnections.get(socket.id);
+    socket.on('screen-share-stop', async (data) => {
+      const connection = await getConnection(socket.id);
       if (!connection) return;
 
       socket.to(`consultation_${connection.consultationId}`).emit('screen-share-stopped', {
@@ -329,14 +563,14 @@ const setupVideoCall = (io) => {
     // Chat messages during call
     socket.on('chat-message', async (data) => {
       try {
-        const connection = participantConnections.get(socket.id);
+        const connection = await getConnection(socket.id);
         if (!connection) return;
 
-        const callSession = callSessions.get(connection.consultationId);
+        const callSession = await getSession(connection.consultationId);
         if (!callSession) return;
 
         const message = {
-          id: require('crypto').randomUUID(),
+          id: crypto.randomUUID(),
           userId: socket.userId,
           name: socket.userName,
           message: data.message,
@@ -345,7 +579,7 @@ const setupVideoCall = (io) => {
         };
 
         // Store message in call session
-        callSession.chatMessages.push(message);
+        await pushToList(chatKey(connection.consultationId), message, CHAT_HISTORY_LIMIT);
 
         // Persist to database
         await Consultation.findByIdAndUpdate(connection.consultationId, {
@@ -364,7 +598,7 @@ const setupVideoCall = (io) => {
 
         console.log(`Chat message from ${socket.userId} in consultation ${connection.consultationId}`);
       } catch (error) {
-        logError(error, { 
+        logError(error, {
           context: 'Video Call Chat Message',
           userId: socket.userId
         });
@@ -372,60 +606,91 @@ const setupVideoCall = (io) => {
     });
 
     // Call quality reporting
-    socket.on('quality-report', (data) => {
-      const connection = participantConnections.get(socket.id);
-      if (!connection) return;
+    socket.on('quality-report', async (data) => {
+      try {
+        const connection = await getConnection(socket.id);
+        if (!connection) return;
 
-      const callSession = callSessions.get(connection.consultationId);
-      if (!callSession) return;
+        const callSession = await getSession(connection.consultationId);
+        if (!callSession) return;
 
-      if (data.issue) {
-        callSession.qualityMonitor.reportQualityIssue(socket.userId, data.issue);
-      }
+        if (data.issue) {
+          const participant = await getField(participantsKey(connection.consultationId), socket.userId);
+          if (participant) {
+            await setField(participantsKey(connection.consultationId), socket.userId, applyQualityIssue(participant, data.issue));
+          }
+        }
 
-      if (data.networkStats) {
-        callSession.qualityMonitor.updateNetworkStats(data.networkStats);
+        if (data.networkStats) {
+          await setField(sessionKey(connection.consultationId), 'networkStats', {
+            ...callSession.networkStats,
+            ...data.networkStats,
+            lastUpdated: Date.now()
+          });
+        }
+      } catch (error) {
+        logError(error, {
+          context: 'Quality Report',
+          userId: socket.userId
+        });
       }
     });
 
     // Recording controls (doctor only)
     socket.on('start-recording', async (data) => {
       try {
-        if (socket.userRole !== 'doctor' && socket.userRole !== 'admin') {
+        if (socket.userRole !== 'doctor') {
           socket.emit('error', { message: 'Only doctors can start recording' });
           return;
         }
 
-        const connection = participantConnections.get(socket.id);
+        const connection = await getConnection(socket.id);
         if (!connection) return;
 
-        const callSession = callSessions.get(connection.consultationId);
+        const callSession = await getSession(connection.consultationId);
         if (!callSession) return;
 
         if (!callSession.recording.isRecording) {
-          callSession.recording = {
+          const recording = {
             isRecording: true,
-            recordingId: require('crypto').randomUUID(),
+            recordingId: crypto.randomUUID(),
             startTime: new Date(),
             initiatedBy: socket.userId
           };
 
-          // Update consultation in database
-          await Consultation.findByIdAndUpdate(connection.consultationId, {
-            recordingUrl: callSession.recording.recordingId,
-            'recording.startTime': callSession.recording.startTime
-          });
+          // Another instance may have started recording meanwhile
+          const started = await compareAndSet(sessionKey(connection.consultationId), 'recording', callSession.recording, recording);
+          if (!started) return;
 
-          // Notify all participants
+          // Checks both participants' consent before anything is recorded
+          let result;
+          try {
+            result = await startRecording(connection.consultationId, socket.userId, {
+              recordingId: recording.recordingId,
+              mimeType: data?.mimeType
+            });
+          } catch (error) {
+            logError(error, { context: 'Start Recording', userId: socket.userId });
+            result = { error: 'Failed to start recording', code: 'RECORDING_START_FAILED' };
+          }
+
+          if (result.error) {
+            await compareAndSet(sessionKey(connection.consultationId), 'recording', recording, callSession.recording);
+            socket.emit('error', { message: result.error, code: result.code });
+            return;
+          }
+
+          // Notify all participants; the doctor's client uploads chunks for this recording
           videoNamespace.to(`consultation_${connection.consultationId}`).emit('recording-started', {
-            recordingId: callSession.recording.recordingId,
-            startTime: callSession.recording.startTime
+            recordingId: recording.recordingId,
+            startTime: recording.startTime,
+            uploadUrl: `${getRecordingUrl(connection.consultationId, recording.recordingId)}/chunks`
           });
 
           console.log(`Recording started by ${socket.userId} for consultation ${connection.consultationId}`);
         }
       } catch (error) {
-        logError(error, { 
+        logError(error, {
           context: 'Start Recording',
           userId: socket.userId
         });
@@ -440,30 +705,18 @@ const setupVideoCall = (io) => {
           return;
         }
 
-        const connection = participantConnections.get(socket.id);
+        const connection = await getConnection(socket.id);
         if (!connection) return;
 
-        const callSession = callSessions.get(connection.consultationId);
+        const callSession = await getSession(connection.consultationId);
         if (!callSession) return;
 
         if (callSession.recording.isRecording) {
-          const endTime = new Date();
-          const duration = endTime - callSession.recording.startTime;
-
-          callSession.recording.isRecording = false;
-          callSession.recording.endTime = endTime;
-          callSession.recording.duration = duration;
-
-          // Notify all participants
-          videoNamespace.to(`consultation_${connection.consultationId}`).emit('recording-stopped', {
-            recordingId: callSession.recording.recordingId,
-            duration: duration
-          });
-
+          await stopCallRecording(connection.consultationId, callSession.recording);
           console.log(`Recording stopped by ${socket.userId} for consultation ${connection.consultationId}`);
         }
       } catch (error) {
-        logError(error, { 
+        logError(error, {
           context: 'Stop Recording',
           userId: socket.userId
         });
@@ -474,7 +727,7 @@ const setupVideoCall = (io) => {
     // End call
     socket.on('end-call', async (data) => {
       try {
-        const connection = participantConnections.get(socket.id);
+        const connection = await getConnection(socket.id);
         if (!connection) return;
 
         // Only doctors or admins can end the call
@@ -485,7 +738,7 @@ const setupVideoCall = (io) => {
 
         await endCall(connection.consultationId, socket.userId);
       } catch (error) {
-        logError(error, { 
+        logError(error, {
           context: 'End Call',
           userId: socket.userId
         });
@@ -494,8 +747,10 @@ const setupVideoCall = (io) => {
 
     // Handle participant disconnect
     socket.on('disconnect', async (reason) => {
+      let connection = null;
+
       try {
-        const connection = participantConnections.get(socket.id);
+        connection = await getConnection(socket.id);
         if (connection) {
           await handleParticipantDisconnect(socket, connection, reason);
         }
@@ -508,7 +763,7 @@ const setupVideoCall = (io) => {
           socket.handshake.headers['user-agent'],
           true,
           null,
-          { 
+          {
             socketId: socket.id,
             reason,
             consultationId: connection?.consultationId
@@ -517,7 +772,7 @@ const setupVideoCall = (io) => {
 
         console.log(`Video call socket disconnected: ${socket.id} (${reason})`);
       } catch (error) {
-        logError(error, { 
+        logError(error, {
           context: 'Video Socket Disconnect',
           userId: socket.userId,
           reason
@@ -527,7 +782,7 @@ const setupVideoCall = (io) => {
 
     // Error handling
     socket.on('error', (error) => {
-      logError(error, { 
+      logError(error, {
         context: 'Video Socket Error',
         userId: socket.userId,
         socketId: socket.id
@@ -535,137 +790,31 @@ const setupVideoCall = (io) => {
     });
   });
 
-  // Helper function to start call
-  const startCall = async (consultationId) => {
-    try {
-      const callSession = callSessions.get(consultationId);
-      if (!callSession) return;
-
-      callSession.state = CALL_STATES.CONNECTED;
-      callSession.startTime = new Date();
-
-      // Update consultation status in database
-      await Consultation.findByIdAndUpdate(consultationId, {
-        status: 'ongoing',
-        startedAt: callSession.startTime
-      });
-
-      // Notify all participants
-      videoNamespace.to(`consultation_${consultationId}`).emit('call-started', {
-        startTime: callSession.startTime,
-        state: callSession.state
-      });
-
-      console.log(`Call started for consultation ${consultationId}`);
-    } catch (error) {
-      logError(error, { context: 'Start Call', consultationId });
-    }
-  };
-
-  // Helper function to end call
-  const endCall = async (consultationId, endedBy) => {
+  // Periodic cleanup of inactive sessions
+  setInterval(async () => {
     try {
-      const callSession = callSessions.get(consultationId);
-      if (!callSession) return;
+      const now = Date.now();
+      const timeout = 60 * 60 * 1000; // 1 hour
 
-      callSession.state = CALL_STATES.ENDED;
-      callSession.endTime = new Date();
-      
-      // Get call summary
-      const callSummary = callSession.qualityMonitor.getCallSummary();
+      for (const consultationId of await getMembers(ACTIVE_CALLS_KEY)) {
+        const session = await getSession(consultationId);
 
-      // Update consultation in database
-      await Consultation.findByIdAndUpdate(consultationId, {
-        status: 'completed',
-        endedAt: callSession.endTime,
-        duration: Math.round((callSession.endTime - callSession.startTime) / 1000 / 60), // minutes
-        qualityScore: callSummary.averageQuality
-      });
-
-      // Notify all participants
-      videoNamespace.to(`consultation_${consultationId}`).emit('call-ended', {
-        endTime: callSession.endTime,
-        endedBy: endedBy,
-        duration: callSession.endTime - callSession.startTime,
-        summary: callSummary
-      });
-
-      // Clean up participant connections
-      callSession.participants.forEach((participant) => {
-        const socketIds = Array.from(participantConnections.keys()).filter(
-          socketId => participantConnections.get(socketId).consultationId === consultationId
-        );
-        socketIds.forEach(socketId => participantConnections.delete(socketId));
-      });
-
-      // Remove call session after delay to allow final messages
-      setTimeout(() => {
-        callSessions.delete(consultationId);
-      }, 30000); // 30 seconds
-
-      console.log(`Call ended for consultation ${consultationId} by ${endedBy}`);
-    } catch (error) {
-      logError(error, { context: 'End Call', consultationId, endedBy });
-    }
-  };
+        // Session state already expired from Redis
+        if (!session) {
+          await removeMember(ACTIVE_CALLS_KEY, consultationId);
+          continue;
+        }
 
-  // Helper function to handle participant disconnect
-  const handleParticipantDisconnect = async (socket, connection, reason) => {
-    try {
-      const { userId, consultationId } = connection;
-      const callSession = callSessions.get(consultationId);
-      
-      if (callSession) {
-        // Remove participant from session
-        callSession.participants.delete(userId);
-        callSession.qualityMonitor.removeParticipant(userId);
-
-        // Notify other participants
-        socket.to(`consultation_${consultationId}`).emit('participant-left', {
-          userId: userId,
-          reason: reason,
-          timestamp: new Date()
-        });
+        const lastActivity = new Date(session.startTime || session.createdAt).getTime();
+        const participants = await getActiveParticipants(consultationId);
 
-        // If this was the last participant or a critical participant, end the call
-        const remainingParticipants = callSession.participants.size;
-        
-        if (remainingParticipants === 0) {
-          await endCall(consultationId, userId);
-        } else if (remainingParticipants === 1 && callSession.state === CALL_STATES.CONNECTED) {
-          // If only one participant remains, mark call as pending
-          callSession.state = CALL_STATES.WAITING;
-          
-          socket.to(`consultation_${consultationId}`).emit('call-state-change', {
-            state: CALL_STATES.WAITING,
-            message: 'Waiting for other participant to rejoin'
-          });
+        if (now - lastActivity > timeout && participants.length === 0) {
+          await deleteCallState(consultationId);
+          console.log(`Cleaned up inactive call session: ${consultationId}`);
         }
       }
-
-      // Clean up connection tracking
-      participantConnections.delete(socket.id);
     } catch (error) {
-      logError(error, { 
-        context: 'Handle Participant Disconnect',
-        userId: connection.userId,
-        consultationId: connection.consultationId
-      });
-    }
-  };
-
-  // Periodic cleanup of inactive sessions
-  setInterval(() => {
-    const now = Date.now();
-    const timeout = 60 * 60 * 1000; // 1 hour
-
-    for (const [consultationId, session] of callSessions.entries()) {
-      const lastActivity = session.startTime || session.participants.values().next().value?.joinTime || 0;
-      
-      if (now - lastActivity > timeout && session.participants.size === 0) {
-        callSessions.delete(consultationId);
-        console.log(`Cleaned up inactive call session: ${consultationId}`);
-      }
+      logError(error, { context: 'Video Call Session Cleanup' });
     }
   }, 15 * 60 * 1000); // Run every 15 minutes
 
@@ -673,28 +822,39 @@ const setupVideoCall = (io) => {
 };
 
 // Utility functions for external use
-const getActiveCallSessions = () => {
+const getActiveCallSessions = async () => {
   const sessions = {};
-  for (const [consultationId, session] of callSessions.entries()) {
+
+  for (const consultationId of await getMembers(ACTIVE_CALLS_KEY)) {
+    const session = await getSession(consultationId);
+    if (!session) continue;
+
     sessions[consultationId] = {
       state: session.state,
-      participantCount: session.participants.size,
+      participantCount: (await getActiveParticipants(consultationId)).length,
       startTime: session.startTime,
       isRecording: session.recording.isRecording
     };
   }
+
   return sessions;
 };
 
-const getCallSession = (consultationId) => {
-  return callSessions.get(consultationId);
+const getCallSession = async (consultationId) => {
+  const session = await getSession(consultationId);
+  if (!session) return null;
+
+  return {
+    ...session,
+    participants: await getActiveParticipants(consultationId)
+  };
 };
 
 const forceEndCall = async (consultationId, reason = 'Administrative action') => {
-  const callSession = callSessions.get(consultationId);
-  if (callSession) {
+  const callSession = await getSession(consultationId);
+  if (callSession && videoNamespace) {
     await endCall(consultationId, 'system');
-    
+
     // Notify participants of forced termination
     videoNamespace.to(`consultation_${consultationId}`).emit('call-force-ended', {
       reason: reason,
@@ -703,11 +863,22 @@ const forceEndCall = async (consultationId, reason = 'Administrative action') =>
   }
 };
 
+// Stop an active recording, e.g. when a participant withdraws consent
+const stopConsultationRecording = async (consultationId) => {
+  const callSession = await getSession(consultationId);
+  if (callSession?.recording?.isRecording && videoNamespace) {
+    await stopCallRecording(consultationId, callSession.recording);
+    return true;
+  }
+  return false;
+};
+
 module.exports = {
   setupVideoCall,
   getActiveCallSessions,
   getCallSession,
   forceEndCall,
+  stopConsultationRecording,
   CALL_STATES,
   SIGNALING_TYPES
-};
\ No newline at end of file
+};
@@ -1,5 +1,6 @@
 const OpenAI = require('openai');
 const { logError, logSecurity } = require('./logger');
+const SystemSettings = require('../models/SystemSettings');
 
 // Initialize OpenAI client
 const openai = new OpenAI({
@@ -15,6 +16,7 @@ const AI_CONFIG = {
   model: 'gpt-4', // Use GPT-4 for better medical reasoning
   maxConversationLength: 50,
   confidenceThreshold: 0.7,
+  emergencyThreshold: 0, // Minimum confidence for AI-flagged emergencies (0 = trust every flag)
   safetyFilters: {
     harmfulContent: true,
     medicalAdvice: true,
@@ -22,6 +24,27 @@ const AI_CONFIG = {
   }
 };
 
+// Baseline that admin aiSettings overrides are applied on top of
+const AI_DEFAULTS = { ...AI_CONFIG };
+
+// Refresh AI_CONFIG from the aiSettings stored in system settings
+const refreshConfigFromSettings = async () => {
+  try {
+    const { aiSettings = {} } = await SystemSettings.getCurrent();
+
+    AI_CONFIG.model = aiSettings.model || AI_DEFAULTS.model;
+    AI_CONFIG.maxTokens = aiSettings.maxTokensPerRequest ?? AI_DEFAULTS.maxTokens;
+    AI_CONFIG.temperature = aiSettings.temperature ?? AI_DEFAULTS.temperature;
+    AI_CONFIG.maxConversationLength = aiSettings.maxConversationLength ?? AI_DEFAULTS.maxConversationLength;
+    AI_CONFIG.emergencyThreshold = aiSettings.emergencyThreshold ?? AI_DEFAULTS.emergencyThreshold;
+  } catch (error) {
+    // Keep the last known configuration if settings are unavailable
+    logError(error, { context: 'AI Settings Refresh' });
+  }
+
+  return AI_CONFIG;
+};
+
 // Medical specializations for context
 const MEDICAL_SPECIALIZATIONS = [
   'General Practice', 'Internal Medicine', 'Pediatrics', 'Cardiology',
@@ -115,6 +138,7 @@ class AIUtils {
   async analyzeSymptoms(symptoms, patientInfo = {}, conversationId = null) {
     try {
       this.usageStats.totalRequests++;
+      await refreshConfigFromSettings();
       
       // Input validation and safety checks
       const safetyCheck = await this.performSafetyCheck(symptoms.join(' '));
@@ -200,6 +224,8 @@ class AIUtils {
   // Continue AI conversation
   async continueConversation(message, conversationId, patientInfo = {}) {
     try {
+      await refreshConfigFromSettings();
+
       // Safety check
       const safetyCheck = await this.performSafetyCheck(message);
       if (!safetyCheck.isSafe) {
@@ -319,6 +345,8 @@ class AIUtils {
         };
       }
 
+      await refreshConfigFromSettings();
+
       // AI-based emergency detection for more nuanced cases
       const response = await openai.chat.completions.create({
         model: 'gpt-3.5-turbo', // Use faster model for emergency detection
@@ -332,6 +360,11 @@ class AIUtils {
 
       try {
         const emergencyInfo = JSON.parse(response.choices[0].message.content);
+
+        // Only escalate AI-flagged emergencies that meet the configured threshold
+        emergencyInfo.isEmergency = Boolean(emergencyInfo.isEmergency) &&
+          (emergencyInfo.confidence ?? 1) >= AI_CONFIG.emergencyThreshold;
+
         return emergencyInfo;
       } catch (parseError) {
         // Fallback if JSON parsing fails
@@ -730,6 +763,7 @@ module.exports = {
   
   // Configuration and constants
   AI_CONFIG,
+  refreshConfigFromSettings,
   EMERGENCY_KEYWORDS,
   MEDICAL_SPECIALIZATIONS,
   
@@ -0,0 +1,320 @@
+const Consultation = require('../models/Consultation');
+const SlotHold = require('../models/SlotHold');
+
+// Availability configuration
+const AVAILABILITY_CONFIG = {
+  slotGranularityMinutes: 15, // Slot starts, durations and buffers align to this grid
+  defaultTimeZone: 'UTC',
+  defaultSlotDurations: {
+    video_call: 30,
+    home_visit: 60
+  },
+  defaultBufferMinutes: 15,
+  defaultMinNoticeMinutes: 60,
+  defaultBookingWindowDays: 60,
+  maxRangeDays: 31,
+  bookableTypes: ['video_call', 'home_visit'],
+  activeStatuses: ['pending', 'pending_payment', 'pending_doctor_approval', 'confirmed', 'scheduled', 'in_progress', 'ongoing']
+};
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const GRANULARITY_MS = AVAILABILITY_CONFIG.slotGranularityMinutes * MINUTE_MS;
+
+// Check that a string is an IANA time zone known to the runtime
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock parts of an instant in the given time zone
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short'
+  }).formatToParts(date);
+
+  const values = {};
+  parts.forEach(({ type, value }) => { values[type] = value; });
+
+  return {
+    year: parseInt(values.year),
+    month: parseInt(values.month),
+    day: parseInt(values.day),
+    hour: parseInt(values.hour),
+    minute: parseInt(values.minute),
+    second: parseInt(values.second),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(values.weekday)
+  };
+};
+
+// Offset of the time zone from UTC at the given instant, in milliseconds
+const getTimeZoneOffset = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Convert a local date ('YYYY-MM-DD') and time ('HH:MM') in a time zone to a UTC Date
+const zonedTimeToUtc = (dateString, timeString, timeZone) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const [hour, minute] = timeString.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Two passes settle the offset across DST transitions
+  let utc = wallClock - getTimeZoneOffset(new Date(wallClock), timeZone);
+  utc = wallClock - getTimeZoneOffset(new Date(utc), timeZone);
+
+  return new Date(utc);
+};
+
+// Local calendar date ('YYYY-MM-DD') of an instant in a time zone
+const formatDateInZone = (date, timeZone) => {
+  const p = getZonedParts(date, timeZone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+};
+
+const addDaysToDateString = (dateString, days) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+const toMinutes = (timeString) => {
+  const [hour, minute] = timeString.split(':').map(Number);
+  return hour * 60 + minute;
+};
+
+// Effective availability settings with defaults applied
+const resolveAvailability = (stored) => {
+  const availability = stored?.toObject ? stored.toObject() : (stored || {});
+
+  return {
+    timeZone: availability.timeZone || AVAILABILITY_CONFIG.defaultTimeZone,
+    weeklySchedule: availability.weeklySchedule || [],
+    exceptions: availability.exceptions || [],
+    vacations: availability.vacations || [],
+    bufferMinutes: availability.bufferMinutes ?? AVAILABILITY_CONFIG.defaultBufferMinutes,
+    slotDurations: {
+      ...AVAILABILITY_CONFIG.defaultSlotDurations,
+      ...Object.fromEntries(Object.entries(availability.slotDurations || {}).filter(([, value]) => value))
+    },
+    minNoticeMinutes: availability.minNoticeMinutes ?? AVAILABILITY_CONFIG.defaultMinNoticeMinutes,
+    bookingWindowDays: availability.bookingWindowDays ?? AVAILABILITY_CONFIG.defaultBookingWindowDays
+  };
+};
+
+// Validate a structured availability payload, returning a list of problems
+const validateAvailabilitySettings = (availability = {}) => {
+  const errors = [];
+  const granularity = AVAILABILITY_CONFIG.slotGranularityMinutes;
+
+  if (availability.timeZone && !isValidTimeZone(availability.timeZone)) {
+    errors.push(`Unknown time zone: ${availability.timeZone}`);
+  }
+
+  const checkHours = (hours, label) => {
+    (hours || []).forEach(({ start, end }) => {
+      if (toMinutes(start) >= toMinutes(end)) {
+        errors.push(`${label}: start ${start} must be before end ${end}`);
+      }
+      if (toMinutes(start) % granularity || toMinutes(end) % granularity) {
+        errors.push(`${label}: times must align to ${granularity}-minute steps`);
+      }
+    });
+  };
+
+  (availability.weeklySchedule || []).forEach(entry => {
+    checkHours([entry], `Weekly schedule day ${entry.dayOfWeek}`);
+  });
+
+  (availability.exceptions || []).forEach(exception => {
+    checkHours(exception.hours, `Exception ${exception.date}`);
+  });
+
+  (availability.vacations || []).forEach(vacation => {
+    if (new Date(vacation.from) >= new Date(vacation.to)) {
+      errors.push('Vacation start must be before its end');
+    }
+  });
+
+  Object.entries(availability.slotDurations || {}).forEach(([type, minutes]) => {
+    if (minutes % granularity) {
+      errors.push(`Slot duration for ${type} must be a multiple of ${granularity} minutes`);
+    }
+  });
+
+  if (availability.bufferMinutes && availability.bufferMinutes % granularity) {
+    errors.push(`Buffer time must be a multiple of ${granularity} minutes`);
+  }
+
+  return errors;
+};
+
+// Working intervals (UTC) for one local date, after exceptions are applied
+const getWorkingIntervals = (settings, dateString) => {
+  const exception = settings.exceptions.find(item => item.date === dateString);
+  let hours;
+
+  if (exception) {
+    hours = exception.isAvailable ? (exception.hours || []) : [];
+  } else {
+    const [year, month, day] = dateString.split('-').map(Number);
+    const dayOfWeek = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+    hours = settings.weeklySchedule.filter(entry => entry.dayOfWeek === dayOfWeek);
+  }
+
+  return hours.map(({ start, end }) => ({
+    start: zonedTimeToUtc(dateString, start, settings.timeZone),
+    end: zonedTimeToUtc(dateString, end, settings.timeZone)
+  }));
+};
+
+// Grid blocks occupied by an appointment starting at `start` (duration plus trailing buffer)
+const getOccupiedBlocks = (start, durationMinutes, bufferMinutes) => {
+  const blocks = [];
+  const firstBlock = Math.floor(start.getTime() / GRANULARITY_MS) * GRANULARITY_MS;
+  const end = start.getTime() + (durationMinutes + bufferMinutes) * MINUTE_MS;
+
+  for (let block = firstBlock; block < end; block += GRANULARITY_MS) {
+    blocks.push(new Date(block));
+  }
+
+  return blocks;
+};
+
+const isOnVacation = (settings, start, end) => settings.vacations.some(vacation =>
+  start < new Date(vacation.to) && end > new Date(vacation.from)
+);
+
+// Grid blocks already taken by holds or active consultations in a range
+const getBusyBlocks = async (doctorId, settings, from, to) => {
+  const busy = new Set();
+  const lookback = new Date(from.getTime() - DAY_MS);
+
+  const holds = await SlotHold.find({
+    doctor: doctorId,
+    blockStart: { $gte: lookback, $lt: to }
+  }).select('blockStart').lean();
+
+  holds.forEach(hold => busy.add(hold.blockStart.getTime()));
+
+  // Consultations booked before slot holds existed
+  const consultations = await Consultation.find({
+    doctor: doctorId,
+    status: { $in: AVAILABILITY_CONFIG.activeStatuses },
+    scheduledDateTime: { $gte: lookback, $lt: to }
+  }).select('type scheduledDateTime').lean();
+
+  consultations.forEach(consultation => {
+    const duration = settings.slotDurations[consultation.type] || AVAILABILITY_CONFIG.defaultSlotDurations.video_call;
+    getOccupiedBlocks(consultation.scheduledDateTime, duration, settings.bufferMinutes)
+      .forEach(block => busy.add(block.getTime()));
+  });
+
+  return busy;
+};
+
+// Generate bookable slots for a doctor between two instants
+const getAvailableSlots = async (doctor, { from, to, type }) => {
+  const settings = resolveAvailability(doctor.doctorProfile?.availability);
+  const duration = settings.slotDurations[type];
+  const now = Date.now();
+
+  // Clamp the range to the booking window and minimum notice
+  const earliest = Math.max(from.getTime(), now + settings.minNoticeMinutes * MINUTE_MS);
+  const latest = Math.min(to.getTime(), now + settings.bookingWindowDays * DAY_MS);
+
+  if (!duration || earliest >= latest) {
+    return [];
+  }
+
+  const busy = await getBusyBlocks(doctor._id, settings, new Date(earliest), new Date(latest));
+  const slots = [];
+
+  // Walk local dates, starting a day early to cover time zones behind UTC
+  let dateString = addDaysToDateString(formatDateInZone(new Date(earliest), settings.timeZone), -1);
+  const lastDate = addDaysToDateString(formatDateInZone(new Date(latest), settings.timeZone), 1);
+
+  while (dateString <= lastDate) {
+    for (const interval of getWorkingIntervals(settings, dateString)) {
+      for (let start = interval.start.getTime(); start + duration * MINUTE_MS <= interval.end.getTime(); start += GRANULARITY_MS) {
+        const slotStart = new Date(start);
+        const slotEnd = new Date(start + duration * MINUTE_MS);
+
+        if (start < earliest || start >= latest) continue;
+        if (isOnVacation(settings, slotStart, slotEnd)) continue;
+
+        const blocks = getOccupiedBlocks(slotStart, duration, settings.bufferMinutes);
+        if (blocks.some(block => busy.has(block.getTime()))) continue;
+
+        slots.push({ start: slotStart, end: slotEnd, type, durationMinutes: duration });
+      }
+    }
+
+    dateString = addDaysToDateString(dateString, 1);
+  }
+
+  return slots;
+};
+
+// Check whether a specific start time is an open slot for the doctor
+const isSlotAvailable = async (doctor, start, type) => {
+  const slots = await getAvailableSlots(doctor, {
+    from: start,
+    to: new Date(start.getTime() + MINUTE_MS),
+    type
+  });
+
+  return slots.some(slot => slot.start.getTime() === start.getTime());
+};
+
+// Validate and atomically hold a slot for a consultation. Returns the hold or a reason it failed
+const reserveSlot = async (doctor, start, type, { consultationId, patientId }) => {
+  if (!(await isSlotAvailable(doctor, start, type))) {
+    return { reserved: false, reason: 'SLOT_NOT_AVAILABLE' };
+  }
+
+  const settings = resolveAvailability(doctor.doctorProfile?.availability);
+  const duration = settings.slotDurations[type];
+  const blocks = getOccupiedBlocks(start, duration, settings.bufferMinutes);
+
+  const held = await SlotHold.holdBlocks(doctor._id, blocks, {
+    consultationId,
+    patientId,
+    expiresAt: new Date(start.getTime() + (duration + settings.bufferMinutes) * MINUTE_MS + DAY_MS)
+  });
+
+  if (!held) {
+    return { reserved: false, reason: 'TIME_SLOT_TAKEN' };
+  }
+
+  return {
+    reserved: true,
+    start,
+    end: new Date(start.getTime() + duration * MINUTE_MS),
+    durationMinutes: duration
+  };
+};
+
+module.exports = {
+  AVAILABILITY_CONFIG,
+  isValidTimeZone,
+  zonedTimeToUtc,
+  formatDateInZone,
+  resolveAvailability,
+  validateAvailabilitySettings,
+  getAvailableSlots,
+  isSlotAvailable,
+  reserveSlot
+};
@@ -0,0 +1,520 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const archiver = require('archiver');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Consultation = require('../models/Consultation');
+const MedicalRecord = require('../models/MedicalRecord');
+const Payment = require('../models/Payment');
+const Notification = require('../models/Notification');
+const DataExport = require('../models/DataExport');
+const {
+  FILE_TYPES,
+  gridFSBuckets,
+  openDecryptedDownloadStream,
+  createEncryptedUploadStream
+} = require('../middleware/upload');
+const { sendEmail } = require('./email');
+const { formatDateTime, formatCurrency } = require('./helpers');
+const { logError, logInfo, logMedicalAccess } = require('./logger');
+
+// Personal data export configuration
+const DATA_EXPORT_CONFIG = {
+  bucket: FILE_TYPES.DATA_EXPORT.bucket,
+  // How long the download link (and the archive) is kept once ready
+  linkTtlHours: parseInt(process.env.DATA_EXPORT_LINK_TTL_HOURS) || 48,
+  cooldownHours: 24, // Time between two exports for the same user
+  maxAttempts: 3,
+  staleMinutes: 30, // A build running longer than this is assumed lost and retried
+  batchSize: 5 // Exports built per job run
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Internal fields that are not the user's data
+const CONSULTATION_EXCLUDED_FIELDS = '-adminNotes -qualityFlags -qualityScore -metadata';
+
+const escapeHtml = (value) => `${value ?? ''}`
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatDate = (date) => (date ? formatDateTime(date, 'YYYY-MM-DD HH:mm') : '');
+
+// Keep archive paths portable
+const safeFileName = (name) => `${name || 'file'}`.replace(/[^\w.-]+/g, '_').slice(0, 120);
+
+// Start an export for a user; returns the open export if one is already queued
+const requestDataExport = async (userId, { ipAddress } = {}) => {
+  const open = await DataExport.findOne({ user: userId, status: { $in: ['pending', 'processing'] } });
+  if (open) return { dataExport: open, created: false };
+
+  const recent = await DataExport.findOne({
+    user: userId,
+    status: 'ready',
+    completedAt: { $gt: new Date(Date.now() - DATA_EXPORT_CONFIG.cooldownHours * HOUR_MS) }
+  });
+  if (recent) {
+    return {
+      error: `A data export was created in the last ${DATA_EXPORT_CONFIG.cooldownHours} hours`,
+      code: 'EXPORT_RECENTLY_CREATED',
+      dataExport: recent
+    };
+  }
+
+  try {
+    const dataExport = await DataExport.create({ user: userId, requestedIp: ipAddress });
+    return { dataExport, created: true };
+  } catch (error) {
+    // A concurrent request queued one first
+    if (error.code === 11000) {
+      const existing = await DataExport.findOne({ user: userId, status: { $in: ['pending', 'processing'] } });
+      return { dataExport: existing, created: false };
+    }
+    throw error;
+  }
+};
+
+// Signed, expiring link to the archive; it works without a bearer token
+const createDownloadToken = (dataExport) => {
+  const expiresIn = Math.max(Math.floor((dataExport.expiresAt - Date.now()) / 1000), 1);
+  return jwt.sign(
+    { exportId: dataExport._id, userId: dataExport.user, purpose: 'data_export' },
+    process.env.JWT_SECRET,
+    { expiresIn, issuer: 'healthfriend-api', audience: 'healthfriend-export' }
+  );
+};
+
+const verifyDownloadToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+      issuer: 'healthfriend-api',
+      audience: 'healthfriend-export'
+    });
+    return decoded.purpose === 'data_export' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const getDownloadUrl = (dataExport) => {
+  const token = createDownloadToken(dataExport);
+  return `${process.env.API_BASE_URL}/api/users/export/${dataExport._id}/download?token=${encodeURIComponent(token)}`;
+};
+
+// Read a stored file into memory; null when it is missing or can't be decrypted
+const readStoredFile = async (bucketName, fileName, encryptionKey) => {
+  const bucket = gridFSBuckets[bucketName];
+  if (!bucket || !fileName) return null;
+
+  try {
+    const [stored] = await bucket.find({ filename: fileName }).limit(1).toArray();
+    if (!stored) return null;
+
+    const stream = await openDecryptedDownloadStream(stored._id, bucketName, encryptionKey);
+
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  } catch (error) {
+    logError(error, { context: 'Data Export Read File', bucket: bucketName, fileName });
+    return null;
+  }
+};
+
+// Everything held about the user as the subject of the data. Consultations and
+// records where the user is the doctor hold other patients' data and are left out.
+const collectUserData = async (userId) => {
+  const user = await User.findById(userId).lean();
+  if (!user) return null;
+
+  delete user.nonce;
+  delete user.__v;
+
+  const [consultations, medicalRecords, payments, notifications] = await Promise.all([
+    Consultation.find({ patient: userId })
+      .select(CONSULTATION_EXCLUDED_FIELDS)
+      .populate('doctor', 'firstName lastName doctorProfile.specialization')
+      .sort({ createdAt: 1 })
+      .lean(),
+    MedicalRecord.find({ patient: userId, isDeleted: { $ne: true } })
+      .populate('doctor', 'firstName lastName')
+      .sort({ recordDate: 1 })
+      .lean(),
+    Payment.find({ payer: userId }).sort({ createdAt: 1 }).lean(),
+    Notification.find({ recipient: userId }).sort({ createdAt: 1 }).lean()
+  ]);
+
+  // File keys stay on the server; the files themselves go in the archive
+  medicalRecords.forEach(record => {
+    delete record.encryptionKey;
+    if (record.dataIntegrity) delete record.dataIntegrity.hash;
+  });
+
+  return { profile: user, consultations, medicalRecords, payments, notifications };
+};
+
+const renderTable = (headers, rows) => {
+  if (rows.length === 0) return '<p class="empty">None</p>';
+
+  const head = headers.map(header => `<th>${escapeHtml(header)}</th>`).join('');
+  const body = rows
+    .map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`)
+    .join('');
+  return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+};
+
+// Human-readable copy of the export
+const renderExportHtml = (data, files, exportedAt) => {
+  const { profile, consultations, medicalRecords, payments, notifications } = data;
+  const doctorName = (doctor) => (doctor ? `Dr. ${doctor.firstName} ${doctor.lastName}` : '');
+
+  const consultationSections = consultations.map(consultation => {
+    const prescriptions = renderTable(
+      ['Medication', 'Dosage', 'Frequency', 'Duration', 'Instructions'],
+      (consultation.prescription || []).map(item => [
+        escapeHtml(item.medication),
+        escapeHtml(item.dosage),
+        escapeHtml(item.frequency),
+        escapeHtml(item.duration),
+        escapeHtml(item.instructions)
+      ])
+    );
+    const conversation = (consultation.aiConversation || [])
+      .map(entry => `<p><strong>${escapeHtml(entry.role)}</strong> <span class="muted">${formatDate(entry.timestamp)}</span><br>${escapeHtml(entry.message)}</p>`)
+      .join('');
+
+    return `
+      <section class="item">
+        <h3>${escapeHtml(consultation.consultationId)} - ${formatDate(consultation.scheduledDateTime || consultation.createdAt)}</h3>
+        <p><strong>Type:</strong> ${escapeHtml(consultation.type)} &middot; <strong>Status:</strong> ${escapeHtml(consultation.status)} &middot; <strong>Doctor:</strong> ${escapeHtml(doctorName(consultation.doctor))}</p>
+        <p><strong>Chief complaint:</strong> ${escapeHtml(consultation.chiefComplaint)}</p>
+        <p><strong>Diagnosis:</strong> ${escapeHtml(consultation.diagnosis?.primary?.condition)}</p>
+        <h4>Prescriptions</h4>
+        ${prescriptions}
+        ${conversation ? `<h4>AI conversation</h4>${conversation}` : ''}
+      </section>`;
+  }).join('');
+
+  const recordRows = medicalRecords.map(record => [
+    formatDate(record.recordDate),
+    escapeHtml(record.recordType),
+    escapeHtml(record.title),
+    escapeHtml(record.description),
+    escapeHtml(doctorName(record.doctor)),
+    files
+      .filter(file => file.source === 'medical_record' && file.parentId === record._id.toString())
+      .map(file => (file.path ? `<a href="${escapeHtml(file.path)}">${escapeHtml(file.originalName)}</a>` : `${escapeHtml(file.originalName)} (unavailable)`))
+      .join('<br>')
+  ]);
+
+  const paymentRows = payments.map(payment => [
+    formatDate(payment.createdAt),
+    escapeHtml(payment.paymentId),
+    escapeHtml(payment.serviceType),
+    escapeHtml(formatCurrency(payment.amount, payment.currency)),
+    escapeHtml(payment.status)
+  ]);
+
+  const notificationRows = notifications.map(notification => [
+    formatDate(notification.createdAt),
+    escapeHtml(notification.title),
+    escapeHtml(notification.message)
+  ]);
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>HealthFriend Data Export</title>
+  <style>
+    body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.5; color: #333; max-width: 960px; margin: 0 auto; padding: 20px; }
+    h1 { border-bottom: 2px solid #4CAF50; padding-bottom: 10px; }
+    table { width: 100%; border-collapse: collapse; margin: 10px 0; }
+    th, td { border: 1px solid #ddd; padding: 6px 8px; text-align: left; vertical-align: top; }
+    th { background: #f8f9fa; }
+    .item { border-bottom: 1px solid #eee; padding: 10px 0; }
+    .muted, .empty { color: #777; }
+  </style>
+</head>
+<body>
+  <h1>HealthFriend Data Export</h1>
+  <p class="muted">Exported ${formatDate(exportedAt)} UTC. The complete data is in the <code>data</code> folder as JSON.</p>
+
+  <h2>Profile</h2>
+  ${renderTable(['Field', 'Value'], [
+    ['Name', escapeHtml(`${profile.firstName} ${profile.lastName}`)],
+    ['Email', escapeHtml(profile.email)],
+    ['Phone', escapeHtml(profile.phone)],
+    ['Date of birth', formatDate(profile.dateOfBirth)],
+    ['Wallet address', escapeHtml(profile.walletAddress)],
+    ['Role', escapeHtml(profile.role)],
+    ['Member since', formatDate(profile.createdAt)]
+  ])}
+
+  <h2>Consultations (${consultations.length})</h2>
+  ${consultationSections || '<p class="empty">None</p>'}
+
+  <h2>Medical records (${medicalRecords.length})</h2>
+  ${renderTable(['Date', 'Type', 'Title', 'Description', 'Doctor', 'Files'], recordRows)}
+
+  <h2>Payments (${payments.length})</h2>
+  ${renderTable(['Date', 'Payment ID', 'Service', 'Amount', 'Status'], paymentRows)}
+
+  <h2>Notifications (${notifications.length})</h2>
+  ${renderTable(['Date', 'Title', 'Message'], notificationRows)}
+</body>
+</html>
+`;
+};
+
+/**
+ * Build the archive for an export: JSON data, an HTML copy and the user's
+ * medical record documents and consultation attachments, stored encrypted in
+ * GridFS. Each record included is written to the medical access audit log.
+ */
+const buildDataExport = async (dataExport) => {
+  const exportedAt = new Date();
+  const data = await collectUserData(dataExport.user);
+  if (!data) {
+    throw new Error('User no longer exists');
+  }
+
+  const userId = dataExport.user.toString();
+  const filename = `healthfriend-export-${userId}-${formatDateTime(exportedAt, 'YYYYMMDD-HHmmss')}.zip`;
+  const output = await createEncryptedUploadStream(DATA_EXPORT_CONFIG.bucket, filename, {
+    user: dataExport.user,
+    exportId: dataExport._id,
+    mimeType: 'application/zip'
+  });
+
+  // Stream the archive into storage as entries are added
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const checksum = crypto.createHash('sha256');
+  let streamError = null;
+  const written = pipeline(
+    archive,
+    new Transform({
+      transform(chunk, encoding, callback) {
+        checksum.update(chunk);
+        callback(null, chunk);
+      }
+    }),
+    output.stream
+  ).catch(error => {
+    streamError = error;
+  });
+
+  const files = [];
+
+  // Documents attached to records and consultations
+  for (const record of data.medicalRecords) {
+    for (const file of record.files || []) {
+      const content = await readStoredFile(
+        FILE_TYPES.MEDICAL_DOCUMENT.bucket,
+        file.fileName,
+        file.encryptionKey
+      );
+      const path = content ? `files/medical-records/${record.recordId}/${safeFileName(file.originalName || file.fileName)}` : null;
+      if (content) archive.append(content, { name: path });
+      files.push({ source: 'medical_record', parentId: record._id.toString(), originalName: file.originalName || file.fileName, fileType: file.fileType, path });
+      delete file.encryptionKey;
+    }
+  }
+
+  for (const consultation of data.consultations) {
+    for (const file of consultation.attachments || []) {
+      const content = await readStoredFile(FILE_TYPES.CONSULTATION_ATTACHMENT.bucket, file.fileName);
+      const path = content ? `files/consultations/${consultation.consultationId}/${safeFileName(file.originalName || file.fileName)}` : null;
+      if (content) archive.append(content, { name: path });
+      files.push({ source: 'consultation', parentId: consultation._id.toString(), originalName: file.originalName || file.fileName, fileType: file.fileType, path });
+    }
+  }
+
+  const summary = {
+    consultations: data.consultations.length,
+    medicalRecords: data.medicalRecords.length,
+    files: files.filter(file => file.path).length,
+    payments: data.payments.length,
+    notifications: data.notifications.length
+  };
+
+  const toJson = (value) => JSON.stringify(value, null, 2);
+  archive.append(toJson({ exportId: dataExport._id, userId, exportedAt, summary, files }), { name: 'manifest.json' });
+  archive.append(toJson(data.profile), { name: 'data/profile.json' });
+  archive.append(toJson(data.consultations), { name: 'data/consultations.json' });
+  archive.append(toJson(data.medicalRecords), { name: 'data/medical-records.json' });
+  archive.append(toJson(data.payments), { name: 'data/payments.json' });
+  archive.append(toJson(data.notifications), { name: 'data/notifications.json' });
+  archive.append(renderExportHtml(data, files, exportedAt), { name: 'healthfriend-export.html' });
+
+  await archive.finalize();
+  await written;
+  if (streamError) throw streamError;
+  const stored = await output.finished;
+
+  const ready = await DataExport.findOneAndUpdate(
+    { _id: dataExport._id, status: 'processing' },
+    {
+      $set: {
+        status: 'ready',
+        completedAt: new Date(),
+        expiresAt: new Date(Date.now() + DATA_EXPORT_CONFIG.linkTtlHours * HOUR_MS),
+        summary,
+        file: {
+          fileId: stored.id,
+          filename: stored.filename,
+          size: stored.size,
+          checksumSHA256: checksum.digest('hex')
+        }
+      },
+      $unset: { failureReason: '' }
+    },
+    { new: true }
+  );
+
+  data.medicalRecords.forEach(record => {
+    logMedicalAccess('data_export', userId, userId, record._id.toString(), record.recordType, dataExport.requestedIp);
+  });
+  data.consultations.forEach(consultation => {
+    logMedicalAccess('data_export', userId, userId, consultation._id.toString(), 'consultation', dataExport.requestedIp);
+  });
+
+  return ready;
+};
+
+const sendExportReadyEmail = async (dataExport) => {
+  const user = await User.findById(dataExport.user).select('email firstName');
+  if (!user?.email) return;
+
+  await sendEmail(user.email, 'dataExportReady', {
+    firstName: user.firstName,
+    downloadUrl: getDownloadUrl(dataExport),
+    expiresAt: formatDateTime(dataExport.expiresAt, 'YYYY-MM-DD HH:mm [UTC]'),
+    checksum: dataExport.file.checksumSHA256
+  });
+};
+
+// Claim the oldest queued export (or one whose build was lost) for this instance
+const claimNextExport = () => {
+  const staleBefore = new Date(Date.now() - DATA_EXPORT_CONFIG.staleMinutes * 60 * 1000);
+
+  return DataExport.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending' },
+        { status: 'processing', startedAt: { $lt: staleBefore } }
+      ],
+      attempts: { $lt: DATA_EXPORT_CONFIG.maxAttempts }
+    },
+    { $set: { status: 'processing', startedAt: new Date() }, $inc: { attempts: 1 } },
+    { sort: { createdAt: 1 }, new: true }
+  );
+};
+
+// Build queued exports; failures are retried up to maxAttempts
+const processPendingExports = async () => {
+  let built = 0;
+  let failed = 0;
+
+  for (let i = 0; i < DATA_EXPORT_CONFIG.batchSize; i++) {
+    const dataExport = await claimNextExport();
+    if (!dataExport) break;
+
+    try {
+      const ready = await buildDataExport(dataExport);
+      built++;
+
+      logInfo('Data export ready', { exportId: dataExport._id, userId: dataExport.user, summary: ready.summary });
+
+      try {
+        await sendExportReadyEmail(ready);
+      } catch (error) {
+        logError(error, { context: 'Data Export Email', exportId: dataExport._id });
+      }
+    } catch (error) {
+      failed++;
+      logError(error, { context: 'Build Data Export', exportId: dataExport._id, attempt: dataExport.attempts });
+
+      const finalAttempt = dataExport.attempts >= DATA_EXPORT_CONFIG.maxAttempts;
+      await DataExport.updateOne(
+        { _id: dataExport._id, status: 'processing' },
+        { $set: { status: finalAttempt ? 'failed' : 'pending', failureReason: error.message } }
+      );
+    }
+  }
+
+  return { built, failed };
+};
+
+// Delete archives whose link has expired
+const expireDataExports = async () => {
+  const expired = await DataExport.find({ status: 'ready', expiresAt: { $lte: new Date() } }).limit(100);
+
+  const bucket = gridFSBuckets[DATA_EXPORT_CONFIG.bucket];
+  let removed = 0;
+
+  for (const dataExport of expired) {
+    if (bucket && dataExport.file?.fileId) {
+      try {
+        await bucket.delete(dataExport.file.fileId);
+      } catch (error) {
+        logError(error, { context: 'Expire Data Export', exportId: dataExport._id });
+      }
+    }
+
+    await DataExport.updateOne(
+      { _id: dataExport._id, status: 'ready' },
+      { $set: { status: 'expired' }, $unset: { file: '' } }
+    );
+    removed++;
+  }
+
+  // Builds that ran out of attempts while their last run was lost
+  const abandoned = await DataExport.updateMany(
+    {
+      status: 'processing',
+      attempts: { $gte: DATA_EXPORT_CONFIG.maxAttempts },
+      startedAt: { $lt: new Date(Date.now() - DATA_EXPORT_CONFIG.staleMinutes * 60 * 1000) }
+    },
+    { $set: { status: 'failed', failureReason: 'Export build did not finish' } }
+  );
+
+  return { expired: removed, abandoned: abandoned.modifiedCount };
+};
+
+// Ready export for a signed download link, or null
+const findDownloadableExport = async (exportId, token) => {
+  const decoded = verifyDownloadToken(token);
+  if (!decoded || decoded.exportId !== `${exportId}`) return null;
+
+  return DataExport.findOne({
+    _id: exportId,
+    user: decoded.userId,
+    status: 'ready',
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+const openExportStream = (dataExport) => {
+  return openDecryptedDownloadStream(
+    dataExport.file.fileId,
+    DATA_EXPORT_CONFIG.bucket,
+    dataExport.file.encryptionKey
+  );
+};
+
+module.exports = {
+  DATA_EXPORT_CONFIG,
+  requestDataExport,
+  getDownloadUrl,
+  findDownloadableExport,
+  openExportStream,
+  processPendingExports,
+  expireDataExports
+};
@@ -466,6 +466,268 @@ const emailTemplates = {
       </html>
     `,
     text: `Password reset requested for ${userData.email}. Reset link: ${process.env.FRONTEND_URL}/reset-password?token=${resetToken} (expires in 1 hour)`
+  }),
+
+  // Wallet recovery link
+  walletRecovery: (data) => ({
+    subject: '🔑 Recover Access to Your HealthFriend Account',
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Wallet Recovery</title>
+        <style>
+          body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; background-color: #f4f4f4; }
+          .container { max-width: 600px; margin: 0 auto; background: #fff; padding: 20px; border-radius: 10px; box-shadow: 0 0 10px rgba(0,0,0,0.1); }
+          .header { text-align: center; padding: 20px 0; border-bottom: 2px solid #f44336; }
+          .button { display: inline-block; padding: 12px 30px; background: #f44336; color: #fff; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .warning { background: #fff3e0; padding: 15px; border-radius: 5px; border-left: 4px solid #ff9800; margin: 20px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>🔑 Wallet Recovery Request</h1>
+          </div>
+          <div class="content">
+            <p>Hi ${data.firstName},</p>
+            <p>We received a request to connect a new wallet to your HealthFriend account.</p>
+            
+            <div style="text-align: center;">
+              <a href="${data.recoveryUrl}" class="button">Connect a New Wallet</a>
+            </div>
+            
+            <div class="warning">
+              <p><strong>⚠️ Important Security Information:</strong></p>
+              <ul>
+                <li>This link expires in ${data.expiresInMinutes} minutes and can be used once</li>
+                <li>If you didn't request this, ignore this email - your wallet stays connected</li>
+                <li>Never share this link with anyone</li>
+              </ul>
+            </div>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+    text: `Wallet recovery requested for your HealthFriend account. Recovery link: ${data.recoveryUrl} (expires in ${data.expiresInMinutes} minutes). If you didn't request this, ignore this email.`
+  }),
+
+  // New wallet will be connected after the waiting period
+  walletRecoveryPending: (data) => ({
+    subject: '⚠️ A New Wallet Will Be Connected to Your HealthFriend Account',
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Wallet Change Scheduled</title>
+        <style>
+          body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; background-color: #f4f4f4; }
+          .container { max-width: 600px; margin: 0 auto; background: #fff; padding: 20px; border-radius: 10px; box-shadow: 0 0 10px rgba(0,0,0,0.1); }
+          .header { text-align: center; padding: 20px 0; border-bottom: 2px solid #ff9800; }
+          .button { display: inline-block; padding: 12px 30px; background: #f44336; color: #fff; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>⚠️ Wallet Change Scheduled</h1>
+          </div>
+          <div class="content">
+            <p>Hi ${data.firstName},</p>
+            <p>Wallet <strong>${data.newWalletAddress}</strong> will replace <strong>${data.oldWalletAddress}</strong> on your account after ${data.executeAfter}.</p>
+            <p>If this wasn't you, cancel the change now:</p>
+            
+            <div style="text-align: center;">
+              <a href="${data.cancelUrl}" class="button">Cancel Wallet Change</a>
+            </div>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+    text: `Wallet ${data.newWalletAddress} will replace ${data.oldWalletAddress} on your HealthFriend account after ${data.executeAfter}. If this wasn't you, cancel: ${data.cancelUrl}`
+  }),
+
+  // Wallet replaced
+  walletChanged: (data) => ({
+    subject: '🔐 Your HealthFriend Wallet Was Changed',
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Wallet Changed</title>
+        <style>
+          body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; background-color: #f4f4f4; }
+          .container { max-width: 600px; margin: 0 auto; background: #fff; padding: 20px; border-radius: 10px; box-shadow: 0 0 10px rgba(0,0,0,0.1); }
+          .header { text-align: center; padding: 20px 0; border-bottom: 2px solid #f44336; }
+          .warning { background: #fff3e0; padding: 15px; border-radius: 5px; border-left: 4px solid #ff9800; margin: 20px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>🔐 Wallet Changed</h1>
+          </div>
+          <div class="content">
+            <p>Hi ${data.firstName},</p>
+            <p>Your HealthFriend account is now connected to wallet <strong>${data.newWalletAddress}</strong>. The previous wallet <strong>${data.oldWalletAddress}</strong> can no longer sign in, and all devices have been signed out.</p>
+            
+            <div class="warning">
+              <p><strong>⚠️ Didn't do this?</strong> Contact support immediately.</p>
+            </div>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+    text: `Your HealthFriend account is now connected to wallet ${data.newWalletAddress}. The previous wallet ${data.oldWalletAddress} can no longer sign in. If you didn't do this, contact support immediately.`
+  }),
+
+  suspiciousLogin: (data) => ({
+    subject: '⚠️ New Sign-In to Your HealthFriend Account',
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>New Sign-In</title>
+        <style>
+          body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; background-color: #f4f4f4; }
+          .container { max-width: 600px; margin: 0 auto; background: #fff; padding: 20px; border-radius: 10px; box-shadow: 0 0 10px rgba(0,0,0,0.1); }
+          .header { text-align: center; padding: 20px 0; border-bottom: 2px solid #ff9800; }
+          .details { background: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0; }
+          .warning { background: #fff3e0; padding: 15px; border-radius: 5px; border-left: 4px solid #ff9800; margin: 20px 0; }
+          .button { display: inline-block; padding: 12px 30px; background: #f44336; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>⚠️ New Sign-In</h1>
+          </div>
+          <div class="content">
+            <p>Hi ${data.firstName},</p>
+            <p>Your HealthFriend account was just signed in to from a location or device we haven't seen before.</p>
+            
+            <div class="details">
+              <p><strong>Time:</strong> ${data.time}</p>
+              <p><strong>Country:</strong> ${data.country}</p>
+              <p><strong>Device:</strong> ${data.userAgent}</p>
+              <p><strong>IP address:</strong> ${data.ipAddress}</p>
+            </div>
+            
+            <div class="warning">
+              <p><strong>⚠️ Wasn't you?</strong> Sign out the device and secure your wallet immediately.</p>
+            </div>
+            
+            <div style="text-align: center;">
+              <a href="${data.sessionsUrl}" class="button">Review Signed-In Devices</a>
+            </div>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+    text: `Your HealthFriend account was signed in to from a new location or device (${data.country}, ${data.userAgent}, IP ${data.ipAddress}) at ${data.time}. If this wasn't you, review your signed-in devices at ${data.sessionsUrl} and secure your wallet immediately.`
+  }),
+
+  dataExportReady: (data) => ({
+    subject: '📦 Your HealthFriend Data Export Is Ready',
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Data Export Ready</title>
+        <style>
+          body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; background-color: #f4f4f4; }
+          .container { max-width: 600px; margin: 0 auto; background: #fff; padding: 20px; border-radius: 10px; box-shadow: 0 0 10px rgba(0,0,0,0.1); }
+          .header { text-align: center; padding: 20px 0; border-bottom: 2px solid #4CAF50; }
+          .button { display: inline-block; padding: 12px 30px; background: #4CAF50; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .warning { background: #fff3e0; padding: 15px; border-radius: 5px; border-left: 4px solid #ff9800; margin: 20px 0; }
+          .checksum { font-family: monospace; font-size: 12px; word-break: break-all; color: #666; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>📦 Your Data Export Is Ready</h1>
+          </div>
+          <div class="content">
+            <p>Hi ${data.firstName},</p>
+            <p>The copy of your HealthFriend data you requested is ready. It contains your profile, consultations, prescriptions, medical records and documents, payments and notifications, as JSON and as a readable HTML page.</p>
+            
+            <div style="text-align: center;">
+              <a href="${data.downloadUrl}" class="button">Download My Data</a>
+            </div>
+            
+            <div class="warning">
+              <p><strong>⚠️ This link expires on ${data.expiresAt}.</strong> The archive contains health information - keep it somewhere safe and don't forward this email.</p>
+            </div>
+            
+            <p class="checksum">SHA-256: ${data.checksum}</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+    text: `Your HealthFriend data export is ready. Download it before ${data.expiresAt}: ${data.downloadUrl} (SHA-256: ${data.checksum}). The archive contains health information - keep it safe and don't forward this email.`
+  }),
+
+  emergencyAccess: (data) => ({
+    subject: '🚨 Emergency Access to Your HealthFriend Records',
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Emergency Access</title>
+        <style>
+          body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; background-color: #f4f4f4; }
+          .container { max-width: 600px; margin: 0 auto; background: #fff; padding: 20px; border-radius: 10px; box-shadow: 0 0 10px rgba(0,0,0,0.1); }
+          .header { text-align: center; padding: 20px 0; border-bottom: 2px solid #f44336; }
+          .details { background: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0; }
+          .warning { background: #fff3e0; padding: 15px; border-radius: 5px; border-left: 4px solid #ff9800; margin: 20px 0; }
+          .button { display: inline-block; padding: 12px 30px; background: #f44336; color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>🚨 Emergency Access</h1>
+          </div>
+          <div class="content">
+            <p>Hi ${data.firstName},</p>
+            <p>${data.doctorName} used emergency access to view your critical health information (blood type, allergies, active medications and critical alerts).</p>
+            
+            <div class="details">
+              <p><strong>Time:</strong> ${data.time}</p>
+              <p><strong>Access ends:</strong> ${data.expiresAt}</p>
+            </div>
+            
+            <div class="warning">
+              <p><strong>⚠️ Every emergency access is reviewed by our team.</strong> You can see the reason the doctor gave in your emergency access history.</p>
+            </div>
+            
+            <div style="text-align: center;">
+              <a href="${data.historyUrl}" class="button">View Emergency Access History</a>
+            </div>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+    text: `${data.doctorName} used emergency access to view your critical health information at ${data.time}. Access ends at ${data.expiresAt}. Every emergency access is reviewed by our team; see the reason given at ${data.historyUrl}.`
   })
 };
 
@@ -0,0 +1,230 @@
+const net = require('net');
+const User = require('../models/User');
+const MedicalRecord = require('../models/MedicalRecord');
+const EmergencyAccess = require('../models/EmergencyAccess');
+const SystemLog = require('../models/SystemLog');
+const { PERMISSIONS, resolveAdminRoles, hasPermission } = require('../config/permissions');
+const { sendNotificationToUser } = require('../sockets/notifications');
+const { sendEmail } = require('./email');
+const { logSecurity, logMedicalAccess, logError } = require('./logger');
+
+// Break-glass emergency access configuration
+const EMERGENCY_ACCESS_CONFIG = {
+  // How long a doctor can read the patient's critical information
+  accessMinutes: parseInt(process.env.EMERGENCY_ACCESS_MINUTES) || 60,
+  minReasonLength: 20,
+  // Most recent records scanned for allergies, medications and critical flags
+  recordLimit: 200
+};
+
+const MINUTE_MS = 60 * 1000;
+
+// High-severity audit event in the system log; never fails the request
+const writeEmergencyLog = async (access, doctor, req, action, message) => {
+  try {
+    await SystemLog.create({
+      level: 'warn',
+      category: 'medical_data',
+      action,
+      message,
+      user: doctor.id,
+      userRole: doctor.role,
+      walletAddress: doctor.walletAddress,
+      method: req.method,
+      url: req.originalUrl,
+      ipAddress: net.isIPv4(req.ip) ? req.ip : undefined,
+      userAgent: req.get('User-Agent'),
+      medical: {
+        patientId: access.patient,
+        doctorId: access.doctor,
+        consentPresent: false
+      },
+      securityEvent: { type: 'emergency_access', severity: 'high', threat: 'none' },
+      metadata: {
+        tags: ['emergency_access'],
+        customFields: { accessId: access._id, reason: access.reason, expiresAt: access.expiresAt }
+      }
+    });
+  } catch (error) {
+    logError(error, { context: 'Write Emergency Access Log', accessId: access._id });
+  }
+};
+
+// Admins who review emergency access
+const findReviewingAdmins = async () => {
+  const admins = await User.find({ role: 'admin', isActive: true }).select('role adminRoles');
+  return admins.filter(admin =>
+    hasPermission(resolveAdminRoles(admin), PERMISSIONS.EMERGENCY_ACCESS_REVIEW)
+  );
+};
+
+const notifyEmergencyAccess = async (access, doctor, patient) => {
+  const doctorName = `Dr. ${doctor.firstName} ${doctor.lastName}`;
+
+  await sendNotificationToUser(patient._id, {
+    type: 'emergency_alert',
+    title: 'Emergency Access to Your Records',
+    message: `${doctorName} used emergency access to view your critical health information. Reason given: ${access.reason}`,
+    priority: 'urgent',
+    category: 'medical',
+    data: { accessId: access._id, doctorId: access.doctor, expiresAt: access.expiresAt }
+  });
+
+  const admins = await findReviewingAdmins();
+  for (const admin of admins) {
+    await sendNotificationToUser(admin._id, {
+      type: 'security_alert',
+      title: 'Emergency Access Needs Review',
+      message: `${doctorName} used emergency access to a patient's records`,
+      priority: 'high',
+      category: 'medical',
+      data: { accessId: access._id, doctorId: access.doctor, patientId: access.patient }
+    });
+  }
+
+  if (patient.email) {
+    try {
+      await sendEmail(patient.email, 'emergencyAccess', {
+        firstName: patient.firstName,
+        doctorName,
+        time: access.createdAt.toUTCString(),
+        expiresAt: access.expiresAt.toUTCString(),
+        historyUrl: `${process.env.FRONTEND_URL}/records/emergency-access`
+      });
+    } catch (error) {
+      logError(error, { context: 'Emergency Access Email', accessId: access._id });
+    }
+  }
+};
+
+/**
+ * Critical information for emergency care: blood type, allergies, active
+ * medications, critical flags from recent records and the records the patient
+ * marked emergency-only.
+ */
+const buildEmergencySummary = async (patientId) => {
+  const patient = await User.findById(patientId).select('firstName lastName dateOfBirth gender medicalInfo');
+
+  const records = await MedicalRecord.find({ patient: patientId, isActive: true, isDeleted: false })
+    .select('recordId title recordType recordDate accessLevel allergies medications vitals labResults')
+    .sort({ recordDate: -1 })
+    .limit(EMERGENCY_ACCESS_CONFIG.recordLimit);
+
+  const now = new Date();
+  const allergies = (patient.medicalInfo?.allergies || []).map(allergy => ({
+    allergen: allergy.allergen,
+    severity: allergy.severity,
+    source: 'profile'
+  }));
+  const activeMedications = [];
+  const criticalFlags = [];
+
+  records.forEach(record => {
+    record.allergies
+      .filter(allergy => allergy.clinicalStatus === 'active' && allergy.verificationStatus !== 'refuted')
+      .forEach(allergy => allergies.push({
+        allergen: allergy.allergen,
+        allergenType: allergy.allergenType,
+        reaction: allergy.reaction,
+        severity: allergy.severity,
+        source: record.recordId
+      }));
+
+    record.medications
+      .filter(medication => medication.isActive && (!medication.endDate || medication.endDate > now))
+      .forEach(medication => activeMedications.push({
+        medication: medication.medication,
+        strength: medication.strength,
+        dosage: medication.dosage,
+        frequency: medication.frequency,
+        route: medication.route,
+        startDate: medication.startDate,
+        source: record.recordId
+      }));
+
+    record.criticalFlags.forEach(flag => criticalFlags.push({
+      flag,
+      recordDate: record.recordDate,
+      source: record.recordId
+    }));
+  });
+
+  return {
+    patient: {
+      id: patient._id,
+      firstName: patient.firstName,
+      lastName: patient.lastName,
+      dateOfBirth: patient.dateOfBirth,
+      gender: patient.gender
+    },
+    bloodType: patient.medicalInfo?.bloodType || 'unknown',
+    allergies,
+    activeMedications,
+    criticalFlags,
+    // Readable in full through /api/medical-records/:id while access is active
+    emergencyRecords: records
+      .filter(record => record.accessLevel === 'emergency_only')
+      .map(record => ({
+        id: record._id,
+        recordId: record.recordId,
+        title: record.title,
+        recordType: record.recordType,
+        recordDate: record.recordDate
+      }))
+  };
+};
+
+/**
+ * Open an emergency access window for a doctor. Notifies the patient and
+ * reviewing admins and writes a high-severity audit event.
+ */
+const startEmergencyAccess = async (doctor, patientId, reason, req) => {
+  const patient = await User.findOne({ _id: patientId, role: 'patient' }).select('firstName lastName email');
+  if (!patient) return null;
+
+  const access = await EmergencyAccess.create({
+    doctor: doctor.id,
+    patient: patient._id,
+    reason,
+    expiresAt: new Date(Date.now() + EMERGENCY_ACCESS_CONFIG.accessMinutes * MINUTE_MS),
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  logSecurity(
+    'emergency_access_started',
+    doctor.id,
+    req.ip,
+    req.get('User-Agent'),
+    'high',
+    { accessId: access._id, patientId: patient._id, reason, expiresAt: access.expiresAt }
+  );
+  await writeEmergencyLog(access, doctor, req, 'emergency_access_started', 'Doctor started emergency access to patient records');
+
+  try {
+    await notifyEmergencyAccess(access, doctor, patient);
+  } catch (error) {
+    logError(error, { context: 'Emergency Access Notifications', accessId: access._id });
+  }
+
+  return access;
+};
+
+// Record a view of the critical information and return it
+const viewEmergencySummary = async (access, req) => {
+  const summary = await buildEmergencySummary(access.patient);
+
+  access.viewCount += 1;
+  access.lastViewedAt = new Date();
+  await access.save();
+
+  logMedicalAccess('emergency_access', access.doctor, access.patient.toString(), null, 'emergency_summary', req.ip);
+
+  return summary;
+};
+
+module.exports = {
+  EMERGENCY_ACCESS_CONFIG,
+  startEmergencyAccess,
+  viewEmergencySummary
+};
@@ -0,0 +1,733 @@
+const MedicalRecord = require('../models/MedicalRecord');
+
+// FHIR R4 interoperability configuration
+const FHIR_CONFIG = {
+  baseUrl: process.env.FHIR_BASE_URL || `${process.env.API_BASE_URL}/api/fhir`,
+  defaultSourceSystem: 'fhir-import',
+  maxImportEntries: 500
+};
+
+const SYSTEMS = {
+  loinc: 'http://loinc.org',
+  snomed: 'http://snomed.info/sct',
+  icd10: 'http://hl7.org/fhir/sid/icd-10',
+  ucum: 'http://unitsofmeasure.org',
+  observationCategory: 'http://terminology.hl7.org/CodeSystem/observation-category',
+  interpretation: 'http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation',
+  conditionClinical: 'http://terminology.hl7.org/CodeSystem/condition-clinical',
+  conditionVerification: 'http://terminology.hl7.org/CodeSystem/condition-ver-status',
+  conditionCategory: 'http://terminology.hl7.org/CodeSystem/condition-category',
+  allergyClinical: 'http://terminology.hl7.org/CodeSystem/allergyintolerance-clinical',
+  allergyVerification: 'http://terminology.hl7.org/CodeSystem/allergyintolerance-verification',
+  actCode: 'http://terminology.hl7.org/CodeSystem/v3-ActCode',
+  walletIdentifier: 'https://healthfriend.xyz/fhir/identifier/wallet'
+};
+
+// Vital signs by LOINC code, mapped to MedicalRecord.vitals
+const VITAL_SIGNS = {
+  heartRate: { code: '8867-4', display: 'Heart rate', unit: '/min' },
+  temperature: { code: '8310-5', display: 'Body temperature', unit: 'Cel' },
+  respiratoryRate: { code: '9279-1', display: 'Respiratory rate', unit: '/min' },
+  oxygenSaturation: { code: '2708-6', display: 'Oxygen saturation in Arterial blood', unit: '%' },
+  weight: { code: '29463-7', display: 'Body weight', unit: 'kg' },
+  height: { code: '8302-2', display: 'Body height', unit: 'cm' },
+  bmi: { code: '39156-5', display: 'Body mass index (BMI) [Ratio]', unit: 'kg/m2' },
+  painScale: { code: '72514-3', display: 'Pain severity - 0-10 verbal numeric rating [Score] - Reported', unit: '{score}' }
+};
+
+const BLOOD_PRESSURE = {
+  panel: { code: '85354-9', display: 'Blood pressure panel with all children optional' },
+  systolic: { code: '8480-6', display: 'Systolic blood pressure' },
+  diastolic: { code: '8462-4', display: 'Diastolic blood pressure' }
+};
+
+// UCUM units for the units MedicalRecord stores
+const UCUM_UNITS = { celsius: 'Cel', fahrenheit: '[degF]', kg: 'kg', lbs: '[lb_av]', cm: 'cm', inches: '[in_i]' };
+
+const SEVERITY_SNOMED = {
+  mild: { code: '255604002', display: 'Mild' },
+  moderate: { code: '6736007', display: 'Moderate' },
+  severe: { code: '24484000', display: 'Severe' }
+};
+
+const LAB_INTERPRETATION = { normal: 'N', high: 'H', low: 'L', critical: 'AA', abnormal: 'A' };
+
+const CONDITION_CLINICAL_STATUS = { active: 'active', chronic: 'active', recurrent: 'recurrence', resolved: 'resolved' };
+
+const ALLERGY_CATEGORY = { drug: 'medication', food: 'food', environmental: 'environment', latex: 'environment' };
+
+const ALLERGY_VERIFICATION = { confirmed: 'confirmed', suspected: 'unconfirmed', unlikely: 'unconfirmed', refuted: 'refuted' };
+
+const ENCOUNTER_STATUS = {
+  pending: 'planned',
+  pending_payment: 'planned',
+  pending_doctor_approval: 'planned',
+  confirmed: 'planned',
+  scheduled: 'planned',
+  in_progress: 'in-progress',
+  ongoing: 'in-progress',
+  completed: 'finished',
+  cancelled: 'cancelled',
+  timed_out: 'cancelled',
+  no_show: 'cancelled',
+  failed: 'cancelled',
+  emergency_detected: 'unknown'
+};
+
+const PATIENT_GENDER = { male: 'male', female: 'female', other: 'other', prefer_not_to_say: 'unknown' };
+
+// ---------------------------------------------------------------------------
+// Export
+// ---------------------------------------------------------------------------
+
+const reference = (resourceType, id) => ({ reference: `${resourceType}/${id}` });
+
+const doctorDisplay = (doctor) => (doctor?.firstName ? { display: `Dr. ${doctor.firstName} ${doctor.lastName}` } : undefined);
+
+const toDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : undefined);
+
+const toDateTime = (value) => (value ? new Date(value).toISOString() : undefined);
+
+const codeable = (text, coding) => ({ ...(coding && { coding: [coding] }), text });
+
+// Numeric results become quantities; anything else stays text
+const observationValue = (value, unit) => {
+  const numeric = Number(value);
+  if (value !== '' && value !== null && value !== undefined && Number.isFinite(numeric)) {
+    return { valueQuantity: { value: numeric, ...(unit && { unit }) } };
+  }
+  return { valueString: `${value ?? ''}` };
+};
+
+// Drop undefined fields so resources only carry the elements we know
+const compact = (resource) => JSON.parse(JSON.stringify(resource));
+
+const toPatientResource = (user) => compact({
+  resourceType: 'Patient',
+  id: user._id.toString(),
+  active: user.isActive !== false,
+  identifier: user.walletAddress ? [{ system: SYSTEMS.walletIdentifier, value: user.walletAddress }] : undefined,
+  name: [{ use: 'official', family: user.lastName, given: [user.firstName] }],
+  telecom: [
+    user.email && { system: 'email', value: user.email },
+    user.phone && { system: 'phone', value: user.phone }
+  ].filter(Boolean),
+  gender: PATIENT_GENDER[user.gender],
+  birthDate: toDate(user.dateOfBirth)
+});
+
+const toEncounterResource = (consultation, patientId) => compact({
+  resourceType: 'Encounter',
+  id: consultation._id.toString(),
+  identifier: [{ value: consultation.consultationId }],
+  status: ENCOUNTER_STATUS[consultation.status] || 'unknown',
+  class: consultation.type === 'home_visit'
+    ? { system: SYSTEMS.actCode, code: 'HH', display: 'home health' }
+    : { system: SYSTEMS.actCode, code: 'VR', display: 'virtual' },
+  type: [codeable(consultation.type.replace(/_/g, ' '))],
+  subject: reference('Patient', patientId),
+  participant: consultation.doctor?.firstName ? [{ individual: doctorDisplay(consultation.doctor) }] : undefined,
+  period: {
+    start: toDateTime(consultation.startedAt || consultation.scheduledDateTime),
+    end: toDateTime(consultation.endedAt)
+  },
+  reasonCode: consultation.chiefComplaint ? [codeable(consultation.chiefComplaint)] : undefined
+});
+
+const vitalSignObservation = (record, key, vital, common) => {
+  const definition = VITAL_SIGNS[key];
+  const value = key === 'painScale' ? vital.score : vital.value;
+  if (value === undefined || value === null) return null;
+
+  return compact({
+    ...common,
+    id: `${record._id}-${key}`,
+    code: codeable(definition.display, { system: SYSTEMS.loinc, code: definition.code, display: definition.display }),
+    effectiveDateTime: toDateTime(vital.recordedAt || vital.calculatedAt || record.recordDate),
+    valueQuantity: {
+      value,
+      unit: UCUM_UNITS[vital.unit] || definition.unit,
+      system: SYSTEMS.ucum,
+      code: UCUM_UNITS[vital.unit] || definition.unit
+    }
+  });
+};
+
+const toObservationResources = (record, patientId, encounter) => {
+  const observations = [];
+  const vitals = record.vitals || {};
+  const common = {
+    resourceType: 'Observation',
+    status: 'final',
+    subject: reference('Patient', patientId),
+    encounter
+  };
+  const vitalSignsCategory = [codeable('Vital Signs', { system: SYSTEMS.observationCategory, code: 'vital-signs' })];
+
+  const bloodPressure = vitals.bloodPressure;
+  if (bloodPressure?.systolic || bloodPressure?.diastolic) {
+    observations.push(compact({
+      ...common,
+      id: `${record._id}-bloodPressure`,
+      category: vitalSignsCategory,
+      code: codeable('Blood pressure', { system: SYSTEMS.loinc, ...BLOOD_PRESSURE.panel }),
+      effectiveDateTime: toDateTime(bloodPressure.recordedAt || record.recordDate),
+      component: ['systolic', 'diastolic']
+        .filter(part => bloodPressure[part])
+        .map(part => ({
+          code: codeable(BLOOD_PRESSURE[part].display, { system: SYSTEMS.loinc, ...BLOOD_PRESSURE[part] }),
+          valueQuantity: { value: bloodPressure[part], unit: 'mmHg', system: SYSTEMS.ucum, code: 'mm[Hg]' }
+        }))
+    }));
+  }
+
+  Object.keys(VITAL_SIGNS).forEach(key => {
+    if (!vitals[key]) return;
+    const observation = vitalSignObservation(record, key, vitals[key], { ...common, category: vitalSignsCategory });
+    if (observation) observations.push(observation);
+  });
+
+  (record.labResults || []).forEach((lab, index) => {
+    const interpretation = LAB_INTERPRETATION[lab.result?.flag];
+
+    observations.push(compact({
+      ...common,
+      id: `${record._id}-lab-${index}`,
+      category: [codeable('Laboratory', { system: SYSTEMS.observationCategory, code: 'laboratory' })],
+      code: codeable(lab.testName, lab.testCode ? { code: lab.testCode, display: lab.testName } : undefined),
+      effectiveDateTime: toDateTime(lab.collectedAt || record.recordDate),
+      issued: toDateTime(lab.reportedAt),
+      ...observationValue(lab.result?.value, lab.result?.unit),
+      interpretation: interpretation
+        ? [codeable(lab.result.flag, { system: SYSTEMS.interpretation, code: interpretation })]
+        : undefined,
+      referenceRange: lab.result?.normalRange ? [{ text: lab.result.normalRange }] : undefined,
+      method: lab.methodology ? codeable(lab.methodology) : undefined,
+      note: lab.comments ? [{ text: lab.comments }] : undefined
+    }));
+  });
+
+  return observations;
+};
+
+const toConditionResources = (record, patientId, encounter) => {
+  const diagnoses = [record.diagnosis?.primary, ...(record.diagnosis?.secondary || [])]
+    .filter(diagnosis => diagnosis?.condition);
+
+  return diagnoses.map((diagnosis, index) => compact({
+    resourceType: 'Condition',
+    id: `${record._id}-condition-${index}`,
+    clinicalStatus: codeable(diagnosis.status, {
+      system: SYSTEMS.conditionClinical,
+      code: CONDITION_CLINICAL_STATUS[diagnosis.status] || 'active'
+    }),
+    verificationStatus: codeable('Confirmed', { system: SYSTEMS.conditionVerification, code: 'confirmed' }),
+    category: [codeable('Encounter Diagnosis', { system: SYSTEMS.conditionCategory, code: 'encounter-diagnosis' })],
+    severity: SEVERITY_SNOMED[diagnosis.severity]
+      ? codeable(diagnosis.severity, { system: SYSTEMS.snomed, ...SEVERITY_SNOMED[diagnosis.severity] })
+      : undefined,
+    code: codeable(diagnosis.condition, diagnosis.icdCode ? { system: SYSTEMS.icd10, code: diagnosis.icdCode } : undefined),
+    subject: reference('Patient', patientId),
+    encounter,
+    onsetDateTime: toDateTime(diagnosis.diagnosedDate),
+    recordedDate: toDateTime(record.recordDate),
+    recorder: doctorDisplay(record.doctor)
+  }));
+};
+
+const toMedicationRequestResources = (record, patientId, encounter) => {
+  const now = new Date();
+
+  return (record.medications || []).map((medication, index) => compact({
+    resourceType: 'MedicationRequest',
+    id: `${record._id}-medication-${index}`,
+    status: medication.isActive && (!medication.endDate || medication.endDate > now) ? 'active' : 'completed',
+    intent: 'order',
+    medicationCodeableConcept: codeable(
+      [medication.medication, medication.strength].filter(Boolean).join(' ')
+    ),
+    subject: reference('Patient', patientId),
+    encounter,
+    authoredOn: toDateTime(medication.startDate || record.recordDate),
+    requester: medication.prescribedBy ? { display: medication.prescribedBy } : doctorDisplay(record.doctor),
+    reasonCode: medication.indication ? [codeable(medication.indication)] : undefined,
+    dosageInstruction: [{
+      text: [medication.dosage, medication.frequency, medication.duration].filter(Boolean).join(', '),
+      patientInstruction: medication.instructions,
+      route: medication.route ? codeable(medication.route) : undefined
+    }],
+    dispenseRequest: medication.refills !== undefined ? { numberOfRepeatsAllowed: medication.refills } : undefined
+  }));
+};
+
+const toAllergyIntoleranceResources = (record, patientId, encounter) => {
+  return (record.allergies || []).map((allergy, index) => compact({
+    resourceType: 'AllergyIntolerance',
+    id: `${record._id}-allergy-${index}`,
+    clinicalStatus: codeable(allergy.clinicalStatus, {
+      system: SYSTEMS.allergyClinical,
+      code: allergy.clinicalStatus || 'active'
+    }),
+    verificationStatus: codeable(allergy.verificationStatus, {
+      system: SYSTEMS.allergyVerification,
+      code: ALLERGY_VERIFICATION[allergy.verificationStatus] || 'confirmed'
+    }),
+    category: ALLERGY_CATEGORY[allergy.allergenType] ? [ALLERGY_CATEGORY[allergy.allergenType]] : undefined,
+    criticality: ['severe', 'life-threatening'].includes(allergy.severity) ? 'high' : 'low',
+    code: codeable(allergy.allergen),
+    patient: reference('Patient', patientId),
+    encounter,
+    onsetDateTime: toDateTime(allergy.onset),
+    recordedDate: toDateTime(record.recordDate),
+    note: allergy.notes ? [{ text: allergy.notes }] : undefined,
+    reaction: allergy.reaction ? [{
+      manifestation: [codeable(allergy.reaction)],
+      severity: allergy.severity === 'life-threatening' ? 'severe' : allergy.severity
+    }] : undefined
+  }));
+};
+
+const toImmunizationResources = (record, patientId, encounter) => {
+  return (record.immunizations || []).map((immunization, index) => compact({
+    resourceType: 'Immunization',
+    id: `${record._id}-immunization-${index}`,
+    status: 'completed',
+    vaccineCode: codeable(immunization.vaccine, immunization.vaccineCode ? { code: immunization.vaccineCode } : undefined),
+    patient: reference('Patient', patientId),
+    encounter,
+    occurrenceDateTime: toDateTime(immunization.administeredAt || record.recordDate),
+    lotNumber: immunization.lotNumber,
+    manufacturer: immunization.manufacturer ? { display: immunization.manufacturer } : undefined,
+    site: immunization.site ? codeable(immunization.site.replace(/_/g, ' ')) : undefined,
+    route: immunization.route ? codeable(immunization.route) : undefined,
+    performer: immunization.administeredBy ? [{ actor: { display: immunization.administeredBy } }] : undefined,
+    note: [immunization.notes, immunization.dose && `Dose: ${immunization.dose}`]
+      .filter(Boolean)
+      .map(text => ({ text })),
+    reaction: immunization.reaction ? [{ detail: { display: immunization.reaction } }] : undefined
+  }));
+};
+
+// Attachments are described, not embedded; the content stays encrypted on the server
+const toDocumentReferenceResources = (record, patientId, encounter) => {
+  return (record.files || []).map((file, index) => compact({
+    resourceType: 'DocumentReference',
+    id: `${record._id}-document-${index}`,
+    status: 'current',
+    type: codeable(file.category || 'document'),
+    subject: reference('Patient', patientId),
+    date: toDateTime(file.uploadedAt),
+    description: file.description || record.title,
+    content: [{
+      attachment: {
+        contentType: file.fileType,
+        title: file.originalName || file.fileName,
+        size: file.fileSize,
+        creation: toDateTime(file.uploadedAt)
+      }
+    }],
+    context: encounter ? { encounter: [encounter] } : undefined
+  }));
+};
+
+const RECORD_RESOURCE_BUILDERS = [
+  toObservationResources,
+  toConditionResources,
+  toMedicationRequestResources,
+  toAllergyIntoleranceResources,
+  toImmunizationResources,
+  toDocumentReferenceResources
+];
+
+/**
+ * Build a FHIR R4 searchset Bundle for Patient/$everything from the patient's
+ * profile, consultations (Encounters) and medical records.
+ */
+const buildPatientBundle = (patient, consultations, records) => {
+  const patientId = patient._id.toString();
+  const encounterIds = new Set(consultations.map(consultation => consultation._id.toString()));
+
+  const resources = [
+    toPatientResource(patient),
+    ...consultations.map(consultation => toEncounterResource(consultation, patientId))
+  ];
+
+  records.forEach(record => {
+    const consultationId = (record.consultation?._id || record.consultation)?.toString();
+    // Only reference Encounters that are part of the bundle
+    const encounter = encounterIds.has(consultationId) ? reference('Encounter', consultationId) : undefined;
+
+    RECORD_RESOURCE_BUILDERS.forEach(build => {
+      resources.push(...build(record, patientId, encounter));
+    });
+  });
+
+  return {
+    resourceType: 'Bundle',
+    type: 'searchset',
+    timestamp: new Date().toISOString(),
+    total: resources.length,
+    link: [{ relation: 'self', url: `${FHIR_CONFIG.baseUrl}/Patient/${patientId}/$everything` }],
+    entry: resources.map(resource => ({
+      fullUrl: `${FHIR_CONFIG.baseUrl}/${resource.resourceType}/${resource.id}`,
+      resource,
+      search: { mode: resource.resourceType === 'Patient' ? 'match' : 'include' }
+    }))
+  };
+};
+
+// ---------------------------------------------------------------------------
+// Import
+// ---------------------------------------------------------------------------
+
+const BUNDLE_TYPES = ['collection', 'transaction', 'batch', 'document', 'searchset'];
+
+// Resources that carry no importable clinical data
+const SKIPPED_RESOURCES = ['Patient', 'Encounter', 'Practitioner', 'Organization', 'DocumentReference'];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isCodeableConcept = (value) => isObject(value) &&
+  (typeof value.text === 'string' || (Array.isArray(value.coding) && value.coding.length > 0));
+
+const isDateTime = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+const conceptText = (concept) => concept?.text || concept?.coding?.[0]?.display || concept?.coding?.[0]?.code;
+
+const conceptCode = (concept, system) => {
+  const coding = (concept?.coding || []).find(entry => !system || entry.system === system);
+  return coding?.code;
+};
+
+/**
+ * Required elements per resource type, as [path, check, message]. Checks
+ * follow the R4 cardinality of the elements we import.
+ */
+const RESOURCE_RULES = {
+  Observation: [
+    ['status', value => ['registered', 'preliminary', 'final', 'amended', 'corrected'].includes(value), 'must be a valid observation status'],
+    ['code', isCodeableConcept, 'must be a CodeableConcept'],
+    ['value[x]', (value, resource) => resource.valueQuantity || resource.valueString !== undefined ||
+      resource.valueCodeableConcept || Array.isArray(resource.component), 'or component is required']
+  ],
+  Condition: [
+    ['code', isCodeableConcept, 'must be a CodeableConcept'],
+    ['subject', isObject, 'is required']
+  ],
+  MedicationRequest: [
+    ['status', value => typeof value === 'string', 'is required'],
+    ['intent', value => typeof value === 'string', 'is required'],
+    ['medicationCodeableConcept', isCodeableConcept, 'must be a CodeableConcept (medicationReference is not supported)'],
+    ['subject', isObject, 'is required']
+  ],
+  AllergyIntolerance: [
+    ['code', isCodeableConcept, 'must be a CodeableConcept'],
+    ['patient', isObject, 'is required']
+  ],
+  Immunization: [
+    ['status', value => ['completed', 'entered-in-error', 'not-done'].includes(value), 'must be completed, entered-in-error or not-done'],
+    ['vaccineCode', isCodeableConcept, 'must be a CodeableConcept'],
+    ['patient', isObject, 'is required'],
+    ['occurrence[x]', (value, resource) => isDateTime(resource.occurrenceDateTime) || typeof resource.occurrenceString === 'string', 'is required']
+  ]
+};
+
+const issue = (severity, code, diagnostics, expression) => ({
+  severity,
+  code,
+  diagnostics,
+  ...(expression && { expression: [expression] })
+});
+
+/**
+ * Check a bundle's shape before anything is imported. Returns the importable
+ * resources and OperationOutcome issues; any error-level issue rejects the import.
+ */
+const validateImportBundle = (bundle) => {
+  const issues = [];
+  const resources = [];
+
+  if (!isObject(bundle) || bundle.resourceType !== 'Bundle') {
+    return { resources, issues: [issue('error', 'structure', 'Body must be a FHIR Bundle resource', 'Bundle')] };
+  }
+  if (!BUNDLE_TYPES.includes(bundle.type)) {
+    issues.push(issue('error', 'value', `Bundle.type must be one of: ${BUNDLE_TYPES.join(', ')}`, 'Bundle.type'));
+  }
+  if (!Array.isArray(bundle.entry) || bundle.entry.length === 0) {
+    issues.push(issue('error', 'required', 'Bundle.entry must contain at least one entry', 'Bundle.entry'));
+    return { resources, issues };
+  }
+  if (bundle.entry.length > FHIR_CONFIG.maxImportEntries) {
+    issues.push(issue('error', 'too-costly', `Bundles are limited to ${FHIR_CONFIG.maxImportEntries} entries`, 'Bundle.entry'));
+    return { resources, issues };
+  }
+
+  bundle.entry.forEach((entry, index) => {
+    const location = `Bundle.entry[${index}].resource`;
+    const resource = entry?.resource;
+
+    if (!isObject(resource) || typeof resource.resourceType !== 'string') {
+      issues.push(issue('error', 'structure', 'Entry must contain a resource with a resourceType', location));
+      return;
+    }
+
+    if (SKIPPED_RESOURCES.includes(resource.resourceType)) {
+      issues.push(issue('information', 'informational', `${resource.resourceType} resources are not imported`, location));
+      return;
+    }
+
+    const rules = RESOURCE_RULES[resource.resourceType];
+    if (!rules) {
+      issues.push(issue('error', 'not-supported', `${resource.resourceType} resources are not supported`, location));
+      return;
+    }
+
+    const errors = rules.filter(([path, check]) => !check(resource[path], resource));
+    errors.forEach(([path, , message]) => {
+      issues.push(issue('error', 'required', `${resource.resourceType}.${path} ${message}`, `${location}.${path}`));
+    });
+
+    if (!errors.length) {
+      resources.push({ resource, location });
+    }
+  });
+
+  return { resources, issues };
+};
+
+// Vital-sign LOINC code -> vitals key
+const VITAL_BY_CODE = Object.fromEntries(
+  Object.entries(VITAL_SIGNS).map(([key, definition]) => [definition.code, key])
+);
+
+const fahrenheitToCelsius = (value) => Math.round(((value - 32) * 5 / 9) * 10) / 10;
+
+// Vital sign value in the units MedicalRecord stores
+const importVital = (key, quantity, recordedAt) => {
+  const unit = quantity.code || quantity.unit;
+  switch (key) {
+  case 'temperature':
+    return {
+      value: unit === '[degF]' || unit === '°F' ? fahrenheitToCelsius(quantity.value) : quantity.value,
+      unit: 'celsius',
+      recordedAt
+    };
+  case 'weight':
+    return { value: quantity.value, unit: unit === '[lb_av]' || unit === 'lbs' ? 'lbs' : 'kg', recordedAt };
+  case 'height':
+    return { value: quantity.value, unit: unit === '[in_i]' || unit === 'in' ? 'inches' : 'cm', recordedAt };
+  case 'painScale':
+    return { score: quantity.value, recordedAt };
+  case 'bmi':
+    return { value: quantity.value, calculatedAt: recordedAt };
+  default:
+    return { value: quantity.value, recordedAt };
+  }
+};
+
+const INTERPRETATION_FLAG = { N: 'normal', H: 'high', HH: 'critical', L: 'low', LL: 'critical', AA: 'critical', A: 'abnormal' };
+
+const importLabResult = (observation) => {
+  const interpretation = conceptCode(observation.interpretation?.[0]);
+  const value = observation.valueQuantity?.value ?? observation.valueString ?? conceptText(observation.valueCodeableConcept);
+
+  return {
+    testName: conceptText(observation.code),
+    testCode: conceptCode(observation.code),
+    result: {
+      value: value !== undefined ? `${value}` : undefined,
+      unit: observation.valueQuantity?.unit || observation.valueQuantity?.code,
+      normalRange: observation.referenceRange?.[0]?.text,
+      flag: INTERPRETATION_FLAG[interpretation]
+    },
+    collectedAt: observation.effectiveDateTime,
+    reportedAt: observation.issued,
+    methodology: conceptText(observation.method),
+    comments: observation.note?.map(note => note.text).join('\n') || undefined
+  };
+};
+
+const isVitalSign = (observation) => {
+  const loincCode = conceptCode(observation.code, SYSTEMS.loinc);
+  return loincCode === BLOOD_PRESSURE.panel.code || Boolean(VITAL_BY_CODE[loincCode]);
+};
+
+// Vital-sign observations grouped by when they were taken
+const importVitals = (observations) => {
+  const byTime = new Map();
+
+  observations.forEach(observation => {
+    const recordedAt = observation.effectiveDateTime || new Date().toISOString();
+    const vitals = byTime.get(recordedAt) || {};
+    const loincCode = conceptCode(observation.code, SYSTEMS.loinc);
+
+    if (loincCode === BLOOD_PRESSURE.panel.code) {
+      const component = (code) => (observation.component || [])
+        .find(part => conceptCode(part.code, SYSTEMS.loinc) === code)?.valueQuantity?.value;
+      vitals.bloodPressure = {
+        systolic: component(BLOOD_PRESSURE.systolic.code),
+        diastolic: component(BLOOD_PRESSURE.diastolic.code),
+        recordedAt
+      };
+    } else if (observation.valueQuantity) {
+      const key = VITAL_BY_CODE[loincCode];
+      vitals[key] = importVital(key, observation.valueQuantity, recordedAt);
+    }
+
+    byTime.set(recordedAt, vitals);
+  });
+
+  return [...byTime.entries()];
+};
+
+const importCondition = (condition) => {
+  const status = conceptCode(condition.clinicalStatus, SYSTEMS.conditionClinical);
+  const severity = Object.keys(SEVERITY_SNOMED)
+    .find(level => SEVERITY_SNOMED[level].code === conceptCode(condition.severity, SYSTEMS.snomed));
+
+  return {
+    condition: conceptText(condition.code),
+    icdCode: conceptCode(condition.code, SYSTEMS.icd10),
+    severity,
+    diagnosedDate: condition.onsetDateTime,
+    status: { recurrence: 'recurrent', relapse: 'recurrent', resolved: 'resolved', remission: 'resolved', inactive: 'resolved' }[status] || 'active'
+  };
+};
+
+const importMedication = (request) => {
+  const dosage = request.dosageInstruction?.[0];
+  const dosageText = dosage?.text || 'As directed';
+
+  return {
+    medication: conceptText(request.medicationCodeableConcept),
+    dosage: dosageText,
+    frequency: dosage?.timing?.code?.text || dosageText,
+    instructions: dosage?.patientInstruction,
+    indication: conceptText(request.reasonCode?.[0]),
+    prescribedBy: request.requester?.display,
+    startDate: request.authoredOn,
+    refills: request.dispenseRequest?.numberOfRepeatsAllowed,
+    isActive: ['active', 'on-hold', 'draft'].includes(request.status)
+  };
+};
+
+const importAllergy = (allergy) => {
+  const clinicalStatus = conceptCode(allergy.clinicalStatus, SYSTEMS.allergyClinical);
+  const verificationStatus = conceptCode(allergy.verificationStatus, SYSTEMS.allergyVerification);
+  const reaction = allergy.reaction?.[0];
+  const category = allergy.category?.[0];
+
+  return {
+    allergen: conceptText(allergy.code),
+    allergenType: { medication: 'drug', food: 'food', environment: 'environmental' }[category] || 'other',
+    reaction: conceptText(reaction?.manifestation?.[0]),
+    severity: allergy.criticality === 'high' ? 'severe' : (reaction?.severity || 'moderate'),
+    onset: allergy.onsetDateTime,
+    verificationStatus: { confirmed: 'confirmed', unconfirmed: 'suspected', presumed: 'suspected', refuted: 'refuted' }[verificationStatus] || 'confirmed',
+    clinicalStatus: ['active', 'inactive', 'resolved'].includes(clinicalStatus) ? clinicalStatus : 'active',
+    notes: allergy.note?.map(note => note.text).join('\n') || undefined
+  };
+};
+
+const importImmunization = (immunization) => ({
+  vaccine: conceptText(immunization.vaccineCode),
+  vaccineCode: conceptCode(immunization.vaccineCode),
+  lotNumber: immunization.lotNumber,
+  manufacturer: immunization.manufacturer?.display,
+  administeredAt: immunization.occurrenceDateTime,
+  administeredBy: immunization.performer?.[0]?.actor?.display,
+  notes: immunization.note?.map(note => note.text).join('\n') || undefined
+});
+
+/**
+ * Turn validated bundle resources into unsaved MedicalRecord documents, one
+ * per kind of data (and one per time vital signs were taken).
+ */
+const buildImportedRecords = (resources, { patientId, doctorId, sourceSystem, bundleId }) => {
+  const byType = (type) => resources.filter(({ resource }) => resource.resourceType === type).map(({ resource }) => resource);
+  const observations = byType('Observation');
+  const common = {
+    patient: patientId,
+    doctor: doctorId,
+    sourceSystem,
+    externalId: bundleId,
+    importedFrom: `FHIR R4 Bundle${bundleId ? ` ${bundleId}` : ''}`,
+    tags: ['fhir-import']
+  };
+  const records = [];
+
+  const labs = observations.filter(observation => !isVitalSign(observation));
+  if (labs.length) {
+    records.push({ ...common, recordType: 'lab_result', title: 'Imported lab results', labResults: labs.map(importLabResult) });
+  }
+
+  importVitals(observations.filter(isVitalSign)).forEach(([recordedAt, vitals]) => {
+    records.push({ ...common, recordType: 'vital_signs', title: 'Imported vital signs', recordDate: recordedAt, vitals });
+  });
+
+  const conditions = byType('Condition').map(importCondition);
+  if (conditions.length) {
+    const [primary, ...secondary] = conditions;
+    records.push({ ...common, recordType: 'other', title: 'Imported conditions', diagnosis: { primary, secondary } });
+  }
+
+  const medications = byType('MedicationRequest').map(importMedication);
+  if (medications.length) {
+    records.push({ ...common, recordType: 'prescription', title: 'Imported medications', medications });
+  }
+
+  const allergies = byType('AllergyIntolerance').map(importAllergy);
+  if (allergies.length) {
+    records.push({ ...common, recordType: 'allergy', title: 'Imported allergies', allergies });
+  }
+
+  const immunizations = byType('Immunization')
+    .filter(immunization => immunization.status === 'completed')
+    .map(importImmunization);
+  if (immunizations.length) {
+    records.push({ ...common, recordType: 'vaccination', title: 'Imported immunizations', immunizations });
+  }
+
+  return records.map(record => new MedicalRecord(record));
+};
+
+/**
+ * Validate a bundle and build the records it would create. Schema errors on
+ * the built records (e.g. out-of-range vitals) are reported as issues too.
+ */
+const prepareBundleImport = (bundle, options) => {
+  const { resources, issues } = validateImportBundle(bundle);
+  if (issues.some(entry => entry.severity === 'error')) {
+    return { records: [], issues };
+  }
+
+  const records = buildImportedRecords(resources, {
+    ...options,
+    sourceSystem: options.sourceSystem || bundle.meta?.source || FHIR_CONFIG.defaultSourceSystem,
+    bundleId: bundle.id
+  });
+
+  records.forEach(record => {
+    const validationError = record.validateSync();
+    if (validationError) {
+      Object.values(validationError.errors).forEach(fieldError => {
+        issues.push(issue('error', 'invalid', `${record.title}: ${fieldError.message}`, fieldError.path));
+      });
+    }
+  });
+
+  return { records, issues };
+};
+
+const operationOutcome = (issues) => ({
+  resourceType: 'OperationOutcome',
+  issue: issues
+});
+
+module.exports = {
+  FHIR_CONFIG,
+  buildPatientBundle,
+  prepareBundleImport,
+  operationOutcome,
+  issue
+};
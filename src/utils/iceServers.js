@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const { resolveAvailability } = require('./availability');
+
+// Comma separated URL list from the environment
+const parseUrls = (value) => (value || '')
+  .split(',')
+  .map(url => url.trim())
+  .filter(Boolean);
+
+// ICE / TURN configuration
+const ICE_CONFIG = {
+  stunUrls: parseUrls(process.env.ICE_STUN_URLS || 'stun:stun.l.google.com:19302'),
+  turnUrls: parseUrls(process.env.TURN_URLS),
+  turnSharedSecret: process.env.TURN_SHARED_SECRET,
+  graceMinutes: parseInt(process.env.TURN_CREDENTIAL_GRACE_MINUTES) || 30, // Allowance for late starts and overruns
+  minTtlMinutes: 10,
+  callableStatuses: ['confirmed', 'scheduled', 'in_progress', 'ongoing']
+};
+
+const MINUTE_MS = 60 * 1000;
+
+// When TURN credentials for a consultation stop working: scheduled end plus grace
+const getCredentialExpiry = (consultation, now = new Date()) => {
+  const graceMs = ICE_CONFIG.graceMinutes * MINUTE_MS;
+  const minExpiry = now.getTime() + ICE_CONFIG.minTtlMinutes * MINUTE_MS;
+
+  // Unscheduled consultations get a window from now
+  if (!consultation.scheduledDateTime) {
+    return new Date(now.getTime() + graceMs);
+  }
+
+  const doctorSettings = resolveAvailability(consultation.doctor?.doctorProfile?.availability);
+  const durationMinutes = doctorSettings.slotDurations[consultation.type] || doctorSettings.slotDurations.video_call;
+  const scheduledEnd = new Date(consultation.scheduledDateTime).getTime() + durationMinutes * MINUTE_MS;
+
+  // A call that is still running keeps being able to relay
+  if (['in_progress', 'ongoing'].includes(consultation.status)) {
+    return new Date(Math.max(scheduledEnd + graceMs, minExpiry));
+  }
+
+  return new Date(scheduledEnd + graceMs);
+};
+
+/**
+ * Build the ICE server list for a consultation participant.
+ * TURN credentials follow the coturn REST API scheme (use-auth-secret):
+ * username is "<expiry unix time>:<consultation>:<user>" and the credential is
+ * base64(HMAC-SHA1(shared secret, username)).
+ */
+const issueIceServers = (consultation, userId, now = new Date()) => {
+  if (!ICE_CONFIG.callableStatuses.includes(consultation.status)) {
+    return { error: 'Consultation is not open for calls', code: 'CONSULTATION_NOT_CALLABLE' };
+  }
+
+  const expiresAt = getCredentialExpiry(consultation, now);
+  if (expiresAt.getTime() <= now.getTime()) {
+    return { error: 'Consultation call window has closed', code: 'CALL_WINDOW_CLOSED' };
+  }
+
+  const iceServers = [];
+
+  if (ICE_CONFIG.stunUrls.length) {
+    iceServers.push({ urls: ICE_CONFIG.stunUrls });
+  }
+
+  // TURN needs the shared secret configured on the coturn server
+  if (ICE_CONFIG.turnUrls.length && ICE_CONFIG.turnSharedSecret) {
+    const username = `${Math.floor(expiresAt.getTime() / 1000)}:${consultation._id}:${userId}`;
+    const credential = crypto
+      .createHmac('sha1', ICE_CONFIG.turnSharedSecret)
+      .update(username)
+      .digest('base64');
+
+    iceServers.push({
+      urls: ICE_CONFIG.turnUrls,
+      username,
+      credential
+    });
+  }
+
+  return {
+    iceServers,
+    expiresAt,
+    ttl: Math.floor((expiresAt.getTime() - now.getTime()) / 1000)
+  };
+};
+
+module.exports = {
+  ICE_CONFIG,
+  getCredentialExpiry,
+  issueIceServers
+};
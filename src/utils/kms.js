@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Key management configuration for file encryption
+const KMS_CONFIG = {
+  provider: process.env.FILE_KMS_PROVIDER || 'local',
+  wrapAlgorithm: 'aes-256-gcm'
+};
+
+/**
+ * A KMS provider wraps and unwraps per-file data keys with a master key it
+ * never exposes. Providers implement:
+ *   currentKeyId()                  -> id of the master key new data keys are wrapped with
+ *   wrapKey(dataKey)                -> { keyId, wrappedKey }
+ *   unwrapKey(wrappedKey, keyId)    -> data key Buffer
+ * All methods may be async, so a cloud KMS can be registered in place of the
+ * local provider.
+ */
+const providers = new Map();
+let activeProvider = null;
+
+const registerKmsProvider = (name, factory) => {
+  providers.set(name, factory);
+  if (activeProvider?.name === name) activeProvider = null;
+};
+
+// Local master keys come from FILE_MASTER_KEY_FILE (JSON: { currentKeyId, keys: { id: base64 } })
+// or FILE_MASTER_KEYS (id:base64 pairs, comma separated) with FILE_MASTER_KEY_ID as the current key
+const loadLocalMasterKeys = () => {
+  let currentKeyId = process.env.FILE_MASTER_KEY_ID;
+  let entries = {};
+
+  if (process.env.FILE_MASTER_KEY_FILE) {
+    const file = JSON.parse(fs.readFileSync(process.env.FILE_MASTER_KEY_FILE, 'utf8'));
+    currentKeyId = file.currentKeyId || currentKeyId;
+    entries = file.keys || {};
+  } else {
+    (process.env.FILE_MASTER_KEYS || '').split(',').map(pair => pair.trim()).filter(Boolean).forEach(pair => {
+      const separator = pair.indexOf(':');
+      entries[pair.slice(0, separator)] = pair.slice(separator + 1);
+    });
+  }
+
+  const keys = new Map();
+  Object.entries(entries).forEach(([keyId, value]) => {
+    const key = Buffer.from(value, 'base64');
+    if (!keyId || key.length !== 32) {
+      throw new Error(`File master key "${keyId}" must be 32 bytes, base64 encoded`);
+    }
+    keys.set(keyId, key);
+  });
+
+  if (!currentKeyId || !keys.has(currentKeyId)) {
+    throw new Error('File encryption master key is not configured (FILE_MASTER_KEY_ID with FILE_MASTER_KEYS or FILE_MASTER_KEY_FILE)');
+  }
+
+  return { currentKeyId, keys };
+};
+
+// Wrapped keys are stored as base64 iv:tag:ciphertext, with the key ID as additional authenticated data
+const createLocalProvider = () => {
+  const { currentKeyId, keys } = loadLocalMasterKeys();
+
+  const getMasterKey = (keyId) => {
+    const key = keys.get(keyId);
+    if (!key) throw new Error(`Unknown file master key: ${keyId}`);
+    return key;
+  };
+
+  return {
+    currentKeyId: () => currentKeyId,
+
+    wrapKey: (dataKey) => {
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv(KMS_CONFIG.wrapAlgorithm, getMasterKey(currentKeyId), iv);
+      cipher.setAAD(Buffer.from(currentKeyId));
+      const encrypted = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+
+      return {
+        keyId: currentKeyId,
+        wrappedKey: [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':')
+      };
+    },
+
+    unwrapKey: (wrappedKey, keyId) => {
+      const [iv, tag, encrypted] = wrappedKey.split(':').map(part => Buffer.from(part, 'base64'));
+      const decipher = crypto.createDecipheriv(KMS_CONFIG.wrapAlgorithm, getMasterKey(keyId), iv);
+      decipher.setAAD(Buffer.from(keyId));
+      decipher.setAuthTag(tag);
+
+      return Buffer.concat([decipher.update(encrypted), decipher.final()]);
+    }
+  };
+};
+
+registerKmsProvider('local', createLocalProvider);
+
+// The configured provider, created on first use
+const getKmsProvider = () => {
+  if (!activeProvider) {
+    const factory = providers.get(KMS_CONFIG.provider);
+    if (!factory) {
+      throw new Error(`Unknown KMS provider: ${KMS_CONFIG.provider}`);
+    }
+    activeProvider = { name: KMS_CONFIG.provider, ...factory() };
+  }
+  return activeProvider;
+};
+
+const generateDataKey = async () => {
+  const dataKey = crypto.randomBytes(32);
+  const { keyId, wrappedKey } = await getKmsProvider().wrapKey(dataKey);
+  return { dataKey, keyId, wrappedKey };
+};
+
+const unwrapDataKey = async (wrappedKey, keyId) => {
+  return getKmsProvider().unwrapKey(wrappedKey, keyId);
+};
+
+// Re-wrap a data key under the current master key; null when it already is
+const rewrapDataKey = async (wrappedKey, keyId) => {
+  const provider = getKmsProvider();
+  if (keyId === await provider.currentKeyId()) return null;
+
+  const dataKey = await provider.unwrapKey(wrappedKey, keyId);
+  return provider.wrapKey(dataKey);
+};
+
+module.exports = {
+  KMS_CONFIG,
+  registerKmsProvider,
+  getKmsProvider,
+  generateDataKey,
+  unwrapDataKey,
+  rewrapDataKey
+};
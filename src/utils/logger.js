@@ -100,7 +100,7 @@ const auditLogger = winston.createLogger({
 // Helper functions for structured logging
 const logHelpers = {
   // Authentication logs
-  logAuth: (action, userId, walletAddress, ip, userAgent, success = true, error = null) => {
+  logAuth: (action, userId, walletAddress, ip, userAgent, success = true, error = null, details = {}) => {
     const logData = {
       action,
       userId,
@@ -108,6 +108,7 @@ const logHelpers = {
       ip,
       userAgent,
       success,
+      ...details,
       timestamp: new Date().toISOString()
     };
     
@@ -219,6 +220,22 @@ const logHelpers = {
     auditLogger.warn('Security event', logData);
   },
 
+  // Admin actions
+  logAdmin: (action, details = {}) => {
+    const logData = {
+      action,
+      ...details,
+      timestamp: new Date().toISOString()
+    };
+
+    auditLogger.info('Admin action', logData);
+  },
+
+  // General informational logs
+  logInfo: (message, meta = {}) => {
+    logger.info(message, meta);
+  },
+
   // Database operations
   logDatabase: (operation, collection, query, userId, duration, success = true, error = null) => {
     const logData = {
@@ -0,0 +1,277 @@
+const net = require('net');
+const User = require('../models/User');
+const SystemLog = require('../models/SystemLog');
+const { incrementCounter, peekCounter } = require('../middleware/rateLimit');
+const { sendEmail } = require('./email');
+const { logSecurity, logError } = require('./logger');
+
+// Failed sign-in lockout and login anomaly detection configuration
+const LOGIN_SECURITY_CONFIG = {
+  // Failed signatures for one wallet before its account is locked
+  maxFailedAttempts: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5,
+  failureWindowMinutes: 60, // Older failures no longer count towards a lock
+  // Each consecutive lock doubles, up to the maximum
+  baseLockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES) || 15,
+  maxLockMinutes: 24 * 60,
+  // Failed sign-ins from one IP (any wallet) before it is blocked
+  ipMaxFailedAttempts: parseInt(process.env.LOGIN_IP_MAX_FAILED_ATTEMPTS) || 20,
+  ipWindowMinutes: 15,
+  // Header set by the CDN / proxy with the client's ISO country code
+  countryHeader: process.env.LOGIN_GEO_COUNTRY_HEADER || 'cf-ipcountry',
+  historySize: 50 // Successful sign-ins compared against for anomalies
+};
+
+const MINUTE_MS = 60 * 1000;
+
+// Country codes the CDN uses when it doesn't know (XX) or for Tor (T1)
+const UNKNOWN_COUNTRIES = ['XX', 'T1'];
+
+const ipCounterKey = (ip) => `login-failures:${ip}`;
+
+const getClientCountry = (req) => {
+  const country = `${req.get(LOGIN_SECURITY_CONFIG.countryHeader) || ''}`.trim().toUpperCase();
+  return /^[A-Z][A-Z0-9]$/.test(country) && !UNKNOWN_COUNTRIES.includes(country) ? country : undefined;
+};
+
+// Browsers update often; compare user agents without their version numbers
+const normalizeUserAgent = (userAgent = '') => userAgent.replace(/[\d._]+/g, '').trim();
+
+const getLockMinutes = (lockCount) => {
+  return Math.min(
+    LOGIN_SECURITY_CONFIG.baseLockMinutes * 2 ** lockCount,
+    LOGIN_SECURITY_CONFIG.maxLockMinutes
+  );
+};
+
+const isAccountLocked = (user) => {
+  const lockedUntil = user.loginSecurity?.lockedUntil;
+  return Boolean(lockedUntil && lockedUntil > new Date());
+};
+
+// True once an IP has failed too many sign-ins within the window
+const isIpBlocked = async (ip) => {
+  try {
+    return await peekCounter(ipCounterKey(ip)) >= LOGIN_SECURITY_CONFIG.ipMaxFailedAttempts;
+  } catch (error) {
+    logError(error, { context: 'Login IP Block Check', ip });
+    return false;
+  }
+};
+
+const writeSecurityLog = async (req, user, { level, action, message, type, severity, threat, customFields }) => {
+  try {
+    await SystemLog.create({
+      level,
+      category: 'authentication',
+      action,
+      message,
+      user: user?._id,
+      userRole: user?.role || 'anonymous',
+      walletAddress: user?.walletAddress,
+      method: req.method,
+      url: req.originalUrl,
+      ipAddress: net.isIPv4(req.ip) ? req.ip : undefined,
+      userAgent: req.get('User-Agent'),
+      geolocation: { country: getClientCountry(req) },
+      securityEvent: { type, severity, threat },
+      metadata: {
+        tags: ['login_security'],
+        customFields: { ip: req.ip, ...customFields }
+      }
+    });
+  } catch (error) {
+    logError(error, { context: 'Write Login Security Log', action });
+  }
+};
+
+/**
+ * Count a failed sign-in against the client IP and, when known, the wallet's
+ * account. Reaching the threshold locks the account for a period that doubles
+ * with each consecutive lock. Returns { locked, lockedUntil }.
+ */
+const recordFailedLogin = async (user, req, reason) => {
+  try {
+    await incrementCounter(ipCounterKey(req.ip), LOGIN_SECURITY_CONFIG.ipWindowMinutes * MINUTE_MS);
+  } catch (error) {
+    logError(error, { context: 'Record Failed Login IP', ip: req.ip });
+  }
+
+  if (!user) return { locked: false };
+
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - LOGIN_SECURITY_CONFIG.failureWindowMinutes * MINUTE_MS);
+
+  // Failures older than the window start a fresh count
+  await User.updateOne(
+    { _id: user._id, 'loginSecurity.lastFailedAt': { $lt: windowStart } },
+    { $set: { 'loginSecurity.failedAttempts': 0 } }
+  );
+
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { 'loginSecurity.failedAttempts': 1 }, $set: { 'loginSecurity.lastFailedAt': now } },
+    { new: true }
+  ).select('loginSecurity');
+
+  const failedAttempts = updated?.loginSecurity?.failedAttempts || 0;
+  let locked = null;
+
+  if (failedAttempts >= LOGIN_SECURITY_CONFIG.maxFailedAttempts) {
+    const lockMinutes = getLockMinutes(updated.loginSecurity.lockCount || 0);
+
+    // Guarded on the count so concurrent failures lock once
+    locked = await User.findOneAndUpdate(
+      { _id: user._id, 'loginSecurity.failedAttempts': { $gte: LOGIN_SECURITY_CONFIG.maxFailedAttempts } },
+      {
+        $set: {
+          'loginSecurity.failedAttempts': 0,
+          'loginSecurity.lockedAt': now,
+          'loginSecurity.lockedUntil': new Date(now.getTime() + lockMinutes * MINUTE_MS)
+        },
+        $inc: { 'loginSecurity.lockCount': 1 }
+      },
+      { new: true }
+    ).select('loginSecurity');
+  }
+
+  if (locked) {
+    logSecurity(
+      'auth_account_locked',
+      user._id,
+      req.ip,
+      req.get('User-Agent'),
+      'high',
+      {
+        walletAddress: user.walletAddress,
+        reason,
+        lockCount: locked.loginSecurity.lockCount,
+        lockedUntil: locked.loginSecurity.lockedUntil
+      }
+    );
+    await writeSecurityLog(req, user, {
+      level: 'warn',
+      action: 'account_locked',
+      message: `Account locked after ${LOGIN_SECURITY_CONFIG.maxFailedAttempts} failed sign-ins`,
+      type: 'account_locked',
+      severity: 'high',
+      threat: 'blocked',
+      customFields: { reason, lockCount: locked.loginSecurity.lockCount, lockedUntil: locked.loginSecurity.lockedUntil }
+    });
+    return { locked: true, lockedUntil: locked.loginSecurity.lockedUntil };
+  }
+
+  await writeSecurityLog(req, user, {
+    level: 'warn',
+    action: 'login_failure',
+    message: `Failed sign-in (${reason})`,
+    type: 'login_failure',
+    severity: 'medium',
+    threat: 'potential',
+    customFields: { reason, failedAttempts }
+  });
+  return { locked: false };
+};
+
+/**
+ * Record a successful sign-in, clear failed attempts and compare the country
+ * and user agent with earlier sign-ins. A sign-in from a new country or device
+ * is logged as suspicious and the user is alerted by email. Never throws, so
+ * it can't block a valid sign-in.
+ */
+const recordSuccessfulLogin = async (user, req) => {
+  try {
+    const country = getClientCountry(req);
+    const userAgent = req.get('User-Agent');
+
+    const history = await SystemLog.find({ user: user._id, 'securityEvent.type': 'login_success' })
+      .sort({ timestamp: -1 })
+      .limit(LOGIN_SECURITY_CONFIG.historySize)
+      .select('geolocation.country userAgent')
+      .lean();
+
+    await writeSecurityLog(req, user, {
+      level: 'info',
+      action: 'login_success',
+      message: 'Successful sign-in',
+      type: 'login_success',
+      severity: 'low',
+      threat: 'none'
+    });
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { 'loginSecurity.failedAttempts': 0, 'loginSecurity.lockCount': 0 },
+        $unset: { 'loginSecurity.lockedAt': '', 'loginSecurity.lockedUntil': '' }
+      }
+    );
+
+    // Nothing to compare a first sign-in against
+    if (history.length === 0) return { suspicious: false };
+
+    const anomalies = [];
+    if (country && !history.some(entry => entry.geolocation?.country === country)) {
+      anomalies.push('new_country');
+    }
+    if (userAgent && !history.some(entry => normalizeUserAgent(entry.userAgent) === normalizeUserAgent(userAgent))) {
+      anomalies.push('new_device');
+    }
+    if (anomalies.length === 0) return { suspicious: false };
+
+    logSecurity(
+      'auth_suspicious_login',
+      user._id,
+      req.ip,
+      userAgent,
+      'medium',
+      { walletAddress: user.walletAddress, anomalies, country }
+    );
+    await writeSecurityLog(req, user, {
+      level: 'warn',
+      action: 'suspicious_login',
+      message: `Sign-in from a ${anomalies.map(anomaly => anomaly.replace('new_', 'new ')).join(' and ')}`,
+      type: 'suspicious_activity',
+      severity: 'medium',
+      threat: 'potential',
+      customFields: { anomalies }
+    });
+
+    if (user.email) {
+      await sendEmail(user.email, 'suspiciousLogin', {
+        firstName: user.firstName,
+        country: country || 'Unknown',
+        userAgent: userAgent || 'Unknown',
+        ipAddress: req.ip,
+        time: new Date().toUTCString(),
+        sessionsUrl: `${process.env.FRONTEND_URL}/settings/security`
+      });
+    }
+
+    return { suspicious: true, anomalies };
+  } catch (error) {
+    logError(error, { context: 'Record Successful Login', userId: user._id });
+    return { suspicious: false };
+  }
+};
+
+// Lift a lock and clear the failure history (admin action)
+const unlockAccount = (userId) => {
+  return User.findByIdAndUpdate(
+    userId,
+    {
+      $set: { 'loginSecurity.failedAttempts': 0, 'loginSecurity.lockCount': 0 },
+      $unset: { 'loginSecurity.lockedAt': '', 'loginSecurity.lockedUntil': '' }
+    },
+    { new: true }
+  );
+};
+
+module.exports = {
+  LOGIN_SECURITY_CONFIG,
+  getClientCountry,
+  isAccountLocked,
+  isIpBlocked,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  unlockAccount
+};
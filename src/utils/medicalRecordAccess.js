@@ -0,0 +1,183 @@
+const Consultation = require('../models/Consultation');
+const ConsentGrant = require('../models/ConsentGrant');
+const EmergencyAccess = require('../models/EmergencyAccess');
+
+// Who may see and change medical records
+const RECORD_ACCESS_CONFIG = {
+  // Consultation statuses that make a doctor one of the patient's treating doctors
+  treatingStatuses: ['completed', 'in_progress'],
+  // Consultation statuses that let a doctor read the patient's records without a grant
+  activeConsultationStatuses: ['in_progress', 'ongoing'],
+  // Booked consultations only count this close to their scheduled start, either side
+  scheduledConsultationStatuses: ['confirmed', 'scheduled'],
+  scheduledWindowMinutes: 30,
+  // Record access levels a doctor in an active consultation can read
+  treatingAccessLevels: ['doctor_only', 'research_consented'],
+  // Record access levels a doctor can read during break-glass emergency access
+  emergencyAccessLevels: ['emergency_only']
+};
+
+// Access levels, lowest first: read < write < manage (edit sharing, delete)
+const ACCESS_RANK = { read: 1, write: 2, manage: 3 };
+
+const SHARE_ACCESS = { read: 'read', write: 'write', admin: 'manage' };
+
+const hasAccess = (access, required) => Boolean(access) && ACCESS_RANK[access] >= ACCESS_RANK[required];
+
+const highestAccess = (...levels) => levels.reduce((best, level) =>
+  (level && (!best || ACCESS_RANK[level] > ACCESS_RANK[best]) ? level : best), null);
+
+const sameId = (a, b) => Boolean(a) && Boolean(b) && (a._id || a).toString() === (b._id || b).toString();
+
+const hasTreatingRelationship = async (doctorId, patientId) => {
+  const consultation = await Consultation.exists({
+    doctor: doctorId,
+    patient: patientId,
+    status: { $in: RECORD_ACCESS_CONFIG.treatingStatuses }
+  });
+  return Boolean(consultation);
+};
+
+const hasActiveConsultation = async (doctorId, patientId) => {
+  const now = Date.now();
+  const window = RECORD_ACCESS_CONFIG.scheduledWindowMinutes * 60 * 1000;
+
+  const consultation = await Consultation.exists({
+    doctor: doctorId,
+    patient: patientId,
+    $or: [
+      { status: { $in: RECORD_ACCESS_CONFIG.activeConsultationStatuses } },
+      {
+        status: { $in: RECORD_ACCESS_CONFIG.scheduledConsultationStatuses },
+        scheduledDateTime: { $gte: new Date(now - window), $lte: new Date(now + window) }
+      }
+    ]
+  });
+  return Boolean(consultation);
+};
+
+// Why a doctor may read a patient's records right now, or null if they may not
+const getDoctorPatientAccess = async (doctorId, patientId) => {
+  const [grants, activeConsultation] = await Promise.all([
+    ConsentGrant.findActiveGrants(doctorId, patientId),
+    hasActiveConsultation(doctorId, patientId)
+  ]);
+
+  if (!grants.length && !activeConsultation) return null;
+  return { grants, activeConsultation };
+};
+
+const hasEmergencyAccess = async (doctorId, patientId) => {
+  return Boolean(await EmergencyAccess.findActiveAccess(doctorId, patientId));
+};
+
+const findActiveShare = (record, userId) => {
+  const now = new Date();
+  return (record.sharedWith || []).find(share =>
+    sameId(share.user, userId) && (!share.expiresAt || share.expiresAt > now)
+  );
+};
+
+/**
+ * Access a user has to a record: 'manage', 'write', 'read' or null.
+ * - The authoring doctor manages the record
+ * - Patients read records about them and manage the ones they wrote themselves
+ * - Users the record is shared with get the shared access level
+ * - Doctors with an active consent grant covering the record get the granted level
+ * - Doctors in a consultation that is in progress or about to start read records
+ *   that aren't private or emergency-only
+ * - Doctors with active emergency access read emergency-only records
+ */
+const getRecordAccess = async (record, user) => {
+  if (!record || record.isDeleted) return null;
+
+  if (user.role === 'doctor' && sameId(record.doctor, user.id)) {
+    return 'manage';
+  }
+
+  if (sameId(record.patient, user.id)) {
+    return record.doctor ? 'read' : 'manage';
+  }
+
+  const share = findActiveShare(record, user.id);
+  const shareAccess = share ? (SHARE_ACCESS[share.accessLevel] || 'read') : null;
+
+  if (user.role !== 'doctor') return shareAccess;
+
+  const emergencyAccess = RECORD_ACCESS_CONFIG.emergencyAccessLevels.includes(record.accessLevel) &&
+    await hasEmergencyAccess(user.id, record.patient) ? 'read' : null;
+
+  const patientAccess = await getDoctorPatientAccess(user.id, record.patient);
+  if (!patientAccess) return highestAccess(shareAccess, emergencyAccess);
+
+  const grantAccess = highestAccess(
+    ...patientAccess.grants.filter(grant => grant.coversRecord(record)).map(grant => grant.accessLevel)
+  );
+  const consultationAccess = patientAccess.activeConsultation &&
+    RECORD_ACCESS_CONFIG.treatingAccessLevels.includes(record.accessLevel) ? 'read' : null;
+
+  return highestAccess(shareAccess, grantAccess, consultationAccess, emergencyAccess);
+};
+
+// Whether a doctor's access opens the patient's whole history: consultations
+// with other doctors and clinical details. Selected-record grants don't.
+const coversWholeHistory = (patientAccess) => Boolean(patientAccess) && (
+  patientAccess.activeConsultation ||
+  patientAccess.grants.some(grant => grant.scope === 'all_records')
+);
+
+// Query filter for a patient's records that the user can read
+const buildReadableRecordsFilter = async (user, patientId) => {
+  if (sameId(patientId, user.id)) {
+    return { patient: patientId };
+  }
+
+  const now = new Date();
+  const conditions = [
+    { doctor: user.id },
+    {
+      sharedWith: {
+        $elemMatch: {
+          user: user.id,
+          $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+        }
+      }
+    }
+  ];
+
+  const patientAccess = user.role === 'doctor'
+    ? await getDoctorPatientAccess(user.id, patientId)
+    : null;
+
+  if (user.role === 'doctor' && await hasEmergencyAccess(user.id, patientId)) {
+    conditions.push({ accessLevel: { $in: RECORD_ACCESS_CONFIG.emergencyAccessLevels } });
+  }
+
+  if (patientAccess) {
+    if (patientAccess.grants.some(grant => grant.scope === 'all_records')) {
+      return { patient: patientId };
+    }
+
+    const grantedRecords = patientAccess.grants.flatMap(grant => grant.records);
+    if (grantedRecords.length) {
+      conditions.push({ _id: { $in: grantedRecords } });
+    }
+    if (patientAccess.activeConsultation) {
+      conditions.push({ accessLevel: { $in: RECORD_ACCESS_CONFIG.treatingAccessLevels } });
+    }
+  }
+
+  return { patient: patientId, $or: conditions };
+};
+
+module.exports = {
+  RECORD_ACCESS_CONFIG,
+  hasAccess,
+  hasTreatingRelationship,
+  hasActiveConsultation,
+  getDoctorPatientAccess,
+  coversWholeHistory,
+  hasEmergencyAccess,
+  getRecordAccess,
+  buildReadableRecordsFilter
+};
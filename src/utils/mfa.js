@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+// Two-factor authentication (TOTP, RFC 6238) configuration
+const MFA_CONFIG = {
+  issuer: process.env.MFA_ISSUER || 'HealthFriend',
+  digits: 6,
+  periodSeconds: 30,
+  window: 1, // Accept codes from one step either side for clock drift
+  backupCodeCount: 10,
+  challengeExpiresIn: '5m', // Time allowed between wallet signature and TOTP code
+  // How long a session's sign-in or step-up code check satisfies requireMfa
+  stepUpMaxAgeMinutes: parseInt(process.env.MFA_STEP_UP_MAX_AGE_MINUTES) || 15,
+  // Roles that must enrol before using routes protected by requireMfa
+  requiredRoles: (process.env.MFA_REQUIRED_ROLES || 'admin')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean)
+};
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  let bits = '';
+  for (const char of input.replace(/=+$/, '').toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error('Invalid base32 character');
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// TOTP secrets are stored encrypted (AES-256-GCM) as iv:tag:ciphertext
+const getSecretKey = () => {
+  return crypto.createHash('sha256')
+    .update(process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+};
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getSecretKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getSecretKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Provisioning URI for authenticator apps (rendered as a QR code by the client)
+const buildOtpauthUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${MFA_CONFIG.issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: MFA_CONFIG.issuer,
+    algorithm: 'SHA1',
+    digits: `${MFA_CONFIG.digits}`,
+    period: `${MFA_CONFIG.periodSeconds}`
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+const getTimeStep = (time = Date.now()) => Math.floor(time / 1000 / MFA_CONFIG.periodSeconds);
+
+const generateTotp = (secret, step = getTimeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** MFA_CONFIG.digits);
+
+  return `${code}`.padStart(MFA_CONFIG.digits, '0');
+};
+
+// Returns the time step the code belongs to, or null if it does not match
+const matchTotp = (secret, code, time = Date.now()) => {
+  if (!/^\d+$/.test(`${code}`) || `${code}`.length !== MFA_CONFIG.digits) return null;
+
+  const currentStep = getTimeStep(time);
+  for (let offset = -MFA_CONFIG.window; offset <= MFA_CONFIG.window; offset++) {
+    const step = currentStep + offset;
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(`${code}`))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// Backup codes are shown once and stored hashed
+const normalizeBackupCode = (code) => `${code}`.toLowerCase().replace(/[^a-f0-9]/g, '');
+
+const hashBackupCode = (code) => crypto.createHash('sha256').update(normalizeBackupCode(code)).digest('hex');
+
+const generateBackupCodes = () => {
+  const codes = Array.from({ length: MFA_CONFIG.backupCodeCount }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+const isMfaRequiredForRole = (role) => MFA_CONFIG.requiredRoles.includes(role);
+
+const isMfaVerificationFresh = (verifiedAt) => Boolean(verifiedAt) &&
+  Date.now() - new Date(verifiedAt).getTime() <= MFA_CONFIG.stepUpMaxAgeMinutes * 60 * 1000;
+
+// Short-lived token proving the wallet signature step of a sign-in succeeded
+const issueMfaChallenge = (user, { deviceName } = {}) => {
+  return jwt.sign(
+    { userId: user._id, purpose: 'mfa_challenge', deviceName },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: MFA_CONFIG.challengeExpiresIn,
+      issuer: 'healthfriend-api',
+      audience: 'healthfriend-mfa'
+    }
+  );
+};
+
+const verifyMfaChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+      issuer: 'healthfriend-api',
+      audience: 'healthfriend-mfa'
+    });
+    return decoded.purpose === 'mfa_challenge' ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Check a TOTP code or backup code for an enrolled user. Each TOTP step and
+ * each backup code can be used once. Returns { valid, method, remainingBackupCodes }.
+ */
+const verifyMfaCode = async (userId, { code, backupCode }) => {
+  const user = await User.findById(userId).select('+mfa.secret +mfa.backupCodes');
+  if (!user || !user.mfa?.enabled || !user.mfa.secret) {
+    return { valid: false };
+  }
+
+  if (code) {
+    const step = matchTotp(decryptSecret(user.mfa.secret), code);
+    if (step === null) return { valid: false };
+
+    // Reject a code whose step (or a later one) was already used
+    const result = await User.updateOne(
+      { _id: user._id, 'mfa.lastUsedStep': { $not: { $gte: step } } },
+      { $set: { 'mfa.lastUsedStep': step } }
+    );
+    return { valid: result.modifiedCount > 0, method: 'totp' };
+  }
+
+  if (backupCode) {
+    const hash = hashBackupCode(backupCode);
+    const result = await User.updateOne(
+      { _id: user._id, 'mfa.backupCodes': hash },
+      { $pull: { 'mfa.backupCodes': hash } }
+    );
+    return {
+      valid: result.modifiedCount > 0,
+      method: 'backup_code',
+      remainingBackupCodes: result.modifiedCount > 0 ? user.mfa.backupCodes.length - 1 : user.mfa.backupCodes.length
+    };
+  }
+
+  return { valid: false };
+};
+
+module.exports = {
+  MFA_CONFIG,
+  encryptSecret,
+  decryptSecret,
+  generateTotpSecret,
+  buildOtpauthUri,
+  generateTotp,
+  matchTotp,
+  getTimeStep,
+  generateBackupCodes,
+  isMfaRequiredForRole,
+  isMfaVerificationFresh,
+  issueMfaChallenge,
+  verifyMfaChallenge,
+  verifyMfaCode
+};
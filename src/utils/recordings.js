@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const { once } = require('events');
+const ConsultationRecording = require('../models/ConsultationRecording');
+const Consultation = require('../models/Consultation');
+const {
+  FILE_TYPES,
+  gridFSBuckets,
+  openDecryptedDownloadStream,
+  createEncryptedUploadStream
+} = require('../middleware/upload');
+const { logError, logConsultation } = require('./logger');
+
+// Recording configuration
+const RECORDING_CONFIG = {
+  bucket: FILE_TYPES.CONSULTATION_RECORDING.bucket,
+  allowedMimeTypes: FILE_TYPES.CONSULTATION_RECORDING.allowedMimes,
+  defaultMimeType: 'video/webm',
+  maxChunks: 2000
+};
+
+const FILE_EXTENSIONS = {
+  'video/webm': '.webm',
+  'audio/webm': '.webm',
+  'video/mp4': '.mp4',
+  'audio/ogg': '.ogg'
+};
+
+const getRecordingUrl = (consultationId, recordingId) =>
+  `/api/consultations/${consultationId}/recordings/${recordingId}`;
+
+// Remove a stored GridFS file, ignoring files that are already gone
+const removeStoredFile = async (fileId) => {
+  const bucket = gridFSBuckets[RECORDING_CONFIG.bucket];
+  if (!bucket || !fileId) return;
+
+  try {
+    await bucket.delete(fileId);
+  } catch (error) {
+    logError(error, { context: 'Remove Recording File', fileId: fileId.toString() });
+  }
+};
+
+// Start a recording; both participants must have consented
+const startRecording = async (consultationId, userId, { recordingId = crypto.randomUUID(), mimeType } = {}) => {
+  const consultation = await Consultation.findById(consultationId)
+    .select('patient doctor recordingConsent status type');
+
+  if (!consultation || consultation.type !== 'video_call') {
+    return { error: 'Consultation not found', code: 'CONSULTATION_NOT_FOUND' };
+  }
+
+  if (!consultation.hasRecordingConsent()) {
+    return { error: 'Both participants must consent before recording', code: 'RECORDING_CONSENT_REQUIRED' };
+  }
+
+  const recording = await ConsultationRecording.create({
+    recordingId,
+    consultation: consultation._id,
+    patient: consultation.patient,
+    doctor: consultation.doctor,
+    startedBy: userId,
+    mimeType: RECORDING_CONFIG.allowedMimeTypes.includes(mimeType) ? mimeType : RECORDING_CONFIG.defaultMimeType
+  });
+
+  logConsultation('recording_started', consultation._id, consultation.patient, consultation.doctor, consultation.type, consultation.status);
+
+  return { recording };
+};
+
+// Attach an uploaded, encrypted chunk; false when the recording stopped or the sequence exists
+const addRecordingChunk = async (recording, sequence, file) => {
+  const result = await ConsultationRecording.updateOne(
+    {
+      _id: recording._id,
+      status: 'recording',
+      'chunks.sequence': { $ne: sequence },
+      [`chunks.${RECORDING_CONFIG.maxChunks - 1}`]: { $exists: false }
+    },
+    {
+      $push: {
+        chunks: {
+          sequence,
+          file: {
+            fileId: file.id,
+            filename: file.filename,
+            size: file.size
+          }
+        }
+      }
+    }
+  );
+
+  if (!result.modifiedCount) {
+    await removeStoredFile(file.id);
+    return false;
+  }
+
+  return true;
+};
+
+// Decrypt the chunks in sequence order and store them as one encrypted file
+const assembleRecording = async (recording) => {
+  try {
+    const chunks = [...recording.chunks].sort((a, b) => a.sequence - b.sequence);
+
+    if (chunks.length === 0) {
+      throw new Error('No recording chunks were uploaded');
+    }
+
+    const filename = `recording_${recording.recordingId}${FILE_EXTENSIONS[recording.mimeType] || '.webm'}`;
+    const output = await createEncryptedUploadStream(RECORDING_CONFIG.bucket, filename, {
+      consultation: recording.consultation,
+      recordingId: recording.recordingId,
+      mimeType: recording.mimeType
+    });
+
+    for (const chunk of chunks) {
+      const input = await openDecryptedDownloadStream(chunk.file.fileId, RECORDING_CONFIG.bucket, chunk.file.encryptionKey);
+
+      for await (const data of input) {
+        if (!output.stream.write(data)) {
+          await once(output.stream, 'drain');
+        }
+      }
+    }
+
+    output.stream.end();
+    const file = await output.finished;
+
+    await ConsultationRecording.updateOne(
+      { _id: recording._id, status: 'assembling' },
+      {
+        $set: {
+          status: 'available',
+          file: {
+            fileId: file.id,
+            filename: file.filename,
+            size: file.size
+          },
+          chunks: []
+        }
+      }
+    );
+
+    await Consultation.findByIdAndUpdate(recording.consultation, {
+      recordingUrl: getRecordingUrl(recording.consultation, recording.recordingId)
+    });
+
+    // Chunks are no longer needed once the assembled file is stored
+    for (const chunk of chunks) {
+      await removeStoredFile(chunk.file.fileId);
+    }
+
+    return { status: 'available', size: file.size };
+  } catch (error) {
+    logError(error, {
+      context: 'Assemble Recording',
+      recordingId: recording.recordingId,
+      consultationId: recording.consultation.toString()
+    });
+
+    // Chunks are kept so assembly can be retried
+    await ConsultationRecording.updateOne(
+      { _id: recording._id },
+      { $set: { status: 'failed', failureReason: error.message } }
+    );
+
+    return { status: 'failed', reason: error.message };
+  }
+};
+
+// Stop a recording and assemble it; returns null if it was already stopped
+const stopRecording = async (recordingId) => {
+  const endedAt = new Date();
+
+  const recording = await ConsultationRecording.findOneAndUpdate(
+    { recordingId, status: 'recording' },
+    { $set: { status: 'assembling', endedAt } },
+    { new: true }
+  );
+
+  if (!recording) return null;
+
+  recording.duration = endedAt - recording.startedAt;
+  await ConsultationRecording.updateOne({ _id: recording._id }, { $set: { duration: recording.duration } });
+
+  const result = await assembleRecording(recording);
+
+  return {
+    recordingId,
+    consultationId: recording.consultation,
+    duration: recording.duration,
+    ...result
+  };
+};
+
+module.exports = {
+  RECORDING_CONFIG,
+  getRecordingUrl,
+  startRecording,
+  addRecordingChunk,
+  stopRecording,
+  removeStoredFile
+};
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+
+// Session configuration
+const SESSION_CONFIG = {
+  accessTokenExpiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m',
+  refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30,
+  maxPreviousTokenHashes: 50 // Replaced refresh tokens remembered for reuse detection
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Refresh tokens are only ever stored hashed
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+const getRefreshExpiry = (now = new Date()) => new Date(now.getTime() + SESSION_CONFIG.refreshTokenTtlDays * DAY_MS);
+
+// Start a session for a signed-in device
+const createSession = async (user, { ipAddress, userAgent, deviceName, mfaVerified = false } = {}) => {
+  const refreshToken = generateRefreshToken();
+
+  const session = await Session.create({
+    sessionId: crypto.randomUUID(),
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    deviceName,
+    userAgent,
+    ipAddress,
+    mfaVerifiedAt: mfaVerified ? new Date() : null,
+    expiresAt: getRefreshExpiry()
+  });
+
+  return { session, refreshToken };
+};
+
+/**
+ * Exchange a refresh token for a new one. Presenting a token that was already
+ * exchanged means it leaked, so the whole session is revoked.
+ */
+const rotateRefreshToken = async (refreshToken, { ipAddress, userAgent } = {}) => {
+  const now = new Date();
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = generateRefreshToken();
+
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextToken),
+        lastUsedAt: now,
+        ipAddress,
+        userAgent,
+        expiresAt: getRefreshExpiry(now)
+      },
+      $push: {
+        previousTokenHashes: { $each: [tokenHash], $slice: -SESSION_CONFIG.maxPreviousTokenHashes }
+      },
+      $inc: { refreshCount: 1 }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, refreshToken: nextToken };
+  }
+
+  const reused = await Session.findOneAndUpdate(
+    { previousTokenHashes: tokenHash, revokedAt: null },
+    { $set: { revokedAt: now, revokedReason: 'refresh_token_reuse' } },
+    { new: true }
+  );
+
+  if (reused) {
+    return {
+      error: 'Refresh token was already used. The session has been revoked.',
+      code: 'REFRESH_TOKEN_REUSED',
+      session: reused
+    };
+  }
+
+  return { error: 'Invalid or expired refresh token', code: 'INVALID_REFRESH_TOKEN' };
+};
+
+// Revoke one of a user's sessions; false if it was not active
+const revokeSession = async (userId, sessionId, reason = 'user_revoked') => {
+  const result = await Session.updateOne(
+    { sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Revoke all of a user's sessions, optionally keeping the current one
+const revokeUserSessions = async (userId, { exceptSessionId = null, reason = 'user_revoked' } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter.sessionId = { $ne: exceptSessionId };
+  }
+
+  const result = await Session.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+  return result.modifiedCount;
+};
+
+// Record a completed two-factor step-up on an active session
+const markSessionMfaVerified = async (userId, sessionId) => {
+  const result = await Session.updateOne(
+    { sessionId, user: userId, revokedAt: null },
+    { $set: { mfaVerifiedAt: new Date() } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Forget step-ups when two-factor authentication is turned off
+const clearSessionMfa = (userId) => {
+  return Session.updateMany({ user: userId }, { $set: { mfaVerifiedAt: null } });
+};
+
+// Active sessions of a user, most recently used first
+const listActiveSessions = (userId) => {
+  return Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+module.exports = {
+  SESSION_CONFIG,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  markSessionMfaVerified,
+  clearSessionMfa,
+  listActiveSessions
+};
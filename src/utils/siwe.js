@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const { NETWORKS, CURRENT_NETWORK } = require('./web3');
+
+// Sign-In with Ethereum (EIP-4361) configuration
+const frontendUrl = new URL(process.env.FRONTEND_URL || 'http://localhost:3000');
+
+const SIWE_CONFIG = {
+  domain: process.env.SIWE_DOMAIN || frontendUrl.host,
+  uri: process.env.SIWE_URI || frontendUrl.origin,
+  statement: 'Sign in to HealthFriend.',
+  version: '1',
+  nonceTtlMinutes: parseInt(process.env.SIWE_NONCE_TTL_MINUTES) || 10,
+  clockSkewSeconds: 60, // Tolerated difference between the client's and our clock
+  // Chains users may sign in from; defaults to the payment network
+  chainIds: (process.env.SIWE_CHAIN_IDS || `${CURRENT_NETWORK.chainId}`)
+    .split(',')
+    .map(id => parseInt(id.trim()))
+    .filter(id => Object.values(NETWORKS).some(network => network.chainId === id))
+};
+
+// Cryptographically random, alphanumeric as EIP-4361 requires
+const generateSiweNonce = () => crypto.randomBytes(16).toString('hex');
+
+// Build the message the wallet signs
+const buildSiweMessage = ({
+  address,
+  chainId,
+  nonce,
+  issuedAt,
+  expirationTime,
+  domain = SIWE_CONFIG.domain,
+  uri = SIWE_CONFIG.uri,
+  statement = SIWE_CONFIG.statement
+}) => {
+  const lines = [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    ethers.utils.getAddress(address),
+    '',
+    statement,
+    '',
+    `URI: ${uri}`,
+    `Version: ${SIWE_CONFIG.version}`,
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date(issuedAt).toISOString()}`
+  ];
+
+  if (expirationTime) {
+    lines.push(`Expiration Time: ${new Date(expirationTime).toISOString()}`);
+  }
+
+  return lines.join('\n');
+};
+
+const SIWE_FIELDS = {
+  'URI': 'uri',
+  'Version': 'version',
+  'Chain ID': 'chainId',
+  'Nonce': 'nonce',
+  'Issued At': 'issuedAt',
+  'Expiration Time': 'expirationTime',
+  'Not Before': 'notBefore',
+  'Request ID': 'requestId'
+};
+
+// Parse an EIP-4361 message; returns null if it is not well formed
+const parseSiweMessage = (message) => {
+  if (typeof message !== 'string') return null;
+
+  const lines = message.split('\n');
+  const header = lines[0]?.match(/^(\S+) wants you to sign in with your Ethereum account:$/);
+  if (!header || !ethers.utils.isAddress(lines[1] || '')) return null;
+
+  const parsed = {
+    domain: header[1],
+    address: lines[1]
+  };
+
+  // Optional statement between blank lines, then the fields
+  let index = 2;
+  if (lines[index] !== '') return null;
+  index++;
+
+  if (lines[index] !== undefined && !lines[index].startsWith('URI: ')) {
+    parsed.statement = lines[index];
+    index++;
+    if (lines[index] !== '') return null;
+    index++;
+  }
+
+  for (; index < lines.length; index++) {
+    if (lines[index] === 'Resources:') break;
+
+    const separator = lines[index].indexOf(': ');
+    const key = SIWE_FIELDS[lines[index].slice(0, separator)];
+    if (separator === -1 || !key || parsed[key] !== undefined) return null;
+
+    parsed[key] = lines[index].slice(separator + 2);
+  }
+
+  if (!parsed.uri || !parsed.version || !parsed.chainId || !parsed.nonce || !parsed.issuedAt) {
+    return null;
+  }
+
+  parsed.chainId = parseInt(parsed.chainId);
+  if (!/^[a-zA-Z0-9]{8,}$/.test(parsed.nonce) || Number.isNaN(parsed.chainId)) return null;
+
+  for (const field of ['issuedAt', 'expirationTime', 'notBefore']) {
+    if (parsed[field] !== undefined) {
+      parsed[field] = new Date(parsed[field]);
+      if (Number.isNaN(parsed[field].getTime())) return null;
+    }
+  }
+
+  return parsed;
+};
+
+/**
+ * Check a parsed message against this server and the claimed wallet.
+ * Returns null when valid, otherwise { code, reason }. Nonce reuse is checked
+ * separately, when the nonce is consumed.
+ */
+const validateSiweMessage = (parsed, walletAddress, now = new Date()) => {
+  const skewMs = SIWE_CONFIG.clockSkewSeconds * 1000;
+
+  if (parsed.address.toLowerCase() !== walletAddress.toLowerCase()) {
+    return { code: 'SIWE_ADDRESS_MISMATCH', reason: 'Message was signed for a different wallet' };
+  }
+
+  if (parsed.domain !== SIWE_CONFIG.domain) {
+    return { code: 'SIWE_DOMAIN_MISMATCH', reason: `Message domain must be ${SIWE_CONFIG.domain}` };
+  }
+
+  let uriOrigin = null;
+  try {
+    uriOrigin = new URL(parsed.uri).origin;
+  } catch (error) {
+    uriOrigin = null;
+  }
+
+  if (uriOrigin !== new URL(SIWE_CONFIG.uri).origin) {
+    return { code: 'SIWE_URI_MISMATCH', reason: 'Message URI does not match this application' };
+  }
+
+  if (parsed.version !== SIWE_CONFIG.version) {
+    return { code: 'SIWE_VERSION_UNSUPPORTED', reason: `Unsupported message version ${parsed.version}` };
+  }
+
+  if (!SIWE_CONFIG.chainIds.includes(parsed.chainId)) {
+    return { code: 'SIWE_CHAIN_MISMATCH', reason: `Chain ID ${parsed.chainId} is not supported` };
+  }
+
+  if (parsed.issuedAt.getTime() > now.getTime() + skewMs) {
+    return { code: 'SIWE_NOT_YET_VALID', reason: 'Message was issued in the future' };
+  }
+
+  if (parsed.notBefore && parsed.notBefore.getTime() > now.getTime() + skewMs) {
+    return { code: 'SIWE_NOT_YET_VALID', reason: 'Message is not valid yet' };
+  }
+
+  if (!parsed.expirationTime || parsed.expirationTime.getTime() <= now.getTime()) {
+    return { code: 'SIWE_EXPIRED', reason: 'Message has expired' };
+  }
+
+  return null;
+};
+
+module.exports = {
+  SIWE_CONFIG,
+  generateSiweNonce,
+  buildSiweMessage,
+  parseSiweMessage,
+  validateSiweMessage
+};
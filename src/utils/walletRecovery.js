@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const WalletRecovery = require('../models/WalletRecovery');
+const { revokeUserSessions } = require('./sessions');
+
+// Wallet recovery configuration
+const RECOVERY_CONFIG = {
+  tokenTtlMinutes: parseInt(process.env.RECOVERY_TOKEN_TTL_MINUTES) || 60,
+  // Accounts without two-factor authentication wait this long before the new wallet is bound
+  delayHours: parseInt(process.env.RECOVERY_DELAY_HOURS) || 48,
+  completionWindowDays: 7 // Time to call /recovery/complete once the wait is over
+};
+
+const MINUTE_MS = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateToken = () => crypto.randomBytes(32).toString('base64url');
+
+// Start recovery for an account; any earlier open request is cancelled
+const startWalletRecovery = async (user, { ipAddress } = {}) => {
+  await WalletRecovery.updateMany(
+    { user: user._id, status: { $in: ['pending', 'awaiting_delay'] } },
+    { $set: { status: 'cancelled', cancelledAt: new Date() } }
+  );
+
+  const token = generateToken();
+  const recovery = await WalletRecovery.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    oldWalletAddress: user.walletAddress,
+    requestIp: ipAddress,
+    expiresAt: new Date(Date.now() + RECOVERY_CONFIG.tokenTtlMinutes * MINUTE_MS)
+  });
+
+  return { recovery, token };
+};
+
+// Open recovery request for an emailed token, in one of the given states
+const findRecoveryByToken = (token, statuses = ['pending']) => {
+  return WalletRecovery.findOne({
+    tokenHash: hashToken(token),
+    status: { $in: statuses },
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Point the account at its new wallet and sign out every device
+const bindNewWallet = async (userId, newWalletAddress) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    {
+      $set: {
+        walletAddress: newWalletAddress.toLowerCase(),
+        nonce: crypto.randomBytes(16).toString('hex')
+      }
+    },
+    { new: true }
+  );
+
+  await revokeUserSessions(userId, { reason: 'wallet_changed' });
+  return user;
+};
+
+/**
+ * Accept the new wallet for a pending request. With a verified two-factor
+ * code it is bound immediately; otherwise it is bound after the waiting
+ * period, during which the owner can cancel via the cancel token.
+ */
+const confirmWalletRecovery = async (recovery, { newWalletAddress, mfaVerified, ipAddress }) => {
+  const now = new Date();
+  const update = {
+    newWalletAddress: newWalletAddress.toLowerCase(),
+    confirmedAt: now,
+    confirmedIp: ipAddress
+  };
+  let cancelToken = null;
+
+  if (mfaVerified) {
+    Object.assign(update, { status: 'completed', secondFactor: 'mfa', completedAt: now });
+  } else {
+    cancelToken = generateToken();
+    const executeAfter = new Date(now.getTime() + RECOVERY_CONFIG.delayHours * 60 * MINUTE_MS);
+    Object.assign(update, {
+      status: 'awaiting_delay',
+      secondFactor: 'delay',
+      cancelTokenHash: hashToken(cancelToken),
+      executeAfter,
+      expiresAt: new Date(executeAfter.getTime() + RECOVERY_CONFIG.completionWindowDays * 24 * 60 * MINUTE_MS)
+    });
+  }
+
+  // Status guard makes each token single-use
+  const confirmed = await WalletRecovery.findOneAndUpdate(
+    { _id: recovery._id, status: 'pending', expiresAt: { $gt: now } },
+    { $set: update },
+    { new: true }
+  );
+  if (!confirmed) return null;
+
+  const user = mfaVerified ? await bindNewWallet(confirmed.user, confirmed.newWalletAddress) : null;
+  return { recovery: confirmed, user, cancelToken };
+};
+
+// Bind the new wallet once the waiting period is over
+const completeWalletRecovery = async (recovery) => {
+  const now = new Date();
+  const completed = await WalletRecovery.findOneAndUpdate(
+    {
+      _id: recovery._id,
+      status: 'awaiting_delay',
+      executeAfter: { $lte: now },
+      expiresAt: { $gt: now }
+    },
+    { $set: { status: 'completed', completedAt: now } },
+    { new: true }
+  );
+  if (!completed) return null;
+
+  const user = await bindNewWallet(completed.user, completed.newWalletAddress);
+  return { recovery: completed, user };
+};
+
+// Stop a recovery that is waiting out its delay
+const cancelWalletRecovery = (cancelToken) => {
+  return WalletRecovery.findOneAndUpdate(
+    { cancelTokenHash: hashToken(cancelToken), status: 'awaiting_delay' },
+    { $set: { status: 'cancelled', cancelledAt: new Date() } },
+    { new: true }
+  );
+};
+
+const getRecoveryUrl = (path, token) => {
+  return `${process.env.FRONTEND_URL}/${path}?token=${encodeURIComponent(token)}`;
+};
+
+module.exports = {
+  RECOVERY_CONFIG,
+  startWalletRecovery,
+  findRecoveryByToken,
+  confirmWalletRecovery,
+  completeWalletRecovery,
+  cancelWalletRecovery,
+  getRecoveryUrl
+};
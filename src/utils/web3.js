@@ -8,7 +8,7 @@ const NETWORKS = {
   ethereum: {
     chainId: 1,
     name: 'Ethereum Mainnet',
-    rpcUrl: `https://mainnet.infura.io/v3/${process.env.INFURA_PROJECT_ID}`,
+    rpcUrl: process.env.ETHEREUM_RPC_URL || `https://mainnet.infura.io/v3/${process.env.INFURA_PROJECT_ID}`,
     explorer: 'https://etherscan.io',
     nativeCurrency: {
       name: 'Ether',
@@ -32,7 +32,7 @@ const NETWORKS = {
   polygonTestnet: {
     chainId: 80001,
     name: 'Polygon Mumbai Testnet',
-    rpcUrl: `https://polygon-mumbai.infura.io/v3/${process.env.INFURA_PROJECT_ID}`,
+    rpcUrl: process.env.POLYGON_TESTNET_RPC_URL || `https://polygon-mumbai.infura.io/v3/${process.env.INFURA_PROJECT_ID}`,
     explorer: 'https://mumbai.polygonscan.com',
     nativeCurrency: {
       name: 'MATIC',
@@ -40,11 +40,36 @@ const NETWORKS = {
       decimals: 18
     },
     gasMultiplier: 1.1
+  },
+  local: {
+    chainId: parseInt(process.env.LOCAL_CHAIN_ID) || 31337,
+    name: 'Local Development Chain',
+    rpcUrl: process.env.LOCAL_RPC_URL || 'http://127.0.0.1:8545', // Ganache / Hardhat node
+    explorer: null,
+    nativeCurrency: {
+      name: 'Ether',
+      symbol: 'ETH',
+      decimals: 18
+    },
+    gasMultiplier: 1
   }
 };
 
 // Current network (defaults to Polygon)
-const CURRENT_NETWORK = NETWORKS[process.env.ETHEREUM_NETWORK] || NETWORKS.polygon;
+const CURRENT_NETWORK_KEY = NETWORKS[process.env.ETHEREUM_NETWORK] ? process.env.ETHEREUM_NETWORK : 'polygon';
+const CURRENT_NETWORK = NETWORKS[CURRENT_NETWORK_KEY];
+
+// Network key for a chain ID, or null if the chain is not configured
+const getNetworkKeyByChainId = (chainId) => {
+  const entry = Object.entries(NETWORKS).find(([, network]) => network.chainId === Number(chainId));
+  return entry ? entry[0] : null;
+};
+
+// EIP-1271 contract wallet signature validation
+const EIP1271_MAGIC_VALUE = '0x1626ba7e';
+const eip1271Interface = new ethers.utils.Interface([
+  'function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)'
+]);
 
 // Supported tokens
 const SUPPORTED_TOKENS = {
@@ -52,7 +77,7 @@ const SUPPORTED_TOKENS = {
     symbol: 'ETH',
     decimals: 18,
     address: null, // Native token
-    networks: ['ethereum']
+    networks: ['ethereum', 'local']
   },
   MATIC: {
     symbol: 'MATIC',
@@ -79,9 +104,32 @@ const SUPPORTED_TOKENS = {
       polygonTestnet: '0x742d35Cc6b6b36A77AEC0AE8e1Ae8cE9c52e1bE6'
     },
     networks: ['ethereum', 'polygon', 'polygonTestnet']
+  },
+  HFT: {
+    symbol: 'HFT',
+    decimals: 18,
+    address: {}, // Deployment specific, set HFT_CONTRACT_ADDRESS
+    networks: ['ethereum', 'polygon', 'polygonTestnet', 'local']
   }
 };
 
+// Token amounts are quoted and compared at this many decimal places at most
+const PAYMENT_AMOUNT_PRECISION = 6;
+
+// Convert a quoted token amount to base units at the payment precision
+const toTokenUnits = (amount, symbol) => {
+  const { decimals } = SUPPORTED_TOKENS[symbol];
+  return ethers.utils.parseUnits(Number(amount).toFixed(Math.min(decimals, PAYMENT_AMOUNT_PRECISION)), decimals);
+};
+
+// Contract address of a token on a network. <SYMBOL>_CONTRACT_ADDRESS overrides the built-in map
+const getTokenAddress = (symbol, networkKey) => {
+  const token = SUPPORTED_TOKENS[symbol];
+  if (!token || !token.address) return null;
+
+  return process.env[`${symbol}_CONTRACT_ADDRESS`] || token.address[networkKey] || null;
+};
+
 // ERC-20 ABI for token interactions
 const ERC20_ABI = [
   'function balanceOf(address owner) view returns (uint256)',
@@ -93,6 +141,8 @@ const ERC20_ABI = [
   'event Transfer(address indexed from, address indexed to, uint256 value)'
 ];
 
+const erc20Interface = new ethers.utils.Interface(ERC20_ABI);
+
 // Initialize providers
 const initializeProviders = () => {
   const providers = {};
@@ -111,7 +161,7 @@ const initializeProviders = () => {
 };
 
 const providers = initializeProviders();
-const currentProvider = providers[process.env.ETHEREUM_NETWORK] || providers.polygon;
+const currentProvider = providers[CURRENT_NETWORK_KEY];
 
 // Web3 utility class
 class Web3Utils {
@@ -119,14 +169,40 @@ class Web3Utils {
     this.providers = providers;
     this.currentProvider = currentProvider;
     this.network = CURRENT_NETWORK;
+    this.networkKey = CURRENT_NETWORK_KEY;
   }
 
-  // Wallet signature verification
-  async verifySignature(message, signature, address) {
+  // Wallet signature verification - EOA recovery, then EIP-1271 for contract wallets (e.g. Safe)
+  async verifySignature(message, signature, address, { chainId = null } = {}) {
     try {
-      const recoveredAddress = ethers.utils.verifyMessage(message, signature);
-      const isValid = recoveredAddress.toLowerCase() === address.toLowerCase();
-      
+      let recoveredAddress = null;
+
+      // Contract wallet signatures need not be recoverable
+      try {
+        recoveredAddress = ethers.utils.verifyMessage(message, signature);
+      } catch (error) {
+        recoveredAddress = null;
+      }
+
+      if (recoveredAddress && recoveredAddress.toLowerCase() === address.toLowerCase()) {
+        return {
+          isValid: true,
+          walletType: 'eoa',
+          recoveredAddress,
+          providedAddress: address
+        };
+      }
+
+      // Check on the chain the message was signed for
+      const networkKey = chainId ? getNetworkKeyByChainId(chainId) : this.networkKey;
+      let isValid = false;
+      let walletType = 'eoa';
+
+      if (networkKey && this.providers[networkKey] && await this.isContract(address, networkKey)) {
+        walletType = 'contract';
+        isValid = await this.isValidContractSignature(address, ethers.utils.hashMessage(message), signature, networkKey);
+      }
+
       if (!isValid) {
         logSecurity(
           'invalid_wallet_signature',
@@ -137,13 +213,16 @@ class Web3Utils {
           {
             providedAddress: address,
             recoveredAddress,
+            walletType,
+            network: networkKey,
             message: message.substring(0, 100)
           }
         );
       }
-      
+
       return {
         isValid,
+        walletType,
         recoveredAddress,
         providedAddress: address
       };
@@ -160,9 +239,36 @@ class Web3Utils {
     }
   }
 
-  // Generate message for wallet signature
-  generateSignatureMessage(walletAddress, nonce, timestamp = Date.now()) {
-    return `HealthFriend Authentication\n\nWallet: ${walletAddress}\nNonce: ${nonce}\nTimestamp: ${timestamp}\n\nSign this message to authenticate with HealthFriend.`;
+  // Ask a contract wallet whether it accepts a signature for a hash (EIP-1271)
+  async isValidContractSignature(address, hash, signature, network = null) {
+    try {
+      const provider = network ? this.providers[network] : this.currentProvider;
+      if (!provider) throw new Error('Provider not available');
+
+      const result = await provider.call({
+        to: address,
+        data: eip1271Interface.encodeFunctionData('isValidSignature', [hash, signature])
+      });
+
+      const [magicValue] = eip1271Interface.decodeFunctionResult('isValidSignature', result);
+      return magicValue.toLowerCase() === EIP1271_MAGIC_VALUE;
+    } catch (error) {
+      // Reverts and non-conforming return data mean the signature was not accepted
+      return false;
+    }
+  }
+
+  // Generate EIP-4361 (Sign-In with Ethereum) message for wallet signature
+  generateSignatureMessage(walletAddress, nonce, timestamp = Date.now(), expirationTime = null) {
+    const { buildSiweMessage } = require('./siwe');
+
+    return buildSiweMessage({
+      address: walletAddress,
+      chainId: this.network.chainId,
+      nonce,
+      issuedAt: timestamp,
+      expirationTime
+    });
   }
 
   // Validate Ethereum address
@@ -514,7 +620,7 @@ class Web3Utils {
       .reduce((acc, [symbol, token]) => {
         acc[symbol] = {
           ...token,
-          address: token.address ? token.address[networkName] : null
+          address: getTokenAddress(symbol, networkName)
         };
         return acc;
       }, {});
@@ -631,6 +737,168 @@ class Web3Utils {
       throw error;
     }
   }
+
+  // Verify that a transaction paid at least `expectedAmount` of a token to `recipient`.
+  // Native transfers are checked against the transaction value, ERC-20 transfers
+  // against the token contract's Transfer logs in the receipt
+  async verifyTokenTransfer({ txHash, tokenSymbol, recipient, expectedAmount, requiredConfirmations = 12, network = null }) {
+    try {
+      const networkKey = network || this.networkKey;
+      const provider = this.providers[networkKey];
+      if (!provider) throw new Error('Provider not available');
+
+      const token = SUPPORTED_TOKENS[tokenSymbol];
+      if (!token) {
+        return { isValid: false, code: 'UNSUPPORTED_TOKEN', reason: `Unsupported token: ${tokenSymbol}` };
+      }
+
+      const isNative = NETWORKS[networkKey].nativeCurrency.symbol === tokenSymbol;
+      const tokenAddress = isNative ? null : getTokenAddress(tokenSymbol, networkKey);
+
+      if (!isNative && !tokenAddress) {
+        return { isValid: false, code: 'TOKEN_NOT_ON_NETWORK', reason: `${tokenSymbol} is not available on ${NETWORKS[networkKey].name}` };
+      }
+
+      const expected = toTokenUnits(expectedAmount, tokenSymbol);
+
+      const [transaction, receipt] = await Promise.all([
+        provider.getTransaction(txHash),
+        provider.getTransactionReceipt(txHash)
+      ]);
+
+      if (!transaction) {
+        return { isValid: false, code: 'TX_NOT_FOUND', reason: 'Transaction not found' };
+      }
+
+      if (!receipt) {
+        return { isValid: false, isPending: true, code: 'TX_NOT_MINED', reason: 'Transaction has not been mined yet' };
+      }
+
+      if (receipt.status !== 1) {
+        return { isValid: false, code: 'TX_FAILED', reason: 'Transaction failed' };
+      }
+
+      const recipientAddress = recipient.toLowerCase();
+      let received = ethers.constants.Zero;
+
+      if (isNative) {
+        if (transaction.to && transaction.to.toLowerCase() === recipientAddress) {
+          received = transaction.value;
+        }
+      } else {
+        const transferTopic = erc20Interface.getEventTopic('Transfer');
+
+        receipt.logs
+          .filter(log => log.address.toLowerCase() === tokenAddress.toLowerCase() && log.topics[0] === transferTopic)
+          .forEach(log => {
+            const { args } = erc20Interface.parseLog(log);
+            if (args.to.toLowerCase() === recipientAddress) {
+              received = received.add(args.value);
+            }
+          });
+      }
+
+      if (received.isZero()) {
+        return { isValid: false, code: 'NO_TRANSFER', reason: 'No transfer to the payment address found' };
+      }
+
+      if (received.lt(expected)) {
+        return {
+          isValid: false,
+          code: 'AMOUNT_MISMATCH',
+          reason: 'Amount mismatch',
+          expectedAmount: ethers.utils.formatUnits(expected, token.decimals),
+          receivedAmount: ethers.utils.formatUnits(received, token.decimals)
+        };
+      }
+
+      const currentBlock = await provider.getBlockNumber();
+      const confirmations = Math.max(0, currentBlock - receipt.blockNumber + 1);
+
+      return {
+        isValid: true,
+        isConfirmed: confirmations >= requiredConfirmations,
+        confirmations,
+        requiredConfirmations,
+        from: transaction.from.toLowerCase(),
+        receivedAmount: ethers.utils.formatUnits(received, token.decimals),
+        blockNumber: receipt.blockNumber,
+        blockHash: receipt.blockHash,
+        gasUsed: receipt.gasUsed.toString(),
+        effectiveGasPrice: receipt.effectiveGasPrice?.toString()
+      };
+    } catch (error) {
+      logError(error, { context: 'Verify Token Transfer', txHash, tokenSymbol, network });
+      throw error;
+    }
+  }
+
+  // Find successful transfers of the given tokens to `recipient` in a block range
+  async findTransfersTo(recipient, { fromBlock, toBlock, tokenSymbols, network = null }) {
+    try {
+      const networkKey = network || this.networkKey;
+      const provider = this.providers[networkKey];
+      if (!provider) throw new Error('Provider not available');
+
+      const recipientAddress = recipient.toLowerCase();
+      const nativeSymbol = NETWORKS[networkKey].nativeCurrency.symbol;
+      const transfers = [];
+
+      // ERC-20 transfers, filtered on the indexed recipient topic
+      const transferTopic = erc20Interface.getEventTopic('Transfer');
+      const recipientTopic = ethers.utils.hexZeroPad(recipientAddress, 32);
+
+      for (const symbol of tokenSymbols.filter(item => item !== nativeSymbol)) {
+        const tokenAddress = getTokenAddress(symbol, networkKey);
+        if (!tokenAddress) continue;
+
+        const logs = await provider.getLogs({
+          address: tokenAddress,
+          topics: [transferTopic, null, recipientTopic],
+          fromBlock,
+          toBlock
+        });
+
+        logs.forEach(log => {
+          const { args } = erc20Interface.parseLog(log);
+          transfers.push({
+            transactionHash: log.transactionHash.toLowerCase(),
+            tokenSymbol: symbol,
+            from: args.from.toLowerCase(),
+            value: args.value,
+            blockNumber: log.blockNumber,
+            blockHash: log.blockHash
+          });
+        });
+      }
+
+      // Native transfers require walking the blocks themselves
+      if (tokenSymbols.includes(nativeSymbol)) {
+        for (let blockNumber = fromBlock; blockNumber <= toBlock; blockNumber++) {
+          const block = await provider.getBlockWithTransactions(blockNumber);
+          if (!block) continue;
+
+          block.transactions
+            .filter(tx => tx.to && tx.to.toLowerCase() === recipientAddress && !tx.value.isZero())
+            .forEach(tx => {
+              transfers.push({
+                transactionHash: tx.hash.toLowerCase(),
+                tokenSymbol: nativeSymbol,
+                from: tx.from.toLowerCase(),
+                value: tx.value,
+                blockNumber: block.number,
+                blockHash: block.hash
+              });
+            });
+        }
+      }
+
+      return transfers;
+    } catch (error) {
+      logError(error, { context: 'Find Transfers', recipient, fromBlock, toBlock, network });
+      throw error;
+    }
+  }
 }
 
 // Create singleton instance
@@ -643,6 +911,7 @@ module.exports = {
   
   // Direct utility functions
   verifySignature: web3Utils.verifySignature.bind(web3Utils),
+  isValidContractSignature: web3Utils.isValidContractSignature.bind(web3Utils),
   generateSignatureMessage: web3Utils.generateSignatureMessage.bind(web3Utils),
   isValidAddress: web3Utils.isValidAddress.bind(web3Utils),
   getBalance: web3Utils.getBalance.bind(web3Utils),
@@ -652,11 +921,18 @@ module.exports = {
   convertUSDToCrypto: web3Utils.convertUSDToCrypto.bind(web3Utils),
   convertCryptoToUSD: web3Utils.convertCryptoToUSD.bind(web3Utils),
   isValidTransactionHash: web3Utils.isValidTransactionHash.bind(web3Utils),
+  verifyTokenTransfer: web3Utils.verifyTokenTransfer.bind(web3Utils),
+  findTransfersTo: web3Utils.findTransfersTo.bind(web3Utils),
+  getTokenAddress,
+  toTokenUnits,
+  getNetworkKeyByChainId,
   
   // Configuration exports
   NETWORKS,
   SUPPORTED_TOKENS,
   CURRENT_NETWORK,
+  CURRENT_NETWORK_KEY,
+  PAYMENT_AMOUNT_PRECISION,
   
   // Provider access
   getProvider: (network) => providers[network] || currentProvider,
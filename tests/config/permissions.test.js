@@ -0,0 +1,30 @@
+const {
+  PERMISSIONS,
+  resolveAdminRoles,
+  getPermissionsForRoles,
+  hasPermission
+} = require('../../src/config/permissions');
+
+describe('resolveAdminRoles', () => {
+  it('gives an admin without assigned roles no permissions', () => {
+    for (const adminRoles of [undefined, []]) {
+      const roles = resolveAdminRoles({ role: 'admin', adminRoles });
+
+      expect(roles).toEqual([]);
+      expect(getPermissionsForRoles(roles)).toEqual([]);
+      expect(hasPermission(roles, PERMISSIONS.DASHBOARD_VIEW)).toBe(false);
+    }
+  });
+
+  it('gives an admin the permissions of their assigned roles only', () => {
+    const roles = resolveAdminRoles({ role: 'admin', adminRoles: ['finance'] });
+
+    expect(roles).toEqual(['finance']);
+    expect(hasPermission(roles, PERMISSIONS.PAYMENTS_DISPUTE_RESOLVE)).toBe(true);
+    expect(hasPermission(roles, PERMISSIONS.ADMIN_ROLES_MANAGE)).toBe(false);
+  });
+
+  it('ignores admin roles on users who are not admins', () => {
+    expect(resolveAdminRoles({ role: 'doctor', adminRoles: ['super_admin'] })).toEqual([]);
+  });
+});
@@ -0,0 +1,82 @@
+jest.mock('../../src/utils/email', () => ({ sendEmail: jest.fn() }));
+jest.mock('../../src/sockets/notifications', () => ({ sendNotificationToUser: jest.fn() }));
+jest.mock('../../src/utils/ai', () => ({ aiUtils: {} }));
+jest.mock('../../src/jobs', () => ({ listJobs: jest.fn(), runJob: jest.fn(), hasJob: jest.fn() }));
+
+const mongoose = require('mongoose');
+const User = require('../../src/models/User');
+const adminController = require('../../src/controllers/adminController');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+const mockRequest = (adminRoles, body) => ({
+  user: { id: new mongoose.Types.ObjectId(), role: 'admin', adminRoles },
+  body: { reason: 'Repeated policy violations', notifyUser: false, ...body },
+  ip: '127.0.0.1',
+  get: () => 'jest'
+});
+
+describe('adminController.manageUser permissions', () => {
+  const targets = {};
+
+  beforeEach(() => {
+    targets.doctor = new User({ walletAddress: `0x${'1'.repeat(40)}`, role: 'doctor' });
+    targets.admin = new User({ walletAddress: `0x${'2'.repeat(40)}`, role: 'admin', adminRoles: ['support'] });
+    targets.patient = new User({ walletAddress: `0x${'3'.repeat(40)}`, role: 'patient' });
+
+    jest.spyOn(User, 'findById').mockImplementation(async (id) => {
+      return Object.values(targets).find(user => user._id.equals(id)) || null;
+    });
+    jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('does not let users.manage alone verify a doctor', async () => {
+    const res = mockResponse();
+
+    await adminController.manageUser(mockRequest(['support'], { userId: targets.doctor.id, action: 'verify' }), res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('does not let users.manage alone suspend or delete an admin', async () => {
+    for (const action of ['suspend', 'delete']) {
+      const res = mockResponse();
+
+      await adminController.manageUser(mockRequest(['support'], { userId: targets.admin.id, action }), res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+    }
+    expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('still lets users.manage suspend a patient', async () => {
+    const res = mockResponse();
+
+    await adminController.manageUser(mockRequest(['support'], { userId: targets.patient.id, action: 'suspend' }), res);
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(User.findByIdAndUpdate).toHaveBeenCalledWith(targets.patient.id, expect.objectContaining({ accountStatus: 'suspended' }));
+  });
+
+  it('lets a super admin verify doctors and suspend admins', async () => {
+    const verifyRes = mockResponse();
+    await adminController.manageUser(mockRequest(['super_admin'], { userId: targets.doctor.id, action: 'verify' }), verifyRes);
+
+    const suspendRes = mockResponse();
+    await adminController.manageUser(mockRequest(['super_admin'], { userId: targets.admin.id, action: 'suspend' }), suspendRes);
+
+    expect(verifyRes.status).not.toHaveBeenCalled();
+    expect(suspendRes.status).not.toHaveBeenCalled();
+    expect(User.findByIdAndUpdate).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,111 @@
+jest.mock('../../src/utils/email', () => ({ sendEmail: jest.fn() }));
+jest.mock('../../src/sockets/notifications', () => ({ sendNotificationToUser: jest.fn() }));
+
+const mongoose = require('mongoose');
+const User = require('../../src/models/User');
+const Consultation = require('../../src/models/Consultation');
+const ConsentGrant = require('../../src/models/ConsentGrant');
+const EmergencyAccess = require('../../src/models/EmergencyAccess');
+const MedicalRecord = require('../../src/models/MedicalRecord');
+const doctorController = require('../../src/controllers/doctorController');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+// Chainable query for find(...).select().populate().sort()
+const chain = (result) => {
+  const query = {
+    select: () => query,
+    populate: () => query,
+    sort: () => query,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return query;
+};
+
+describe('doctorController.getPatientHistory', () => {
+  const doctorId = new mongoose.Types.ObjectId();
+  const patientId = new mongoose.Types.ObjectId();
+  const grantedRecordId = new mongoose.Types.ObjectId();
+
+  const request = () => ({
+    params: { patientId: patientId.toString() },
+    user: { id: doctorId, role: 'doctor' },
+    ip: '127.0.0.1',
+    get: () => 'jest'
+  });
+
+  const withAccess = ({ grants = [], activeConsultation = false }) => {
+    jest.spyOn(ConsentGrant, 'findActiveGrants').mockResolvedValue(grants.map(grant => new ConsentGrant({
+      doctor: doctorId,
+      patient: patientId,
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      ...grant
+    })));
+    jest.spyOn(Consultation, 'exists').mockResolvedValue(activeConsultation ? { _id: new mongoose.Types.ObjectId() } : null);
+  };
+
+  let consultationFind;
+  let userSelect;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    jest.spyOn(EmergencyAccess, 'findActiveAccess').mockReturnValue(chain(null));
+    jest.spyOn(MedicalRecord, 'find').mockReturnValue(chain([]));
+    consultationFind = jest.spyOn(Consultation, 'find').mockReturnValue(chain([]));
+    userSelect = jest.fn().mockResolvedValue({ _id: patientId });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: userSelect });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('limits a selected-records grant to the doctor\'s own consultations and basic patient info', async () => {
+    withAccess({ grants: [{ scope: 'selected_records', records: [grantedRecordId] }] });
+
+    const res = mockResponse();
+    await doctorController.getPatientHistory(request(), res);
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(consultationFind).toHaveBeenCalledWith({ patient: patientId.toString(), status: 'completed', doctor: doctorId });
+    expect(userSelect.mock.calls[0][0]).not.toMatch(/medicalInfo/);
+  });
+
+  it('shows the whole history under an all-records grant', async () => {
+    withAccess({ grants: [{ scope: 'all_records' }] });
+
+    const res = mockResponse();
+    await doctorController.getPatientHistory(request(), res);
+
+    expect(consultationFind).toHaveBeenCalledWith({ patient: patientId.toString(), status: 'completed' });
+    expect(userSelect.mock.calls[0][0]).toMatch(/medicalInfo/);
+  });
+
+  it('shows the whole history during an active consultation', async () => {
+    withAccess({ activeConsultation: true });
+
+    const res = mockResponse();
+    await doctorController.getPatientHistory(request(), res);
+
+    expect(consultationFind).toHaveBeenCalledWith({ patient: patientId.toString(), status: 'completed' });
+    expect(userSelect.mock.calls[0][0]).toMatch(/medicalInfo/);
+  });
+
+  it('refuses a doctor with no grant or active consultation', async () => {
+    withAccess({});
+
+    const res = mockResponse();
+    await doctorController.getPatientHistory(request(), res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(consultationFind).not.toHaveBeenCalled();
+  });
+});
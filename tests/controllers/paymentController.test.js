@@ -0,0 +1,130 @@
+jest.mock('../../src/utils/email', () => ({ sendEmail: jest.fn() }));
+jest.mock('../../src/sockets/notifications', () => ({ sendNotificationToUser: jest.fn() }));
+jest.mock('../../src/utils/web3', () => ({
+  ...jest.requireActual('../../src/utils/web3'),
+  verifyTokenTransfer: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Payment = require('../../src/models/Payment');
+const { verifyTokenTransfer } = require('../../src/utils/web3');
+const paymentController = require('../../src/controllers/paymentController');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// Chainable query result for findOne(...).populate() / .select()
+const query = (result) => ({
+  populate: () => Promise.resolve(result),
+  select: () => Promise.resolve(result)
+});
+
+describe('paymentController.verifyPayment', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const transactionHash = `0x${'ab'.repeat(32)}`;
+
+  const request = (paymentId) => ({
+    body: { paymentId, transactionHash },
+    user: { id: userId },
+    ip: '127.0.0.1',
+    get: () => 'jest'
+  });
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    verifyTokenTransfer.mockReset();
+  });
+
+  it('refuses a transaction hash already bound to another payment', async () => {
+    const payment = new Payment({
+      payer: userId,
+      cryptoAmount: 25.5,
+      cryptoCurrency: 'USDC',
+      status: 'pending'
+    });
+    const boundPayment = { _id: new mongoose.Types.ObjectId() };
+
+    const findOne = jest.spyOn(Payment, 'findOne')
+      .mockReturnValueOnce(query(payment))
+      .mockReturnValueOnce(query(boundPayment));
+
+    const res = mockResponse();
+    await paymentController.verifyPayment(request(payment._id.toString()), res);
+
+    expect(findOne).toHaveBeenLastCalledWith({ transactionHash, _id: { $ne: payment._id } });
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json.mock.calls[0][0]).toMatchObject({ success: false });
+    expect(JSON.stringify(res.json.mock.calls[0][0])).toContain('TRANSACTION_ALREADY_USED');
+    expect(verifyTokenTransfer).not.toHaveBeenCalled();
+  });
+});
+
+describe('paymentController.getPaymentDetails', () => {
+  const ownerId = new mongoose.Types.ObjectId();
+  const paymentId = new mongoose.Types.ObjectId().toString();
+
+  // Chainable query for findOne(...).populate().populate().populate()
+  const populated = (result) => {
+    const chain = {
+      populate: () => chain,
+      then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+    };
+    return chain;
+  };
+
+  const request = (user) => ({ params: { paymentId }, user });
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns 404 when an API key reads a payment its owner is not party to', async () => {
+    const findOne = jest.spyOn(Payment, 'findOne').mockReturnValue(populated(null));
+
+    const res = mockResponse();
+    await paymentController.getPaymentDetails(request({ id: new mongoose.Types.ObjectId(), role: 'api', isApiUser: true, ownerId }), res);
+
+    expect(findOne).toHaveBeenCalledWith({
+      _id: paymentId,
+      $or: [{ payer: ownerId }, { payee: ownerId }]
+    });
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  it('returns 404 without querying when an API key has no owner', async () => {
+    const findOne = jest.spyOn(Payment, 'findOne');
+
+    const res = mockResponse();
+    await paymentController.getPaymentDetails(request({ id: new mongoose.Types.ObjectId(), role: 'api', isApiUser: true, ownerId: null }), res);
+
+    expect(findOne).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  it('finds a patient\'s payment by payer and a doctor\'s by payee', async () => {
+    const payment = { _id: paymentId };
+    const findOne = jest.spyOn(Payment, 'findOne').mockReturnValue(populated(payment));
+    const userId = new mongoose.Types.ObjectId();
+
+    const res = mockResponse();
+    await paymentController.getPaymentDetails(request({ id: userId, role: 'patient' }), res);
+    await paymentController.getPaymentDetails(request({ id: userId, role: 'doctor' }), res);
+
+    expect(findOne).toHaveBeenNthCalledWith(1, { _id: paymentId, payer: userId });
+    expect(findOne).toHaveBeenNthCalledWith(2, { _id: paymentId, payee: userId });
+    expect(res.status).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true, data: payment }));
+  });
+});
@@ -0,0 +1,78 @@
+const { ethers } = require('ethers');
+
+const erc20Interface = new ethers.utils.Interface([
+  'event Transfer(address indexed from, address indexed to, uint256 value)'
+]);
+
+const toHex = (value) => ethers.BigNumber.from(value).toHexString();
+
+const randomHash = () => ethers.utils.hexlify(ethers.utils.randomBytes(32));
+
+// Transaction and receipt in the shape eth_getTransactionByHash / eth_getTransactionReceipt return
+const buildTransfer = ({ hash = randomHash(), from, to, value = 0, blockNumber, status = 1, logs = [] }) => {
+  const blockHash = randomHash();
+
+  const transaction = {
+    hash,
+    blockHash,
+    blockNumber: toHex(blockNumber),
+    transactionIndex: '0x0',
+    from,
+    to,
+    value: toHex(value),
+    gas: toHex(100000),
+    gasPrice: toHex(1000000000),
+    nonce: '0x1',
+    input: '0x',
+    type: '0x0',
+    v: '0x1b',
+    r: toHex(1),
+    s: toHex(1)
+  };
+
+  const receipt = {
+    transactionHash: hash,
+    blockHash,
+    blockNumber: toHex(blockNumber),
+    transactionIndex: '0x0',
+    from,
+    to,
+    contractAddress: null,
+    gasUsed: toHex(52000),
+    cumulativeGasUsed: toHex(52000),
+    effectiveGasPrice: toHex(1000000000),
+    logsBloom: `0x${'0'.repeat(512)}`,
+    status: toHex(status),
+    type: '0x0',
+    logs: logs.map((log, index) => ({
+      ...log,
+      logIndex: toHex(index),
+      transactionHash: hash,
+      transactionIndex: '0x0',
+      blockHash,
+      blockNumber: toHex(blockNumber),
+      removed: false
+    }))
+  };
+
+  return { hash, transaction, receipt };
+};
+
+// ERC-20 Transfer event log emitted by `token`
+const transferLog = (token, from, to, value) => {
+  const { data, topics } = erc20Interface.encodeEventLog(erc20Interface.getEvent('Transfer'), [from, to, value]);
+  return { address: token, data, topics };
+};
+
+const addTransfer = (chain, transfer) => {
+  chain.transactions.set(transfer.hash.toLowerCase(), transfer.transaction);
+  chain.receipts.set(transfer.hash.toLowerCase(), transfer.receipt);
+  return transfer.hash;
+};
+
+module.exports = {
+  buildTransfer,
+  transferLog,
+  addTransfer,
+  randomHash
+};
@@ -0,0 +1,36 @@
+const { ethers } = require('ethers');
+const { randomAddress } = require('./wallets');
+
+const EIP1271_MAGIC_VALUE = '0x1626ba7e';
+
+const eip1271Interface = new ethers.utils.Interface([
+  'function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)'
+]);
+
+/**
+ * Deploy a mock EIP-1271 wallet on the JSON-RPC stand-in: it has contract code
+ * and returns the magic value only for signatures in `acceptedSignatures`.
+ */
+const deployMockContractWallet = (chain, acceptedSignatures = []) => {
+  const address = randomAddress();
+  const accepted = new Set(acceptedSignatures.map(signature => signature.toLowerCase()));
+  const previousCall = chain.call;
+
+  chain.code.set(address.toLowerCase(), '0x6080604052');
+  chain.call = (request) => {
+    if (request.to.toLowerCase() !== address.toLowerCase()) {
+      return previousCall(request);
+    }
+
+    const [, signature] = eip1271Interface.decodeFunctionData('isValidSignature', request.data);
+    const result = accepted.has(signature.toLowerCase()) ? EIP1271_MAGIC_VALUE : '0xffffffff';
+    return eip1271Interface.encodeFunctionResult('isValidSignature', [result]);
+  };
+
+  return address;
+};
+
+module.exports = {
+  EIP1271_MAGIC_VALUE,
+  deployMockContractWallet
+};
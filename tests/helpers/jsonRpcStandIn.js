@@ -0,0 +1,63 @@
+const http = require('http');
+
+/**
+ * Minimal Ganache/Hardhat-style JSON-RPC node for tests. Transactions,
+ * receipts, contract code and eth_call results are set on `chain`; unknown
+ * transactions return null like a real node.
+ */
+const startJsonRpcStandIn = async ({ chainId = 31337 } = {}) => {
+  const chain = {
+    blockNumber: 100,
+    transactions: new Map(),
+    receipts: new Map(),
+    code: new Map(),
+    // (callRequest) -> hex return data; throws to simulate a revert
+    call: () => '0x'
+  };
+
+  const methods = {
+    eth_chainId: () => `0x${chainId.toString(16)}`,
+    net_version: () => `${chainId}`,
+    eth_blockNumber: () => `0x${chain.blockNumber.toString(16)}`,
+    eth_getTransactionByHash: ([hash]) => chain.transactions.get(hash.toLowerCase()) || null,
+    eth_getTransactionReceipt: ([hash]) => chain.receipts.get(hash.toLowerCase()) || null,
+    eth_getCode: ([address]) => chain.code.get(address.toLowerCase()) || '0x',
+    eth_call: ([request]) => chain.call(request)
+  };
+
+  const handle = (request) => {
+    const method = methods[request.method];
+    if (!method) {
+      return { jsonrpc: '2.0', id: request.id, error: { code: -32601, message: `Method not found: ${request.method}` } };
+    }
+
+    try {
+      return { jsonrpc: '2.0', id: request.id, result: method(request.params || []) };
+    } catch (error) {
+      return { jsonrpc: '2.0', id: request.id, error: { code: 3, message: 'execution reverted', data: error.data || '0x' } };
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const payload = JSON.parse(body);
+      const response = Array.isArray(payload) ? payload.map(handle) : handle(payload);
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(response));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    chain,
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+module.exports = {
+  startJsonRpcStandIn
+};
@@ -0,0 +1,13 @@
+const { ethers } = require('ethers');
+
+// Wallet.createRandom() derives a mnemonic, which takes over a second per call
+// under jest and pushes signature tests towards the default timeout. A random
+// private key is all the tests need.
+const randomWallet = () => new ethers.Wallet(ethers.utils.randomBytes(32));
+
+const randomAddress = () => ethers.utils.getAddress(ethers.utils.hexlify(ethers.utils.randomBytes(20)));
+
+module.exports = {
+  randomWallet,
+  randomAddress
+};
@@ -0,0 +1,225 @@
+/**
+ * Two API instances sharing one Redis: a patient connected to one instance and
+ * the doctor to the other must see each other's call and presence events, and
+ * users outside the consultation must not see its presence events.
+ *
+ * Needs a local Redis and MongoDB, e.g.
+ *   REDIS_URL=redis://127.0.0.1:6379 MONGODB_URI=mongodb://127.0.0.1:27017/healthfriend-test npm test
+ */
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const mongoose = require('mongoose');
+const { io: connectClient } = require('socket.io-client');
+
+const hasServices = Boolean(process.env.REDIS_URL && process.env.MONGODB_URI);
+const describeWithServices = hasServices ? describe : describe.skip;
+
+const ROOT = path.join(__dirname, '..', '..');
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+const PORTS = [5101, 5102];
+const START_TIMEOUT_MS = 20000;
+const EVENT_TIMEOUT_MS = 5000;
+
+// Start server.js on a port and resolve once it is listening
+const startInstance = (port) => new Promise((resolve, reject) => {
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: `${port}`,
+      JWT_SECRET,
+      JOBS_ENABLED: 'false',
+      NODE_ENV: 'test'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  const timer = setTimeout(() => {
+    child.kill();
+    reject(new Error(`Instance on port ${port} did not start:\n${output}`));
+  }, START_TIMEOUT_MS);
+
+  const onData = (data) => {
+    output += data;
+    if (output.includes(`running on port ${port}`)) {
+      clearTimeout(timer);
+      resolve(child);
+    }
+  };
+
+  child.stdout.on('data', onData);
+  child.stderr.on('data', onData);
+  child.on('exit', (code) => {
+    clearTimeout(timer);
+    reject(new Error(`Instance on port ${port} exited with ${code}:\n${output}`));
+  });
+});
+
+const stopInstance = (child) => new Promise((resolve) => {
+  if (!child || child.exitCode !== null) return resolve();
+  child.once('exit', resolve);
+  child.kill('SIGTERM');
+  setTimeout(() => child.kill('SIGKILL'), 5000).unref();
+});
+
+const connect = (port, namespace, token) => new Promise((resolve, reject) => {
+  const socket = connectClient(`http://127.0.0.1:${port}${namespace}`, {
+    auth: { token },
+    transports: ['websocket'],
+    forceNew: true,
+    reconnection: false
+  });
+  socket.once('connect', () => resolve(socket));
+  socket.once('connect_error', reject);
+});
+
+const nextEvent = (socket, event) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), EVENT_TIMEOUT_MS);
+  socket.once(event, (payload) => {
+    clearTimeout(timer);
+    resolve(payload);
+  });
+});
+
+const emitWithAck = (socket, event, payload) => new Promise((resolve) => {
+  socket.emit(event, payload, resolve);
+});
+
+describeWithServices('sockets across two instances sharing Redis', () => {
+  let User;
+  let Consultation;
+  let createSession;
+  let generateToken;
+
+  const instances = [];
+  const sockets = [];
+  let patient;
+  let doctor;
+  let stranger;
+  let consultation;
+  let patientToken;
+  let doctorToken;
+  let strangerToken;
+
+  const createUser = (role) => User.create({
+    walletAddress: `0x${crypto.randomBytes(20).toString('hex')}`,
+    firstName: role === 'doctor' ? 'Ada' : 'Pat',
+    lastName: 'Test',
+    email: `${role}-${crypto.randomUUID()}@example.test`,
+    role,
+    isActive: true,
+    ...(role === 'doctor' && { doctorProfile: { isVerified: true } })
+  });
+
+  const tokenFor = async (user) => {
+    const { session } = await createSession(user, { userAgent: 'jest' });
+    return generateToken(user._id.toString(), user.walletAddress, user.role, session.sessionId);
+  };
+
+  const open = async (port, namespace, token) => {
+    const socket = await connect(port, namespace, token);
+    sockets.push(socket);
+    return socket;
+  };
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = JWT_SECRET;
+    User = require('../../src/models/User');
+    Consultation = require('../../src/models/Consultation');
+    ({ createSession } = require('../../src/utils/sessions'));
+    ({ generateToken } = require('../../src/middleware/auth'));
+
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    patient = await createUser('patient');
+    doctor = await createUser('doctor');
+    stranger = await createUser('patient');
+    consultation = await Consultation.create({
+      type: 'video_call',
+      status: 'confirmed',
+      patient: patient._id,
+      doctor: doctor._id,
+      scheduledDateTime: new Date()
+    });
+    patientToken = await tokenFor(patient);
+    doctorToken = await tokenFor(doctor);
+    strangerToken = await tokenFor(stranger);
+
+    for (const port of PORTS) {
+      instances.push(await startInstance(port));
+    }
+  }, 2 * START_TIMEOUT_MS + 10000);
+
+  afterAll(async () => {
+    sockets.forEach(socket => socket.disconnect());
+    await Promise.all(instances.map(stopInstance));
+
+    if (mongoose.connection.readyState === 1) {
+      await Promise.all([
+        User.deleteMany({ _id: { $in: [patient?._id, doctor?._id, stranger?._id] } }),
+        Consultation.deleteMany({ _id: consultation?._id }),
+        mongoose.connection.collection('sessions').deleteMany({ user: { $in: [patient?._id, doctor?._id, stranger?._id] } })
+      ]);
+      await mongoose.disconnect();
+    }
+  }, 20000);
+
+  it('relays join and signaling events between participants on different instances', async () => {
+    const patientSocket = await open(PORTS[0], '/video-calls', patientToken);
+    const doctorSocket = await open(PORTS[1], '/video-calls', doctorToken);
+    const consultationId = consultation._id.toString();
+
+    const patientJoin = await emitWithAck(patientSocket, 'join-consultation', { consultationId });
+    expect(patientJoin).toMatchObject({ success: true });
+
+    const joined = nextEvent(patientSocket, 'participant-joined');
+    const doctorJoin = await emitWithAck(doctorSocket, 'join-consultation', { consultationId });
+
+    // Call state is shared, so the doctor's instance sees the patient already in the call
+    expect(doctorJoin).toMatchObject({ success: true });
+    expect(doctorJoin.participants.map(p => p.userId)).toEqual(
+      expect.arrayContaining([patient._id.toString(), doctor._id.toString()])
+    );
+    await expect(joined).resolves.toMatchObject({
+      participant: { userId: doctor._id.toString(), role: 'doctor' }
+    });
+
+    const signal = nextEvent(patientSocket, 'signal');
+    doctorSocket.emit('signal', { type: 'offer', signal: { sdp: 'v=0' }, targetPeer: patient._id.toString() });
+    await expect(signal).resolves.toMatchObject({
+      from: doctor._id.toString(),
+      type: 'offer',
+      signal: { sdp: 'v=0' }
+    });
+
+    const ready = nextEvent(doctorSocket, 'participant-ready');
+    patientSocket.emit('participant-ready', {});
+    await expect(ready).resolves.toMatchObject({ userId: patient._id.toString() });
+  });
+
+  it('sends presence changes to consultation counterparts on the other instance only', async () => {
+    const patientSocket = await open(PORTS[0], '/notifications', patientToken);
+    const strangerSocket = await open(PORTS[0], '/notifications', strangerToken);
+    const doctorSocket = await open(PORTS[1], '/notifications', doctorToken);
+
+    for (const socket of [patientSocket, strangerSocket, doctorSocket]) {
+      await expect(emitWithAck(socket, 'subscribe-notifications', {}))
+        .resolves.toMatchObject({ success: true, presence: 'online' });
+    }
+
+    const strangerEvents = [];
+    strangerSocket.on('user-presence-change', payload => strangerEvents.push(payload));
+
+    const presence = nextEvent(patientSocket, 'user-presence-change');
+    doctorSocket.emit('presence-update', { state: 'busy', statusMessage: 'In a consultation' });
+
+    await expect(presence).resolves.toMatchObject({
+      userId: doctor._id.toString(),
+      state: 'busy',
+      statusMessage: 'In a consultation'
+    });
+    expect(strangerEvents).toEqual([]);
+  });
+});
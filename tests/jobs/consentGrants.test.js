@@ -0,0 +1,81 @@
+jest.mock('../../src/sockets/notifications', () => ({ sendNotificationToUser: jest.fn() }));
+
+const mongoose = require('mongoose');
+const ConsentGrant = require('../../src/models/ConsentGrant');
+const { sendNotificationToUser } = require('../../src/sockets/notifications');
+const expireConsentGrants = require('../../src/jobs/consentGrants');
+
+const MINUTE = 60 * 1000;
+
+describe('expire-consent-grants job', () => {
+  const patientId = new mongoose.Types.ObjectId();
+  const doctorId = new mongoose.Types.ObjectId();
+  let grants;
+
+  const grant = (attributes) => {
+    const doc = new ConsentGrant({
+      patient: patientId,
+      doctor: doctorId,
+      scope: 'all_records',
+      status: 'active',
+      ...attributes
+    });
+    grants.push(doc);
+    return doc;
+  };
+
+  beforeEach(() => {
+    grants = [];
+
+    // Answers the job's query from the grants above
+    jest.spyOn(ConsentGrant, 'find').mockImplementation((filter) => ({
+      limit: async () => grants.filter(candidate =>
+        candidate.status === filter.status && candidate.expiresAt <= filter.expiresAt.$lte)
+    }));
+    jest.spyOn(ConsentGrant.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    sendNotificationToUser.mockClear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('expires lapsed grants, records it in the ledger and tells both parties', async () => {
+    const lapsed = grant({ expiresAt: new Date(Date.now() - MINUTE) });
+
+    const result = await expireConsentGrants.run();
+
+    expect(result).toEqual({ expired: 1 });
+    expect(lapsed.status).toBe('expired');
+    expect(lapsed.expiredAt).toBeInstanceOf(Date);
+    expect(lapsed.history.map(entry => entry.action)).toEqual(['expired']);
+    expect(lapsed.history[0].by).toBeNull();
+    expect(sendNotificationToUser).toHaveBeenCalledWith(patientId, expect.objectContaining({ type: 'record_access_expired' }));
+    expect(sendNotificationToUser).toHaveBeenCalledWith(doctorId, expect.objectContaining({ type: 'record_access_expired' }));
+  });
+
+  it('leaves grants that are still running or already closed', async () => {
+    const running = grant({ expiresAt: new Date(Date.now() + MINUTE) });
+    const revoked = grant({ status: 'revoked', expiresAt: new Date(Date.now() - MINUTE) });
+
+    const result = await expireConsentGrants.run();
+
+    expect(result).toEqual({ expired: 0 });
+    expect(running.status).toBe('active');
+    expect(revoked.status).toBe('revoked');
+    expect(sendNotificationToUser).not.toHaveBeenCalled();
+  });
+
+  it('no longer returns a grant from findActiveGrants once it has lapsed', async () => {
+    ConsentGrant.find.mockRestore();
+    const find = jest.spyOn(ConsentGrant, 'find').mockResolvedValue([]);
+
+    await ConsentGrant.findActiveGrants(doctorId, patientId);
+
+    const filter = find.mock.calls[0][0];
+    expect(filter).toEqual(expect.objectContaining({ doctor: doctorId, patient: patientId, status: 'active' }));
+    expect(filter.expiresAt.$gt.getTime()).toBeLessThanOrEqual(Date.now());
+  });
+});
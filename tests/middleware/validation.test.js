@@ -0,0 +1,40 @@
+const express = require('express');
+const request = require('supertest');
+const { validateConsultationBooking } = require('../../src/middleware/validation');
+const { globalErrorHandler } = require('../../src/middleware/errorHandler');
+
+describe('validateConsultationBooking', () => {
+  let app;
+
+  const booking = (overrides) => ({
+    type: 'video_call',
+    symptoms: ['headache'],
+    chiefComplaint: 'Headache for three days',
+    ...overrides
+  });
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    app = express();
+    app.use(express.json());
+    app.post('/book', validateConsultationBooking, (req, res) => res.json({ success: true }));
+    app.use(globalErrorHandler);
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('accepts a supported payment method or none', async () => {
+    await request(app).post('/book').send(booking({ paymentMethod: 'wallet_connect' })).expect(200);
+    await request(app).post('/book').send(booking()).expect(200);
+  });
+
+  it('rejects an unknown payment method before booking', async () => {
+    const res = await request(app).post('/book').send(booking({ paymentMethod: 'paypal' }));
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,53 @@
+const SystemSettings = require('../../src/models/SystemSettings');
+
+// Latest stored version returned by findOne().sort()
+const mockLatest = (values) => {
+  jest.spyOn(SystemSettings, 'findOne').mockReturnValue({
+    sort: () => Promise.resolve(values && new SystemSettings(values))
+  });
+};
+
+describe('SystemSettings versions', () => {
+  let created;
+
+  beforeEach(() => {
+    SystemSettings.clearCache();
+    created = null;
+    jest.spyOn(SystemSettings, 'create').mockImplementation(async (doc) => {
+      created = doc;
+      return doc;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('merges a partial nested update into the current settings', async () => {
+    mockLatest({
+      version: 3,
+      aiSettings: { model: 'gpt-4', temperature: 0.7, maxTokensPerRequest: 2000 },
+      emailSettings: { fromName: 'HealthFriend', sendWelcomeEmails: true }
+    });
+
+    await SystemSettings.updateSettings({ aiSettings: { temperature: 0.5 } }, null, 'Lower temperature');
+
+    expect(created.version).toBe(4);
+    expect(created.aiSettings).toEqual({ model: 'gpt-4', temperature: 0.5, maxTokensPerRequest: 2000 });
+    expect(created.emailSettings).toEqual({ fromName: 'HealthFriend', sendWelcomeEmails: true });
+    expect(created.changedFields).toEqual(['aiSettings']);
+  });
+
+  it('replaces nested objects when rolling back', async () => {
+    const target = new SystemSettings({ version: 1, aiSettings: { model: 'gpt-3.5' } });
+    const latest = new SystemSettings({ version: 2, aiSettings: { model: 'gpt-4', temperature: 0.7 } });
+    jest.spyOn(SystemSettings, 'findOne')
+      .mockReturnValueOnce(Promise.resolve(target))
+      .mockReturnValue({ sort: () => Promise.resolve(latest) });
+
+    await SystemSettings.rollbackTo(1, null);
+
+    expect(created.aiSettings).toEqual({ model: 'gpt-3.5' });
+    expect(created.restoredVersion).toBe(1);
+  });
+});
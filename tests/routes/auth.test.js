@@ -0,0 +1,255 @@
+const express = require('express');
+const request = require('supertest');
+const { ethers } = require('ethers');
+const { startJsonRpcStandIn } = require('../helpers/jsonRpcStandIn');
+const { deployMockContractWallet } = require('../helpers/eip1271');
+const { randomWallet, randomAddress } = require('../helpers/wallets');
+
+jest.mock('../../src/utils/email', () => ({ sendEmail: jest.fn() }));
+jest.mock('../../src/utils/loginSecurity', () => ({
+  isIpBlocked: jest.fn().mockResolvedValue(false),
+  isAccountLocked: jest.fn().mockReturnValue(false),
+  recordFailedLogin: jest.fn().mockResolvedValue({ locked: false }),
+  recordSuccessfulLogin: jest.fn()
+}));
+jest.mock('../../src/utils/sessions', () => ({
+  ...jest.requireActual('../../src/utils/sessions'),
+  createSession: jest.fn().mockResolvedValue({
+    session: { sessionId: 'session-1' },
+    refreshToken: 'refresh-token'
+  }),
+  revokeSession: jest.fn().mockResolvedValue(true)
+}));
+jest.mock('../../src/utils/mfa', () => ({
+  ...jest.requireActual('../../src/utils/mfa'),
+  verifyMfaCode: jest.fn()
+}));
+
+let node;
+let app;
+let User;
+let AuthNonce;
+let Session;
+let buildSiweMessage;
+let loginSecurity;
+let sessions;
+let verifyMfaCode;
+let generateToken;
+
+beforeAll(async () => {
+  node = await startJsonRpcStandIn();
+  process.env.ETHEREUM_NETWORK = 'local';
+  process.env.LOCAL_RPC_URL = node.url;
+  process.env.SIWE_DOMAIN = 'app.healthfriend.test';
+  process.env.SIWE_URI = 'https://app.healthfriend.test';
+  process.env.JWT_SECRET = 'test-jwt-secret';
+
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  User = require('../../src/models/User');
+  AuthNonce = require('../../src/models/AuthNonce');
+  Session = require('../../src/models/Session');
+  ({ buildSiweMessage } = require('../../src/utils/siwe'));
+  ({ verifyMfaCode } = require('../../src/utils/mfa'));
+  ({ generateToken } = require('../../src/middleware/auth'));
+  loginSecurity = require('../../src/utils/loginSecurity');
+  sessions = require('../../src/utils/sessions');
+
+  jest.spyOn(User, 'findOne');
+  jest.spyOn(User, 'findById');
+  jest.spyOn(AuthNonce, 'consume').mockResolvedValue({ nonce: 'consumed' });
+  jest.spyOn(Session, 'findActive');
+
+  const { globalErrorHandler } = require('../../src/middleware/errorHandler');
+  app = express();
+  app.use(express.json());
+  app.use('/api/auth', require('../../src/routes/auth'));
+  app.use(globalErrorHandler);
+});
+
+afterAll(async () => {
+  jest.restoreAllMocks();
+  await node.close();
+});
+
+beforeEach(() => {
+  loginSecurity.recordFailedLogin.mockClear();
+  sessions.revokeSession.mockClear();
+  verifyMfaCode.mockReset();
+});
+
+describe('POST /api/auth/verify', () => {
+  const signIn = (walletAddress, signature, message) => request(app)
+    .post('/api/auth/verify')
+    .send({ walletAddress, signature, message });
+
+  const siweMessageFor = (address) => buildSiweMessage({
+    address,
+    chainId: 31337,
+    nonce: ethers.utils.hexlify(ethers.utils.randomBytes(8)).slice(2),
+    issuedAt: new Date(),
+    expirationTime: new Date(Date.now() + 5 * 60 * 1000)
+  });
+
+  const mockUser = (walletAddress) => {
+    const user = {
+      _id: '64b000000000000000000001',
+      walletAddress: walletAddress.toLowerCase(),
+      role: 'patient',
+      isActive: true,
+      isBanned: false,
+      updateLoginInfo: jest.fn().mockResolvedValue()
+    };
+    User.findOne.mockReturnValue({ select: () => Promise.resolve(user) });
+    return user;
+  };
+
+  it('signs in an EOA with a valid signature', async () => {
+    const wallet = randomWallet();
+    const message = siweMessageFor(wallet.address);
+    mockUser(wallet.address);
+
+    const res = await signIn(wallet.address, await wallet.signMessage(message), message);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ sessionId: 'session-1', refreshToken: 'refresh-token' });
+    expect(res.body.data.token).toEqual(expect.any(String));
+  });
+
+  it('rejects an EOA signature made by another key', async () => {
+    const wallet = randomWallet();
+    const message = siweMessageFor(wallet.address);
+    const user = mockUser(wallet.address);
+
+    const res = await signIn(wallet.address, await randomWallet().signMessage(message), message);
+
+    expect(res.status).toBe(401);
+    expect(res.body.error.code).toBe('INVALID_SIGNATURE');
+    expect(loginSecurity.recordFailedLogin).toHaveBeenCalledWith(user, expect.anything(), 'invalid_signature');
+  });
+
+  it('signs in a contract wallet whose isValidSignature returns the EIP-1271 magic value', async () => {
+    const signature = '0x1234abcd';
+    const wallet = deployMockContractWallet(node.chain, [signature]);
+    const message = siweMessageFor(wallet);
+    mockUser(wallet);
+
+    const res = await signIn(wallet, signature, message);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.token).toEqual(expect.any(String));
+  });
+
+  it('rejects a contract wallet whose isValidSignature returns a non-magic value', async () => {
+    const wallet = deployMockContractWallet(node.chain, ['0x1234abcd']);
+    const message = siweMessageFor(wallet);
+    const user = mockUser(wallet);
+
+    const res = await signIn(wallet, '0xdeadbeef', message);
+
+    expect(res.status).toBe(401);
+    expect(res.body.error.code).toBe('INVALID_SIGNATURE');
+    expect(loginSecurity.recordFailedLogin).toHaveBeenCalledWith(user, expect.anything(), 'invalid_signature');
+  });
+});
+
+describe('POST /api/auth/mfa/step-up', () => {
+  const userId = '64b000000000000000000002';
+  const walletAddress = randomAddress().toLowerCase();
+  let user;
+
+  const stepUp = () => request(app)
+    .post('/api/auth/mfa/step-up')
+    .set('Authorization', `Bearer ${generateToken(userId, walletAddress, 'doctor', 'session-1')}`)
+    .send({ code: '123456' });
+
+  beforeEach(() => {
+    user = {
+      _id: userId,
+      walletAddress,
+      role: 'doctor',
+      isActive: true,
+      isBanned: false,
+      lastLogin: new Date(),
+      mfa: { enabled: true },
+      loginSecurity: {}
+    };
+    User.findById.mockReturnValue({ select: () => Promise.resolve(user) });
+    Session.findActive.mockResolvedValue({ sessionId: 'session-1', mfaVerifiedAt: null });
+    verifyMfaCode.mockResolvedValue({ valid: false, method: 'totp' });
+  });
+
+  it('counts a wrong code as a failed sign-in', async () => {
+    const res = await stepUp();
+
+    expect(res.status).toBe(401);
+    expect(res.body.error.code).toBe('INVALID_MFA_CODE');
+    expect(loginSecurity.recordFailedLogin).toHaveBeenCalledWith(user, expect.anything(), 'invalid_mfa_step_up_code');
+    expect(sessions.revokeSession).not.toHaveBeenCalled();
+  });
+
+  it('locks the account and ends the session once too many codes fail', async () => {
+    loginSecurity.recordFailedLogin.mockResolvedValueOnce({ locked: true, lockedUntil: new Date(Date.now() + 15 * 60 * 1000) });
+
+    const res = await stepUp();
+
+    expect(res.status).toBe(423);
+    expect(res.body.error.code).toBe('ACCOUNT_LOCKED');
+    expect(sessions.revokeSession).toHaveBeenCalledWith(userId, 'session-1', 'account_locked');
+  });
+
+  it('ends the session without checking the code while the account is locked', async () => {
+    user.loginSecurity.lockedUntil = new Date(Date.now() + 15 * 60 * 1000);
+    loginSecurity.isAccountLocked.mockReturnValueOnce(true);
+
+    const res = await stepUp();
+
+    expect(res.status).toBe(423);
+    expect(verifyMfaCode).not.toHaveBeenCalled();
+    expect(sessions.revokeSession).toHaveBeenCalledWith(userId, 'session-1', 'account_locked');
+  });
+});
+
+describe('GET /api/auth/mfa', () => {
+  const userId = '64b000000000000000000003';
+  const walletAddress = randomAddress().toLowerCase();
+
+  const getStatus = () => request(app)
+    .get('/api/auth/mfa')
+    .set('Authorization', `Bearer ${generateToken(userId, walletAddress, 'admin', 'session-2')}`);
+
+  const withStepUpAt = (mfaVerifiedAt) => {
+    Session.findActive.mockResolvedValue({ sessionId: 'session-2', mfaVerifiedAt });
+  };
+
+  beforeEach(() => {
+    const user = {
+      _id: userId,
+      walletAddress,
+      role: 'admin',
+      isActive: true,
+      isBanned: false,
+      lastLogin: new Date(),
+      mfa: { enabled: true, backupCodes: [] }
+    };
+    User.findById.mockReturnValue({ select: () => Promise.resolve(user) });
+  });
+
+  it('treats a recent step-up as verified', async () => {
+    withStepUpAt(new Date(Date.now() - 60 * 1000));
+
+    const res = await getStatus();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.verifiedThisSession).toBe(true);
+  });
+
+  it('asks for the code again once the step-up is older than the max age', async () => {
+    const { MFA_CONFIG } = require('../../src/utils/mfa');
+    withStepUpAt(new Date(Date.now() - (MFA_CONFIG.stepUpMaxAgeMinutes + 1) * 60 * 1000));
+
+    const res = await getStatus();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.verifiedThisSession).toBe(false);
+  });
+});
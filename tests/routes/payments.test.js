@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+jest.mock('../../src/utils/email', () => ({ sendEmail: jest.fn() }));
+jest.mock('../../src/sockets/notifications', () => ({ sendNotificationToUser: jest.fn() }));
+
+const WEBHOOK_SECRET = 'test-webhook-secret';
+const API_KEY = `hf_${'a'.repeat(12)}_${'b'.repeat(43)}`;
+
+describe('payments router with API keys', () => {
+  let app;
+  let ApiKey;
+  let paymentController;
+
+  const useKeyWithScopes = (scopes) => {
+    const id = new mongoose.Types.ObjectId();
+    ApiKey.findByKey.mockResolvedValue({
+      _id: id,
+      id: id.toString(),
+      name: 'Partner clinic',
+      prefix: 'a'.repeat(12),
+      scopes,
+      rateLimit: { maxRequests: 1000, windowMinutes: 15 }
+    });
+  };
+
+  const webhookPayload = {
+    transactionHash: `0x${'1'.repeat(64)}`,
+    blockNumber: 120,
+    status: 'confirmed'
+  };
+
+  const signWebhook = (payload) => {
+    return `sha256=${crypto.createHmac('sha256', WEBHOOK_SECRET).update(JSON.stringify(payload)).digest('hex')}`;
+  };
+
+  beforeAll(() => {
+    process.env.BLOCKCHAIN_WEBHOOK_SECRET = WEBHOOK_SECRET;
+    process.env.JWT_SECRET = 'test-jwt-secret';
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    ApiKey = require('../../src/models/ApiKey');
+    paymentController = require('../../src/controllers/paymentController');
+    jest.spyOn(ApiKey, 'findByKey');
+    jest.spyOn(ApiKey, 'recordUsage').mockResolvedValue();
+
+    // Routes capture the handlers when the router is built
+    jest.spyOn(paymentController, 'getPaymentDetails').mockImplementation((req, res) => res.json({ success: true }));
+    jest.spyOn(paymentController, 'getPaymentHistory').mockImplementation((req, res) => res.json({ success: true }));
+    jest.spyOn(paymentController, 'handleBlockchainWebhook').mockImplementation((req, res) => res.json({ success: true }));
+
+    const { globalErrorHandler } = require('../../src/middleware/errorHandler');
+    app = express();
+    app.use(express.json());
+    app.use('/api/payments', require('../../src/routes/payments'));
+    app.use(globalErrorHandler);
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('accepts a key with payments:read on GET /:paymentId', async () => {
+    useKeyWithScopes(['payments:read']);
+
+    const res = await request(app)
+      .get(`/api/payments/${new mongoose.Types.ObjectId()}`)
+      .set('X-API-Key', API_KEY);
+
+    expect(res.status).toBe(200);
+    expect(paymentController.getPaymentDetails).toHaveBeenCalled();
+  });
+
+  it('rejects a key without payments:read with 403', async () => {
+    useKeyWithScopes(['consultations:read']);
+    paymentController.getPaymentDetails.mockClear();
+
+    const res = await request(app)
+      .get(`/api/payments/${new mongoose.Types.ObjectId()}`)
+      .set('X-API-Key', API_KEY);
+
+    expect(res.status).toBe(403);
+    expect(paymentController.getPaymentDetails).not.toHaveBeenCalled();
+  });
+
+  it('rejects keys on routes that are not open to partners', async () => {
+    useKeyWithScopes(['payments:read']);
+
+    const res = await request(app)
+      .get('/api/payments/history')
+      .set('X-API-Key', API_KEY);
+
+    expect(res.status).toBe(403);
+    expect(paymentController.getPaymentHistory).not.toHaveBeenCalled();
+  });
+
+  it('rejects requests without a bearer token or API key', async () => {
+    const res = await request(app).get(`/api/payments/${new mongoose.Types.ObjectId()}`);
+
+    expect(res.status).toBe(401);
+  });
+
+  it('requires payments:webhook on the blockchain webhook', async () => {
+    useKeyWithScopes(['payments:read']);
+
+    const res = await request(app)
+      .post('/api/payments/webhook/blockchain')
+      .set('X-API-Key', API_KEY)
+      .set('X-Webhook-Signature', signWebhook(webhookPayload))
+      .send(webhookPayload);
+
+    expect(res.status).toBe(403);
+    expect(paymentController.handleBlockchainWebhook).not.toHaveBeenCalled();
+  });
+
+  it('accepts a signed webhook from a key with payments:webhook', async () => {
+    useKeyWithScopes(['payments:webhook']);
+
+    const res = await request(app)
+      .post('/api/payments/webhook/blockchain')
+      .set('X-API-Key', API_KEY)
+      .set('X-Webhook-Signature', signWebhook(webhookPayload))
+      .send(webhookPayload);
+
+    expect(res.status).toBe(200);
+    expect(paymentController.handleBlockchainWebhook).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+
+jest.mock('../../src/middleware/socketAuth', () => ({
+  namespaceAuth: () => (socket, next) => next(),
+  socketRateLimit: (socket, next) => next()
+}));
+
+const Notification = require('../../src/models/Notification');
+const Consultation = require('../../src/models/Consultation');
+const { setupNotifications } = require('../../src/sockets/notifications');
+
+// Chainable query result for find(...).sort().skip().limit().populate().lean()
+const query = (result) => {
+  const chain = {};
+  ['sort', 'skip', 'limit', 'populate', 'select'].forEach(method => {
+    chain[method] = () => chain;
+  });
+  chain.lean = () => Promise.resolve(result);
+  return chain;
+};
+
+// Socket stand-in that records handlers and room emits
+const createSocket = (userId) => {
+  const handlers = {};
+  const roomEmits = [];
+  return {
+    id: `socket-${userId}`,
+    userId,
+    handshake: { address: '127.0.0.1', headers: { 'user-agent': 'jest' } },
+    handlers,
+    roomEmits,
+    join: jest.fn(),
+    emit: jest.fn(),
+    on: (event, handler) => {
+      handlers[event] = handlers[event] || [];
+      handlers[event].push(handler);
+    },
+    to: (rooms) => ({ emit: (event, payload) => roomEmits.push({ rooms, event, payload }) }),
+    broadcast: { emit: jest.fn() },
+    trigger: (event, ...args) => Promise.all((handlers[event] || []).map(handler => handler(...args)))
+  };
+};
+
+describe('notifications namespace', () => {
+  let onConnection;
+  let socket;
+  const userId = new mongoose.Types.ObjectId().toString();
+
+  beforeAll(() => {
+    // The namespace's cleanup and heartbeat intervals would keep jest running
+    jest.useFakeTimers({ doNotFake: ['Date', 'setTimeout', 'clearTimeout', 'setImmediate', 'nextTick', 'queueMicrotask'] });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const namespace = {
+      use: jest.fn(),
+      on: (event, handler) => { onConnection = handler; }
+    };
+    setupNotifications({ of: () => namespace });
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Notification, 'find').mockReturnValue(query([]));
+    jest.spyOn(Notification, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(Notification, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Notification, 'findByIdAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Consultation, 'find').mockReturnValue(query([]));
+
+    socket = createSocket(userId);
+    onConnection(socket);
+  });
+
+  afterAll(() => {
+    jest.useRealTimers();
+  });
+
+  afterEach(async () => {
+    await socket.trigger('disconnect', 'test');
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  it('keeps notification history to the socket user whatever the filter says', async () => {
+    const callback = jest.fn();
+    const otherUser = new mongoose.Types.ObjectId().toString();
+
+    await socket.trigger('get-notification-history', {
+      filter: { recipient: otherUser, isRead: false, type: { $ne: 'newsletter' }, priority: 'high' }
+    }, callback);
+
+    expect(Notification.find).toHaveBeenCalledWith({ isRead: false, priority: 'high', recipient: userId });
+    expect(Notification.countDocuments).toHaveBeenCalledWith({ isRead: false, priority: 'high', recipient: userId });
+    expect(callback).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+  });
+
+  it("does not acknowledge another user's notification", async () => {
+    const callback = jest.fn();
+    const notificationId = new mongoose.Types.ObjectId().toString();
+
+    await socket.trigger('ack-notification', { notificationId, action: 'open' }, callback);
+
+    expect(Notification.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: notificationId, recipient: userId },
+      expect.any(Object)
+    );
+    expect(Notification.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    expect(Notification.findByIdAndUpdate).not.toHaveBeenCalled();
+    expect(callback).toHaveBeenCalledWith({ error: 'Notification not found' });
+  });
+
+  it("does not record actions on another user's notification", async () => {
+    const callback = jest.fn();
+    const notificationId = new mongoose.Types.ObjectId().toString();
+
+    await socket.trigger('notification-action', { notificationId, action: 'view_consultation', actionData: {} }, callback);
+
+    expect(Notification.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: notificationId, recipient: userId },
+      expect.any(Object)
+    );
+    expect(socket.emit).not.toHaveBeenCalledWith('redirect', expect.anything());
+    expect(callback).toHaveBeenCalledWith({ error: 'Notification not found' });
+  });
+
+  it('sends presence changes only to the other side of open consultations', async () => {
+    const doctorId = new mongoose.Types.ObjectId();
+    Consultation.find.mockReturnValue(query([{ patient: new mongoose.Types.ObjectId(userId), doctor: doctorId }]));
+
+    await socket.trigger('presence-update', { state: 'busy', statusMessage: 'In a consultation' });
+
+    expect(socket.broadcast.emit).not.toHaveBeenCalled();
+    expect(socket.roomEmits).toEqual([{
+      rooms: [`notifications_${doctorId}`],
+      event: 'user-presence-change',
+      payload: expect.objectContaining({ userId, state: 'busy', statusMessage: 'In a consultation' })
+    }]);
+  });
+
+  it('sends presence changes to nobody without an open consultation', async () => {
+    await socket.trigger('presence-update', { state: 'away' });
+
+    expect(socket.broadcast.emit).not.toHaveBeenCalled();
+    expect(socket.roomEmits).toEqual([]);
+  });
+});
@@ -0,0 +1,99 @@
+jest.mock('../../src/utils/email', () => ({ sendEmail: jest.fn() }));
+jest.mock('../../src/sockets/notifications', () => ({ sendNotificationToUser: jest.fn() }));
+
+const mongoose = require('mongoose');
+const User = require('../../src/models/User');
+const Consultation = require('../../src/models/Consultation');
+const ConsentGrant = require('../../src/models/ConsentGrant');
+const EmergencyAccess = require('../../src/models/EmergencyAccess');
+const SystemLog = require('../../src/models/SystemLog');
+const { EMERGENCY_ACCESS_CONFIG, startEmergencyAccess } = require('../../src/utils/emergencyAccess');
+const { getRecordAccess } = require('../../src/utils/medicalRecordAccess');
+
+const MINUTE = 60 * 1000;
+
+describe('break-glass emergency access expiry', () => {
+  const doctor = { id: new mongoose.Types.ObjectId(), role: 'doctor', firstName: 'Ada', lastName: 'Obi' };
+  const patient = { _id: new mongoose.Types.ObjectId(), firstName: 'Tom', lastName: 'Eze' };
+  const req = { ip: '127.0.0.1', method: 'POST', originalUrl: '/api/medical-records/emergency-access', get: () => 'jest' };
+  let accesses;
+
+  const emergencyRecord = () => ({
+    _id: new mongoose.Types.ObjectId(),
+    patient: patient._id,
+    doctor: new mongoose.Types.ObjectId(),
+    accessLevel: 'emergency_only',
+    sharedWith: [],
+    isDeleted: false
+  });
+
+  const start = () => startEmergencyAccess(doctor, patient._id, 'Unconscious patient brought into the emergency room', req);
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    accesses = [];
+
+    jest.spyOn(User, 'findOne').mockReturnValue({ select: () => Promise.resolve(patient) });
+    jest.spyOn(User, 'find').mockReturnValue({ select: () => Promise.resolve([]) });
+    jest.spyOn(SystemLog, 'create').mockResolvedValue({});
+    jest.spyOn(EmergencyAccess, 'create').mockImplementation(async (attributes) => {
+      const access = new EmergencyAccess(attributes);
+      access.createdAt = new Date();
+      accesses.push(access);
+      return access;
+    });
+
+    // Answers the query findActiveAccess sends from the accesses above
+    jest.spyOn(EmergencyAccess, 'findOne').mockImplementation((filter) => ({
+      sort: async () => accesses.find(access =>
+        access.doctor.equals(filter.doctor) &&
+        access.patient.equals(filter.patient) &&
+        !access.endedAt &&
+        access.expiresAt > filter.expiresAt.$gt) || null
+    }));
+    jest.spyOn(ConsentGrant, 'find').mockResolvedValue([]);
+    jest.spyOn(Consultation, 'exists').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('opens access for the configured number of minutes', async () => {
+    const access = await start();
+
+    const minutes = (access.expiresAt.getTime() - Date.now()) / MINUTE;
+    expect(minutes).toBeGreaterThan(EMERGENCY_ACCESS_CONFIG.accessMinutes - 1);
+    expect(minutes).toBeLessThanOrEqual(EMERGENCY_ACCESS_CONFIG.accessMinutes);
+    expect(access.isActive).toBe(true);
+  });
+
+  it('reads emergency-only records only while the window is open', async () => {
+    const access = await start();
+    const record = emergencyRecord();
+
+    await expect(getRecordAccess(record, doctor)).resolves.toBe('read');
+
+    access.expiresAt = new Date(Date.now() - MINUTE);
+
+    expect(access.isActive).toBe(false);
+    await expect(getRecordAccess(record, doctor)).resolves.toBeNull();
+  });
+
+  it('ends access when the doctor closes the window early', async () => {
+    const access = await start();
+    access.endedAt = new Date();
+
+    expect(access.isActive).toBe(false);
+    await expect(getRecordAccess(emergencyRecord(), doctor)).resolves.toBeNull();
+  });
+
+  it('does not open records that are not emergency-only', async () => {
+    await start();
+
+    await expect(getRecordAccess({ ...emergencyRecord(), accessLevel: 'doctor_only' }, doctor)).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+
+const OLD_KEY = crypto.randomBytes(32).toString('base64');
+const NEW_KEY = crypto.randomBytes(32).toString('base64');
+
+// A fresh kms module configured with the given master keys
+const loadKms = (currentKeyId, keys) => {
+  process.env.FILE_MASTER_KEY_ID = currentKeyId;
+  process.env.FILE_MASTER_KEYS = Object.entries(keys).map(([keyId, key]) => `${keyId}:${key}`).join(',');
+
+  let kms;
+  jest.isolateModules(() => {
+    kms = require('../../src/utils/kms');
+  });
+  return kms;
+};
+
+describe('kms.rewrapDataKey', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it('re-wraps a data key under the new master key so it unwraps to the same key', async () => {
+    const before = loadKms('2025-01', { '2025-01': OLD_KEY });
+    const { dataKey, keyId, wrappedKey } = await before.generateDataKey();
+
+    const rotated = loadKms('2025-06', { '2025-01': OLD_KEY, '2025-06': NEW_KEY });
+    const rewrapped = await rotated.rewrapDataKey(wrappedKey, keyId);
+
+    expect(rewrapped.keyId).toBe('2025-06');
+    expect(rewrapped.wrappedKey).not.toBe(wrappedKey);
+    expect((await rotated.unwrapDataKey(rewrapped.wrappedKey, rewrapped.keyId)).equals(dataKey)).toBe(true);
+
+    // The old master key can be retired once everything is re-wrapped
+    const retired = loadKms('2025-06', { '2025-06': NEW_KEY });
+    expect((await retired.unwrapDataKey(rewrapped.wrappedKey, rewrapped.keyId)).equals(dataKey)).toBe(true);
+    await expect(retired.unwrapDataKey(wrappedKey, keyId)).rejects.toThrow('Unknown file master key');
+  });
+
+  it('leaves a data key already wrapped under the current master key', async () => {
+    const kms = loadKms('2025-06', { '2025-06': NEW_KEY });
+    const { keyId, wrappedKey } = await kms.generateDataKey();
+
+    await expect(kms.rewrapDataKey(wrappedKey, keyId)).resolves.toBeNull();
+  });
+
+  it('refuses a wrapped key whose key ID was tampered with', async () => {
+    const kms = loadKms('2025-06', { '2025-01': OLD_KEY, '2025-06': NEW_KEY });
+    const { wrappedKey } = await kms.generateDataKey();
+
+    await expect(kms.rewrapDataKey(wrappedKey, '2025-01')).rejects.toThrow();
+  });
+});
@@ -0,0 +1,121 @@
+jest.mock('../../src/utils/email', () => ({ sendEmail: jest.fn() }));
+jest.mock('../../src/middleware/rateLimit', () => ({
+  incrementCounter: jest.fn().mockResolvedValue(1),
+  peekCounter: jest.fn().mockResolvedValue(0)
+}));
+
+const mongoose = require('mongoose');
+const User = require('../../src/models/User');
+const SystemLog = require('../../src/models/SystemLog');
+const {
+  LOGIN_SECURITY_CONFIG,
+  isAccountLocked,
+  recordFailedLogin
+} = require('../../src/utils/loginSecurity');
+
+const MINUTE = 60 * 1000;
+
+describe('loginSecurity.recordFailedLogin', () => {
+  const req = { ip: '203.0.113.7', method: 'POST', originalUrl: '/api/auth/verify', get: () => 'jest' };
+  let user;
+
+  const selected = (result) => ({ select: () => Promise.resolve(result) });
+  const snapshot = () => ({ loginSecurity: { ...user.loginSecurity } });
+
+  const fail = () => recordFailedLogin(user, req, 'invalid_signature');
+
+  const failTimes = async (count) => {
+    let result;
+    for (let i = 0; i < count; i++) {
+      result = await fail();
+    }
+    return result;
+  };
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  beforeEach(() => {
+    user = {
+      _id: new mongoose.Types.ObjectId(),
+      walletAddress: `0x${'4'.repeat(40)}`,
+      loginSecurity: { failedAttempts: 0, lockCount: 0 }
+    };
+
+    jest.spyOn(SystemLog, 'create').mockResolvedValue({});
+
+    // Apply the loginSecurity updates to the in-memory user
+    jest.spyOn(User, 'updateOne').mockImplementation(async (filter) => {
+      const windowStart = filter['loginSecurity.lastFailedAt'].$lt;
+      if (user.loginSecurity.lastFailedAt < windowStart) {
+        user.loginSecurity.failedAttempts = 0;
+      }
+    });
+    jest.spyOn(User, 'findByIdAndUpdate').mockImplementation((id, update) => {
+      user.loginSecurity.failedAttempts += update.$inc['loginSecurity.failedAttempts'];
+      user.loginSecurity.lastFailedAt = update.$set['loginSecurity.lastFailedAt'];
+      return selected(snapshot());
+    });
+    jest.spyOn(User, 'findOneAndUpdate').mockImplementation((filter, update) => {
+      if (user.loginSecurity.failedAttempts < filter['loginSecurity.failedAttempts'].$gte) {
+        return selected(null);
+      }
+      user.loginSecurity.failedAttempts = 0;
+      user.loginSecurity.lockedAt = update.$set['loginSecurity.lockedAt'];
+      user.loginSecurity.lockedUntil = update.$set['loginSecurity.lockedUntil'];
+      user.loginSecurity.lockCount += 1;
+      return selected(snapshot());
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('locks the account on the failure that reaches the limit and not before', async () => {
+    const beforeLimit = await failTimes(LOGIN_SECURITY_CONFIG.maxFailedAttempts - 1);
+
+    expect(beforeLimit).toEqual({ locked: false });
+    expect(isAccountLocked(user)).toBe(false);
+
+    const atLimit = await fail();
+
+    expect(atLimit.locked).toBe(true);
+    expect(isAccountLocked(user)).toBe(true);
+    expect(atLimit.lockedUntil.getTime() - Date.now())
+      .toBeGreaterThan((LOGIN_SECURITY_CONFIG.baseLockMinutes - 1) * MINUTE);
+    expect(SystemLog.create).toHaveBeenLastCalledWith(expect.objectContaining({ action: 'account_locked' }));
+  });
+
+  it('doubles the lock period for each consecutive lock', async () => {
+    const first = await failTimes(LOGIN_SECURITY_CONFIG.maxFailedAttempts);
+    const second = await failTimes(LOGIN_SECURITY_CONFIG.maxFailedAttempts);
+
+    expect(first.lockedUntil - Date.now()).toBeLessThanOrEqual(LOGIN_SECURITY_CONFIG.baseLockMinutes * MINUTE);
+    expect((second.lockedUntil - user.loginSecurity.lockedAt) / MINUTE)
+      .toBeCloseTo(LOGIN_SECURITY_CONFIG.baseLockMinutes * 2, 0);
+    expect(user.loginSecurity.lockCount).toBe(2);
+  });
+
+  it('stops counting failures older than the failure window', async () => {
+    await failTimes(LOGIN_SECURITY_CONFIG.maxFailedAttempts - 1);
+    user.loginSecurity.lastFailedAt = new Date(Date.now() - (LOGIN_SECURITY_CONFIG.failureWindowMinutes + 1) * MINUTE);
+
+    const result = await fail();
+
+    expect(result).toEqual({ locked: false });
+    expect(user.loginSecurity.failedAttempts).toBe(1);
+  });
+
+  it('only counts against the IP when the wallet has no account', async () => {
+    const { incrementCounter } = require('../../src/middleware/rateLimit');
+    incrementCounter.mockClear();
+
+    const result = await recordFailedLogin(null, req, 'unknown_wallet');
+
+    expect(result).toEqual({ locked: false });
+    expect(incrementCounter).toHaveBeenCalledWith(`login-failures:${req.ip}`, LOGIN_SECURITY_CONFIG.ipWindowMinutes * MINUTE);
+    expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+});
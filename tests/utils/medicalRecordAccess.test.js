@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const Consultation = require('../../src/models/Consultation');
+const ConsentGrant = require('../../src/models/ConsentGrant');
+const EmergencyAccess = require('../../src/models/EmergencyAccess');
+const {
+  RECORD_ACCESS_CONFIG,
+  hasActiveConsultation,
+  getRecordAccess
+} = require('../../src/utils/medicalRecordAccess');
+
+const MINUTE = 60 * 1000;
+
+// Evaluates the filter hasActiveConsultation sends against a consultation
+const matchesActiveFilter = (filter, consultation) => filter.$or.some(condition => {
+  if (!condition.status.$in.includes(consultation.status)) return false;
+  if (!condition.scheduledDateTime) return true;
+  const { $gte, $lte } = condition.scheduledDateTime;
+  return consultation.scheduledDateTime >= $gte && consultation.scheduledDateTime <= $lte;
+});
+
+describe('medicalRecordAccess.hasActiveConsultation', () => {
+  const doctorId = new mongoose.Types.ObjectId();
+  const patientId = new mongoose.Types.ObjectId();
+
+  const withConsultation = (consultation) => {
+    jest.spyOn(Consultation, 'exists').mockImplementation(async (filter) =>
+      (matchesActiveFilter(filter, consultation) ? { _id: new mongoose.Types.ObjectId() } : null));
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('counts a consultation in progress whenever it was scheduled', async () => {
+    withConsultation({ status: 'in_progress', scheduledDateTime: new Date(Date.now() - 24 * 60 * MINUTE) });
+
+    await expect(hasActiveConsultation(doctorId, patientId)).resolves.toBe(true);
+  });
+
+  it('counts a booked consultation only close to its scheduled start', async () => {
+    const window = RECORD_ACCESS_CONFIG.scheduledWindowMinutes * MINUTE;
+
+    withConsultation({ status: 'confirmed', scheduledDateTime: new Date(Date.now() + window / 2) });
+    await expect(hasActiveConsultation(doctorId, patientId)).resolves.toBe(true);
+
+    withConsultation({ status: 'scheduled', scheduledDateTime: new Date(Date.now() + 7 * 24 * 60 * MINUTE) });
+    await expect(hasActiveConsultation(doctorId, patientId)).resolves.toBe(false);
+
+    withConsultation({ status: 'confirmed', scheduledDateTime: new Date(Date.now() - 2 * window) });
+    await expect(hasActiveConsultation(doctorId, patientId)).resolves.toBe(false);
+  });
+
+  it('does not count completed or cancelled consultations', async () => {
+    withConsultation({ status: 'completed', scheduledDateTime: new Date() });
+    await expect(hasActiveConsultation(doctorId, patientId)).resolves.toBe(false);
+
+    withConsultation({ status: 'cancelled', scheduledDateTime: new Date() });
+    await expect(hasActiveConsultation(doctorId, patientId)).resolves.toBe(false);
+  });
+});
+
+describe('medicalRecordAccess.getRecordAccess with consent grants', () => {
+  const doctor = { id: new mongoose.Types.ObjectId(), role: 'doctor' };
+  const patientId = new mongoose.Types.ObjectId();
+  let grants;
+
+  const record = (attributes = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    patient: patientId,
+    doctor: new mongoose.Types.ObjectId(),
+    accessLevel: 'doctor_only',
+    sharedWith: [],
+    isDeleted: false,
+    ...attributes
+  });
+
+  const grant = (attributes) => grants.push(new ConsentGrant({
+    doctor: doctor.id,
+    patient: patientId,
+    scope: 'all_records',
+    accessLevel: 'read',
+    status: 'active',
+    expiresAt: new Date(Date.now() + 60 * MINUTE),
+    ...attributes
+  }));
+
+  beforeEach(() => {
+    grants = [];
+
+    // Answers the query findActiveGrants sends from the grants above
+    jest.spyOn(ConsentGrant, 'find').mockImplementation(async (filter) => grants.filter(candidate =>
+      candidate.doctor.equals(filter.doctor) &&
+      candidate.patient.equals(filter.patient) &&
+      candidate.status === filter.status &&
+      candidate.expiresAt > filter.expiresAt.$gt
+    ));
+    jest.spyOn(Consultation, 'exists').mockResolvedValue(null);
+    jest.spyOn(EmergencyAccess, 'findActiveAccess').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('gives the granted access level while the grant is active', async () => {
+    grant({ accessLevel: 'write' });
+
+    await expect(getRecordAccess(record(), doctor)).resolves.toBe('write');
+  });
+
+  it('gives no access once the grant has expired', async () => {
+    grant({ expiresAt: new Date(Date.now() - MINUTE) });
+
+    await expect(getRecordAccess(record(), doctor)).resolves.toBeNull();
+  });
+
+  it('gives no access under a grant that was revoked', async () => {
+    grant({ status: 'revoked' });
+
+    await expect(getRecordAccess(record(), doctor)).resolves.toBeNull();
+  });
+
+  it('limits a selected-records grant to the records it names', async () => {
+    const granted = record();
+    const other = record();
+    grant({ scope: 'selected_records', records: [granted._id] });
+
+    await expect(getRecordAccess(granted, doctor)).resolves.toBe('read');
+    await expect(getRecordAccess(other, doctor)).resolves.toBeNull();
+  });
+
+  it('does not let an expired grant widen a selected-records grant', async () => {
+    const granted = record();
+    const other = record();
+    grant({ scope: 'selected_records', records: [granted._id] });
+    grant({ scope: 'all_records', accessLevel: 'write', expiresAt: new Date(Date.now() - MINUTE) });
+
+    await expect(getRecordAccess(granted, doctor)).resolves.toBe('read');
+    await expect(getRecordAccess(other, doctor)).resolves.toBeNull();
+  });
+});
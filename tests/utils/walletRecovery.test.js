@@ -0,0 +1,109 @@
+jest.mock('../../src/utils/sessions', () => ({ revokeUserSessions: jest.fn().mockResolvedValue(0) }));
+
+const mongoose = require('mongoose');
+const User = require('../../src/models/User');
+const WalletRecovery = require('../../src/models/WalletRecovery');
+const { revokeUserSessions } = require('../../src/utils/sessions');
+const {
+  RECOVERY_CONFIG,
+  startWalletRecovery,
+  findRecoveryByToken,
+  confirmWalletRecovery,
+  completeWalletRecovery
+} = require('../../src/utils/walletRecovery');
+
+const MINUTE = 60 * 1000;
+const NEW_WALLET = `0x${'b'.repeat(40)}`;
+
+// Matches the equality, $in, $gt and $lte filters walletRecovery uses
+const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+  const value = doc[field];
+  if (condition && typeof condition === 'object' && !(condition instanceof mongoose.Types.ObjectId)) {
+    if ('$in' in condition && !condition.$in.includes(value)) return false;
+    if ('$gt' in condition && !(value > condition.$gt)) return false;
+    if ('$lte' in condition && !(value <= condition.$lte)) return false;
+    return true;
+  }
+  return String(value) === String(condition);
+});
+
+describe('walletRecovery tokens', () => {
+  const user = { _id: new mongoose.Types.ObjectId(), walletAddress: `0x${'a'.repeat(40)}` };
+  let recoveries;
+
+  beforeEach(() => {
+    recoveries = [];
+
+    jest.spyOn(WalletRecovery, 'updateMany').mockImplementation(async (filter, update) => {
+      recoveries.filter(doc => matches(doc, filter)).forEach(doc => Object.assign(doc, update.$set));
+    });
+    jest.spyOn(WalletRecovery, 'create').mockImplementation(async (attributes) => {
+      const doc = { _id: new mongoose.Types.ObjectId(), status: 'pending', ...attributes };
+      recoveries.push(doc);
+      return doc;
+    });
+    jest.spyOn(WalletRecovery, 'findOne').mockImplementation(async (filter) =>
+      recoveries.find(doc => matches(doc, filter)) || null);
+    jest.spyOn(WalletRecovery, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const doc = recoveries.find(candidate => matches(candidate, filter));
+      return doc ? Object.assign(doc, update.$set) : null;
+    });
+    jest.spyOn(User, 'findByIdAndUpdate').mockImplementation(async (id, update) => ({ _id: id, ...update.$set }));
+    revokeUserSessions.mockClear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('binds the new wallet once and refuses to reuse the token', async () => {
+    const { token } = await startWalletRecovery(user);
+
+    const recovery = await findRecoveryByToken(token);
+    const first = await confirmWalletRecovery(recovery, { newWalletAddress: NEW_WALLET, mfaVerified: true });
+
+    expect(first.user.walletAddress).toBe(NEW_WALLET);
+    expect(revokeUserSessions).toHaveBeenCalledWith(recovery.user, { reason: 'wallet_changed' });
+
+    await expect(findRecoveryByToken(token)).resolves.toBeNull();
+    await expect(confirmWalletRecovery(recovery, { newWalletAddress: `0x${'c'.repeat(40)}`, mfaVerified: true }))
+      .resolves.toBeNull();
+    expect(User.findByIdAndUpdate).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses a token after it expires', async () => {
+    const { token, recovery } = await startWalletRecovery(user);
+    recovery.expiresAt = new Date(Date.now() - MINUTE);
+
+    await expect(findRecoveryByToken(token)).resolves.toBeNull();
+    await expect(confirmWalletRecovery(recovery, { newWalletAddress: NEW_WALLET, mfaVerified: true }))
+      .resolves.toBeNull();
+    expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('cancels the earlier token when recovery is started again', async () => {
+    const { token: firstToken } = await startWalletRecovery(user);
+    const { token: secondToken } = await startWalletRecovery(user);
+
+    await expect(findRecoveryByToken(firstToken)).resolves.toBeNull();
+    await expect(findRecoveryByToken(secondToken)).resolves.toEqual(expect.objectContaining({ status: 'pending' }));
+  });
+
+  it('waits out the delay without two-factor and completes only before the completion window ends', async () => {
+    const { recovery } = await startWalletRecovery(user);
+    const confirmed = await confirmWalletRecovery(recovery, { newWalletAddress: NEW_WALLET, mfaVerified: false });
+
+    expect(confirmed.user).toBeNull();
+    expect(confirmed.cancelToken).toEqual(expect.any(String));
+    await expect(completeWalletRecovery(recovery)).resolves.toBeNull();
+
+    recovery.executeAfter = new Date(Date.now() - MINUTE);
+    recovery.expiresAt = new Date(Date.now() - 1);
+    await expect(completeWalletRecovery(recovery)).resolves.toBeNull();
+
+    recovery.expiresAt = new Date(Date.now() + RECOVERY_CONFIG.completionWindowDays * 24 * 60 * MINUTE);
+    const completed = await completeWalletRecovery(recovery);
+    expect(completed.user.walletAddress).toBe(NEW_WALLET);
+    await expect(completeWalletRecovery(recovery)).resolves.toBeNull();
+  });
+});
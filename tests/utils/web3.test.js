@@ -0,0 +1,163 @@
+const { ethers } = require('ethers');
+const { startJsonRpcStandIn } = require('../helpers/jsonRpcStandIn');
+const { buildTransfer, transferLog, addTransfer } = require('../helpers/chainFixtures');
+const { randomWallet, randomAddress } = require('../helpers/wallets');
+
+const USDC = randomAddress();
+const OTHER_TOKEN = randomAddress();
+const PAYMENT_WALLET = randomAddress();
+const PAYER = randomAddress();
+
+describe('verifyTokenTransfer against a local JSON-RPC node', () => {
+  let node;
+  let verifyTokenTransfer;
+
+  beforeAll(async () => {
+    node = await startJsonRpcStandIn();
+    process.env.ETHEREUM_NETWORK = 'local';
+    process.env.LOCAL_RPC_URL = node.url;
+    process.env.USDC_CONTRACT_ADDRESS = USDC;
+
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    ({ verifyTokenTransfer } = require('../../src/utils/web3'));
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await node.close();
+  });
+
+  // A USDC payment mined in block 95, 6 confirmations at block 100
+  const usdcPayment = (logs) => addTransfer(node.chain, buildTransfer({
+    from: PAYER,
+    to: USDC,
+    blockNumber: 95,
+    logs
+  }));
+
+  const verify = (txHash, overrides = {}) => verifyTokenTransfer({
+    txHash,
+    tokenSymbol: 'USDC',
+    recipient: PAYMENT_WALLET,
+    expectedAmount: 25.5,
+    requiredConfirmations: 3,
+    ...overrides
+  });
+
+  it('accepts a Transfer log of the token to the payment wallet, in token decimals', async () => {
+    const txHash = usdcPayment([transferLog(USDC, PAYER, PAYMENT_WALLET, 25500000)]);
+
+    const result = await verify(txHash);
+
+    expect(result).toMatchObject({
+      isValid: true,
+      isConfirmed: true,
+      confirmations: 6,
+      receivedAmount: '25.5',
+      from: PAYER.toLowerCase(),
+      blockNumber: 95
+    });
+  });
+
+  it('rejects an amount below the quote', async () => {
+    const txHash = usdcPayment([transferLog(USDC, PAYER, PAYMENT_WALLET, 25499999)]);
+
+    const result = await verify(txHash);
+
+    expect(result).toMatchObject({ isValid: false, code: 'AMOUNT_MISMATCH', receivedAmount: '25.499999' });
+  });
+
+  it('ignores Transfer logs emitted by a different token contract', async () => {
+    const txHash = usdcPayment([transferLog(OTHER_TOKEN, PAYER, PAYMENT_WALLET, 25500000)]);
+
+    const result = await verify(txHash);
+
+    expect(result).toMatchObject({ isValid: false, code: 'NO_TRANSFER' });
+  });
+
+  it('ignores transfers to a different recipient', async () => {
+    const txHash = usdcPayment([transferLog(USDC, PAYER, randomAddress(), 25500000)]);
+
+    const result = await verify(txHash);
+
+    expect(result).toMatchObject({ isValid: false, code: 'NO_TRANSFER' });
+  });
+
+  it('reports a valid transfer without enough confirmations as unconfirmed', async () => {
+    const txHash = usdcPayment([transferLog(USDC, PAYER, PAYMENT_WALLET, 25500000)]);
+
+    const result = await verify(txHash, { requiredConfirmations: 12 });
+
+    expect(result).toMatchObject({ isValid: true, isConfirmed: false, confirmations: 6, requiredConfirmations: 12 });
+  });
+
+  it('rejects reverted and unknown transactions', async () => {
+    const reverted = addTransfer(node.chain, buildTransfer({
+      from: PAYER,
+      to: USDC,
+      blockNumber: 95,
+      status: 0
+    }));
+
+    await expect(verify(reverted)).resolves.toMatchObject({ isValid: false, code: 'TX_FAILED' });
+    await expect(verify(ethers.utils.hexlify(ethers.utils.randomBytes(32))))
+      .resolves.toMatchObject({ isValid: false, code: 'TX_NOT_FOUND' });
+  });
+});
+
+describe('verifySignature against a local JSON-RPC node', () => {
+  let node;
+  let verifySignature;
+  let deployMockContractWallet;
+
+  beforeAll(async () => {
+    node = await startJsonRpcStandIn();
+    process.env.ETHEREUM_NETWORK = 'local';
+    process.env.LOCAL_RPC_URL = node.url;
+
+    jest.resetModules();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    ({ verifySignature } = require('../../src/utils/web3'));
+    ({ deployMockContractWallet } = require('../helpers/eip1271'));
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await node.close();
+  });
+
+  it('recovers EOA signatures without calling the chain', async () => {
+    const wallet = randomWallet();
+    const signature = await wallet.signMessage('Sign in to HealthFriend.');
+
+    const result = await verifySignature('Sign in to HealthFriend.', signature, wallet.address);
+
+    expect(result).toMatchObject({ isValid: true, walletType: 'eoa' });
+  });
+
+  it('accepts a contract wallet signature when isValidSignature returns the magic value', async () => {
+    const signature = '0x1234abcd';
+    const wallet = deployMockContractWallet(node.chain, [signature]);
+
+    const result = await verifySignature('Sign in to HealthFriend.', signature, wallet, { chainId: 31337 });
+
+    expect(result).toMatchObject({ isValid: true, walletType: 'contract' });
+  });
+
+  it('rejects a contract wallet signature when isValidSignature returns another value', async () => {
+    const wallet = deployMockContractWallet(node.chain, ['0x1234abcd']);
+
+    const result = await verifySignature('Sign in to HealthFriend.', '0xdeadbeef', wallet, { chainId: 31337 });
+
+    expect(result).toMatchObject({ isValid: false, walletType: 'contract' });
+  });
+
+  it('rejects a signature from another EOA', async () => {
+    const signer = randomWallet();
+    const signature = await signer.signMessage('Sign in to HealthFriend.');
+
+    const result = await verifySignature('Sign in to HealthFriend.', signature, randomAddress());
+
+    expect(result).toMatchObject({ isValid: false, walletType: 'eoa' });
+  });
+});